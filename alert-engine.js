@@ -1,212 +1,18 @@
 /**
  * CaseTrack KE — Alert Engine
- * Proactive notification and escalation system
+ * Display helpers for alerts. The checks that raise alerts run on the
+ * server (server/alert-scheduler.js); this module reads what they produced.
  */
 
 const AlertEngine = {
 
-    // Alert configuration
-    CONFIG: {
-        deadlineWarningDays: [7, 3, 1],  // Days before deadline to alert
-        overdueThresholdDays: 7,         // Days file held before flagging
-        escalationThresholdDays: 14      // Days before escalating to Partner
-    },
-
-    /**
-     * Run full alert check - call on page load
-     */
-    async runAlertCheck() {
-        console.log('CaseTrack Alert Engine: Running checks...');
-
-        await this.checkDeadlineAlerts();
-        await this.checkOverdueFiles();
-        await this.checkUnacknowledgedMovements();
-        await this.checkMissingDigitalLinks();
-
-        console.log('CaseTrack Alert Engine: Checks complete');
-    },
-
-    /**
-     * Check for upcoming and overdue deadlines
-     */
-    async checkDeadlineAlerts() {
-        const now = new Date();
-        const deadlines = CaseTrackDB.getAllDeadlines().filter(d => d.status === 'Pending');
-
-        for (const deadline of deadlines) {
-            const dueDate = new Date(deadline.dueDate);
-            const daysUntil = Math.ceil((dueDate - now) / (1000 * 60 * 60 * 24));
-            const file = CaseTrackDB.getFile(deadline.fileId);
-
-            if (!file) continue;
-
-            // Check for overdue
-            if (daysUntil < 0) {
-                await this.createAlertIfNew({
-                    type: 'deadline_overdue',
-                    severity: 'critical',
-                    fileId: deadline.fileId,
-                    deadlineId: deadline.deadlineId,
-                    targetUserId: file.assignedAdvocates?.[0] || null,
-                    message: `OVERDUE: ${deadline.type} for "${file.caseName}" was due ${Math.abs(daysUntil)} day(s) ago. ${deadline.description}`
-                });
-
-                // Escalate to partners
-                const partners = CaseTrackDB.getUsersByRole('Partner');
-                for (const partner of partners) {
-                    await this.createAlertIfNew({
-                        type: 'escalation',
-                        severity: 'critical',
-                        fileId: deadline.fileId,
-                        deadlineId: deadline.deadlineId,
-                        targetUserId: partner.userId,
-                        message: `ESCALATION: Deadline overdue for "${file.caseName}" - ${deadline.type}. Current custodian: ${this.getCustodianName(file.currentCustodian)}`
-                    });
-                }
-            }
-            // Check for upcoming warnings
-            else if (this.CONFIG.deadlineWarningDays.includes(daysUntil)) {
-                const urgency = daysUntil === 1 ? 'critical' : daysUntil <= 3 ? 'warning' : 'info';
-
-                await this.createAlertIfNew({
-                    type: 'deadline_upcoming',
-                    severity: urgency,
-                    fileId: deadline.fileId,
-                    deadlineId: deadline.deadlineId,
-                    targetUserId: file.assignedAdvocates?.[0] || null,
-                    message: `DEADLINE: ${deadline.type} for "${file.caseName}" in ${daysUntil} day(s). ${deadline.description}`
-                });
-
-                // Check if file is with correct custodian
-                if (file.assignedAdvocates && !file.assignedAdvocates.includes(file.currentCustodian)) {
-                    await this.createAlertIfNew({
-                        type: 'file_location_warning',
-                        severity: 'warning',
-                        fileId: deadline.fileId,
-                        targetUserId: file.currentCustodian,
-                        message: `File "${file.caseName}" has upcoming deadline but is not with assigned advocate. Current location: ${this.getCustodianName(file.currentCustodian)}`
-                    });
-                }
-            }
-        }
-    },
-
-    /**
-     * Check for files held too long by a custodian
-     */
-    async checkOverdueFiles() {
-        const bottlenecks = CaseTrackDB.getBottleneckReport(this.CONFIG.overdueThresholdDays);
-
-        for (const item of bottlenecks) {
-            const severity = item.daysHeld >= this.CONFIG.escalationThresholdDays ? 'critical' : 'warning';
-
-            await this.createAlertIfNew({
-                type: 'file_overdue_at_custodian',
-                severity: severity,
-                fileId: item.file.fileId,
-                targetUserId: item.currentCustodian,
-                message: `File "${item.file.caseName}" has been with ${this.getCustodianName(item.currentCustodian)} for ${item.daysHeld} days without movement.`
-            });
-
-            // Escalate if beyond threshold
-            if (item.daysHeld >= this.CONFIG.escalationThresholdDays) {
-                const partners = CaseTrackDB.getUsersByRole('Partner');
-                for (const partner of partners) {
-                    await this.createAlertIfNew({
-                        type: 'escalation',
-                        severity: 'critical',
-                        fileId: item.file.fileId,
-                        targetUserId: partner.userId,
-                        message: `BOTTLENECK: "${item.file.caseName}" held by ${this.getCustodianName(item.currentCustodian)} for ${item.daysHeld} days. Intervention may be required.`
-                    });
-                }
-            }
-        }
-    },
-
-    /**
-     * Check for unacknowledged file movements
-     */
-    async checkUnacknowledgedMovements() {
-        const unacknowledged = CaseTrackDB.getUnacknowledgedMovements();
-        const now = new Date();
-
-        for (const movement of unacknowledged) {
-            const hoursSince = (now - new Date(movement.timestamp)) / (1000 * 60 * 60);
-
-            // Alert if not acknowledged within 24 hours
-            if (hoursSince >= 24) {
-                const file = CaseTrackDB.getFile(movement.fileId);
-                if (!file) continue;
-
-                await this.createAlertIfNew({
-                    type: 'movement_unacknowledged',
-                    severity: 'warning',
-                    fileId: movement.fileId,
-                    targetUserId: movement.toCustodian,
-                    message: `Pending acknowledgement: "${file.caseName}" transferred to ${this.getCustodianName(movement.toCustodian)} ${Math.round(hoursSince)} hours ago.`
-                });
-            }
-        }
-    },
-
-    /**
-     * Check for physical files without digital links
-     */
-    async checkMissingDigitalLinks() {
-        const files = CaseTrackDB.getAllFiles().filter(f => f.status === 'Active');
-
-        for (const file of files) {
-            if (!file.linkedDigitalFiles || file.linkedDigitalFiles.length === 0) {
-                await this.createAlertIfNew({
-                    type: 'missing_digital_link',
-                    severity: 'info',
-                    fileId: file.fileId,
-                    targetUserId: file.assignedAdvocates?.[0] || null,
-                    message: `File "${file.caseName}" has no linked digital documents. Consider uploading scans for backup.`
-                });
-            }
-        }
-    },
-
-    /**
-     * Create alert only if similar doesn't exist
-     */
-    async createAlertIfNew(alertData) {
-        const existing = CaseTrackDB.getActiveAlerts().find(a =>
-            a.type === alertData.type &&
-            a.fileId === alertData.fileId &&
-            a.targetUserId === alertData.targetUserId &&
-            !a.dismissed
-        );
-
-        if (!existing) {
-            await CaseTrackDB.createAlert(alertData);
-        }
-    },
-
-    /**
-     * Get human-readable custodian name
-     */
-    getCustodianName(userId) {
-        if (!userId) return 'Unknown';
-        const user = CaseTrackDB.getUser(userId);
-        return user ? user.name : 'Unknown User';
-    },
-
     /**
-     * Get alerts for current user
+     * Get alerts for current user (targeted at them or broadcast to the firm)
      */
     getMyAlerts() {
         const user = CaseTrackAuth.getCurrentUser();
         if (!user) return [];
 
-        // Partners see all alerts
-        if (user.role === 'Partner') {
-            return CaseTrackDB.getActiveAlerts();
-        }
-
-        // Others see only their alerts
         return CaseTrackDB.getActiveAlerts(user.userId);
     },
 
@@ -225,6 +31,13 @@ const AlertEngine = {
         return CaseTrackDB.markAlertRead(alertId);
     },
 
+    /**
+     * Mark several alerts as read in one request
+     */
+    markAllRead(alertIds) {
+        return CaseTrackDB.markAlertsRead(alertIds);
+    },
+
     /**
      * Dismiss alert
      */
@@ -239,10 +52,14 @@ const AlertEngine = {
         const icons = {
             'deadline_overdue': '🚨',
             'deadline_upcoming': '⏰',
+            'deadline_non_court_day': '📅',
+            'limitation_approaching': '⏳',
+            'limitation_expired': '⛔',
             'file_overdue_at_custodian': '📁',
             'file_location_warning': '📍',
             'movement_unacknowledged': '✋',
             'missing_digital_link': '📎',
+            'file_request': '🙋',
             'escalation': '⚠️'
         };
         return icons[type] || '🔔';
@@ -293,6 +110,19 @@ const AlertEngine = {
         return date.toLocaleDateString();
     },
 
+    /**
+     * Countdown to a deadline in court days, the same count the server's
+     * alert stages use: { courtDays, nonCourtDay } where nonCourtDay names
+     * the weekend or holiday the deadline falls on (null on a court day)
+     */
+    getDeadlineCountdown(deadline, now = new Date()) {
+        const gazetted = CaseTrackDB.getCourtHolidays();
+        return {
+            courtDays: CaseTrackCalendar.courtDaysUntil(deadline.dueDate, now, gazetted),
+            nonCourtDay: CaseTrackCalendar.nonCourtDayReason(deadline.dueDate, gazetted)
+        };
+    },
+
     /**
      * Get dashboard summary
      */
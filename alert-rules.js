@@ -0,0 +1,122 @@
+/**
+ * CaseTrack KE — Alert Rules
+ * Per-firm alert thresholds shared by the browser (reports, admin screen)
+ * and the server's alert scheduler
+ */
+
+const CaseTrackAlertRules = {
+
+    // Used for any firm that has not saved its own rules, and for any
+    // deadline type or practice area without an override
+    DEFAULTS: {
+        deadlineWarningDays: [7, 3, 1],      // Court days before a deadline to alert
+        deadlineWarningDaysByType: {},       // e.g. { 'Appeal Deadline': [30, 14, 7] }
+        overdueThresholdDays: 7,             // Days file held before flagging
+        escalationThresholdDays: 14,         // Days held before escalating
+        holdingThresholdsByPracticeArea: {}, // e.g. { Criminal: { overdueThresholdDays: 3, escalationThresholdDays: 7 } }
+        unacknowledgedAlertHours: 24,        // Hours before chasing a movement receipt
+        unacknowledgedRiskHours: 48,         // Hours before a transfer shows on the risk report
+        limitationWarningDays: [180, 90, 30, 14, 7], // Days before a limitation period expires to alert
+        limitationEscalationDays: 30,        // Days before expiry to alert the escalation recipients too
+        escalationRecipients: []             // userIds; empty means every Partner
+    },
+
+    /**
+     * Fill any missing settings from the defaults
+     */
+    withDefaults(rules) {
+        return { ...this.DEFAULTS, ...(rules || {}) };
+    },
+
+    /**
+     * Warning offsets (days, largest first) for a deadline type
+     */
+    warningDaysFor(rules, deadlineType) {
+        const resolved = this.withDefaults(rules);
+        const days = resolved.deadlineWarningDaysByType[deadlineType] || resolved.deadlineWarningDays;
+        return [...days].sort((a, b) => b - a);
+    },
+
+    /**
+     * Custodian-holding thresholds for a practice area
+     */
+    holdingThresholdsFor(rules, practiceArea) {
+        const resolved = this.withDefaults(rules);
+        return {
+            overdueThresholdDays: resolved.overdueThresholdDays,
+            escalationThresholdDays: resolved.escalationThresholdDays,
+            ...(resolved.holdingThresholdsByPracticeArea[practiceArea] || {})
+        };
+    },
+
+    /**
+     * Check a rules object before saving. Returns a list of error messages;
+     * empty when the rules are valid. Unknown keys are rejected so typos
+     * do not silently fall back to the defaults.
+     */
+    validate(rules, { deadlineTypes = [], practiceAreas = [] } = {}) {
+        const errors = [];
+        const isDays = (n) => Number.isInteger(n) && n >= 0 && n <= 3650;
+        const isDayList = (list) => Array.isArray(list) && list.length > 0 && list.length <= 10 && list.every(isDays);
+
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            return ['Alert rules must be an object'];
+        }
+
+        Object.keys(rules).forEach(key => {
+            if (!(key in this.DEFAULTS)) errors.push(`Unknown alert rule: ${key}`);
+        });
+
+        if ('deadlineWarningDays' in rules && !isDayList(rules.deadlineWarningDays)) {
+            errors.push('deadlineWarningDays must be a list of whole days');
+        }
+
+        Object.entries(rules.deadlineWarningDaysByType || {}).forEach(([type, days]) => {
+            if (!deadlineTypes.includes(type)) errors.push(`Unknown deadline type: ${type}`);
+            else if (!isDayList(days)) errors.push(`Warning days for ${type} must be a list of whole days`);
+        });
+
+        ['overdueThresholdDays', 'escalationThresholdDays'].forEach(key => {
+            if (key in rules && !(isDays(rules[key]) && rules[key] > 0)) errors.push(`${key} must be a positive whole number of days`);
+        });
+
+        Object.entries(rules.holdingThresholdsByPracticeArea || {}).forEach(([area, thresholds]) => {
+            if (!practiceAreas.includes(area)) return errors.push(`Unknown practice area: ${area}`);
+            Object.entries(thresholds || {}).forEach(([key, value]) => {
+                if (!['overdueThresholdDays', 'escalationThresholdDays'].includes(key)) {
+                    errors.push(`Unknown threshold for ${area}: ${key}`);
+                } else if (!(isDays(value) && value > 0)) {
+                    errors.push(`${key} for ${area} must be a positive whole number of days`);
+                }
+            });
+        });
+
+        if ('limitationWarningDays' in rules && !isDayList(rules.limitationWarningDays)) {
+            errors.push('limitationWarningDays must be a list of whole days');
+        }
+        if ('limitationEscalationDays' in rules && !isDays(rules.limitationEscalationDays)) {
+            errors.push('limitationEscalationDays must be a whole number of days');
+        }
+
+        ['unacknowledgedAlertHours', 'unacknowledgedRiskHours'].forEach(key => {
+            if (key in rules && !(Number.isInteger(rules[key]) && rules[key] > 0)) errors.push(`${key} must be a positive whole number of hours`);
+        });
+
+        const resolved = this.withDefaults(rules);
+        if (resolved.escalationThresholdDays < resolved.overdueThresholdDays) {
+            errors.push('escalationThresholdDays cannot be shorter than overdueThresholdDays');
+        }
+
+        if ('escalationRecipients' in rules &&
+            !(Array.isArray(rules.escalationRecipients) && rules.escalationRecipients.every(id => typeof id === 'string'))) {
+            errors.push('escalationRecipients must be a list of user IDs');
+        }
+
+        return errors;
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackAlertRules;
+}
@@ -19,24 +19,30 @@ const APIClient = {
         const url = `${this.baseURL}${endpoint}`;
         const token = localStorage.getItem('casetrack_token');
 
+        // Multipart bodies need the browser to set Content-Type with its boundary
+        const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
         const defaultOptions = {
             headers: {
-                'Content-Type': 'application/json',
+                ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
                 ...(token ? { 'Authorization': `Bearer ${token}` } : {})
             }
         };
 
         try {
-            const response = await fetch(url, { ...defaultOptions, ...options });
-            if (response.status === 401 || response.status === 403) {
-                // Session expired or invalid
+            const response = await fetch(url, { ...options, headers: { ...defaultOptions.headers, ...options.headers } });
+            if (response.status === 401) {
+                // Session expired or invalid (403 is a permission denial, handled below)
                 console.warn('API Authentication failed. Logging out...');
                 if (typeof CaseTrackAuth !== 'undefined') CaseTrackAuth.logout();
                 throw new Error('Unauthorized');
             }
             if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'API Request failed');
+                const body = await response.json();
+                // Keep the status and body for callers that handle e.g. 409
+                const error = new Error(body.error || 'API Request failed');
+                error.status = response.status;
+                error.body = body;
+                throw error;
             }
             return await response.json();
         } catch (error) {
@@ -50,6 +56,28 @@ const APIClient = {
         else localStorage.removeItem('casetrack_token');
     },
 
+    /**
+     * Replay a change from the offline outbox. The mutation id lets the
+     * server recognise a change it has already applied.
+     */
+    async sendMutation({ mutationId, method, endpoint, body }) {
+        return this.request(endpoint, {
+            method,
+            headers: { 'X-Mutation-Id': mutationId },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+    },
+
+    /**
+     * Records changed after a sync cursor (0 for a full snapshot). With
+     * fileIds, the movements and deadlines of those files instead.
+     */
+    async getChanges(since = 0, fileIds = null) {
+        const params = new URLSearchParams({ since });
+        if (fileIds) params.set('fileIds', fileIds.join(','));
+        return this.request(`/sync?${params}`);
+    },
+
     async login(userId, password) {
         return this.request('/auth/login', {
             method: 'POST',
@@ -86,11 +114,25 @@ const APIClient = {
         return this.request('/users');
     },
 
+    async updateProfile(updates) {
+        return this.request('/users/me', {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    },
+
     // Files
     async getFiles() {
         return this.request('/files');
     },
 
+    async registerUser(userData) {
+        return this.request('/users', {
+            method: 'POST',
+            body: JSON.stringify(userData)
+        });
+    },
+
     async registerFile(fileData) {
         return this.request('/files', {
             method: 'POST',
@@ -98,6 +140,20 @@ const APIClient = {
         });
     },
 
+    async updateFile(fileId, updates) {
+        return this.request(`/files/${fileId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    },
+
+    async changeFileStatus(fileId, status, notes) {
+        return this.request(`/files/${fileId}/status`, {
+            method: 'POST',
+            body: JSON.stringify({ status, notes })
+        });
+    },
+
     // Movements
     async getMovements() {
         return this.request('/movements');
@@ -128,6 +184,142 @@ const APIClient = {
         });
     },
 
+    async completeDeadline(deadlineId, notes) {
+        return this.request(`/deadlines/${deadlineId}/complete`, {
+            method: 'POST',
+            body: JSON.stringify({ notes })
+        });
+    },
+
+    async reopenDeadline(deadlineId, reason) {
+        return this.request(`/deadlines/${deadlineId}/reopen`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    },
+
+    async rescheduleDeadline(deadlineId, dueDate, reason) {
+        return this.request(`/deadlines/${deadlineId}/reschedule`, {
+            method: 'POST',
+            body: JSON.stringify({ dueDate, reason })
+        });
+    },
+
+    async cancelDeadline(deadlineId, reason) {
+        return this.request(`/deadlines/${deadlineId}/cancel`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    },
+
+    async deleteDeadline(deadlineId) {
+        return this.request(`/deadlines/${deadlineId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async getDeadlineHistory(deadlineId) {
+        return this.request(`/deadlines/${deadlineId}/history`);
+    },
+
+    // Cause Lists
+    async getCauseLists() {
+        return this.request('/cause-lists');
+    },
+
+    async getCauseList(causeListId) {
+        return this.request(`/cause-lists/${causeListId}`);
+    },
+
+    async importCauseList(file) {
+        const body = new FormData();
+        body.append('file', file, file.name);
+        return this.request('/cause-lists', {
+            method: 'POST',
+            body
+        });
+    },
+
+    async applyCauseList(causeListId, entries) {
+        return this.request(`/cause-lists/${causeListId}/apply`, {
+            method: 'POST',
+            body: JSON.stringify({ entries })
+        });
+    },
+
+    // Procedural events
+    async getFileEvents(fileId) {
+        return this.request(`/files/${encodeURIComponent(fileId)}/events`);
+    },
+
+    async previewFileEvent(fileId, event) {
+        return this.request(`/files/${encodeURIComponent(fileId)}/events/preview`, {
+            method: 'POST',
+            body: JSON.stringify(event)
+        });
+    },
+
+    async logFileEvent(fileId, event) {
+        return this.request(`/files/${encodeURIComponent(fileId)}/events`, {
+            method: 'POST',
+            body: JSON.stringify(event)
+        });
+    },
+
+    // Notification Preferences
+    async getNotificationPreferences() {
+        return this.request('/notification-preferences');
+    },
+
+    async updateNotificationPreferences(preferences) {
+        return this.request('/notification-preferences', {
+            method: 'PUT',
+            body: JSON.stringify(preferences)
+        });
+    },
+
+    // Alert Rules
+    async getAlertRules() {
+        return this.request('/alert-rules');
+    },
+
+    async updateAlertRules(rules) {
+        return this.request('/alert-rules', {
+            method: 'PUT',
+            body: JSON.stringify(rules)
+        });
+    },
+
+    // Deadline Rules
+    async getDeadlineRules() {
+        return this.request('/deadline-rules');
+    },
+
+    async updateDeadlineRules(rules) {
+        return this.request('/deadline-rules', {
+            method: 'PUT',
+            body: JSON.stringify({ rules })
+        });
+    },
+
+    // Court Calendar
+    async getCourtCalendar(year) {
+        return this.request(`/court-calendar${year ? `?year=${year}` : ''}`);
+    },
+
+    async addCourtHoliday(holiday) {
+        return this.request('/court-calendar/holidays', {
+            method: 'POST',
+            body: JSON.stringify(holiday)
+        });
+    },
+
+    async deleteCourtHoliday(holidayId) {
+        return this.request(`/court-calendar/holidays/${holidayId}`, {
+            method: 'DELETE'
+        });
+    },
+
     // Alerts
     async getAlerts() {
         return this.request('/alerts');
@@ -140,21 +332,158 @@ const APIClient = {
         });
     },
 
-    async markAlertsRead() {
-        return this.request('/alerts/read', {
+    async requestFile(fileId, reason) {
+        return this.request(`/files/${fileId}/request`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    },
+
+    async markAlertRead(alertId) {
+        return this.request(`/alerts/${alertId}/read`, {
+            method: 'POST'
+        });
+    },
+
+    async dismissAlert(alertId) {
+        return this.request(`/alerts/${alertId}/dismiss`, {
             method: 'POST'
         });
     },
 
+    // Omit alertIds to act on every alert addressed to the current user
+    async markAlertsRead(alertIds) {
+        return this.request('/alerts/read', {
+            method: 'POST',
+            body: JSON.stringify({ alertIds })
+        });
+    },
+
+    async dismissAlerts(alertIds) {
+        return this.request('/alerts/dismiss', {
+            method: 'POST',
+            body: JSON.stringify({ alertIds })
+        });
+    },
+
+    // Conflict checks
+    async runConflictCheck(parties) {
+        return this.request('/conflict-checks', {
+            method: 'POST',
+            body: JSON.stringify({ parties })
+        });
+    },
+
+    async overrideConflictCheck(checkId, reason) {
+        return this.request(`/conflict-checks/${checkId}/override`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    },
+
+    async getFileParties(fileId) {
+        return this.request(`/files/${encodeURIComponent(fileId)}/parties`);
+    },
+
+    // Clients
+    async getClients(search) {
+        return this.request(`/clients${search ? `?q=${encodeURIComponent(search)}` : ''}`);
+    },
+
+    async getClient(clientId) {
+        return this.request(`/clients/${clientId}`);
+    },
+
+    async createClient(clientData) {
+        return this.request('/clients', {
+            method: 'POST',
+            body: JSON.stringify(clientData)
+        });
+    },
+
+    async updateClient(clientId, updates) {
+        return this.request(`/clients/${clientId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    },
+
+    async deleteClient(clientId) {
+        return this.request(`/clients/${clientId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async addClientContact(clientId, contactData) {
+        return this.request(`/clients/${clientId}/contacts`, {
+            method: 'POST',
+            body: JSON.stringify(contactData)
+        });
+    },
+
+    async updateClientContact(clientId, contactId, updates) {
+        return this.request(`/clients/${clientId}/contacts/${contactId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    },
+
+    async deleteClientContact(clientId, contactId) {
+        return this.request(`/clients/${clientId}/contacts/${contactId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Search
+    async search(params) {
+        const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+        return this.request(`/search?${query}`);
+    },
+
     // Attachments
     async getAttachments(fileId) {
         return this.request(`/attachments/${fileId}`);
     },
 
-    async uploadAttachment(attachmentData) {
-        return this.request('/attachments', {
+    async uploadAttachment(fileId, file, name = file.name) {
+        const body = new FormData();
+        body.append('file', file, name);
+        return this.request(`/files/${encodeURIComponent(fileId)}/attachments`, {
+            method: 'POST',
+            body
+        });
+    },
+
+    async uploadAttachmentVersion(attachmentId, file) {
+        const body = new FormData();
+        body.append('file', file, file.name);
+        return this.request(`/attachments/${attachmentId}/versions`, {
             method: 'POST',
-            body: JSON.stringify(attachmentData)
+            body
+        });
+    },
+
+    async getAttachmentVersions(attachmentId) {
+        return this.request(`/attachments/${attachmentId}/versions`);
+    },
+
+    async restoreAttachmentVersion(attachmentId) {
+        return this.request(`/attachments/${attachmentId}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    async deleteAttachment(attachmentId) {
+        return this.request(`/attachments/${attachmentId}`, {
+            method: 'DELETE'
         });
+    },
+
+    /**
+     * Download URL for an attachment. Authenticated by the session cookie, so
+     * it works as a plain link; inline shows PDFs and images in the browser.
+     */
+    attachmentDownloadURL(attachmentId, inline = false) {
+        return `${this.baseURL}/attachments/${attachmentId}/download${inline ? '?inline=1' : ''}`;
     }
 };
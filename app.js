@@ -9,6 +9,8 @@ class CaseTrackKE {
         this.currentView = 'dashboard';
         this.theme = localStorage.getItem('casetrack-theme') || 'dark';
         this.notificationsPanelOpen = false;
+        // New file awaiting review of its conflict check hits
+        this.pendingRegistration = null;
     }
 
     async init() {
@@ -38,10 +40,10 @@ class CaseTrackKE {
         // Connect WebSockets for real-time notifications
         const currentUser = CaseTrackAuth.getCurrentUser();
         if (currentUser) {
-            WSClient.connect(currentUser.userId);
+            WSClient.connect();
 
-            // Show admin nav only for firm owners
-            if (currentUser.isFirmOwner === 1) {
+            // Show admin nav to firm owners, and to partners for alert rules
+            if (currentUser.isFirmOwner === 1 || CaseTrackAuth.hasPermission('manageAlertRules')) {
                 const adminNav = document.getElementById('adminNavBtn');
                 if (adminNav) adminNav.style.display = 'flex';
             }
@@ -50,10 +52,11 @@ class CaseTrackKE {
         this.updateUserInfo();
         this.updateQuickStats();
         this.loadDashboard();
-
-        // Run alert checks
-        AlertEngine.runAlertCheck();
         this.updateNotificationBadge();
+        this.updateSyncStatus();
+
+        // Offline shell, background sync and device notifications
+        CaseTrackPWA.init();
     }
 
     /**
@@ -68,6 +71,36 @@ class CaseTrackKE {
         }
     }
 
+    /**
+     * Update what is on screen for a real-time event whose records
+     * CaseTrackDB has already applied: counters, the file's table row, the
+     * current view if it lists a changed table, and open panels and modals
+     */
+    applyRealtimeEvent(event) {
+        const tables = CaseTrackEvents.tablesFor(event.type);
+        const fileId = event.fileId || event.file?.fileId;
+
+        this.updateQuickStats();
+        this.updateNotificationBadge();
+
+        if (this.currentView === 'dashboard') this.loadDashboard();
+        if (this.currentView === 'files' && fileId) this.patchFileRow(fileId);
+        if (this.currentView === 'deadlines' && tables.has('deadlines')) this.loadDeadlinesView();
+        if (this.currentView === 'movements' && tables.has('movements')) this.loadMovementsView();
+        if (tables.has('users') && document.getElementById('adminTeamTable')?.offsetParent) this.loadAdminTeamTable();
+        if (this.notificationsPanelOpen && tables.has('alerts')) this.loadNotifications();
+
+        // The open file: shown again with the change, or closed once gone
+        const modal = document.getElementById('fileDetailsModal');
+        if (fileId && modal.classList.contains('active') && document.getElementById('fileDetailsTitle').textContent === fileId) {
+            if (FileManager.getFileDetails(fileId)) this.openFileDetails(fileId);
+            else {
+                this.closeModal('fileDetailsModal');
+                this.showNotification(`File ${fileId} is no longer available`, 'info');
+            }
+        }
+    }
+
     /**
      * Bind DOM elements
      */
@@ -117,6 +150,14 @@ class CaseTrackKE {
         // Logout
         this.logoutBtn?.addEventListener('click', () => this.logout());
 
+        // Offline changes go out when the connection returns
+        window.addEventListener('online', () => this.syncWithBackend());
+        window.addEventListener('offline', () => this.updateSyncStatus());
+        document.getElementById('syncStatusBtn')?.addEventListener('click', () => this.openOutboxModal());
+        document.getElementById('closeOutboxModal')?.addEventListener('click', () => this.closeModal('outboxModal'));
+        document.getElementById('cancelOutboxModal')?.addEventListener('click', () => this.closeModal('outboxModal'));
+        document.getElementById('retryOutboxBtn')?.addEventListener('click', () => this.syncWithBackend());
+
         // Notifications
         this.notificationBtn?.addEventListener('click', () => this.toggleNotificationsPanel());
         document.getElementById('markAllRead')?.addEventListener('click', () => this.markAllAlertsRead());
@@ -135,6 +176,33 @@ class CaseTrackKE {
         document.getElementById('cancelNewFile')?.addEventListener('click', () => this.closeModal('newFileModal'));
         document.getElementById('newFileForm')?.addEventListener('submit', (e) => this.handleNewFileSubmit(e));
 
+        // Clients
+        let clientSearchTimer = null;
+        document.getElementById('clientSearch')?.addEventListener('input', () => {
+            clearTimeout(clientSearchTimer);
+            clientSearchTimer = setTimeout(() => this.loadClientsView(), 250);
+        });
+        document.getElementById('newClientBtn')?.addEventListener('click', () => this.openClientModal());
+        document.getElementById('closeClientModal')?.addEventListener('click', () => this.closeModal('clientModal'));
+        document.getElementById('cancelClientModal')?.addEventListener('click', () => this.closeModal('clientModal'));
+        document.getElementById('clientForm')?.addEventListener('submit', (e) => this.handleClientSubmit(e));
+        document.getElementById('backToClients')?.addEventListener('click', () => this.switchView('clients'));
+        document.getElementById('editClientBtn')?.addEventListener('click', () => this.openClientModal(this.currentClient));
+        document.getElementById('deleteClientBtn')?.addEventListener('click', () => this.handleDeleteClient());
+
+        // Court details
+        document.getElementById('closeCourtModal')?.addEventListener('click', () => this.closeModal('courtModal'));
+        document.getElementById('cancelCourtModal')?.addEventListener('click', () => this.closeModal('courtModal'));
+        document.getElementById('courtForm')?.addEventListener('submit', (e) => this.handleCourtSubmit(e));
+        document.getElementById('closeLimitationModal')?.addEventListener('click', () => this.closeModal('limitationModal'));
+        document.getElementById('cancelLimitationModal')?.addEventListener('click', () => this.closeModal('limitationModal'));
+        document.getElementById('limitationForm')?.addEventListener('submit', (e) => this.handleLimitationSubmit(e));
+
+        // Conflict check
+        document.getElementById('closeConflictCheck')?.addEventListener('click', () => this.closeModal('conflictCheckModal'));
+        document.getElementById('cancelConflictCheck')?.addEventListener('click', () => this.closeModal('conflictCheckModal'));
+        document.getElementById('confirmConflictCheck')?.addEventListener('click', () => this.handleConflictCheckConfirm());
+
         // Movement
         this.newMovementBtn?.addEventListener('click', () => this.openMovementModal());
         document.getElementById('closeMovement')?.addEventListener('click', () => this.closeModal('movementModal'));
@@ -146,6 +214,24 @@ class CaseTrackKE {
         document.getElementById('closeDeadline')?.addEventListener('click', () => this.closeModal('deadlineModal'));
         document.getElementById('cancelDeadline')?.addEventListener('click', () => this.closeModal('deadlineModal'));
         document.getElementById('deadlineForm')?.addEventListener('submit', (e) => this.handleDeadlineSubmit(e));
+        document.getElementById('computeDeadlineBtn')?.addEventListener('click', () => this.handleComputeDeadline());
+        document.getElementById('deadlineDate')?.addEventListener('change', () => this.updateDeadlineDateNote());
+
+        // Cause list import
+        document.getElementById('importCauseListBtn')?.addEventListener('click', () => this.openCauseListModal());
+        document.getElementById('closeCauseList')?.addEventListener('click', () => this.closeModal('causeListModal'));
+        document.getElementById('cancelCauseList')?.addEventListener('click', () => this.closeModal('causeListModal'));
+        document.getElementById('causeListForm')?.addEventListener('submit', (e) => this.handleCauseListUpload(e));
+
+        // Procedural events
+        document.getElementById('closeFileEvent')?.addEventListener('click', () => this.closeModal('fileEventModal'));
+        document.getElementById('cancelFileEvent')?.addEventListener('click', () => this.closeModal('fileEventModal'));
+        document.getElementById('fileEventForm')?.addEventListener('submit', (e) => this.handleFileEventSubmit(e));
+        document.getElementById('fileEventType')?.addEventListener('change', () => this.previewFileEvent());
+        document.getElementById('fileEventDate')?.addEventListener('change', () => this.previewFileEvent());
+        document.getElementById('fileEventProposals')?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('file-event-date')) this.previewFileEvent();
+        });
 
         // 2FA Setup
         document.getElementById('start2FASetup')?.addEventListener('click', () => this.handle2FASetupStart());
@@ -153,15 +239,29 @@ class CaseTrackKE {
         document.getElementById('close2FA')?.addEventListener('click', () => this.closeModal('twoFactorModal'));
         document.getElementById('finish2FASetup')?.addEventListener('click', () => this.closeModal('twoFactorModal'));
 
+        // Notification preferences
+        document.getElementById('closeNotificationPrefs')?.addEventListener('click', () => this.closeModal('notificationPrefsModal'));
+        document.getElementById('cancelNotificationPrefs')?.addEventListener('click', () => this.closeModal('notificationPrefsModal'));
+        document.getElementById('notificationPrefsForm')?.addEventListener('submit', (e) => this.handleNotificationPrefsSubmit(e));
+
         // File details
         document.getElementById('closeFileDetails')?.addEventListener('click', () => this.closeModal('fileDetailsModal'));
 
-        // File search
-        document.getElementById('fileSearch')?.addEventListener('input', (e) => this.handleFileSearch(e.target.value));
+        // File search (debounced; each keystroke would otherwise hit the server)
+        let searchTimer = null;
+        document.getElementById('fileSearch')?.addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.handleFileSearch(e.target.value), 250);
+        });
 
         // Filters
-        document.getElementById('statusFilter')?.addEventListener('change', () => this.loadFilesTable());
-        document.getElementById('practiceAreaFilter')?.addEventListener('change', () => this.loadFilesTable());
+        ['statusFilter', 'practiceAreaFilter', 'custodianFilter', 'courtStationFilter', 'dateFromFilter', 'dateToFilter'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.refreshFilesList());
+        });
+        document.getElementById('courtLevelFilter')?.addEventListener('change', () => {
+            this.loadCourtStationFilter();
+            this.refreshFilesList();
+        });
 
         // Reports
         document.querySelectorAll('.report-card').forEach(card => {
@@ -194,6 +294,9 @@ class CaseTrackKE {
 
                 if (view === 'team') this.loadAdminTeamTable();
                 if (view === 'files') this.loadAdminFilesTable();
+                if (view === 'rules') this.loadAlertRulesForm();
+                if (view === 'calendar') this.loadCourtCalendar();
+                if (view === 'deadline-rules') this.loadDeadlineRulesForm();
             });
         });
 
@@ -202,6 +305,13 @@ class CaseTrackKE {
         document.getElementById('closeAddPractitioner')?.addEventListener('click', () => this.closeModal('addPractitionerModal'));
         document.getElementById('cancelAddPractitioner')?.addEventListener('click', () => this.closeModal('addPractitionerModal'));
         document.getElementById('addPractitionerForm')?.addEventListener('submit', (e) => this.handleAddPractitionerSubmit(e));
+        document.getElementById('alertRulesForm')?.addEventListener('submit', (e) => this.handleAlertRulesSubmit(e));
+        document.getElementById('resetAlertRulesBtn')?.addEventListener('click', () => this.loadAlertRulesForm(CaseTrackAlertRules.DEFAULTS));
+        document.getElementById('courtCalendarYear')?.addEventListener('change', (e) => this.loadCourtCalendar(Number(e.target.value)));
+        document.getElementById('courtHolidayForm')?.addEventListener('submit', (e) => this.handleAddCourtHoliday(e));
+        document.getElementById('deadlineRulesForm')?.addEventListener('submit', (e) => this.handleDeadlineRulesSubmit(e));
+        document.getElementById('addDeadlineRuleBtn')?.addEventListener('click', () => this.addDeadlineRule());
+        document.getElementById('resetDeadlineRulesBtn')?.addEventListener('click', () => this.loadDeadlineRulesForm(CaseTrackDeadlineRules.DEFAULTS));
 
         // Close notifications panel on outside click
         document.addEventListener('click', (e) => {
@@ -268,6 +378,20 @@ class CaseTrackKE {
             this.newFileBtn.style.display = 'none';
         }
 
+        // Clients are maintained by registry staff and partners
+        if (!CaseTrackAuth.hasPermission('manageClients')) {
+            ['newClientBtn', 'editClientBtn', 'deleteClientBtn'].forEach(id => {
+                const btn = document.getElementById(id);
+                if (btn) btn.style.display = 'none';
+            });
+        }
+
+        // Cause lists are imported by registry staff and partners
+        const importCauseListBtn = document.getElementById('importCauseListBtn');
+        if (importCauseListBtn && !CaseTrackAuth.hasPermission('importCauseLists')) {
+            importCauseListBtn.style.display = 'none';
+        }
+
         // Show/hide movement button based on permission
         if (this.newMovementBtn && !CaseTrackAuth.hasPermission('logMovements')) {
             this.newMovementBtn.style.display = 'none';
@@ -299,6 +423,9 @@ class CaseTrackKE {
             case 'files':
                 this.loadFilesView();
                 break;
+            case 'clients':
+                this.loadClientsView();
+                break;
             case 'movements':
                 this.loadMovementsView();
                 break;
@@ -315,6 +442,9 @@ class CaseTrackKE {
                 this.openModal('twoFactorModal');
                 // Revert to previous view after choice or just keep it
                 break;
+            case 'notificationSettings':
+                this.openNotificationPrefs();
+                break;
         }
 
         // Close mobile menu
@@ -386,19 +516,20 @@ class CaseTrackKE {
         }).join('');
 
         // Mark as read on view
-        alerts.filter(a => !a.read).forEach(a => AlertEngine.markRead(a.alertId));
+        const unreadIds = alerts.filter(a => !a.read).map(a => a.alertId);
+        if (unreadIds.length > 0) AlertEngine.markAllRead(unreadIds);
         this.updateNotificationBadge();
     }
 
-    markAllAlertsRead() {
+    async markAllAlertsRead() {
         const alerts = AlertEngine.getMyAlerts();
-        alerts.forEach(a => AlertEngine.markRead(a.alertId));
+        await AlertEngine.markAllRead(alerts.map(a => a.alertId));
         this.updateNotificationBadge();
         this.loadNotifications();
     }
 
-    dismissAlert(alertId) {
-        AlertEngine.dismiss(alertId);
+    async dismissAlert(alertId) {
+        await AlertEngine.dismiss(alertId);
         this.loadNotifications();
         this.updateNotificationBadge();
     }
@@ -409,6 +540,83 @@ class CaseTrackKE {
         this.notificationBadge.setAttribute('data-count', count);
     }
 
+    // ==========================================
+    // UNSYNCED CHANGES
+    // ==========================================
+
+    /**
+     * Header indicator for changes still in the outbox; hidden when
+     * everything is synced and the browser is online
+     */
+    async updateSyncStatus() {
+        const button = document.getElementById('syncStatusBtn');
+        if (!button) return;
+        const entries = await CaseTrackDB.getOutbox();
+        const waiting = entries.filter(e => e.status === 'pending').length;
+        const refused = entries.length - waiting;
+
+        if (refused > (this.refusedChangeCount || 0)) {
+            this.showNotification('Some of your changes could not be synced. Review them under Unsynced Changes.', 'error');
+        }
+        this.refusedChangeCount = refused;
+
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        button.style.display = entries.length || offline ? '' : 'none';
+        button.classList.toggle('has-conflicts', refused > 0);
+        button.textContent = [
+            offline ? 'Offline' : '',
+            waiting ? `${waiting} unsynced` : '',
+            refused ? `${refused} need review` : ''
+        ].filter(Boolean).join(' • ');
+
+        if (document.getElementById('outboxModal').classList.contains('active')) this.renderOutbox(entries);
+    }
+
+    async openOutboxModal() {
+        this.renderOutbox(await CaseTrackDB.getOutbox());
+        this.openModal('outboxModal');
+    }
+
+    renderOutbox(entries) {
+        const statusLabels = { pending: 'Waiting to sync', conflict: 'Conflict', failed: 'Rejected' };
+        document.getElementById('outboxIntro').textContent = entries.length
+            ? 'These changes are saved on this device. Waiting changes are sent automatically when the connection returns.'
+            : 'Everything on this device has been synced.';
+
+        document.getElementById('outboxList').innerHTML = entries.map(entry => `
+            <div class="outbox-item outbox-${entry.status}">
+                <div class="outbox-item-header">
+                    <strong>${this.escapeHtml(entry.label)}</strong>
+                    <span class="outbox-status">${statusLabels[entry.status]}</span>
+                </div>
+                <div class="outbox-meta">Made ${MovementTracker.formatDate(entry.createdAt)}</div>
+                ${entry.error ? `<div class="outbox-error">${this.escapeHtml(entry.error)}</div>` : ''}
+                <div class="table-actions">
+                    ${entry.status === 'conflict' ? `
+                        <button onclick="caseTrack.resolveOutboxChange('${entry.mutationId}', true)">Keep Mine</button>
+                    ` : ''}
+                    <button onclick="caseTrack.resolveOutboxChange('${entry.mutationId}', false)">
+                        ${entry.status === 'conflict' ? 'Use Theirs' : 'Discard'}
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Keep a conflicted change (send it over the other person's) or drop a
+     * queued change in favour of the server's copy
+     */
+    async resolveOutboxChange(mutationId, keepMine) {
+        if (!keepMine && !confirm('Discard this change? The copy on the server will be kept.')) return;
+
+        if (keepMine) await CaseTrackDB.keepOutboxChange(mutationId);
+        else await CaseTrackDB.discardOutboxChange(mutationId);
+        this.updateQuickStats();
+        if (['files', 'movements', 'deadlines'].includes(this.currentView)) this.switchView(this.currentView);
+        else this.loadDashboard();
+    }
+
     // ==========================================
     // QUICK STATS
     // ==========================================
@@ -427,6 +635,7 @@ class CaseTrackKE {
     loadDashboard() {
         this.updateDashboardStats();
         this.loadDashboardAlerts();
+        this.loadLimitationRisk();
         this.loadUpcomingDeadlines();
         this.loadMyCustodyFiles();
     }
@@ -470,6 +679,33 @@ class CaseTrackKE {
         }).join('');
     }
 
+    /**
+     * Running limitation periods, soonest first; hidden when there are none
+     */
+    loadLimitationRisk() {
+        const section = document.getElementById('limitationRiskSection');
+        const report = Reports.getLimitationRiskReport();
+        section.style.display = report.items.length ? '' : 'none';
+        if (report.items.length === 0) return;
+
+        const { expired, critical, warning } = report.summary;
+        document.getElementById('limitationRiskSummary').textContent = [
+            expired && `${expired} expired`,
+            critical && `${critical} critical`,
+            warning && `${warning} warning`
+        ].filter(Boolean).join(' • ');
+
+        document.getElementById('limitationRiskList').innerHTML = report.items.slice(0, 5).map(item => `
+            <div class="deadline-item limitation-risk-item limitation-${item.level}" onclick="caseTrack.openFileDetails('${item.fileId}')">
+                <div class="deadline-info">
+                    <div class="deadline-type">${this.escapeHtml(item.file?.caseName || 'Unknown file')}</div>
+                    <div class="deadline-meta">${this.escapeHtml(item.cause)} • last day ${item.formattedDate}</div>
+                </div>
+                <span class="limitation-days">${item.daysLeft < 0 ? 'Expired' : item.daysLeft === 0 ? 'Today' : `${item.daysLeft} days`}</span>
+            </div>
+        `).join('');
+    }
+
     loadUpcomingDeadlines() {
         const list = document.getElementById('upcomingDeadlinesList');
         const report = Reports.getDeadlineReport(7);
@@ -526,7 +762,72 @@ class CaseTrackKE {
 
     loadFilesView() {
         this.loadPracticeAreaFilter();
-        this.loadFilesTable();
+        this.loadCustodianFilter();
+        this.loadCourtFilters();
+        this.refreshFilesList();
+    }
+
+    loadCourtFilters() {
+        const select = document.getElementById('courtLevelFilter');
+        const current = select.value;
+
+        select.innerHTML = '<option value="">All Courts</option>' +
+            Object.entries(CaseTrackCourts.LEVELS).map(([code, level]) =>
+                `<option value="${code}">${level.name}</option>`
+            ).join('');
+        select.value = current;
+        this.loadCourtStationFilter();
+    }
+
+    /**
+     * Stations for the chosen court level, or every station in use
+     */
+    loadCourtStationFilter() {
+        const select = document.getElementById('courtStationFilter');
+        const current = select.value;
+        const level = document.getElementById('courtLevelFilter').value;
+        const stations = level
+            ? CaseTrackCourts.stationsFor(level)
+            : [...new Set(CaseTrackAuth.getVisibleFiles().map(f => f.courtStation).filter(Boolean))].sort();
+
+        select.innerHTML = '<option value="">All Stations</option>' +
+            stations.map(station => `<option value="${station}">${station}</option>`).join('');
+        select.value = stations.includes(current) ? current : '';
+    }
+
+    loadCustodianFilter() {
+        const select = document.getElementById('custodianFilter');
+        const current = select.value;
+
+        select.innerHTML = '<option value="">All Custodians</option>' +
+            CaseTrackDB.getAllUsers().map(u =>
+                `<option value="${u.userId}">${u.name}</option>`
+            ).join('');
+        select.value = current;
+    }
+
+    /**
+     * Current values of the files view filters, as accepted by the search API
+     */
+    getFileFilters() {
+        return {
+            status: document.getElementById('statusFilter').value,
+            practiceArea: document.getElementById('practiceAreaFilter').value,
+            custodian: document.getElementById('custodianFilter').value,
+            courtLevel: document.getElementById('courtLevelFilter').value,
+            courtStation: document.getElementById('courtStationFilter').value,
+            from: document.getElementById('dateFromFilter').value,
+            to: document.getElementById('dateToFilter').value
+        };
+    }
+
+    /**
+     * Show search results while there is a query, otherwise the filtered list
+     */
+    refreshFilesList() {
+        const query = document.getElementById('fileSearch').value;
+        if (query) this.handleFileSearch(query);
+        else this.loadFilesTable();
     }
 
     loadPracticeAreaFilter() {
@@ -539,20 +840,25 @@ class CaseTrackKE {
             ).join('');
     }
 
+    /**
+     * Whether a file passes the files view filters (dates compare on the
+     * YYYY-MM-DD registration date)
+     */
+    matchesFileFilters(f, filters) {
+        const created = (f.createdAt || '').slice(0, 10);
+        return (!filters.status || f.status === filters.status) &&
+            (!filters.practiceArea || f.practiceArea === filters.practiceArea) &&
+            (!filters.custodian || f.currentCustodian === filters.custodian) &&
+            (!filters.courtLevel || f.courtLevel === filters.courtLevel) &&
+            (!filters.courtStation || f.courtStation === filters.courtStation) &&
+            (!filters.from || created >= filters.from) &&
+            (!filters.to || created <= filters.to);
+    }
+
     loadFilesTable() {
         const tbody = document.getElementById('filesTableBody');
-        const statusFilter = document.getElementById('statusFilter').value;
-        const areaFilter = document.getElementById('practiceAreaFilter').value;
-
-        let files = CaseTrackAuth.getVisibleFiles();
-
-        // Apply filters
-        if (statusFilter) {
-            files = files.filter(f => f.status === statusFilter);
-        }
-        if (areaFilter) {
-            files = files.filter(f => f.practiceArea === areaFilter);
-        }
+        const filters = this.getFileFilters();
+        const files = CaseTrackAuth.getVisibleFiles().filter(f => this.matchesFileFilters(f, filters));
 
         if (files.length === 0) {
             tbody.innerHTML = `
@@ -563,36 +869,74 @@ class CaseTrackKE {
             return;
         }
 
-        tbody.innerHTML = files.map(f => {
-            const custodian = CaseTrackDB.getUser(f.currentCustodian);
-            return `
-                <tr>
-                    <td><strong>${f.fileId}</strong></td>
-                    <td>${this.truncate(f.caseName, 40)}</td>
-                    <td>${f.clientName}</td>
-                    <td>${f.practiceArea}</td>
-                    <td><span class="file-status status-${f.status.toLowerCase()}">${f.status}</span></td>
-                    <td>${custodian?.name || 'Unknown'}</td>
-                    <td class="table-actions">
-                        <button onclick="caseTrack.openFileDetails('${f.fileId}')">View</button>
-                        ${CaseTrackAuth.hasPermission('logMovements') ?
-                    `<button onclick="caseTrack.openMovementModal('${f.fileId}')">Transfer</button>` : ''}
-                    </td>
-                </tr>
-            `;
-        }).join('');
+        tbody.innerHTML = files.map(f => this.renderFileRow(f)).join('');
+    }
+
+    renderFileRow(f) {
+        const custodian = CaseTrackDB.getUser(f.currentCustodian);
+        return `
+            <tr data-file-id="${f.fileId}">
+                <td><strong>${f.fileId}</strong></td>
+                <td>${this.truncate(f.caseName, 40)}</td>
+                <td>${f.clientName}</td>
+                <td>${f.practiceArea}</td>
+                <td><span class="file-status status-${f.status.toLowerCase()}">${f.status}</span></td>
+                <td>${custodian?.name || 'Unknown'}</td>
+                <td class="table-actions">
+                    <button onclick="caseTrack.openFileDetails('${f.fileId}')">View</button>
+                    ${CaseTrackAuth.hasPermission('logMovements') ?
+                `<button onclick="caseTrack.openMovementModal('${f.fileId}')">Transfer</button>` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Replace, drop or add one file's row in the files table. Search
+     * results come from the server, so they are left as they are.
+     */
+    patchFileRow(fileId) {
+        const tbody = document.getElementById('filesTableBody');
+        if (!tbody || document.getElementById('fileSearch').value) return;
+
+        const file = CaseTrackAuth.getVisibleFiles().find(f => f.fileId === fileId);
+        const row = tbody.querySelector(`tr[data-file-id="${fileId}"]`);
+        const show = file && this.matchesFileFilters(file, this.getFileFilters());
+
+        if (row && show) {
+            row.outerHTML = this.renderFileRow(file);
+        } else if (row) {
+            row.remove();
+            if (!tbody.querySelector('tr[data-file-id]')) this.loadFilesTable();
+        } else if (show) {
+            // A new row's position depends on the list order
+            this.loadFilesTable();
+        }
     }
 
-    handleFileSearch(query) {
+    async handleFileSearch(query) {
         if (!query) {
             this.loadFilesTable();
             return;
         }
 
         const tbody = document.getElementById('filesTableBody');
-        const files = FileManager.searchFiles(query);
+        let results;
+        try {
+            results = await FileManager.searchFiles(query, this.getFileFilters());
+        } catch (error) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">Search failed: ${error.message}</td>
+                </tr>
+            `;
+            return;
+        }
 
-        if (files.length === 0) {
+        // A newer query may have been typed while this one was in flight
+        if (document.getElementById('fileSearch').value !== query) return;
+
+        if (results.length === 0) {
             tbody.innerHTML = `
                 <tr>
                     <td colspan="7" class="empty-state">No files matching "${query}"</td>
@@ -601,12 +945,23 @@ class CaseTrackKE {
             return;
         }
 
-        tbody.innerHTML = files.map(f => {
+        const sourceLabels = { file: 'Case', movement: 'Movement', deadline: 'Deadline', attachment: 'Document' };
+
+        // Snippets are HTML from the server: escaped text with matches in <mark>
+        tbody.innerHTML = results.map(({ file: f, matches }) => {
             const custodian = CaseTrackDB.getUser(f.currentCustodian);
             return `
                 <tr>
                     <td><strong>${f.fileId}</strong></td>
-                    <td>${this.truncate(f.caseName, 40)}</td>
+                    <td>
+                        ${this.truncate(f.caseName, 40)}
+                        ${matches.map(m => `
+                            <div class="search-snippet">
+                                <span class="search-snippet-source">${sourceLabels[m.sourceType] || m.sourceType}${m.sourceType === 'attachment' ? ` · ${m.title}` : ''}</span>
+                                ${m.snippet}
+                            </div>
+                        `).join('')}
+                    </td>
                     <td>${f.clientName}</td>
                     <td>${f.practiceArea}</td>
                     <td><span class="file-status status-${f.status.toLowerCase()}">${f.status}</span></td>
@@ -645,7 +1000,9 @@ class CaseTrackKE {
                 </div>
                 <div class="detail-item">
                     <span class="detail-label">Client</span>
-                    <span class="detail-value">${details.clientName}</span>
+                    <span class="detail-value">${details.clientId
+                ? `<a href="#" onclick="event.preventDefault(); caseTrack.closeModal('fileDetailsModal'); caseTrack.openClientDetail('${details.clientId}')">${details.clientName}</a>`
+                : details.clientName}</span>
                 </div>
                 <div class="detail-item">
                     <span class="detail-label">Practice Area</span>
@@ -661,7 +1018,25 @@ class CaseTrackKE {
                 </div>
                 <div class="detail-item">
                     <span class="detail-label">Court/Jurisdiction</span>
-                    <span class="detail-value">${details.courtJurisdiction || 'N/A'}</span>
+                    <span class="detail-value">
+                        ${details.courtJurisdiction || 'N/A'}
+                        ${CaseTrackAuth.hasPermission('updateFileStatus') ? `<button class="btn-text" onclick="caseTrack.openCourtModal('${fileId}')">Edit</button>` : ''}
+                    </span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Cause Number</span>
+                    <span class="detail-value">${CaseTrackCourts.formatCauseNumber(details) || 'N/A'}</span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Limitation</span>
+                    <span class="detail-value">
+                        ${this.formatLimitation(details)}
+                        ${CaseTrackAuth.hasPermission('updateFileStatus') ? `<button class="btn-text" onclick="caseTrack.openLimitationModal('${fileId}')">Edit</button>` : ''}
+                    </span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Judge/Magistrate</span>
+                    <span class="detail-value">${details.judicialOfficer || 'N/A'}</span>
                 </div>
                 <div class="detail-item">
                     <span class="detail-label">Date Opened</span>
@@ -697,6 +1072,16 @@ class CaseTrackKE {
                 ` : '<p class="empty-state">No upcoming deadlines</p>'}
             </div>
             
+            <div class="file-details-section">
+                <div class="attachments-header">
+                    <h4>Procedural Events</h4>
+                    <button class="btn-text" onclick="caseTrack.openFileEventModal('${fileId}')">+ Log Event</button>
+                </div>
+                <div id="fileEvents-${fileId}">
+                    <p class="empty-state">Loading...</p>
+                </div>
+            </div>
+            
             <div class="file-details-section">
                 <h4>Movement History</h4>
                 <div class="movements-timeline">
@@ -716,6 +1101,13 @@ class CaseTrackKE {
                 </div>
             </div>
             
+            <div class="file-details-section">
+                <h4>Parties &amp; Conflict Check</h4>
+                <div id="fileParties-${fileId}">
+                    <p class="empty-state">Loading...</p>
+                </div>
+            </div>
+            
             <div class="file-details-section attachments-section">
                 <div class="attachments-header">
                     <h4>📎 Attachments</h4>
@@ -726,6 +1118,18 @@ class CaseTrackKE {
                 </div>
             </div>
             
+            ${CaseTrackAuth.hasPermission('updateFileStatus') ? `
+                <div class="file-details-section">
+                    <h4>File Status</h4>
+                    <div class="filter-bar">
+                        <select id="fileStatusSelect">
+                            ${CaseTrackDB.FILE_STATUSES.map(s => `<option value="${s}" ${s === details.status ? 'selected' : ''}>${s}</option>`).join('')}
+                        </select>
+                        <button class="btn-secondary" onclick="caseTrack.handleFileStatusChange('${fileId}')">Update Status</button>
+                    </div>
+                </div>
+            ` : ''}
+            
             <div class="file-details-section">
                 <h4>QR Code for Physical Tracking</h4>
                 <div class="qr-code-container">
@@ -748,6 +1152,11 @@ class CaseTrackKE {
                         Transfer File
                     </button>
                 ` : ''}
+                ${CaseTrackAuth.hasPermission('requestFiles') && details.currentCustodian !== CaseTrackAuth.getCurrentUser()?.userId ? `
+                    <button class="btn-secondary" onclick="caseTrack.handleRequestFile('${fileId}')">
+                        Request File
+                    </button>
+                ` : ''}
                 <button class="btn-secondary" onclick="FileUpload.openModal('${fileId}')">
                     📎 Upload Documents
                 </button>
@@ -756,6 +1165,9 @@ class CaseTrackKE {
         `;
 
         this.openModal('fileDetailsModal');
+        if (typeof FileUpload !== 'undefined') FileUpload.loadAttachments(fileId);
+        this.loadFileParties(fileId);
+        this.loadFileEvents(fileId);
 
         // Generate real QR code after modal is shown
         setTimeout(() => {
@@ -766,8 +1178,73 @@ class CaseTrackKE {
         }, 100);
     }
 
+    async handleRequestFile(fileId) {
+        const reason = prompt('Why do you need this file?');
+        if (reason === null) return;
+
+        const result = await MovementTracker.requestFile(fileId, reason);
+        this.showNotification(result.success ? result.message : result.error, result.success ? 'success' : 'error');
+    }
+
+    async handleFileStatusChange(fileId) {
+        const status = document.getElementById('fileStatusSelect').value;
+        const result = await FileManager.changeStatus(fileId, status);
+        if (result.success) {
+            this.showNotification(`File ${fileId} marked as ${status}`);
+            this.openFileDetails(fileId);
+            this.loadFilesTable();
+            this.updateQuickStats();
+            this.loadDashboard();
+        } else {
+            this.showNotification(result.error, 'error');
+        }
+    }
+
+    async loadFileParties(fileId) {
+        const container = document.getElementById(`fileParties-${fileId}`);
+        let result;
+        try {
+            result = await APIClient.getFileParties(fileId);
+        } catch (error) {
+            if (container) container.innerHTML = '<p class="empty-state">Could not load parties</p>';
+            return;
+        }
+        if (!container) return;
+
+        const { parties, conflictCheck: check } = result;
+        const roleLabels = { client: 'Client', opposing: 'Opposing', related: 'Related' };
+        const statusText = {
+            clear: 'Clear',
+            overridden: 'Conflict overridden',
+            conflict: 'Unresolved conflict'
+        };
+
+        container.innerHTML = `
+            <div class="file-details-grid">
+                ${parties.map(p => `
+                    <div class="detail-item">
+                        <span class="detail-label">${roleLabels[p.role]}</span>
+                        <span class="detail-value">${p.name}</span>
+                    </div>
+                `).join('') || '<p class="empty-state">No parties recorded</p>'}
+            </div>
+            ${check ? `
+                <p class="conflict-summary ${check.status}">
+                    ${statusText[check.status]} · checked by ${check.checkedByName || check.checkedBy}
+                    ${new Date(check.checkedAt.replace(' ', 'T') + 'Z').toLocaleString()}
+                    ${check.hits.length ? ` · ${check.hits.length} match${check.hits.length === 1 ? '' : 'es'}` : ''}
+                </p>
+                ${check.status === 'overridden' ? `
+                    <p class="conflict-summary">
+                        Overridden by ${check.overriddenByName || check.overriddenBy}: "${check.overrideReason}"
+                    </p>
+                ` : ''}
+            ` : '<p class="empty-state">Registered before conflict checks were introduced</p>'}
+        `;
+    }
+
     /**
-     * Render attachments for a file
+     * Render attachments for a file, latest version of each document only
      */
     renderAttachments(fileId) {
         if (typeof FileUpload === 'undefined') {
@@ -787,106 +1264,402 @@ class CaseTrackKE {
                     <div class="attachment-details">
                         <span class="attachment-name">${att.name}</span>
                         <span class="attachment-meta">
+                            v${att.version} • 
                             ${FileUpload.formatFileSize(att.size)} • 
                             ${new Date(att.uploadedAt).toLocaleDateString()}
                         </span>
                     </div>
                 </div>
                 <div class="attachment-actions">
-                    <button class="btn-text" onclick="FileUpload.downloadAttachment('${fileId}', '${att.id}')" title="Download">
+                    <button class="btn-text" onclick="FileUpload.downloadAttachment('${fileId}', '${att.attachmentId}')" title="Download">
                         ⬇️
                     </button>
+                    ${CaseTrackAuth.hasPermission('uploadDocuments') ? `
+                        <button class="btn-text" onclick="FileUpload.openVersionUpload('${fileId}', '${att.attachmentId}')" title="Upload new version">
+                            ⬆️
+                        </button>
+                    ` : ''}
+                    ${att.versionCount > 1 ? `
+                        <button class="btn-text" onclick="FileUpload.toggleVersions('${fileId}', '${att.attachmentId}')" title="Version history (${att.versionCount})">
+                            🕘
+                        </button>
+                    ` : ''}
                 </div>
             </div>
+            <div id="attachmentVersions-${att.attachmentId}"></div>
         `).join('');
     }
 
     // ==========================================
-    // MOVEMENTS VIEW
+    // CLIENTS
     // ==========================================
 
-    loadMovementsView() {
-        this.loadPendingAcknowledgments();
-        this.loadRecentMovements();
-    }
+    async loadClientsView() {
+        const tbody = document.getElementById('clientsTableBody');
+        if (!tbody) return;
 
-    loadPendingAcknowledgments() {
-        const section = document.getElementById('pendingAckSection');
-        const list = document.getElementById('pendingAckList');
-        const pending = MovementTracker.getMyPendingAcknowledgments();
+        let clients;
+        try {
+            clients = await APIClient.getClients(document.getElementById('clientSearch')?.value.trim());
+        } catch (error) {
+            tbody.innerHTML = `<tr><td colspan="7" class="empty-state">Could not load clients</td></tr>`;
+            return;
+        }
 
-        if (pending.length === 0) {
-            section.style.display = 'none';
+        if (clients.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="7" class="empty-state">No clients found</td></tr>`;
             return;
         }
 
-        section.style.display = 'block';
-        list.innerHTML = pending.map(m => `
-            <div class="pending-item">
-                <div class="pending-info">
-                    <div class="pending-file">${m.file?.caseName || 'Unknown'}</div>
-                    <div class="pending-meta">
-                        From: ${m.fromUserInfo?.name || 'Registry'} • 
-                        ${MovementTracker.getRelativeTime(new Date(m.timestamp))}
-                    </div>
-                </div>
-                <div class="pending-actions">
-                    <button class="btn-primary" onclick="caseTrack.acknowledgeMovement('${m.movementId}')">
-                        Acknowledge
-                    </button>
-                </div>
-            </div>
+        tbody.innerHTML = clients.map(c => `
+            <tr>
+                <td><strong>${this.escapeHtml(c.name)}</strong></td>
+                <td>${c.clientType === 'organization' ? 'Organization' : 'Individual'}</td>
+                <td>${c.kraPin || '—'}</td>
+                <td>${c.idNumber || '—'}</td>
+                <td>${c.phone || '—'}</td>
+                <td>${c.matterCount}</td>
+                <td class="table-actions">
+                    <button onclick="caseTrack.openClientDetail('${c.clientId}')">View</button>
+                </td>
+            </tr>
         `).join('');
     }
 
-    loadRecentMovements() {
-        const timeline = document.getElementById('movementsTimeline');
-        const movements = CaseTrackDB.getAllMovements()
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, 20);
-
-        if (movements.length === 0) {
-            timeline.innerHTML = '<div class="empty-state"><p>No movement records</p></div>';
+    /**
+     * Client page: details, contacts, and the matters and pending deadlines
+     * the user can see
+     */
+    async openClientDetail(clientId) {
+        let client;
+        try {
+            client = await APIClient.getClient(clientId);
+        } catch (error) {
+            this.showNotification(`Could not load client: ${error.message}`, 'error');
             return;
         }
 
-        timeline.innerHTML = movements.map(m => {
-            const file = CaseTrackDB.getFile(m.fileId);
-            const fromUser = CaseTrackDB.getUser(m.fromCustodian);
-            const toUser = CaseTrackDB.getUser(m.toCustodian);
-
-            return `
-                <div class="movement-item ${m.acknowledged ? '' : 'pending'}">
-                    <div class="movement-content">
-                        <div class="movement-header">
-                            <span class="movement-file">${file?.caseName || 'Unknown File'}</span>
-                            <span class="movement-time">${MovementTracker.getRelativeTime(new Date(m.timestamp))}</span>
-                        </div>
-                        <div class="movement-details">
-                            ${fromUser?.name || 'Registry'} → ${toUser?.name || 'Unknown'}
-                            ${!m.acknowledged ? ' <em>(Pending acknowledgment)</em>' : ''}
-                        </div>
-                        <span class="movement-purpose">${m.purpose}</span>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        this.currentClient = client;
+        this.switchView('clientDetail');
+        this.navBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.view === 'clients'));
+        this.renderClientDetail(client);
     }
 
-    acknowledgeMovement(movementId) {
-        const result = MovementTracker.acknowledgeReceipt(movementId);
-        if (result.success) {
-            this.loadMovementsView();
-            this.updateQuickStats();
-            this.showNotification('File received and acknowledged');
-        } else {
-            alert('Error: ' + result.error);
-        }
-    }
+    renderClientDetail(client) {
+        const canManage = CaseTrackAuth.hasPermission('manageClients');
+        document.getElementById('clientDetailTitle').textContent = client.name;
 
-    // ==========================================
-    // DEADLINES VIEW
-    // ==========================================
+        const detail = (label, value) => `
+            <div class="detail-item">
+                <span class="detail-label">${label}</span>
+                <span class="detail-value">${value || 'N/A'}</span>
+            </div>
+        `;
+
+        document.getElementById('clientDetailBody').innerHTML = `
+            <div class="file-details-grid">
+                ${detail('Type', client.clientType === 'organization' ? 'Organization' : 'Individual')}
+                ${detail('KRA PIN', client.kraPin)}
+                ${detail('ID / Registration Number', client.idNumber)}
+                ${detail('Email', client.email)}
+                ${detail('Phone', client.phone)}
+                ${detail('Address', client.address)}
+            </div>
+
+            ${client.notes ? `
+                <div class="file-details-section">
+                    <h4>Notes</h4>
+                    <p>${client.notes}</p>
+                </div>
+            ` : ''}
+
+            <div class="file-details-section">
+                <h4>Contacts (${client.contacts.length})</h4>
+                ${client.contacts.length > 0 ? `
+                    <table class="data-table">
+                        <thead>
+                            <tr><th>Name</th><th>Title</th><th>Email</th><th>Phone</th>${canManage ? '<th></th>' : ''}</tr>
+                        </thead>
+                        <tbody>
+                            ${client.contacts.map(c => `
+                                <tr>
+                                    <td>${this.escapeHtml(c.name)}${c.isPrimary ? ' <span class="severity-badge low">Primary</span>' : ''}</td>
+                                    <td>${this.escapeHtml(c.title || '—')}</td>
+                                    <td>${this.escapeHtml(c.email || '—')}</td>
+                                    <td>${c.phone || '—'}</td>
+                                    ${canManage ? `
+                                        <td class="table-actions">
+                                            ${c.isPrimary ? '' : `<button onclick="caseTrack.handleSetPrimaryContact('${c.contactId}')">Make Primary</button>`}
+                                            <button onclick="caseTrack.handleDeleteClientContact('${c.contactId}')">Remove</button>
+                                        </td>
+                                    ` : ''}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="empty-state">No contacts recorded</p>'}
+                ${canManage ? `
+                    <form id="clientContactForm" class="client-contact-form">
+                        <input type="text" id="contactName" placeholder="Name *" required>
+                        <input type="text" id="contactTitle" placeholder="Title / role">
+                        <input type="email" id="contactEmail" placeholder="Email">
+                        <input type="tel" id="contactPhone" placeholder="Phone">
+                        <button type="submit" class="btn-secondary">Add Contact</button>
+                    </form>
+                ` : ''}
+            </div>
+
+            <div class="file-details-section">
+                <h4>Matters (${client.files.length})</h4>
+                ${client.files.length > 0 ? `
+                    <table class="data-table">
+                        <thead>
+                            <tr><th>File ID</th><th>Case Name</th><th>Practice Area</th><th>Status</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${client.files.map(f => `
+                                <tr>
+                                    <td><strong>${f.fileId}</strong></td>
+                                    <td>${this.truncate(f.caseName, 40)}</td>
+                                    <td>${f.practiceArea}</td>
+                                    <td><span class="file-status status-${f.status.toLowerCase()}">${f.status}</span></td>
+                                    <td class="table-actions">
+                                        <button onclick="caseTrack.openFileDetails('${f.fileId}')">View</button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="empty-state">No matters you can view</p>'}
+            </div>
+
+            <div class="file-details-section">
+                <h4>Pending Deadlines (${client.deadlines.length})</h4>
+                ${client.deadlines.length > 0 ? `
+                    <div class="deadlines-cards">
+                        ${client.deadlines.map(d => `
+                            <div class="deadline-card ${new Date(d.dueDate) < new Date() ? 'overdue' : ''}"
+                                 onclick="caseTrack.openFileDetails('${d.fileId}')">
+                                <div class="deadline-card-header">
+                                    <span class="deadline-card-type">${d.type}</span>
+                                    <span class="deadline-card-date">${MovementTracker.formatDate(d.dueDate)}</span>
+                                </div>
+                                <div class="deadline-card-description">${d.fileId} · ${d.caseName}</div>
+                                ${d.description ? `<div class="deadline-card-description">${d.description}</div>` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : '<p class="empty-state">No pending deadlines</p>'}
+            </div>
+        `;
+
+        document.getElementById('clientContactForm')?.addEventListener('submit', (e) => this.handleAddClientContact(e));
+    }
+
+    openClientModal(client = null) {
+        this.editingClientId = client ? client.clientId : null;
+        document.getElementById('clientModalTitle').textContent = client ? 'Edit Client' : 'New Client';
+        document.getElementById('clientForm').reset();
+
+        if (client) {
+            document.getElementById('clientFormName').value = client.name;
+            document.getElementById('clientFormType').value = client.clientType;
+            document.getElementById('clientFormKraPin').value = client.kraPin || '';
+            document.getElementById('clientFormIdNumber').value = client.idNumber || '';
+            document.getElementById('clientFormEmail').value = client.email || '';
+            document.getElementById('clientFormPhone').value = client.phone || '';
+            document.getElementById('clientFormAddress').value = client.address || '';
+            document.getElementById('clientFormNotes').value = client.notes || '';
+        }
+
+        this.openModal('clientModal');
+    }
+
+    async handleClientSubmit(e) {
+        e.preventDefault();
+        const clientData = {
+            name: document.getElementById('clientFormName').value,
+            clientType: document.getElementById('clientFormType').value,
+            kraPin: document.getElementById('clientFormKraPin').value,
+            idNumber: document.getElementById('clientFormIdNumber').value,
+            email: document.getElementById('clientFormEmail').value,
+            phone: document.getElementById('clientFormPhone').value,
+            address: document.getElementById('clientFormAddress').value,
+            notes: document.getElementById('clientFormNotes').value
+        };
+
+        let client;
+        try {
+            if (this.editingClientId) {
+                client = await APIClient.updateClient(this.editingClientId, clientData);
+            } else {
+                try {
+                    client = await APIClient.createClient(clientData);
+                } catch (error) {
+                    // A client with a matching name exists: open it unless the
+                    // user says this is a different client
+                    if (error.status !== 409 || !error.body.client) throw error;
+                    if (!confirm(`${error.message}. Register a separate client anyway?`)) {
+                        this.closeModal('clientModal');
+                        this.openClientDetail(error.body.client.clientId);
+                        return;
+                    }
+                    client = await APIClient.createClient({ ...clientData, allowDuplicate: true });
+                }
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.closeModal('clientModal');
+        this.showNotification(`Client ${client.name} saved`);
+        // A rename changes clientName on the client's files
+        if (this.editingClientId) CaseTrackDB.syncWithBackend();
+        this.openClientDetail(client.clientId);
+    }
+
+    async handleDeleteClient() {
+        const client = this.currentClient;
+        if (!client || !confirm(`Delete client ${client.name}?`)) return;
+
+        try {
+            await APIClient.deleteClient(client.clientId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.showNotification(`Client ${client.name} deleted`);
+        this.switchView('clients');
+    }
+
+    async handleAddClientContact(e) {
+        e.preventDefault();
+        const clientId = this.currentClient.clientId;
+        try {
+            await APIClient.addClientContact(clientId, {
+                name: document.getElementById('contactName').value,
+                title: document.getElementById('contactTitle').value,
+                email: document.getElementById('contactEmail').value,
+                phone: document.getElementById('contactPhone').value,
+                isPrimary: this.currentClient.contacts.length === 0
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.openClientDetail(clientId);
+    }
+
+    async handleSetPrimaryContact(contactId) {
+        const clientId = this.currentClient.clientId;
+        try {
+            await APIClient.updateClientContact(clientId, contactId, { isPrimary: true });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.openClientDetail(clientId);
+    }
+
+    async handleDeleteClientContact(contactId) {
+        if (!confirm('Remove this contact?')) return;
+        const clientId = this.currentClient.clientId;
+        try {
+            await APIClient.deleteClientContact(clientId, contactId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.openClientDetail(clientId);
+    }
+
+    // ==========================================
+    // MOVEMENTS VIEW
+    // ==========================================
+
+    loadMovementsView() {
+        this.loadPendingAcknowledgments();
+        this.loadRecentMovements();
+    }
+
+    loadPendingAcknowledgments() {
+        const section = document.getElementById('pendingAckSection');
+        const list = document.getElementById('pendingAckList');
+        const pending = MovementTracker.getMyPendingAcknowledgments();
+
+        if (pending.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = 'block';
+        list.innerHTML = pending.map(m => `
+            <div class="pending-item">
+                <div class="pending-info">
+                    <div class="pending-file">${m.file?.caseName || 'Unknown'}</div>
+                    <div class="pending-meta">
+                        From: ${m.fromUserInfo?.name || 'Registry'} • 
+                        ${MovementTracker.getRelativeTime(new Date(m.timestamp))}
+                    </div>
+                </div>
+                <div class="pending-actions">
+                    <button class="btn-primary" onclick="caseTrack.acknowledgeMovement('${m.movementId}')">
+                        Acknowledge
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    loadRecentMovements() {
+        const timeline = document.getElementById('movementsTimeline');
+        const movements = CaseTrackDB.getAllMovements()
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, 20);
+
+        if (movements.length === 0) {
+            timeline.innerHTML = '<div class="empty-state"><p>No movement records</p></div>';
+            return;
+        }
+
+        timeline.innerHTML = movements.map(m => {
+            const file = CaseTrackDB.getFile(m.fileId);
+            const fromUser = CaseTrackDB.getUser(m.fromCustodian);
+            const toUser = CaseTrackDB.getUser(m.toCustodian);
+
+            return `
+                <div class="movement-item ${m.acknowledged ? '' : 'pending'}">
+                    <div class="movement-content">
+                        <div class="movement-header">
+                            <span class="movement-file">${file?.caseName || 'Unknown File'}</span>
+                            <span class="movement-time">${MovementTracker.getRelativeTime(new Date(m.timestamp))}</span>
+                        </div>
+                        <div class="movement-details">
+                            ${fromUser?.name || 'Registry'} → ${toUser?.name || 'Unknown'}
+                            ${!m.acknowledged ? ' <em>(Pending acknowledgment)</em>' : ''}
+                        </div>
+                        <span class="movement-purpose">${m.purpose}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async acknowledgeMovement(movementId) {
+        const result = await MovementTracker.acknowledgeReceipt(movementId);
+        if (result.success) {
+            this.loadMovementsView();
+            this.updateQuickStats();
+            this.showNotification('File received and acknowledged');
+        } else {
+            alert('Error: ' + result.error);
+        }
+    }
+
+    // ==========================================
+    // DEADLINES VIEW
+    // ==========================================
 
     loadDeadlinesView() {
         const report = Reports.getDeadlineReport(30);
@@ -902,9 +1675,9 @@ class CaseTrackKE {
             overdueList.innerHTML = report.overdue.map(d => this.renderDeadlineCard(d, true)).join('');
         }
 
-        // This week
+        // This week (five court days)
         const thisWeekList = document.getElementById('thisWeekList');
-        const thisWeek = report.upcoming.filter(d => d.daysUntil <= 7);
+        const thisWeek = report.upcoming.filter(d => d.daysUntil <= 5);
 
         if (thisWeek.length === 0) {
             thisWeekList.innerHTML = '<div class="empty-state"><p>No deadlines this week</p></div>';
@@ -914,7 +1687,7 @@ class CaseTrackKE {
 
         // Upcoming
         const upcomingList = document.getElementById('upcomingList');
-        const upcoming = report.upcoming.filter(d => d.daysUntil > 7);
+        const upcoming = report.upcoming.filter(d => d.daysUntil > 5);
 
         if (upcoming.length === 0) {
             upcomingList.innerHTML = '<div class="empty-state"><p>No upcoming deadlines</p></div>';
@@ -928,17 +1701,361 @@ class CaseTrackKE {
             <div class="deadline-card ${isOverdue ? 'overdue' : deadline.urgency === 'urgent' ? 'urgent' : ''}" 
                  onclick="caseTrack.openFileDetails('${deadline.fileId}')">
                 <div class="deadline-card-header">
-                    <span class="deadline-card-type">${deadline.type}</span>
+                    <span class="deadline-card-type">${deadline.type}${deadline.isProtected ? ' <span class="severity-badge high">Protected</span>' : ''}</span>
                     <span class="deadline-card-date">
-                        ${isOverdue ? Math.abs(deadline.daysUntil) + ' days overdue' : deadline.daysUntil + ' days'}
+                        ${isOverdue ? Math.abs(deadline.daysUntil) + ' days overdue' : deadline.daysUntil + ' court days'}
                     </span>
                 </div>
                 <div class="deadline-card-file">${deadline.file?.caseName || 'Unknown'}</div>
+                ${deadline.nonCourtDay && !isOverdue ? `
+                    <div class="deadline-card-description"><span class="severity-badge medium">Falls on a non-court day: ${deadline.nonCourtDay}</span></div>
+                ` : ''}
                 <div class="deadline-card-description">${deadline.description}</div>
+                ${deadline.previousDueDate ? `
+                    <div class="deadline-card-description"><em>Rescheduled from ${MovementTracker.formatDate(deadline.previousDueDate)}</em></div>
+                ` : ''}
+                <div class="table-actions" onclick="event.stopPropagation()">
+                    <button onclick="caseTrack.handleCompleteDeadline('${deadline.deadlineId}')">✓ Complete</button>
+                    ${deadline.isProtected ? '' : `
+                        <button onclick="caseTrack.handleRescheduleDeadline('${deadline.deadlineId}')">Reschedule</button>
+                        <button onclick="caseTrack.handleCancelDeadline('${deadline.deadlineId}')">Cancel</button>
+                    `}
+                    ${CaseTrackAuth.hasPermission('deleteDeadlines') && !deadline.isProtected ? `
+                        <button onclick="caseTrack.handleDeleteDeadline('${deadline.deadlineId}')">Delete</button>
+                    ` : ''}
+                </div>
             </div>
         `;
     }
 
+    async handleCompleteDeadline(deadlineId) {
+        const result = await FileManager.completeDeadline(deadlineId);
+        this.afterDeadlineChange(result, 'Deadline marked as completed');
+    }
+
+    async handleRescheduleDeadline(deadlineId) {
+        const deadline = CaseTrackDB.getDeadline(deadlineId);
+        const newDate = prompt('New due date (YYYY-MM-DD):', deadline ? deadline.dueDate.slice(0, 10) : '');
+        if (!newDate) return;
+        const reason = prompt('Reason for rescheduling:');
+        if (reason === null) return;
+
+        const result = await FileManager.rescheduleDeadline(deadlineId, newDate, reason);
+        this.afterDeadlineChange(result, 'Deadline rescheduled');
+    }
+
+    async handleCancelDeadline(deadlineId) {
+        const reason = prompt('Reason for cancelling this deadline:');
+        if (reason === null) return;
+
+        const result = await FileManager.cancelDeadline(deadlineId, reason);
+        this.afterDeadlineChange(result, 'Deadline cancelled');
+    }
+
+    async handleDeleteDeadline(deadlineId) {
+        if (!confirm('Permanently delete this deadline? Its history is kept for audit.')) return;
+
+        const result = await FileManager.deleteDeadline(deadlineId);
+        this.afterDeadlineChange(result, 'Deadline deleted');
+    }
+
+    afterDeadlineChange(result, message) {
+        if (result.success) {
+            this.showNotification(message);
+            this.loadDeadlinesView();
+            this.updateQuickStats();
+            this.loadDashboard();
+        } else {
+            this.showNotification(result.error, 'error');
+        }
+    }
+
+    // ==========================================
+    // CAUSE LIST IMPORT
+    // ==========================================
+
+    openCauseListModal() {
+        this.causeList = null;
+        const form = document.getElementById('causeListForm');
+        form.reset();
+        form.style.display = '';
+        document.getElementById('causeListReview').innerHTML = '';
+        this.openModal('causeListModal');
+    }
+
+    async handleCauseListUpload(e) {
+        e.preventDefault();
+        const file = document.getElementById('causeListFile').files[0];
+        if (!file) return;
+
+        const btn = e.target.querySelector('button[type="submit"]');
+        btn.disabled = true;
+        try {
+            const list = await APIClient.importCauseList(file);
+            if (list.previousImport) {
+                this.showNotification(`This cause list was already imported on ${MovementTracker.formatDate(list.previousImport.importedAt)}`, 'warning');
+            }
+            this.renderCauseListReview(list);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    /**
+     * One row per entry: proposed entries are editable and ticked when they
+     * matched a file, have a date and are not already on the calendar
+     */
+    renderCauseListReview(list) {
+        this.causeList = list;
+        document.getElementById('causeListForm').style.display = 'none';
+
+        const files = CaseTrackAuth.getVisibleFiles().filter(f => f.status !== 'Closed');
+        const fileOptions = (entry) => {
+            const options = files.map(f => ({ fileId: f.fileId, caseName: f.caseName }));
+            // Registry staff may be matched to files outside their own view
+            if (entry.fileId && !options.some(o => o.fileId === entry.fileId)) {
+                options.unshift({ fileId: entry.fileId, caseName: entry.caseName });
+            }
+            return `<option value="">— Choose file —</option>` + options.map(o =>
+                `<option value="${o.fileId}" ${o.fileId === entry.fileId ? 'selected' : ''}>${o.fileId} - ${this.escapeHtml(this.truncate(o.caseName, 30))}</option>`
+            ).join('');
+        };
+        const proposed = list.entries.filter(e => e.status === 'proposed');
+
+        document.getElementById('causeListReview').innerHTML = `
+            <p class="cause-list-summary">
+                <strong>${this.escapeHtml(list.fileName)}</strong>: ${list.entryCount} entries, ${list.matchedCount} matched to files.
+                Unticked entries are marked as skipped.
+            </p>
+            <table class="data-table cause-list-table">
+                <thead>
+                    <tr><th></th><th>Cause</th><th>File</th><th>Type</th><th>Date</th><th>Description</th></tr>
+                </thead>
+                <tbody>
+                    ${list.entries.map(entry => entry.status !== 'proposed' ? `
+                        <tr class="${entry.status}">
+                            <td></td>
+                            <td>${this.escapeHtml(entry.causeNumber)}<div class="cause-list-raw">${this.escapeHtml(entry.parties || '')}</div></td>
+                            <td colspan="4">${entry.status === 'created' ? `Deadline created on ${entry.fileId}` : 'Skipped'}</td>
+                        </tr>
+                    ` : `
+                        <tr data-entry-id="${entry.entryId}">
+                            <td><input type="checkbox" class="cause-list-include" ${entry.fileId && entry.hearingDate && !entry.duplicateOf ? 'checked' : ''}></td>
+                            <td>
+                                ${this.escapeHtml(entry.causeNumber)}
+                                <div class="cause-list-raw">${this.escapeHtml(entry.parties || '')}</div>
+                                ${entry.matchedBy === 'parties' ? `<div class="cause-list-raw">Matched by party names (${Math.round(entry.matchScore * 100)}%)</div>` : ''}
+                                ${entry.duplicateOf ? '<span class="severity-badge medium">Already on the calendar</span>' : ''}
+                            </td>
+                            <td><select class="cause-list-file">${fileOptions(entry)}</select></td>
+                            <td>
+                                <select class="cause-list-type">
+                                    ${CaseTrackDB.DEADLINE_TYPES.map(t => `<option value="${t}" ${t === entry.proposedType ? 'selected' : ''}>${t}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td><input type="date" class="cause-list-date" value="${entry.hearingDate || ''}"></td>
+                            <td><input type="text" class="cause-list-description" value="${this.escapeHtml(entry.proposedDescription)}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="form-actions">
+                <button type="button" class="btn-secondary" onclick="caseTrack.closeModal('causeListModal')">Close</button>
+                ${proposed.length > 0 ? `
+                    <button type="button" class="btn-primary" onclick="caseTrack.handleApplyCauseList()">Create Deadlines</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async handleApplyCauseList() {
+        const rows = [...document.querySelectorAll('#causeListReview tr[data-entry-id]')];
+        const entries = rows.map(row => {
+            const entryId = Number(row.dataset.entryId);
+            if (!row.querySelector('.cause-list-include').checked) return { entryId, skip: true };
+            return {
+                entryId,
+                fileId: row.querySelector('.cause-list-file').value,
+                type: row.querySelector('.cause-list-type').value,
+                dueDate: row.querySelector('.cause-list-date').value,
+                description: row.querySelector('.cause-list-description').value
+            };
+        });
+
+        const count = entries.filter(e => !e.skip).length;
+        if (count === 0 && !confirm('No entries are ticked. Mark the whole list as skipped?')) return;
+
+        try {
+            const result = await APIClient.applyCauseList(this.causeList.causeListId, entries);
+            this.showNotification(`${result.deadlines.length} deadline${result.deadlines.length === 1 ? '' : 's'} created from the cause list`);
+            this.renderCauseListReview(result.causeList);
+            await CaseTrackDB.syncWithBackend();
+            this.loadDeadlinesView();
+            this.updateQuickStats();
+            this.loadDashboard();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // ==========================================
+    // PROCEDURAL EVENTS
+    // ==========================================
+
+    async loadFileEvents(fileId) {
+        const container = document.getElementById(`fileEvents-${fileId}`);
+        let events;
+        try {
+            events = await APIClient.getFileEvents(fileId);
+        } catch (error) {
+            if (container) container.innerHTML = '<p class="empty-state">Could not load events</p>';
+            return;
+        }
+        if (!container) return;
+
+        container.innerHTML = events.length > 0 ? events.map(event => `
+            <div class="file-event-item">
+                <div class="movement-header">
+                    <span class="movement-details">${this.escapeHtml(event.eventType)}</span>
+                    <span class="movement-time">${MovementTracker.formatDate(event.eventDate)}</span>
+                </div>
+                <span class="movement-purpose">
+                    Logged by ${event.loggedByName || 'Unknown'}${event.notes ? ` - ${this.escapeHtml(event.notes)}` : ''}
+                </span>
+                ${event.deadlines.map(d => `
+                    <div class="file-event-deadline">${d.type}: ${MovementTracker.formatDate(d.dueDate)} (${d.status})</div>
+                `).join('')}
+            </div>
+        `).join('') : '<p class="empty-state">No events logged</p>';
+    }
+
+    async openFileEventModal(fileId) {
+        const file = CaseTrackDB.getFile(fileId);
+        if (!file) return;
+
+        let rules;
+        try {
+            rules = (await APIClient.getDeadlineRules()).rules;
+        } catch (error) {
+            this.showNotification('Failed to load deadline rules.', 'error');
+            return;
+        }
+
+        document.getElementById('fileEventForm').reset();
+        document.getElementById('fileEventFileId').value = fileId;
+        document.getElementById('fileEventType').innerHTML = '<option value="">— Choose event —</option>' +
+            CaseTrackDeadlineRules.eventTypesFor(rules, file.practiceArea)
+                .map(type => `<option value="${this.escapeHtml(type)}">${this.escapeHtml(type)}</option>`).join('');
+        document.getElementById('fileEventDate').value = CaseTrackCalendar.toKey(new Date());
+        document.getElementById('fileEventProposals').innerHTML = '';
+        this.fileEventPreview = null;
+        this.openModal('fileEventModal');
+    }
+
+    /**
+     * Dates the user changed in the proposals table, by step
+     */
+    collectFileEventSteps() {
+        return [...document.querySelectorAll('#fileEventProposals tr[data-step]')].map(row => {
+            const step = Number(row.dataset.step);
+            if (!row.querySelector('.file-event-include').checked) return { step, skip: true };
+            const dateInput = row.querySelector('.file-event-date');
+            return {
+                step,
+                dueDate: dateInput.value !== dateInput.dataset.computed ? dateInput.value : undefined,
+                description: row.querySelector('.file-event-description').value
+            };
+        });
+    }
+
+    async previewFileEvent() {
+        const container = document.getElementById('fileEventProposals');
+        const fileId = document.getElementById('fileEventFileId').value;
+        const eventType = document.getElementById('fileEventType').value;
+        const eventDate = document.getElementById('fileEventDate').value;
+        if (!eventType || !eventDate) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // Keep the user's edits when only a proposed date changed; later
+        // steps then follow the moved date
+        const same = this.fileEventPreview && this.fileEventPreview.eventType === eventType && this.fileEventPreview.eventDate === eventDate;
+        const previous = same ? this.collectFileEventSteps() : [];
+        this.fileEventPreview = { eventType, eventDate };
+        const dueDates = {};
+        previous.forEach(s => { if (s.dueDate) dueDates[s.step] = s.dueDate; });
+
+        let preview;
+        try {
+            preview = await APIClient.previewFileEvent(fileId, { eventType, eventDate, dueDates });
+        } catch (error) {
+            container.innerHTML = `<p class="empty-state">${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+        if (!preview.rule) {
+            container.innerHTML = '<p class="empty-state">No deadline rule for this event; it will be logged without deadlines.</p>';
+            return;
+        }
+
+        const kept = new Map(previous.map(s => [s.step, s]));
+        container.innerHTML = `
+            <p class="cause-list-summary">
+                Proposed by the rule for ${this.escapeHtml(preview.rule.eventType)} in ${preview.rule.practiceArea || 'all practice areas'}.
+                Unticked deadlines are not created.
+            </p>
+            <table class="data-table cause-list-table">
+                <thead>
+                    <tr><th></th><th>Type</th><th>Description</th><th>Due</th><th>Basis</th></tr>
+                </thead>
+                <tbody>
+                    ${preview.proposals.map(p => {
+            const previousStep = kept.get(p.step) || {};
+            return `
+                        <tr data-step="${p.step}">
+                            <td><input type="checkbox" class="file-event-include" ${previousStep.skip ? '' : 'checked'}></td>
+                            <td>${p.type}</td>
+                            <td><input type="text" class="file-event-description" value="${this.escapeHtml(previousStep.description ?? p.description)}"></td>
+                            <td><input type="date" class="file-event-date" value="${p.dueDate}" data-computed="${p.computedDate}"></td>
+                            <td>
+                                ${this.escapeHtml(p.basis)}
+                                ${p.adjustedFrom ? `<div class="cause-list-raw">Moved from ${MovementTracker.formatDate(p.adjustedFrom)} (${this.escapeHtml(p.reason)})</div>` : ''}
+                            </td>
+                        </tr>
+                    `;
+        }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async handleFileEventSubmit(e) {
+        e.preventDefault();
+        const fileId = document.getElementById('fileEventFileId').value;
+        const event = {
+            eventType: document.getElementById('fileEventType').value,
+            eventDate: document.getElementById('fileEventDate').value,
+            notes: document.getElementById('fileEventNotes').value,
+            steps: this.collectFileEventSteps()
+        };
+
+        try {
+            const result = await APIClient.logFileEvent(fileId, event);
+            const count = result.deadlines.length;
+            this.showNotification(`${result.event.eventType} logged${count > 0 ? ` with ${count} deadline${count === 1 ? '' : 's'}` : ''}`);
+            this.closeModal('fileEventModal');
+            await CaseTrackDB.syncWithBackend();
+            this.openFileDetails(fileId);
+            this.loadDeadlinesView();
+            this.updateQuickStats();
+            this.loadDashboard();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
     // ==========================================
     // REPORTS VIEW
     // ==========================================
@@ -966,6 +2083,9 @@ class CaseTrackKE {
             case 'audit':
                 this.renderAuditReport(output);
                 break;
+            case 'court':
+                this.renderCourtStationReport(output);
+                break;
             case 'practice':
                 this.renderPracticeAreaReport(output);
                 break;
@@ -1033,14 +2153,14 @@ class CaseTrackKE {
             
             <h4 style="margin: 16px 0 8px;">Upcoming (${report.upcoming.length})</h4>
             <table class="report-table">
-                <thead><tr><th>File</th><th>Type</th><th>Due Date</th><th>Days Until</th></tr></thead>
+                <thead><tr><th>File</th><th>Type</th><th>Due Date</th><th>Court Days Until</th></tr></thead>
                 <tbody>
                     ${report.upcoming.map(d => `
                         <tr>
                             <td>${d.file?.caseName || 'Unknown'}</td>
                             <td>${d.type}</td>
-                            <td>${d.formattedDate}</td>
-                            <td>${d.daysUntil} days</td>
+                            <td>${d.formattedDate}${d.nonCourtDay ? ` (${d.nonCourtDay})` : ''}</td>
+                            <td>${d.daysUntil} court days</td>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -1049,12 +2169,12 @@ class CaseTrackKE {
     }
 
     renderBottleneckReport(container) {
-        const report = Reports.getBottleneckReport(7);
+        const report = Reports.getBottleneckReport();
 
         container.innerHTML = `
             <h3>Bottleneck Report</h3>
             <p style="color: var(--text-muted); margin-bottom: 16px;">
-                Files held for 7+ days without movement. High risk: ${report.summary.highRisk}
+                Files held past the firm's holding threshold for their practice area. High risk: ${report.summary.highRisk}
             </p>
             
             ${report.bottlenecks.length === 0 ? '<p>No bottlenecks detected</p>' : `
@@ -1156,6 +2276,37 @@ class CaseTrackKE {
         `;
     }
 
+    renderCourtStationReport(container) {
+        const report = Reports.getByCourtStationReport();
+
+        container.innerHTML = `
+            <h3>Files by Court Station</h3>
+            <p style="color: var(--text-muted); margin-bottom: 16px;">
+                Where the firm's matters are being heard, with pending deadlines at each station
+            </p>
+
+            ${report.stations.length > 0 ? `
+                <table class="report-table">
+                    <thead><tr><th>Station</th><th>Court</th><th>Total Files</th><th>Active</th><th>Pending Deadlines</th></tr></thead>
+                    <tbody>
+                        ${report.stations.map(s => s.courts.map((c, i) => `
+                            <tr>
+                                ${i === 0 ? `<td rowspan="${s.courts.length}"><strong>${s.station}</strong><br><small>${s.count} file(s)</small></td>` : ''}
+                                <td>${c.court}</td>
+                                <td>${c.count}</td>
+                                <td>${c.activeCount}</td>
+                                <td>${c.pendingDeadlines}</td>
+                            </tr>
+                        `).join('')).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="empty-state">No files have a court station recorded</p>'}
+            ${report.unassigned > 0 ? `
+                <p style="color: var(--text-muted); margin-top: 12px;">${report.unassigned} file(s) have no court station recorded.</p>
+            ` : ''}
+        `;
+    }
+
     // ==========================================
     // MODALS
     // ==========================================
@@ -1186,35 +2337,300 @@ class CaseTrackKE {
         document.getElementById('initialCustodian').innerHTML =
             options.users.map(u => `<option value="${u.userId}">${u.name} (${u.role})</option>`).join('');
 
-        // Clear form
-        document.getElementById('newFileForm').reset();
+        // Clear form
+        document.getElementById('newFileForm').reset();
+        this.setupCourtFields(document.getElementById('newFileForm'));
+        this.setupLimitationFields(document.getElementById('newFileForm'));
+        this.loadClientOptions();
+
+        this.openModal('newFileModal');
+    }
+
+    /**
+     * Fill a form's court selects (marked with data-court-field) and keep
+     * the stations, divisions and cause types in step with the chosen level
+     */
+    setupCourtFields(form, ref = {}) {
+        const field = name => form.querySelector(`[data-court-field="${name}"]`);
+        const dependents = CaseTrackCourts.FIELDS.filter(name => name !== 'courtLevel');
+        const options = (values, blank) => `<option value="">${blank}</option>` +
+            values.map(v => `<option value="${v}">${v}</option>`).join('');
+
+        const level = field('courtLevel');
+        level.innerHTML = '<option value="">Not before a court</option>' +
+            Object.entries(CaseTrackCourts.LEVELS).map(([code, info]) => `<option value="${code}">${info.name}</option>`).join('');
+
+        const refreshOptions = () => {
+            const info = CaseTrackCourts.LEVELS[level.value];
+            const stations = info ? CaseTrackCourts.stationsFor(level.value) : [];
+            field('courtStation').innerHTML = options(stations, 'Select station');
+            if (stations.length === 1) field('courtStation').value = stations[0];
+            field('courtDivision').innerHTML = options(info ? info.divisions : [], level.value === 'TRIBUNAL' ? 'Select tribunal' : 'No division');
+            field('causeType').innerHTML = options(info ? info.causeTypes : [], 'Type');
+            dependents.forEach(name => { field(name).disabled = !info; });
+        };
+
+        level.onchange = refreshOptions;
+        level.value = ref.courtLevel || '';
+        refreshOptions();
+        dependents.forEach(name => {
+            if (ref[name]) field(name).value = ref[name];
+        });
+    }
+
+    readCourtFields(form) {
+        return CaseTrackCourts.FIELDS.reduce((ref, name) => {
+            ref[name] = form.querySelector(`[data-court-field="${name}"]`).value.trim();
+            return ref;
+        }, {});
+    }
+
+    openCourtModal(fileId) {
+        const file = CaseTrackDB.getFile(fileId);
+        if (!file) return;
+
+        this.editingCourtFileId = fileId;
+        this.setupCourtFields(document.getElementById('courtForm'), file);
+        this.openModal('courtModal');
+    }
+
+    async handleCourtSubmit(e) {
+        e.preventDefault();
+        const fileId = this.editingCourtFileId;
+        const court = this.readCourtFields(document.getElementById('courtForm'));
+
+        const errors = CaseTrackCourts.validate(court);
+        if (errors.length > 0) {
+            this.showNotification(errors.join('. '), 'error');
+            return;
+        }
+
+        const result = await FileManager.updateFile(fileId, court);
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return;
+        }
+        this.closeModal('courtModal');
+        this.showNotification('Court details updated');
+        this.openFileDetails(fileId);
+        this.loadFilesTable();
+    }
+
+    /**
+     * Fill a form's cause of action select (marked with data-limitation-field)
+     * and show when the period would expire as the fields change
+     */
+    setupLimitationFields(form, file = {}) {
+        const field = name => form.querySelector(`[data-limitation-field="${name}"]`);
+        const note = form.querySelector('[data-limitation-note]');
+
+        field('causeOfAction').innerHTML = '<option value="">Not tracked</option>' +
+            Object.entries(CaseTrackCalendar.LIMITATION_PERIODS).map(([code, period]) =>
+                `<option value="${code}">${period.name}</option>`
+            ).join('');
+        field('causeOfAction').value = file.causeOfAction || '';
+        field('accrualDate').value = file.accrualDate || '';
+
+        const refreshNote = () => {
+            const limitation = CaseTrackCalendar.limitationFor(field('causeOfAction').value, field('accrualDate').value, CaseTrackDB.getCourtHolidays());
+            if (!limitation) {
+                note.textContent = 'Choose a cause of action and accrual date to track the limitation period.';
+                return;
+            }
+            const moved = limitation.adjustedFrom ? ` (expires ${limitation.expiry}, ${limitation.reason})` : '';
+            note.textContent = `${limitation.statute}: ${limitation.months} months. Last day to file: ${MovementTracker.formatDate(limitation.date)}${moved}.`;
+        };
+        field('causeOfAction').onchange = refreshNote;
+        field('accrualDate').onchange = refreshNote;
+        refreshNote();
+    }
+
+    readLimitationFields(form) {
+        return {
+            causeOfAction: form.querySelector('[data-limitation-field="causeOfAction"]').value,
+            accrualDate: form.querySelector('[data-limitation-field="accrualDate"]').value
+        };
+    }
+
+    openLimitationModal(fileId) {
+        const file = CaseTrackDB.getFile(fileId);
+        if (!file) return;
+
+        this.editingLimitationFileId = fileId;
+        this.setupLimitationFields(document.getElementById('limitationForm'), file);
+        this.openModal('limitationModal');
+    }
+
+    /**
+     * The server keeps the protected limitation deadline in step with the
+     * file, so deadlines are re-synced after saving
+     */
+    async handleLimitationSubmit(e) {
+        e.preventDefault();
+        const fileId = this.editingLimitationFileId;
+        const limitation = this.readLimitationFields(document.getElementById('limitationForm'));
+        if (Boolean(limitation.causeOfAction) !== Boolean(limitation.accrualDate)) {
+            this.showNotification('Choose both a cause of action and the date it accrued, or clear both', 'error');
+            return;
+        }
+
+        try {
+            CaseTrackAuth.requirePermission('updateFileStatus', 'update file information');
+            await APIClient.updateFile(fileId, limitation);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        await CaseTrackDB.syncWithBackend();
+        this.closeModal('limitationModal');
+        this.showNotification('Limitation period updated');
+        this.openFileDetails(fileId);
+        this.loadDashboard();
+    }
 
-        this.openModal('newFileModal');
+    /**
+     * Suggest registered clients in the new-file form; picking one links the
+     * file to that client
+     */
+    async loadClientOptions() {
+        try {
+            this.clientOptions = await APIClient.getClients();
+        } catch (error) {
+            this.clientOptions = [];
+        }
+        document.getElementById('clientOptions').innerHTML =
+            this.clientOptions.map(c => `<option value="${this.escapeHtml(c.name)}">${this.escapeHtml(c.kraPin || c.idNumber || '')}</option>`).join('');
     }
 
+    /**
+     * Run the conflict check first; the file is registered straight away when
+     * it finds nothing, otherwise once the user has reviewed the hits
+     */
     async handleNewFileSubmit(e) {
         e.preventDefault();
         const currentUser = CaseTrackAuth.getCurrentUser();
 
         const fileData = {
             caseName: document.getElementById('caseName').value,
-            clientName: document.getElementById('clientName').value,
+            clientName: document.getElementById('clientName').value.trim(),
             practiceArea: document.getElementById('practiceArea').value,
-            courtJurisdiction: document.getElementById('courtJurisdiction').value,
+            ...this.readCourtFields(document.getElementById('newFileForm')),
+            ...this.readLimitationFields(document.getElementById('newFileForm')),
             assignedAdvocates: Array.from(document.getElementById('assignedAdvocates').selectedOptions).map(o => o.value),
             currentCustodian: document.getElementById('initialCustodian').value,
             notes: document.getElementById('fileNotes').value,
             createdBy: currentUser?.userId
         };
+        const client = (this.clientOptions || []).find(c => c.name === fileData.clientName);
+        if (client) fileData.clientId = client.clientId;
 
-        const newFile = await CaseTrackDB.createFile(fileData);
-        if (newFile) {
-            this.closeModal('newFileModal');
-            this.showNotification(`File ${newFile.fileId} registered successfully`);
-            this.loadFilesTable();
-            this.updateQuickStats();
-            this.loadDashboard();
+        const courtErrors = CaseTrackCourts.validate(fileData);
+        if (courtErrors.length > 0) {
+            this.showNotification(courtErrors.join('. '), 'error');
+            return;
+        }
+        fileData.courtJurisdiction = CaseTrackCourts.courtLabel(fileData);
+        if (Boolean(fileData.causeOfAction) !== Boolean(fileData.accrualDate)) {
+            this.showNotification('Choose both a cause of action and the date it accrued, or leave both blank', 'error');
+            return;
+        }
+
+        const partyLines = id => document.getElementById(id).value.split('\n').map(l => l.trim()).filter(Boolean);
+        const parties = [
+            { name: fileData.clientName, role: 'client' },
+            ...partyLines('opposingParties').map(name => ({ name, role: 'opposing' })),
+            ...partyLines('relatedParties').map(name => ({ name, role: 'related' }))
+        ];
+
+        let check;
+        try {
+            check = await APIClient.runConflictCheck(parties);
+        } catch (error) {
+            this.showNotification(`Conflict check failed: ${error.message}`, 'error');
+            return;
+        }
+
+        if (check.hits.length === 0) {
+            await this.registerCheckedFile(fileData, check);
+            return;
+        }
+
+        this.pendingRegistration = { fileData, check };
+        this.showConflictCheck(check);
+    }
+
+    showConflictCheck(check) {
+        const canOverride = CaseTrackAuth.hasPermission('overrideConflicts');
+        const roleLabels = { client: 'client', opposing: 'opposing party', related: 'related entity' };
+
+        document.getElementById('conflictCheckResults').innerHTML = `
+            <p style="margin-bottom: 12px;">
+                ${check.requiresOverride
+                ? '<strong>Possible conflict of interest.</strong> These parties match existing matters on the other side:'
+                : 'These parties already appear in existing matters on the same side:'}
+            </p>
+            <div class="conflict-hits">
+                ${check.hits.map(hit => `
+                    <div class="conflict-hit ${hit.blocking ? 'blocking' : ''}">
+                        <div><strong>${this.escapeHtml(hit.party)}</strong> (${roleLabels[hit.partyRole]}) matches <strong>${this.escapeHtml(hit.matchedName)}</strong></div>
+                        <div class="conflict-hit-meta">
+                            ${roleLabels[hit.matchedRole]} in ${hit.fileId} · ${this.escapeHtml(hit.caseName)} (${hit.fileStatus}) · ${Math.round(hit.score * 100)}% match
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${check.requiresOverride && !canOverride ? `
+                <p class="empty-state">A partner must review and override this conflict before the file can be registered.</p>
+            ` : ''}
+        `;
+
+        const confirmBtn = document.getElementById('confirmConflictCheck');
+        document.getElementById('conflictOverrideSection').style.display = check.requiresOverride && canOverride ? 'block' : 'none';
+        document.getElementById('conflictOverrideReason').value = '';
+        confirmBtn.style.display = check.requiresOverride && !canOverride ? 'none' : '';
+        confirmBtn.textContent = check.requiresOverride ? 'Override and Register' : 'Register File';
+
+        this.openModal('conflictCheckModal');
+    }
+
+    async handleConflictCheckConfirm() {
+        if (!this.pendingRegistration) return;
+        const { fileData } = this.pendingRegistration;
+        let { check } = this.pendingRegistration;
+
+        if (check.requiresOverride) {
+            const reason = document.getElementById('conflictOverrideReason').value.trim();
+            if (!reason) {
+                this.showNotification('Record why the conflict is being overridden', 'error');
+                return;
+            }
+            try {
+                check = await APIClient.overrideConflictCheck(check.checkId, reason);
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+                return;
+            }
+        }
+
+        this.closeModal('conflictCheckModal');
+        this.pendingRegistration = null;
+        await this.registerCheckedFile(fileData, check);
+    }
+
+    async registerCheckedFile(fileData, check) {
+        let newFile;
+        try {
+            newFile = await CaseTrackDB.createFile({ ...fileData, conflictCheckId: check.checkId });
+        } catch (error) {
+            this.showNotification(`Could not register file: ${error.message}`, 'error');
+            return;
         }
+
+        this.closeModal('newFileModal');
+        this.showNotification(`File ${newFile.fileId} registered successfully`);
+        this.loadFilesTable();
+        this.updateQuickStats();
+        this.loadDashboard();
     }
 
     // Movement Modal
@@ -1246,16 +2662,23 @@ class CaseTrackKE {
         e.preventDefault();
         const currentUser = CaseTrackAuth.getCurrentUser();
 
+        const fileId = document.getElementById('movementFile').value;
         const movementData = {
-            fileId: document.getElementById('movementFile').value,
+            fileId,
             toCustodian: document.getElementById('movementTo').value,
             purpose: document.getElementById('movementPurpose').value,
             notes: document.getElementById('movementNotes').value,
             loggedBy: currentUser?.userId,
-            fromCustodian: currentUser?.userId
+            fromCustodian: CaseTrackDB.getFile(fileId)?.currentCustodian
         };
 
-        const movement = await CaseTrackDB.logMovement(movementData);
+        let movement;
+        try {
+            movement = await CaseTrackDB.logMovement(movementData);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
         if (movement) {
             this.closeModal('movementModal');
             this.showNotification(`File ${movementData.fileId} transfer logged`);
@@ -1267,13 +2690,18 @@ class CaseTrackKE {
 
     async acknowledgeReceipt(movementId) {
         const currentUser = CaseTrackAuth.getCurrentUser();
-        const result = await CaseTrackDB.acknowledgeMovement(movementId, currentUser.userId);
+        let result;
+        try {
+            result = await CaseTrackDB.acknowledgeMovement(movementId, currentUser.userId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
         if (result) {
             this.showNotification('File receipt acknowledged');
             this.loadMovementsView();
             this.updateQuickStats();
             this.loadDashboard();
-            AlertEngine.runAlertCheck();
         }
     }
 
@@ -1291,13 +2719,62 @@ class CaseTrackKE {
         document.getElementById('deadlineType').innerHTML =
             CaseTrackDB.DEADLINE_TYPES.map(t => `<option value="${t}">${t}</option>`).join('');
 
+        document.getElementById('deadlineMode').innerHTML = Object.entries(CaseTrackCalendar.MODES)
+            .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+
         // Clear form
-        document.getElementById('deadlineDate').value = '';
-        document.getElementById('deadlineDescription').value = '';
+        ['deadlineDate', 'deadlineDescription', 'deadlineDays', 'deadlineFromDate'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('deadlineDirection').value = 'after';
+        document.getElementById('deadlineDateNote').textContent = '';
 
         this.openModal('deadlineModal');
     }
 
+    /**
+     * Fill the due date from "N days after/before an event" using the legal
+     * calendar; a date moved off a weekend or holiday says so
+     */
+    handleComputeDeadline() {
+        const from = document.getElementById('deadlineFromDate').value;
+        const days = parseInt(document.getElementById('deadlineDays').value, 10);
+        if (!from || !(days > 0)) {
+            this.showNotification('Enter the number of days and the event date', 'error');
+            return;
+        }
+
+        const result = CaseTrackCalendar.computeDeadline(from, days, {
+            mode: document.getElementById('deadlineMode').value,
+            before: document.getElementById('deadlineDirection').value === 'before',
+            gazetted: CaseTrackDB.getCourtHolidays()
+        });
+        document.getElementById('deadlineDate').value = result.date;
+        this.updateDeadlineDateNote(result);
+    }
+
+    // Warn when the chosen due date is not a court day
+    updateDeadlineDateNote(computed = null) {
+        const note = document.getElementById('deadlineDateNote');
+        const date = document.getElementById('deadlineDate').value;
+        if (!date) {
+            note.textContent = '';
+            return;
+        }
+
+        const gazetted = CaseTrackDB.getCourtHolidays();
+        const reason = CaseTrackCalendar.nonCourtDayReason(date, gazetted);
+        const vacation = CaseTrackCalendar.vacationOn(date);
+        const messages = [];
+        if (computed && computed.adjustedFrom) {
+            messages.push(`Moved from ${MovementTracker.formatDate(computed.adjustedFrom)} (${computed.reason}) to the nearest court day.`);
+        }
+        if (reason) messages.push(`⚠️ ${MovementTracker.formatDate(date)} is not a court day (${reason}).`);
+        if (vacation) messages.push(`Falls in the ${vacation.name}.`);
+        note.textContent = messages.join(' ');
+        note.classList.toggle('warning', Boolean(reason));
+    }
+
     async handleDeadlineSubmit(e) {
         e.preventDefault();
         const currentUser = CaseTrackAuth.getCurrentUser();
@@ -1310,14 +2787,75 @@ class CaseTrackKE {
             createdBy: currentUser?.userId
         };
 
-        const deadline = await CaseTrackDB.createDeadline(deadlineData);
+        let deadline;
+        try {
+            deadline = await CaseTrackDB.createDeadline(deadlineData);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
         if (deadline) {
             this.closeModal('deadlineModal');
             this.showNotification('Deadline added successfully');
             this.loadDeadlinesView();
             this.updateQuickStats();
             this.loadDashboard();
-            AlertEngine.runAlertCheck();
+        }
+    }
+
+    // ==========================================
+    // NOTIFICATION PREFERENCES
+    // ==========================================
+
+    async openNotificationPrefs() {
+        try {
+            const prefs = await APIClient.getNotificationPreferences();
+            document.getElementById('prefEmailCriticalAlerts').checked = prefs.emailCriticalAlerts;
+            document.getElementById('prefEmailMovementReceipts').checked = prefs.emailMovementReceipts;
+            document.getElementById('prefEmailDeadlineDigest').checked = prefs.emailDeadlineDigest;
+            document.getElementById('prefSmsAlerts').checked = prefs.smsAlerts;
+            document.getElementById('prefWhatsappAlerts').checked = prefs.whatsappAlerts;
+            document.getElementById('prefDeviceNotifications').checked = CaseTrackPWA.notificationsEnabled();
+
+            const me = CaseTrackDB.getUser(CaseTrackAuth.getCurrentUser()?.userId);
+            document.getElementById('prefPhone').value = me?.phone || '';
+            this.openModal('notificationPrefsModal');
+        } catch (err) {
+            this.showNotification('Failed to load notification preferences.', 'error');
+        }
+    }
+
+    async handleNotificationPrefsSubmit(e) {
+        e.preventDefault();
+        const phone = document.getElementById('prefPhone').value.trim();
+        const wantsMessages = document.getElementById('prefSmsAlerts').checked ||
+            document.getElementById('prefWhatsappAlerts').checked;
+
+        if (wantsMessages && !phone) {
+            this.showNotification('Add a mobile number to receive SMS or WhatsApp reminders.', 'error');
+            return;
+        }
+
+        // Before any other await: the permission prompt needs the user's click
+        const wantsDeviceNotifications = document.getElementById('prefDeviceNotifications').checked;
+        if (!await CaseTrackPWA.setNotificationsEnabled(wantsDeviceNotifications) && wantsDeviceNotifications) {
+            this.showNotification('This browser is not allowing notifications from CaseTrack. Check its site settings.', 'error');
+        }
+
+        try {
+            await APIClient.updateProfile({ phone });
+            await APIClient.updateNotificationPreferences({
+                emailCriticalAlerts: document.getElementById('prefEmailCriticalAlerts').checked,
+                emailMovementReceipts: document.getElementById('prefEmailMovementReceipts').checked,
+                emailDeadlineDigest: document.getElementById('prefEmailDeadlineDigest').checked,
+                smsAlerts: document.getElementById('prefSmsAlerts').checked,
+                whatsappAlerts: document.getElementById('prefWhatsappAlerts').checked
+            });
+            await CaseTrackDB.syncWithBackend();
+            this.closeModal('notificationPrefsModal');
+            this.showNotification('Notification preferences saved');
+        } catch (err) {
+            this.showNotification(err.message || 'Failed to save preferences.', 'error');
         }
     }
 
@@ -1365,14 +2903,20 @@ class CaseTrackKE {
 
     async loadAdminSection() {
         const currentUser = CaseTrackAuth.getCurrentUser();
-        if (!currentUser || currentUser.isFirmOwner !== 1) {
+        const isOwner = currentUser && currentUser.isFirmOwner === 1;
+        if (!isOwner && !CaseTrackAuth.hasPermission('manageAlertRules')) {
             this.showNotification('Restricted: Admin Council access only.', 'error');
             this.switchView('dashboard');
             return;
         }
 
+        // Partners who are not owners only manage alert rules, the court calendar and deadline rules
+        document.querySelectorAll('.admin-tab-btn').forEach(btn => {
+            btn.style.display = isOwner || ['rules', 'calendar', 'deadline-rules'].includes(btn.dataset.adminView) ? '' : 'none';
+        });
+
         // Default to team view
-        this.loadAdminTeamTable();
+        document.querySelector(`.admin-tab-btn[data-admin-view="${isOwner ? 'team' : 'rules'}"]`)?.click();
     }
 
     async loadAdminTeamTable() {
@@ -1475,11 +3019,406 @@ class CaseTrackKE {
         }
     }
 
+    /**
+     * Render the alert rules editor. Blank override fields fall back to the
+     * firm-wide setting above them.
+     */
+    async loadAlertRulesForm(rules = null) {
+        const container = document.getElementById('alertRulesBody');
+        if (!container) return;
+
+        if (!rules) {
+            try {
+                const result = await APIClient.getAlertRules();
+                rules = result ? result.rules : CaseTrackDB.getAlertRules();
+            } catch (err) {
+                this.showNotification('Failed to load alert rules.', 'error');
+                return;
+            }
+        }
+        rules = CaseTrackAlertRules.withDefaults(rules);
+
+        const days = (list) => list ? list.join(', ') : '';
+        const users = CaseTrackDB.getAllUsers();
+
+        container.innerHTML = `
+            <h3>Deadline Warnings</h3>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="ruleWarningDays">Default warning court days before a deadline</label>
+                    <input type="text" id="ruleWarningDays" value="${days(rules.deadlineWarningDays)}" placeholder="7, 3, 1" required>
+                </div>
+            </div>
+            <table class="report-table">
+                <thead><tr><th>Deadline Type</th><th>Warning court days (blank = default)</th></tr></thead>
+                <tbody>
+                    ${CaseTrackDB.DEADLINE_TYPES.map(type => `
+                        <tr>
+                            <td>${type}</td>
+                            <td><input type="text" data-deadline-type="${type}" value="${days(rules.deadlineWarningDaysByType[type])}" placeholder="${days(rules.deadlineWarningDays)}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <h3>Custodian Holding Thresholds</h3>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="ruleOverdueDays">Flag a file held without movement after (days)</label>
+                    <input type="number" id="ruleOverdueDays" min="1" value="${rules.overdueThresholdDays}" required>
+                </div>
+                <div class="form-group">
+                    <label for="ruleEscalationDays">Escalate after (days)</label>
+                    <input type="number" id="ruleEscalationDays" min="1" value="${rules.escalationThresholdDays}" required>
+                </div>
+            </div>
+            <table class="report-table">
+                <thead><tr><th>Practice Area</th><th>Flag after (days)</th><th>Escalate after (days)</th></tr></thead>
+                <tbody>
+                    ${CaseTrackDB.PRACTICE_AREAS.map(area => {
+            const override = rules.holdingThresholdsByPracticeArea[area] || {};
+            return `
+                        <tr data-practice-area="${area}">
+                            <td>${area}</td>
+                            <td><input type="number" min="1" data-threshold="overdueThresholdDays" value="${override.overdueThresholdDays || ''}" placeholder="${rules.overdueThresholdDays}"></td>
+                            <td><input type="number" min="1" data-threshold="escalationThresholdDays" value="${override.escalationThresholdDays || ''}" placeholder="${rules.escalationThresholdDays}"></td>
+                        </tr>
+                    `;
+        }).join('')}
+                </tbody>
+            </table>
+
+            <h3>Acknowledgements</h3>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="ruleAckAlertHours">Chase an unacknowledged transfer after (hours)</label>
+                    <input type="number" id="ruleAckAlertHours" min="1" value="${rules.unacknowledgedAlertHours}" required>
+                </div>
+                <div class="form-group">
+                    <label for="ruleAckRiskHours">Show on the risk report after (hours)</label>
+                    <input type="number" id="ruleAckRiskHours" min="1" value="${rules.unacknowledgedRiskHours}" required>
+                </div>
+            </div>
+
+            <h3>Limitation Periods</h3>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="ruleLimitationWarningDays">Warn this many calendar days before a limitation period expires</label>
+                    <input type="text" id="ruleLimitationWarningDays" value="${days(rules.limitationWarningDays)}" placeholder="180, 90, 30, 14, 7" required>
+                </div>
+                <div class="form-group">
+                    <label for="ruleLimitationEscalationDays">Escalate from (days before expiry)</label>
+                    <input type="number" id="ruleLimitationEscalationDays" min="1" value="${rules.limitationEscalationDays}" required>
+                </div>
+            </div>
+
+            <h3>Escalation Recipients</h3>
+            <p style="color: var(--text-muted); margin-bottom: 12px;">Leave all unticked to escalate to every Partner.</p>
+            <div class="form-group">
+                ${users.map(user => `
+                    <label>
+                        <input type="checkbox" data-escalation-recipient="${user.userId}" ${rules.escalationRecipients.includes(user.userId) ? 'checked' : ''}>
+                        ${user.name} (${user.role})
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async loadCourtCalendar(year = null) {
+        const yearSelect = document.getElementById('courtCalendarYear');
+        const thisYear = new Date().getFullYear();
+        year = year || Number(yearSelect.value) || thisYear;
+        yearSelect.innerHTML = [thisYear - 1, thisYear, thisYear + 1, thisYear + 2]
+            .map(y => `<option value="${y}" ${y === year ? 'selected' : ''}>${y}</option>`).join('');
+
+        let calendar;
+        try {
+            calendar = await APIClient.getCourtCalendar(year);
+        } catch (err) {
+            this.showNotification('Failed to load the court calendar.', 'error');
+            return;
+        }
+        const gazettedIds = new Map(calendar.gazetted.map(h => [h.date, h]));
+
+        document.getElementById('courtCalendarBody').innerHTML = `
+            <h3>Public Holidays ${year}</h3>
+            <table class="report-table">
+                <thead><tr><th>Date</th><th>Holiday</th><th>Source</th><th></th></tr></thead>
+                <tbody>
+                    ${calendar.holidays.map(h => {
+            const gazetted = h.kind === 'gazetted' ? gazettedIds.get(h.date) : null;
+            return `
+                        <tr>
+                            <td>${MovementTracker.formatDate(h.date)}</td>
+                            <td>${this.escapeHtml(h.name)}</td>
+                            <td>${gazetted ? `Gazetted${gazetted.gazetteNotice ? ` (${this.escapeHtml(gazetted.gazetteNotice)})` : ''}` : 'Public Holidays Act'}</td>
+                            <td class="table-actions">
+                                ${gazetted ? `<button onclick="caseTrack.handleDeleteCourtHoliday(${gazetted.holidayId})">Remove</button>` : ''}
+                            </td>
+                        </tr>
+                    `;
+        }).join('')}
+                </tbody>
+            </table>
+
+            <h3>Court Vacations</h3>
+            <table class="report-table">
+                <thead><tr><th>Vacation</th><th>From</th><th>To</th><th>Time runs?</th></tr></thead>
+                <tbody>
+                    ${calendar.vacations.map(v => `
+                        <tr>
+                            <td>${v.name}</td>
+                            <td>${MovementTracker.formatDate(v.start)}</td>
+                            <td>${MovementTracker.formatDate(v.end)}</td>
+                            <td>${v.excludesTime ? 'No (Order 50 rule 4)' : 'Yes'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async handleAddCourtHoliday(e) {
+        e.preventDefault();
+        const holiday = {
+            date: document.getElementById('courtHolidayDate').value,
+            name: document.getElementById('courtHolidayName').value,
+            gazetteNotice: document.getElementById('courtHolidayNotice').value
+        };
+
+        try {
+            await APIClient.addCourtHoliday(holiday);
+            e.target.reset();
+            this.showNotification('Holiday added to the court calendar');
+            await CaseTrackDB.syncWithBackend();
+            this.loadCourtCalendar(Number(holiday.date.slice(0, 4)));
+        } catch (err) {
+            this.showNotification(err.message, 'error');
+        }
+    }
+
+    async handleDeleteCourtHoliday(holidayId) {
+        if (!confirm('Remove this holiday from the court calendar?')) return;
+
+        try {
+            await APIClient.deleteCourtHoliday(holidayId);
+            this.showNotification('Holiday removed');
+            await CaseTrackDB.syncWithBackend();
+            this.loadCourtCalendar();
+        } catch (err) {
+            this.showNotification(err.message, 'error');
+        }
+    }
+
+    /**
+     * Parse "7, 3, 1" into [7, 3, 1]; returns null for a blank field
+     */
+    parseDayList(value) {
+        if (!value.trim()) return null;
+        return value.split(',').map(d => Number(d.trim()));
+    }
+
+    async loadDeadlineRulesForm(rules = null) {
+        if (!rules) {
+            try {
+                rules = (await APIClient.getDeadlineRules()).rules;
+            } catch (err) {
+                this.showNotification('Failed to load deadline rules.', 'error');
+                return;
+            }
+        }
+        this.renderDeadlineRules(JSON.parse(JSON.stringify(rules)));
+    }
+
+    /**
+     * One card per rule with its chain of steps; a step runs from the event
+     * or from an earlier step
+     */
+    renderDeadlineRules(rules) {
+        const container = document.getElementById('deadlineRulesBody');
+        const option = (value, label, selected) => `<option value="${this.escapeHtml(value)}" ${selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>`;
+
+        container.innerHTML = `
+            <datalist id="deadlineRuleEventTypes">
+                ${CaseTrackDeadlineRules.EVENT_TYPES.map(type => `<option value="${type}">`).join('')}
+            </datalist>
+            ${rules.map((rule, i) => `
+                <div class="deadline-rule" data-rule="${i}">
+                    <div class="filter-bar">
+                        <input type="text" class="rule-event-type" list="deadlineRuleEventTypes" value="${this.escapeHtml(rule.eventType)}" placeholder="Event, e.g. Judgment delivered" required>
+                        <select class="rule-practice-area">
+                            ${option('', 'All practice areas', !rule.practiceArea)}
+                            ${CaseTrackDB.PRACTICE_AREAS.map(area => option(area, area, area === rule.practiceArea)).join('')}
+                        </select>
+                        <button type="button" class="btn-text" onclick="caseTrack.addDeadlineRuleStep(${i})">+ Add Step</button>
+                        <button type="button" class="btn-text" onclick="caseTrack.removeDeadlineRule(${i})">Remove Rule</button>
+                    </div>
+                    <table class="report-table">
+                        <thead><tr><th>#</th><th>Deadline Type</th><th>Days</th><th>Counting</th><th>From</th><th>Description</th><th></th></tr></thead>
+                        <tbody>
+                            ${rule.steps.map((step, j) => `
+                                <tr data-step="${j}">
+                                    <td>${j + 1}</td>
+                                    <td><select class="step-type">${CaseTrackDB.DEADLINE_TYPES.map(type => option(type, type, type === step.type)).join('')}</select></td>
+                                    <td><input type="number" class="step-days" min="0" max="3650" value="${step.days}" required></td>
+                                    <td><select class="step-mode">${Object.entries(CaseTrackCalendar.MODES).map(([mode, label]) => option(mode, label, mode === step.mode)).join('')}</select></td>
+                                    <td>
+                                        <select class="step-after">
+                                            ${option('', 'After the event', step.after === null || step.after === undefined)}
+                                            ${rule.steps.slice(0, j).map((_, k) => option(k, `After step ${k + 1}`, step.after === k)).join('')}
+                                        </select>
+                                    </td>
+                                    <td><input type="text" class="step-description" value="${this.escapeHtml(step.description)}" required></td>
+                                    <td>${rule.steps.length > 1 ? `<button type="button" class="btn-text" onclick="caseTrack.removeDeadlineRuleStep(${i}, ${j})">Remove</button>` : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `).join('') || '<p class="empty-state">No deadline rules. Events will be logged without proposing deadlines.</p>'}
+        `;
+    }
+
+    collectDeadlineRules() {
+        return [...document.querySelectorAll('#deadlineRulesBody .deadline-rule')].map(card => ({
+            eventType: card.querySelector('.rule-event-type').value.trim(),
+            practiceArea: card.querySelector('.rule-practice-area').value || null,
+            steps: [...card.querySelectorAll('tr[data-step]')].map(row => ({
+                type: row.querySelector('.step-type').value,
+                days: Number(row.querySelector('.step-days').value),
+                mode: row.querySelector('.step-mode').value,
+                after: row.querySelector('.step-after').value === '' ? null : Number(row.querySelector('.step-after').value),
+                description: row.querySelector('.step-description').value.trim()
+            }))
+        }));
+    }
+
+    addDeadlineRule() {
+        const rules = this.collectDeadlineRules();
+        rules.push({ eventType: '', practiceArea: null, steps: [{ type: 'Filing Deadline', days: 14, mode: 'within', after: null, description: '' }] });
+        this.renderDeadlineRules(rules);
+    }
+
+    removeDeadlineRule(index) {
+        const rules = this.collectDeadlineRules();
+        rules.splice(index, 1);
+        this.renderDeadlineRules(rules);
+    }
+
+    addDeadlineRuleStep(index) {
+        const rules = this.collectDeadlineRules();
+        rules[index].steps.push({ type: 'Filing Deadline', days: 14, mode: 'within', after: null, description: '' });
+        this.renderDeadlineRules(rules);
+    }
+
+    // Steps that ran from the removed one now run from the event; later
+    // references shift down by one
+    removeDeadlineRuleStep(index, stepIndex) {
+        const rules = this.collectDeadlineRules();
+        const steps = rules[index].steps;
+        steps.splice(stepIndex, 1);
+        steps.forEach(step => {
+            if (step.after === stepIndex) step.after = null;
+            else if (step.after > stepIndex) step.after -= 1;
+        });
+        this.renderDeadlineRules(rules);
+    }
+
+    async handleDeadlineRulesSubmit(e) {
+        e.preventDefault();
+        const rules = this.collectDeadlineRules();
+
+        const errors = CaseTrackDeadlineRules.validate(rules, {
+            deadlineTypes: CaseTrackDB.DEADLINE_TYPES,
+            practiceAreas: CaseTrackDB.PRACTICE_AREAS,
+            modes: Object.keys(CaseTrackCalendar.MODES)
+        });
+        if (errors.length > 0) {
+            this.showNotification(errors[0], 'error');
+            return;
+        }
+
+        try {
+            await APIClient.updateDeadlineRules(rules);
+            this.showNotification('Deadline rules saved');
+            this.loadDeadlineRulesForm();
+        } catch (err) {
+            this.showNotification(err.message || 'Failed to save deadline rules.', 'error');
+        }
+    }
+
+    async handleAlertRulesSubmit(e) {
+        e.preventDefault();
+        const container = document.getElementById('alertRulesBody');
+
+        const rules = {
+            deadlineWarningDays: this.parseDayList(document.getElementById('ruleWarningDays').value),
+            deadlineWarningDaysByType: {},
+            overdueThresholdDays: Number(document.getElementById('ruleOverdueDays').value),
+            escalationThresholdDays: Number(document.getElementById('ruleEscalationDays').value),
+            holdingThresholdsByPracticeArea: {},
+            unacknowledgedAlertHours: Number(document.getElementById('ruleAckAlertHours').value),
+            unacknowledgedRiskHours: Number(document.getElementById('ruleAckRiskHours').value),
+            limitationWarningDays: this.parseDayList(document.getElementById('ruleLimitationWarningDays').value),
+            limitationEscalationDays: Number(document.getElementById('ruleLimitationEscalationDays').value),
+            escalationRecipients: [...container.querySelectorAll('[data-escalation-recipient]:checked')]
+                .map(input => input.dataset.escalationRecipient)
+        };
+
+        container.querySelectorAll('[data-deadline-type]').forEach(input => {
+            const days = this.parseDayList(input.value);
+            if (days) rules.deadlineWarningDaysByType[input.dataset.deadlineType] = days;
+        });
+
+        container.querySelectorAll('[data-practice-area]').forEach(row => {
+            const override = {};
+            row.querySelectorAll('[data-threshold]').forEach(input => {
+                if (input.value) override[input.dataset.threshold] = Number(input.value);
+            });
+            if (Object.keys(override).length > 0) rules.holdingThresholdsByPracticeArea[row.dataset.practiceArea] = override;
+        });
+
+        const errors = CaseTrackAlertRules.validate(rules, {
+            deadlineTypes: CaseTrackDB.DEADLINE_TYPES,
+            practiceAreas: CaseTrackDB.PRACTICE_AREAS
+        });
+        if (errors.length > 0) {
+            this.showNotification(errors[0], 'error');
+            return;
+        }
+
+        try {
+            await CaseTrackDB.updateAlertRules(rules);
+            this.showNotification('Alert rules saved');
+            this.loadAlertRulesForm();
+        } catch (err) {
+            this.showNotification(err.message || 'Failed to save alert rules.', 'error');
+        }
+    }
+
+    /**
+     * "Contract (Limitation of Actions Act, s. 4(1)) - accrued 20 Oct 2020, last day 19 Oct 2026"
+     */
+    formatLimitation(file) {
+        const limitation = CaseTrackCalendar.limitationFor(file.causeOfAction, file.accrualDate, CaseTrackDB.getCourtHolidays());
+        if (!limitation) return 'Not tracked';
+        return `${limitation.name} (${limitation.statute}) - accrued ${MovementTracker.formatDate(file.accrualDate)}, last day ${MovementTracker.formatDate(limitation.date)}`;
+    }
+
     truncate(str, length) {
         if (!str) return '';
         return str.length > length ? str.substring(0, length) + '...' : str;
     }
 
+    /**
+     * Escape text from outside the app (e.g. an imported cause list) for
+     * use in HTML and attribute values
+     */
+    escapeHtml(str) {
+        return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
     /**
      * Show toast notification
      */
@@ -8,45 +8,8 @@ const CaseTrackAuth = {
 
     currentUser: null,
 
-    // Permission Matrix
-    PERMISSIONS: {
-        Clerk: {
-            registerFiles: true,
-            logMovements: true,
-            updateFileStatus: true,
-            viewAssignedFiles: true,
-            viewAllFiles: false,
-            requestFiles: true,
-            uploadDocuments: false,
-            generateReports: false,
-            viewAuditLogs: false,
-            manageUsers: false
-        },
-        Advocate: {
-            registerFiles: false,
-            logMovements: false,
-            updateFileStatus: false,
-            viewAssignedFiles: true,
-            viewAllFiles: false,
-            requestFiles: true,
-            uploadDocuments: true,
-            generateReports: false,
-            viewAuditLogs: false,
-            manageUsers: false
-        },
-        Partner: {
-            registerFiles: true,
-            logMovements: true,
-            updateFileStatus: true,
-            viewAssignedFiles: true,
-            viewAllFiles: true,
-            requestFiles: true,
-            uploadDocuments: true,
-            generateReports: true,
-            viewAuditLogs: true,
-            manageUsers: true
-        }
-    },
+    // Permission Matrix (shared with the server, see permissions.js)
+    PERMISSIONS: CaseTrackPermissions.PERMISSIONS,
 
     /**
      * Initialize authentication - check for existing session
@@ -153,26 +116,14 @@ const CaseTrackAuth = {
      * Check if current user has a specific permission
      */
     hasPermission(permission) {
-        if (!this.currentUser) return false;
-        const role = this.currentUser.role;
-        return this.PERMISSIONS[role] && this.PERMISSIONS[role][permission] === true;
+        return CaseTrackPermissions.hasPermission(this.currentUser, permission);
     },
 
     /**
      * Check if current user can view a specific file
      */
     canViewFile(file) {
-        if (!this.currentUser) return false;
-
-        // Partners can view all files
-        if (this.hasPermission('viewAllFiles')) return true;
-
-        // Others can only view files assigned to them or where they are custodian
-        const userId = this.currentUser.userId;
-        return (
-            file.currentCustodian === userId ||
-            (file.assignedAdvocates && file.assignedAdvocates.includes(userId))
-        );
+        return CaseTrackPermissions.canViewFile(this.currentUser, file);
     },
 
     /**
@@ -187,11 +138,7 @@ const CaseTrackAuth = {
             return allFiles;
         }
 
-        const userId = this.currentUser.userId;
-        return allFiles.filter(file =>
-            file.currentCustodian === userId ||
-            (file.assignedAdvocates && file.assignedAdvocates.includes(userId))
-        );
+        return allFiles.filter(file => this.canViewFile(file));
     },
 
     /**
@@ -255,6 +202,8 @@ const CaseTrackAuth = {
                     'Register new files',
                     'Log file movements',
                     'Update file status',
+                    'Maintain client records',
+                    'Import court cause lists',
                     'View files in custody'
                 ]
             },
@@ -0,0 +1,221 @@
+/**
+ * CaseTrack KE — Court Reference
+ * Kenyan court levels, stations, divisions and cause number formats shared
+ * by the browser (file forms, filters, reports) and the server's validation
+ */
+
+const CaseTrackCourts = {
+
+    // Court stations; a level without its own list sits at any of these
+    STATIONS: [
+        'Nairobi', 'Milimani', 'Kibera', 'Makadara', 'Kahawa', 'JKIA', 'Mombasa', 'Kisumu', 'Nakuru',
+        'Eldoret', 'Nyeri', 'Meru', 'Machakos', 'Kakamega', 'Kisii', 'Kericho', 'Embu', 'Garissa',
+        'Malindi', 'Kitale', 'Bungoma', 'Busia', 'Migori', 'Homa Bay', 'Siaya', 'Kerugoya', "Murang'a",
+        'Kiambu', 'Thika', 'Kajiado', 'Narok', 'Nyahururu', 'Naivasha', 'Kitui', 'Makueni', 'Marsabit',
+        'Lodwar', 'Voi', 'Chuka', 'Nanyuki', 'Bomet', 'Kabarnet', 'Iten', 'Kapenguria', 'Vihiga',
+        'Nyamira', 'Garsen', 'Isiolo', 'Kwale', 'Lamu', 'Mandera', 'Wajir', 'Maralal', 'Kapsabet',
+        'Ruiru', 'Kikuyu', 'Limuru', 'Othaya', 'Molo'
+    ],
+
+    // Keyed by code. causeTypes are the prefixes of the official cause
+    // number, e.g. "HCCC No. 123 of 2026".
+    LEVELS: {
+        SC: {
+            name: 'Supreme Court',
+            stations: ['Nairobi'],
+            divisions: [],
+            causeTypes: ['SC Petition', 'SC Civil Application', 'SC Reference']
+        },
+        COA: {
+            name: 'Court of Appeal',
+            stations: ['Nairobi', 'Mombasa', 'Kisumu', 'Nyeri', 'Nakuru', 'Eldoret', 'Malindi'],
+            divisions: [],
+            causeTypes: ['Civil Appeal', 'Criminal Appeal', 'Civil Application', 'Criminal Application']
+        },
+        HC: {
+            name: 'High Court',
+            divisions: [
+                'Commercial and Tax Division', 'Civil Division', 'Criminal Division', 'Family Division',
+                'Constitutional and Human Rights Division', 'Judicial Review Division',
+                'Anti-Corruption and Economic Crimes Division'
+            ],
+            causeTypes: [
+                'HCCC', 'HCCOMM', 'HCCA', 'Petition', 'JR Misc. Application', 'Misc. Civil Application',
+                'Succession Cause', 'Divorce Cause', 'Insolvency Cause', 'Tax Appeal',
+                'Criminal Case', 'Criminal Appeal', 'Criminal Revision', 'ACEC Misc. Application'
+            ]
+        },
+        ELC: {
+            name: 'Environment and Land Court',
+            divisions: [],
+            causeTypes: ['ELC Case', 'ELC Appeal', 'ELC Petition', 'ELC Misc. Application', 'ELC JR']
+        },
+        ELRC: {
+            name: 'Employment and Labour Relations Court',
+            divisions: [],
+            causeTypes: ['ELRC Cause', 'ELRC Petition', 'ELRC Appeal', 'ELRC Misc. Application', 'ELRC JR']
+        },
+        MC: {
+            name: "Magistrates' Courts",
+            divisions: ['Civil', 'Criminal', 'Children', 'Traffic', 'Anti-Corruption', 'Small Claims'],
+            causeTypes: [
+                'CMCC', 'MCCC', 'SPMCC', 'Criminal Case', 'Traffic Case', 'Children Case',
+                'Succession Cause', 'ACC', 'SCC', 'Misc. Application'
+            ]
+        },
+        TRIBUNAL: {
+            name: 'Tribunals',
+            divisions: [
+                'Tax Appeals Tribunal', 'Public Procurement Administrative Review Board',
+                'Business Premises Rent Tribunal', 'Rent Restriction Tribunal', 'National Environment Tribunal',
+                'Co-operative Tribunal', 'Political Parties Disputes Tribunal', 'Competition Tribunal',
+                'Energy and Petroleum Tribunal', 'HIV and AIDS Tribunal', 'Land Acquisition Tribunal'
+            ],
+            causeTypes: ['Appeal', 'Application', 'Case', 'Complaint', 'Reference', 'Request for Review']
+        }
+    },
+
+    // Court fields stored on a file
+    FIELDS: ['courtLevel', 'courtStation', 'courtDivision', 'causeType', 'causeNumber', 'causeYear', 'judicialOfficer'],
+
+    // "123", or "E123" for e-filed matters
+    CAUSE_NUMBER: /^E?\d{1,6}$/,
+
+    stationsFor(level) {
+        const info = this.LEVELS[level];
+        return (info && info.stations) || this.STATIONS;
+    },
+
+    /**
+     * "HCCC No. E123 of 2026", or '' when the cause number is incomplete
+     */
+    formatCauseNumber({ causeType, causeNumber, causeYear } = {}) {
+        if (!causeType || !causeNumber || !causeYear) return '';
+        return `${causeType} No. ${causeNumber} of ${causeYear}`;
+    },
+
+    /**
+     * Split a cause number such as "HCCC No. 123 of 2026" or "ELC Case
+     * E45/2025". Returns { causeType, causeNumber, causeYear } or null;
+     * causeType is the known prefix when one matches.
+     */
+    parseCauseNumber(text) {
+        const match = String(text || '').trim()
+            .match(/^(.+?)\s+(?:No\.?\s*)?(E?\d{1,6})\s*(?:of|\/)\s*(\d{4})$/i);
+        if (!match) return null;
+
+        const prefix = match[1].replace(/\s+/g, ' ').trim();
+        const known = Object.values(this.LEVELS)
+            .flatMap(level => level.causeTypes)
+            .find(type => type.toLowerCase() === prefix.toLowerCase());
+        return { causeType: known || prefix, causeNumber: match[2].toUpperCase(), causeYear: parseInt(match[3], 10) };
+    },
+
+    /**
+     * Display name for a court, e.g. "High Court - Commercial and Tax
+     * Division, Nairobi" or "Tax Appeals Tribunal, Nairobi"
+     */
+    courtLabel({ courtLevel, courtStation, courtDivision } = {}) {
+        const level = this.LEVELS[courtLevel];
+        if (!level) return '';
+        const court = courtLevel === 'TRIBUNAL'
+            ? courtDivision || level.name
+            : [level.name, courtDivision].filter(Boolean).join(' - ');
+        return [court, courtStation].filter(Boolean).join(', ');
+    },
+
+    /**
+     * Best-effort structured reference for a free-text court name such as
+     * "High Court - Commercial Division, Nairobi". Fields that cannot be
+     * recognised are left out.
+     */
+    parseCourtLabel(text) {
+        const lower = String(text || '').toLowerCase();
+        if (!lower.trim()) return {};
+
+        const ref = {};
+        const tribunal = this.LEVELS.TRIBUNAL.divisions.find(name => lower.includes(name.toLowerCase()));
+        if (tribunal) {
+            ref.courtLevel = 'TRIBUNAL';
+            ref.courtDivision = tribunal;
+        } else if (lower.includes('supreme court')) {
+            ref.courtLevel = 'SC';
+        } else if (lower.includes('court of appeal')) {
+            ref.courtLevel = 'COA';
+        } else if (lower.includes('environment and land') || /\belc\b/.test(lower)) {
+            ref.courtLevel = 'ELC';
+        } else if (lower.includes('employment and labour') || /\belrc\b/.test(lower)) {
+            ref.courtLevel = 'ELRC';
+        } else if (lower.includes('magistrate')) {
+            ref.courtLevel = 'MC';
+        } else if (lower.includes('high court') || lower.includes('anti-corruption')) {
+            ref.courtLevel = 'HC';
+        }
+
+        // "Commercial Division" -> "Commercial and Tax Division"
+        if (ref.courtLevel && !ref.courtDivision) {
+            const division = this.LEVELS[ref.courtLevel].divisions.find(name => {
+                const keyword = name.split(/[\s-]/)[0].toLowerCase();
+                return lower.includes(keyword);
+            });
+            if (division) ref.courtDivision = division;
+        }
+
+        const stations = this.stationsFor(ref.courtLevel);
+        const station = stations.find(name => new RegExp(`\\b${name.toLowerCase()}\\b`).test(lower));
+        if (station) ref.courtStation = station;
+        else if (ref.courtLevel && stations.length === 1) ref.courtStation = stations[0];
+        return ref;
+    },
+
+    /**
+     * Check a court reference. Returns a list of error messages; empty when
+     * it is valid. Every field is optional until a court level is chosen;
+     * a cause number needs its type, number and year together.
+     */
+    validate(ref) {
+        const errors = [];
+        const filled = field => ref[field] !== undefined && ref[field] !== null && ref[field] !== '';
+        const level = this.LEVELS[ref.courtLevel];
+
+        if (!filled('courtLevel')) {
+            if (this.FIELDS.some(filled)) errors.push('Choose a court level');
+            return errors;
+        }
+        if (!level) return [`Unknown court level: ${ref.courtLevel}`];
+
+        if (!filled('courtStation')) errors.push('Choose a court station');
+        else if (!this.stationsFor(ref.courtLevel).includes(ref.courtStation)) {
+            errors.push(`The ${level.name} does not sit at ${ref.courtStation}`);
+        }
+
+        if (filled('courtDivision') && !level.divisions.includes(ref.courtDivision)) {
+            errors.push(`Unknown division for the ${level.name}: ${ref.courtDivision}`);
+        }
+        if (ref.courtLevel === 'TRIBUNAL' && !filled('courtDivision')) errors.push('Choose the tribunal');
+
+        const causeFields = ['causeType', 'causeNumber', 'causeYear'];
+        if (causeFields.some(filled)) {
+            if (!causeFields.every(filled)) {
+                errors.push('A cause number needs its type, number and year');
+            } else {
+                if (!level.causeTypes.includes(ref.causeType)) {
+                    errors.push(`${ref.causeType} is not a ${level.name} cause type`);
+                }
+                if (!this.CAUSE_NUMBER.test(String(ref.causeNumber))) {
+                    errors.push('The cause number must be digits, optionally prefixed with E (e.g. 123 or E123)');
+                }
+                const year = Number(ref.causeYear);
+                if (!Number.isInteger(year) || year < 1900 || year > new Date().getFullYear() + 1) {
+                    errors.push('Invalid cause year');
+                }
+            }
+        }
+        return errors;
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackCourts;
+}
@@ -12,27 +12,64 @@ const CaseTrackDB = {
         DEADLINES: 'casetrack_deadlines',
         ALERTS: 'casetrack_alerts',
         USERS: 'casetrack_users',
-        SETTINGS: 'casetrack_settings'
+        ALERT_RULES: 'casetrack_alert_rules',
+        COURT_HOLIDAYS: 'casetrack_court_holidays',
+        SETTINGS: 'casetrack_settings',
+        SYNC_CURSOR: 'casetrack_sync_cursor'
     },
 
+    // Tables kept in step through GET /api/sync: local store and record key
+    SYNC_TABLES: {
+        files: { store: 'FILES', idKey: 'fileId' },
+        movements: { store: 'MOVEMENTS', idKey: 'movementId' },
+        deadlines: { store: 'DEADLINES', idKey: 'deadlineId' },
+        alerts: { store: 'ALERTS', idKey: 'alertId' },
+        users: { store: 'USERS', idKey: 'userId' }
+    },
+
+    /**
+     * Send queued offline changes, then refresh local data from the server.
+     * Changes still waiting to be sent are re-applied on top, so a failed
+     * replay never loses them.
+     */
     async syncWithBackend() {
         if (!APIClient.isEnabled) return;
+        await this.replayOutbox();
+        return this.fetchFromBackend();
+    },
 
+    /**
+     * Bring local data up to date with the server. Only records changed
+     * since the last sync are downloaded; `full` (or a different user
+     * signing in) replaces the local copy with a fresh snapshot.
+     */
+    async fetchFromBackend({ full = false } = {}) {
         try {
             console.log('Syncing with backend...');
-            const [files, movements, deadlines, alerts, users] = await Promise.all([
-                APIClient.getFiles(),
-                APIClient.getMovements(),
-                APIClient.getDeadlines(),
-                APIClient.getAlerts(),
-                APIClient.getUsers()
+            const userId = CaseTrackAuth.getCurrentUser()?.userId;
+            const saved = this.loadData(this.STORAGE_KEYS.SYNC_CURSOR);
+            const since = !full && saved && saved.userId === userId ? saved.cursor : 0;
+
+            const [delta, alertRules, courtCalendar] = await Promise.all([
+                APIClient.getChanges(since),
+                APIClient.getAlertRules(),
+                APIClient.getCourtCalendar()
             ]);
 
-            if (users) this.saveData(this.STORAGE_KEYS.USERS, users);
-            if (files) this.saveData(this.STORAGE_KEYS.FILES, files);
-            if (movements) this.saveData(this.STORAGE_KEYS.MOVEMENTS, movements);
-            if (deadlines) this.saveData(this.STORAGE_KEYS.DEADLINES, deadlines);
-            if (alerts) this.saveData(this.STORAGE_KEYS.ALERTS, alerts);
+            if (delta) {
+                const knownFileIds = new Set(this.getAllFiles().map(f => f.fileId));
+                this.applyDelta(delta);
+
+                // A file that has just become visible (e.g. newly assigned)
+                // brings its movement and deadline history with it
+                const gained = delta.full ? [] : delta.changes.files.map(f => f.fileId).filter(id => !knownFileIds.has(id));
+                if (gained.length) this.applyDelta(await APIClient.getChanges(0, gained));
+
+                this.saveData(this.STORAGE_KEYS.SYNC_CURSOR, { userId, cursor: delta.cursor });
+            }
+            if (alertRules) this.saveData(this.STORAGE_KEYS.ALERT_RULES, alertRules.rules);
+            if (courtCalendar) this.saveData(this.STORAGE_KEYS.COURT_HOLIDAYS, courtCalendar.gazetted);
+            await this.applyPendingChanges();
 
             console.log('Sync complete.');
             return true;
@@ -42,10 +79,75 @@ const CaseTrackDB = {
         }
     },
 
+    /**
+     * Apply a GET /api/sync response: a full snapshot replaces each local
+     * table, a delta upserts changed records and drops deleted ones. The
+     * deadlines of a file that is gone go with it, as do its movements
+     * unless they were to or from the current user.
+     */
+    applyDelta({ full, changes, deleted }) {
+        const userId = CaseTrackAuth.getCurrentUser()?.userId;
+        const goneFiles = new Set(deleted.files || []);
+        const cascade = {
+            deadlines: d => goneFiles.has(d.fileId),
+            movements: m => goneFiles.has(m.fileId) && m.fromCustodian !== userId && m.toCustodian !== userId
+        };
+
+        Object.entries(this.SYNC_TABLES).forEach(([table, { store, idKey }]) => {
+            const key = this.STORAGE_KEYS[store];
+            if (full) {
+                this.saveData(key, changes[table] || []);
+                return;
+            }
+
+            const gone = new Set(deleted[table] || []);
+            const records = new Map();
+            (this.loadData(key) || [])
+                .filter(r => !gone.has(r[idKey]) && !(cascade[table] && cascade[table](r)))
+                .forEach(r => records.set(r[idKey], r));
+            (changes[table] || []).forEach(r => records.set(r[idKey], r));
+            this.saveData(key, [...records.values()]);
+        });
+    },
+
+    /**
+     * Apply the records a real-time event carries (see realtime-events.js)
+     * as a one-event delta. An event about a file that arrives without it
+     * means the user can no longer see the file. Changes still waiting to
+     * be sent stay on top.
+     */
+    async applyEvent(event) {
+        const spec = CaseTrackEvents.TYPES[event.type];
+        if (!spec) return;
+
+        const changes = {};
+        const deleted = {};
+        (spec.records || []).forEach(field => {
+            const table = CaseTrackEvents.RECORD_TABLES[field];
+            let record = event[field];
+            if (!record) {
+                if (field === 'file' && event.fileId) deleted.files = [event.fileId];
+                return;
+            }
+            // Alerts from the server omit the per-user read state
+            if (table === 'alerts') record = { read: false, dismissed: false, createdAt: record.timestamp, ...record };
+            changes[table] = [record];
+        });
+        if (spec.removes) {
+            const table = CaseTrackEvents.RECORD_TABLES[spec.removes];
+            const id = event[this.SYNC_TABLES[table].idKey];
+            if (id) deleted[table] = [id];
+        }
+
+        this.applyDelta({ full: false, changes, deleted });
+        await this.applyPendingChanges();
+    },
+
     // ==========================================
     // FILE OPERATIONS
     // ==========================================
 
+    // Local-only file IDs, for when there is no server (which assigns them)
     generateFileId() {
         const year = new Date().getFullYear();
         const files = this.getAllFiles();
@@ -55,23 +157,30 @@ const CaseTrackDB = {
     },
 
     async createFile(fileData) {
-        const fileId = this.generateFileId();
         const newFileData = {
             ...fileData,
-            fileId,
             status: 'Active',
             currentCustodian: fileData.currentCustodian,
             createdAt: new Date().toISOString()
         };
 
-        // Save locally first for responsiveness
+        // The server can refuse (e.g. an uncleared conflict check), so it
+        // registers the file, and assigns its ID, before it is saved locally
+        const registered = await APIClient.registerFile(newFileData);
+        if (registered) {
+            newFileData.fileId = registered.fileId;
+            newFileData.clientId = registered.clientId;
+            newFileData.clientName = registered.clientName;
+        } else {
+            newFileData.fileId = this.generateFileId();
+        }
+        const { fileId } = newFileData;
+
         const files = this.getAllFiles();
         files.push(newFileData);
         this.saveData(this.STORAGE_KEYS.FILES, files);
 
-        // Save to backend
         try {
-            await APIClient.registerFile(newFileData);
             // After register, also log the initial movement on backend
             await APIClient.logMovement({
                 fileId: fileId,
@@ -81,21 +190,63 @@ const CaseTrackDB = {
                 notes: 'File registered in the system'
             });
         } catch (error) {
-            console.error('Failed to sync new file to backend:', error);
+            console.error('Failed to log initial movement:', error);
         }
 
         return newFileData;
     },
 
     async updateFile(fileId, updates) {
+        const file = this.getFile(fileId);
+        if (!file) return null;
+
+        await this.queueMutation({
+            label: `Update ${fileId}: ${Object.keys(updates).join(', ')}`,
+            recordKey: `file:${fileId}`,
+            method: 'PATCH',
+            endpoint: `/files/${fileId}`,
+            body: updates,
+            baseVersion: file.version,
+            changes: [{ store: 'FILES', idKey: 'fileId', id: fileId, updates }]
+        });
+
+        return this.getFile(fileId);
+    },
+
+    // The server records the audit movement for the status change
+    async changeFileStatus(fileId, status, notes = '') {
+        const file = this.getFile(fileId);
+        if (!file) return null;
+
+        await this.queueMutation({
+            label: `Mark ${fileId} ${status}`,
+            recordKey: `file:${fileId}`,
+            method: 'POST',
+            endpoint: `/files/${fileId}/status`,
+            body: { status, notes },
+            baseVersion: file.version,
+            changes: [{
+                store: 'FILES',
+                idKey: 'fileId',
+                id: fileId,
+                updates: { status, dateClosed: status === 'Closed' ? new Date().toISOString() : null }
+            }]
+        });
+
+        return this.getFile(fileId);
+    },
+
+    /**
+     * Apply updates to the local copy only (e.g. custodian changes that the
+     * server derives from a logged movement)
+     */
+    updateLocalFile(fileId, updates) {
         const files = this.getAllFiles();
         const index = files.findIndex(f => f.fileId === fileId);
         if (index === -1) return null;
 
         files[index] = { ...files[index], ...updates, updatedAt: new Date().toISOString() };
         this.saveData(this.STORAGE_KEYS.FILES, files);
-
-        // In a full implementation, we'd have a PUT /api/files/:id
         return files[index];
     },
 
@@ -142,45 +293,43 @@ const CaseTrackDB = {
             notes: movementData.notes || ''
         };
 
-        // Save locally
-        const movements = this.getAllMovements();
-        movements.push(newMovement);
-        this.saveData(this.STORAGE_KEYS.MOVEMENTS, movements);
-
-        // Update file custodian locally
-        this.updateFile(movementData.fileId, {
-            currentCustodian: movementData.toCustodian
+        // The transfer changes the file's custodian, so it is checked against
+        // the file's version
+        await this.queueMutation({
+            label: `Transfer ${movementData.fileId} to ${this.getUser(movementData.toCustodian)?.name || movementData.toCustodian}`,
+            recordKey: `file:${movementData.fileId}`,
+            method: 'POST',
+            endpoint: '/movements',
+            body: newMovement,
+            baseVersion: this.getFile(movementData.fileId)?.version,
+            changes: [
+                { store: 'MOVEMENTS', idKey: 'movementId', id: newMovement.movementId, updates: newMovement, create: true },
+                { store: 'FILES', idKey: 'fileId', id: movementData.fileId, updates: { currentCustodian: movementData.toCustodian } }
+            ]
         });
 
-        // Save to backend
-        try {
-            await APIClient.logMovement(newMovement);
-        } catch (error) {
-            console.error('Failed to sync movement to backend:', error);
-        }
-
         return newMovement;
     },
 
     async acknowledgeMovement(movementId, userId) {
-        const movements = this.getAllMovements();
-        const index = movements.findIndex(m => m.movementId === movementId);
-        if (index === -1) return null;
-
-        movements[index].acknowledged = true;
-        movements[index].acknowledgedAt = new Date().toISOString();
-        movements[index].acknowledgedBy = userId;
-
-        this.saveData(this.STORAGE_KEYS.MOVEMENTS, movements);
-
-        // Save to backend
-        try {
-            await APIClient.acknowledgeMovement(movementId);
-        } catch (error) {
-            console.error('Failed to sync acknowledgment to backend:', error);
-        }
+        const movement = this.getAllMovements().find(m => m.movementId === movementId);
+        if (!movement) return null;
+
+        // Acknowledging twice is harmless, so no version check
+        await this.queueMutation({
+            label: `Acknowledge receipt of ${movement.fileId}`,
+            recordKey: `movement:${movementId}`,
+            method: 'POST',
+            endpoint: `/movements/${movementId}/acknowledge`,
+            changes: [{
+                store: 'MOVEMENTS',
+                idKey: 'movementId',
+                id: movementId,
+                updates: { acknowledged: true, acknowledgedAt: new Date().toISOString(), acknowledgedBy: userId }
+            }]
+        });
 
-        return movements[index];
+        return this.getAllMovements().find(m => m.movementId === movementId);
     },
 
     // ... (rest of the movement methods remain same)
@@ -193,23 +342,23 @@ const CaseTrackDB = {
         return this.getAllDeadlines().filter(d => d.fileId === fileId);
     },
 
+    /**
+     * Pending deadlines due within the next `days` court days (weekends and
+     * public holidays do not count), including today's
+     */
     getUpcomingDeadlines(days = 7) {
-        const now = new Date();
-        const limit = new Date();
-        limit.setDate(limit.getDate() + days);
-
+        const gazetted = this.getCourtHolidays();
         return this.getAllDeadlines().filter(d => {
-            const dueDate = new Date(d.dueDate);
-            return d.status === 'Pending' && dueDate >= now && dueDate <= limit;
+            if (d.status !== 'Pending') return false;
+            const courtDays = CaseTrackCalendar.courtDaysUntil(d.dueDate, new Date(), gazetted);
+            return courtDays >= 0 && courtDays <= days;
         });
     },
 
+    // Overdue from the day after the due date, matching the court-day countdown
     getOverdueDeadlines() {
-        const now = new Date();
-        return this.getAllDeadlines().filter(d => {
-            const dueDate = new Date(d.dueDate);
-            return d.status === 'Pending' && dueDate < now;
-        });
+        const today = CaseTrackCalendar.toKey(new Date());
+        return this.getAllDeadlines().filter(d => d.status === 'Pending' && CaseTrackCalendar.toKey(d.dueDate) < today);
     },
 
     // ==========================================
@@ -227,21 +376,320 @@ const CaseTrackDB = {
             createdAt: new Date().toISOString()
         };
 
+        await this.queueMutation({
+            label: `Add ${newDeadline.type} on ${newDeadline.fileId} due ${newDeadline.dueDate}`,
+            recordKey: `deadline:${newDeadline.deadlineId}`,
+            method: 'POST',
+            endpoint: '/deadlines',
+            body: newDeadline,
+            changes: [{ store: 'DEADLINES', idKey: 'deadlineId', id: newDeadline.deadlineId, updates: newDeadline, create: true }]
+        });
+
+        return this.getDeadline(newDeadline.deadlineId) || newDeadline;
+    },
+
+    getDeadline(deadlineId) {
+        return this.getAllDeadlines().find(d => d.deadlineId === deadlineId) || null;
+    },
+
+    updateLocalDeadline(deadlineId, updates) {
         const deadlines = this.getAllDeadlines();
-        deadlines.push(newDeadline);
+        const index = deadlines.findIndex(d => d.deadlineId === deadlineId);
+        if (index === -1) return null;
+
+        deadlines[index] = { ...deadlines[index], ...updates, updatedAt: new Date().toISOString() };
         this.saveData(this.STORAGE_KEYS.DEADLINES, deadlines);
+        return deadlines[index];
+    },
+
+    /**
+     * Apply a lifecycle change locally and queue it for the server. The
+     * server's copy (which carries who/when) replaces the local one once
+     * it is sent.
+     */
+    async transitionDeadline(deadlineId, localUpdates, { action, body }) {
+        const deadline = this.getDeadline(deadlineId);
+        if (!deadline) return null;
+
+        await this.queueMutation({
+            label: `${action[0].toUpperCase()}${action.slice(1)} ${deadline.type} on ${deadline.fileId}`,
+            recordKey: `deadline:${deadlineId}`,
+            method: 'POST',
+            endpoint: `/deadlines/${deadlineId}/${action}`,
+            body,
+            baseVersion: deadline.version,
+            changes: [{ store: 'DEADLINES', idKey: 'deadlineId', id: deadlineId, updates: localUpdates }]
+        });
+
+        return this.getDeadline(deadlineId);
+    },
+
+    async completeDeadline(deadlineId, userId, notes = '') {
+        return this.transitionDeadline(deadlineId, {
+            status: 'Completed',
+            completedAt: new Date().toISOString(),
+            completedBy: userId
+        }, { action: 'complete', body: { notes } });
+    },
+
+    async reopenDeadline(deadlineId, reason = '') {
+        return this.transitionDeadline(deadlineId, {
+            status: 'Pending',
+            completedAt: null,
+            completedBy: null,
+            cancelledAt: null,
+            cancelledBy: null,
+            cancelReason: null
+        }, { action: 'reopen', body: { reason } });
+    },
+
+    async rescheduleDeadline(deadlineId, dueDate, reason) {
+        const existing = this.getDeadline(deadlineId);
+        if (!existing) return null;
+
+        return this.transitionDeadline(deadlineId, {
+            dueDate,
+            previousDueDate: existing.dueDate
+        }, { action: 'reschedule', body: { dueDate, reason } });
+    },
+
+    async cancelDeadline(deadlineId, userId, reason) {
+        return this.transitionDeadline(deadlineId, {
+            status: 'Cancelled',
+            cancelledAt: new Date().toISOString(),
+            cancelledBy: userId,
+            cancelReason: reason
+        }, { action: 'cancel', body: { reason } });
+    },
+
+    async deleteDeadline(deadlineId) {
+        const deadlines = this.getAllDeadlines();
+        if (!deadlines.some(d => d.deadlineId === deadlineId)) return false;
 
-        // Save to backend
         try {
-            await APIClient.addDeadline(newDeadline);
+            await APIClient.deleteDeadline(deadlineId);
         } catch (error) {
-            console.error('Failed to sync deadline to backend:', error);
+            console.error('Failed to delete deadline on backend:', error);
+            return false;
         }
 
-        return newDeadline;
+        this.saveData(this.STORAGE_KEYS.DEADLINES, deadlines.filter(d => d.deadlineId !== deadlineId));
+        return true;
     },
 
-    // ... (rest of the deadline methods remain same)
+    // ==========================================
+    // OFFLINE OUTBOX
+    // ==========================================
+
+    // Changes are applied locally at once and queued in CaseTrackOutbox
+    // until the server accepts them. Each carries the version of the record
+    // it was made to (baseVersion); the server refuses it as a conflict if
+    // the record has changed since. Changes to a record are sent in order,
+    // and a conflicted or rejected change holds back later ones to the same
+    // record until the user resolves it.
+
+    /**
+     * Queue a change and try to send it straight away. `changes` are its
+     * local edits ({ store, idKey, id, updates, create }), re-applied over
+     * server data until it is sent. Resolves to the outbox entry (still
+     * pending when offline); throws when the server refuses it - a
+     * rejected change is dropped, a conflicted one kept for review.
+     */
+    async queueMutation({ label, recordKey, method, endpoint, body = null, baseVersion, changes = [] }) {
+        this.lastMutationSeq = Math.max(Date.now(), (this.lastMutationSeq || 0) + 1);
+        const entry = await CaseTrackOutbox.put({
+            mutationId: `MUT-${this.lastMutationSeq}-${Math.random().toString(36).slice(2, 8)}`,
+            seq: this.lastMutationSeq,
+            userId: CaseTrackAuth.getCurrentUser()?.userId,
+            label,
+            recordKey,
+            method,
+            endpoint,
+            body,
+            baseVersion: baseVersion ?? null,
+            changes,
+            status: 'pending',
+            error: null,
+            current: null,
+            createdAt: new Date().toISOString()
+        });
+        this.applyChanges(changes);
+
+        const outcome = (await this.replayOutbox()).get(entry.mutationId);
+        if (outcome && outcome.status === 'failed') {
+            await CaseTrackOutbox.remove(entry.mutationId);
+            this.notifyOutboxChanged();
+            throw new Error(outcome.error);
+        }
+        if (outcome && outcome.status === 'conflict') {
+            throw new Error(`${outcome.error}. Your change is kept under Unsynced Changes.`);
+        }
+        return outcome || entry;
+    },
+
+    /**
+     * Send the current user's pending changes in order. Runs one at a time;
+     * resolves to a Map of mutationId -> outcome for the changes it tried.
+     */
+    replayOutbox() {
+        this.replaying = (this.replaying || Promise.resolve())
+            .then(() => this.drainOutbox())
+            .catch(error => {
+                console.error('Outbox replay failed:', error);
+                return new Map();
+            });
+        return this.replaying;
+    },
+
+    async drainOutbox() {
+        const outcomes = new Map();
+        const entries = await this.getOutbox();
+        const held = new Set(entries.filter(e => e.status !== 'pending').map(e => e.recordKey));
+
+        // Changes the service worker sent and had refused while no page was
+        // open are still in the local copy
+        const refusedInBackground = entries.filter(e => e.refusedInBackground);
+        for (const entry of refusedInBackground) {
+            await CaseTrackOutbox.put({ ...entry, refusedInBackground: false });
+        }
+        let refused = refusedInBackground.length > 0;
+
+        for (const { mutationId } of entries.filter(e => e.status === 'pending')) {
+            // Re-read: an earlier send may have moved its baseVersion on
+            const entry = await CaseTrackOutbox.get(mutationId);
+            if (!entry || held.has(entry.recordKey)) continue;
+
+            let result;
+            try {
+                result = await APIClient.sendMutation({ ...entry, body: { ...entry.body, baseVersion: entry.baseVersion ?? undefined } });
+            } catch (error) {
+                // Offline or a server fault: stop here and try again later
+                if (!error.status || error.status >= 500) break;
+
+                const conflict = Boolean(error.body && error.body.conflict);
+                Object.assign(entry, {
+                    status: conflict ? 'conflict' : 'failed',
+                    error: error.message,
+                    current: conflict ? error.body.current : null
+                });
+                await CaseTrackOutbox.put(entry);
+                held.add(entry.recordKey);
+                outcomes.set(entry.mutationId, entry);
+                refused = true;
+                continue;
+            }
+
+            await CaseTrackOutbox.remove(entry.mutationId);
+            await this.applyMutationResult(entry, result);
+            outcomes.set(entry.mutationId, { ...entry, status: 'sent', result });
+        }
+
+        // A refused change comes off the local copy: refetch all of the
+        // server's data, as the records it touched may not have changed
+        // there (pending changes are re-applied on top)
+        if (refused) await this.fetchFromBackend({ full: true });
+        else await this.applyPendingChanges();
+        this.notifyOutboxChanged();
+
+        // Still offline: the service worker sends them when the connection
+        // returns, even if the page has been closed
+        const waiting = (await this.getOutbox()).some(e => e.status === 'pending');
+        if (waiting && typeof CaseTrackPWA !== 'undefined') {
+            CaseTrackPWA.requestOutboxSync(CaseTrackAuth.getCurrentUser()?.userId);
+        }
+        return outcomes;
+    },
+
+    /**
+     * Take the server's copy of the record a change was sent for, and move
+     * later changes made to the same version on to the new one
+     */
+    async applyMutationResult(entry, result) {
+        // A record created offline takes the ID the server gave it
+        const serverId = await CaseTrackOutbox.adoptServerId(entry, result);
+        if (serverId) {
+            const created = entry.changes.find(change => change.create);
+            this.renameLocalRecord(created.store, created.idKey, created.id, serverId);
+        }
+        if (result && result.file) this.updateLocalFile(result.file.fileId, result.file);
+        if (result && result.deadline) this.updateLocalDeadline(result.deadline.deadlineId, result.deadline);
+
+        const record = result && (result.file || result.deadline);
+        if (!record || record.version === undefined) return;
+        for (const later of await this.getOutbox()) {
+            if (later.status === 'pending' && later.recordKey === entry.recordKey && later.baseVersion === entry.baseVersion) {
+                await CaseTrackOutbox.put({ ...later, baseVersion: record.version });
+            }
+        }
+    },
+
+    renameLocalRecord(store, idKey, fromId, toId) {
+        const key = this.STORAGE_KEYS[store];
+        const records = this.loadData(key) || [];
+        // The server's copy may already have arrived by sync
+        const renamed = records.some(r => r[idKey] === toId)
+            ? records.filter(r => r[idKey] !== fromId)
+            : records.map(r => (r[idKey] === fromId ? { ...r, [idKey]: toId } : r));
+        this.saveData(key, renamed);
+    },
+
+    applyChanges(changes) {
+        changes.forEach(({ store, idKey, id, updates, create }) => {
+            const key = this.STORAGE_KEYS[store];
+            const records = this.loadData(key) || [];
+            const index = records.findIndex(r => r[idKey] === id);
+            if (index !== -1) records[index] = { ...records[index], ...updates };
+            else if (create) records.push(updates);
+            else return;
+            this.saveData(key, records);
+        });
+    },
+
+    // Re-apply changes not yet sent over freshly loaded server data
+    async applyPendingChanges() {
+        (await this.getOutbox())
+            .filter(entry => entry.status === 'pending')
+            .forEach(entry => this.applyChanges(entry.changes));
+    },
+
+    /**
+     * The current user's queued changes, oldest first
+     */
+    async getOutbox() {
+        const userId = typeof CaseTrackAuth !== 'undefined' ? CaseTrackAuth.getCurrentUser()?.userId : null;
+        if (!userId) return [];
+        return (await CaseTrackOutbox.list()).filter(entry => entry.userId === userId);
+    },
+
+    /**
+     * Resolve a conflict by sending the change again over the server's
+     * current version (later changes to the record follow it)
+     */
+    async keepOutboxChange(mutationId) {
+        const entry = await CaseTrackOutbox.get(mutationId);
+        if (!entry || entry.status !== 'conflict') return;
+
+        const version = entry.current ? entry.current.version : null;
+        for (const other of await this.getOutbox()) {
+            if (other.recordKey !== entry.recordKey) continue;
+            if (other.mutationId === mutationId || (other.status === 'pending' && other.baseVersion === entry.baseVersion)) {
+                await CaseTrackOutbox.put({ ...other, baseVersion: version, status: 'pending', error: null, current: null });
+            }
+        }
+        await this.syncWithBackend();
+    },
+
+    /**
+     * Drop a queued change; the server's copy of the record is restored
+     */
+    async discardOutboxChange(mutationId) {
+        await CaseTrackOutbox.remove(mutationId);
+        await this.syncWithBackend();
+    },
+
+    notifyOutboxChanged() {
+        if (typeof caseTrack !== 'undefined') caseTrack.updateSyncStatus();
+    },
 
     // ==========================================
     // ALERT OPERATIONS
@@ -256,16 +704,32 @@ const CaseTrackDB = {
         alerts[index].readAt = new Date().toISOString();
         this.saveData(this.STORAGE_KEYS.ALERTS, alerts);
 
-        // In a full implementation, we'd have a POST /api/alerts/:id/read
+        // Read state is per user on the server
+        try {
+            await APIClient.markAlertRead(alertId);
+        } catch (error) {
+            console.error('Failed to sync alert read state to backend:', error);
+        }
+
         return alerts[index];
     },
 
-    // ... (rest of the alert methods remain same)
-
-    // ... (rest of the file follows)
+    async markAlertsRead(alertIds) {
+        const ids = new Set(alertIds);
+        const now = new Date().toISOString();
+        const alerts = this.getAllAlerts().map(a =>
+            ids.has(a.alertId) && !a.read ? { ...a, read: true, readAt: now } : a
+        );
+        this.saveData(this.STORAGE_KEYS.ALERTS, alerts);
 
+        try {
+            await APIClient.markAlertsRead(alertIds);
+        } catch (error) {
+            console.error('Failed to sync alert read state to backend:', error);
+        }
+    },
 
-    dismissAlert(alertId) {
+    async dismissAlert(alertId) {
         const alerts = this.getAllAlerts();
         const index = alerts.findIndex(a => a.alertId === alertId);
         if (index === -1) return null;
@@ -273,6 +737,13 @@ const CaseTrackDB = {
         alerts[index].dismissed = true;
         alerts[index].dismissedAt = new Date().toISOString();
         this.saveData(this.STORAGE_KEYS.ALERTS, alerts);
+
+        try {
+            await APIClient.dismissAlert(alertId);
+        } catch (error) {
+            console.error('Failed to sync alert dismissal to backend:', error);
+        }
+
         return alerts[index];
     },
 
@@ -292,6 +763,27 @@ const CaseTrackDB = {
         return this.getActiveAlerts(userId).filter(a => !a.read).length;
     },
 
+    /**
+     * The firm's alert rules as last synced, with defaults filled in
+     */
+    getAlertRules() {
+        return CaseTrackAlertRules.withDefaults(this.loadData(this.STORAGE_KEYS.ALERT_RULES));
+    },
+
+    async updateAlertRules(rules) {
+        const result = await APIClient.updateAlertRules(rules);
+        if (result && result.rules) this.saveData(this.STORAGE_KEYS.ALERT_RULES, result.rules);
+        return this.getAlertRules();
+    },
+
+    /**
+     * The firm's gazetted holidays as last synced (statutory holidays come
+     * from CaseTrackCalendar)
+     */
+    getCourtHolidays() {
+        return this.loadData(this.STORAGE_KEYS.COURT_HOLIDAYS) || [];
+    },
+
     // ==========================================
     // PRACTICE AREAS
     // ==========================================
@@ -340,6 +832,23 @@ const CaseTrackDB = {
         'Other'
     ],
 
+    // What raised an alert (AlertEngine.getAlertIcon has one for each)
+    ALERT_TYPES: [
+        'deadline_overdue',
+        'deadline_upcoming',
+        'deadline_non_court_day',
+        'limitation_approaching',
+        'limitation_expired',
+        'file_overdue_at_custodian',
+        'file_location_warning',
+        'movement_unacknowledged',
+        'missing_digital_link',
+        'file_request',
+        'escalation'
+    ],
+
+    ALERT_SEVERITIES: ['critical', 'warning', 'info'],
+
     // ==========================================
     // USER OPERATIONS
     // ==========================================
@@ -357,9 +866,8 @@ const CaseTrackDB = {
     },
 
     async createUser(userData) {
-        const userId = userData.userId || `USR-${Math.floor(100 + Math.random() * 899)}`;
         const newUser = {
-            userId,
+            userId: userData.userId || `USR-${Math.floor(100 + Math.random() * 899)}`,
             name: userData.name,
             role: userData.role,
             email: userData.email || '',
@@ -367,22 +875,23 @@ const CaseTrackDB = {
             active: 1
         };
 
-        const users = this.getAllUsers();
-        // Check if user already exists
-        if (!users.find(u => u.userId === userId || u.email === newUser.email)) {
-            users.push(newUser);
-            this.saveData(this.STORAGE_KEYS.USERS, users);
-        }
-
-        // Try to sync with backend if possible
+        // The server assigns the ID when there is one
         try {
             if (APIClient.isEnabled) {
-                await APIClient.registerUser(newUser);
+                const registered = await APIClient.registerUser(newUser);
+                if (registered) newUser.userId = registered.userId;
             }
         } catch (e) {
             console.warn('Backend user registration failed (probably already exists):', e.message);
         }
 
+        const users = this.getAllUsers();
+        // Check if user already exists
+        if (!users.find(u => u.userId === newUser.userId || u.email === newUser.email)) {
+            users.push(newUser);
+            this.saveData(this.STORAGE_KEYS.USERS, users);
+        }
+
         return newUser;
     },
 
@@ -485,7 +994,12 @@ const CaseTrackDB = {
         return report.filter(r => r.fileCount > 0).sort((a, b) => b.fileCount - a.fileCount);
     },
 
-    getBottleneckReport(thresholdDays = 7) {
+    /**
+     * Files held without movement. Thresholds come from the firm's alert
+     * rules for each file's practice area unless thresholdDays is given.
+     */
+    getBottleneckReport(thresholdDays = null) {
+        const rules = this.getAlertRules();
         const files = this.getAllFiles();
         const movements = this.getAllMovements();
         const now = new Date();
@@ -501,14 +1015,16 @@ const CaseTrackDB = {
                 const daysHeld = Math.round(
                     (now - new Date(lastMovement.timestamp)) / (1000 * 60 * 60 * 24)
                 );
+                const thresholds = CaseTrackAlertRules.holdingThresholdsFor(rules, file.practiceArea);
 
-                if (daysHeld >= thresholdDays) {
+                if (daysHeld >= (thresholdDays ?? thresholds.overdueThresholdDays)) {
                     bottlenecks.push({
                         file,
                         currentCustodian: file.currentCustodian,
                         lastMovement,
                         daysHeld,
-                        riskLevel: daysHeld >= 14 ? 'high' : daysHeld >= 7 ? 'medium' : 'low'
+                        riskLevel: daysHeld >= thresholds.escalationThresholdDays ? 'high'
+                            : daysHeld >= thresholds.overdueThresholdDays ? 'medium' : 'low'
                     });
                 }
             }
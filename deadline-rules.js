@@ -0,0 +1,176 @@
+/**
+ * CaseTrack KE — Deadline Rules
+ * Per-firm rules that turn a procedural event logged on a file (summons
+ * served, judgment delivered, ...) into a chain of follow-on deadlines.
+ * Shared by the browser (event and admin screens) and the server, which
+ * computes the dates with CaseTrackCalendar.
+ */
+
+const CaseTrackDeadlineRules = {
+
+    // Events that start time running. Firms may add their own.
+    EVENT_TYPES: [
+        'Summons served',
+        'Defence served',
+        'Pleadings closed',
+        'Judgment delivered',
+        'Subordinate court judgment delivered',
+        'Conviction or sentence',
+        'Tax decision received',
+        'Procurement award notified'
+    ],
+
+    // A rule applies to an event type in one practice area, or in every
+    // area when practiceArea is null; an area's own rule wins. Each step
+    // runs `days` (counted per CaseTrackCalendar.MODES) from the event, or
+    // from an earlier step when `after` is that step's index.
+    DEFAULTS: [
+        {
+            eventType: 'Summons served',
+            practiceArea: null,
+            steps: [
+                { type: 'Filing Deadline', days: 15, mode: 'within', after: null, description: 'Enter appearance (Order 6; time stated in the summons)' },
+                { type: 'Filing Deadline', days: 14, mode: 'within', after: 0, description: 'File and serve defence (Order 7 rule 1)' }
+            ]
+        },
+        {
+            eventType: 'Defence served',
+            practiceArea: null,
+            steps: [
+                { type: 'Filing Deadline', days: 14, mode: 'within', after: null, description: 'File and serve reply to defence (Order 7 rule 17)' }
+            ]
+        },
+        {
+            eventType: 'Pleadings closed',
+            practiceArea: null,
+            steps: [
+                { type: 'Internal Deadline', days: 30, mode: 'within', after: null, description: 'Comply with pre-trial requirements and list for case conference (Order 11)' }
+            ]
+        },
+        {
+            eventType: 'Judgment delivered',
+            practiceArea: null,
+            steps: [
+                { type: 'Appeal Deadline', days: 14, mode: 'within', after: null, description: 'Lodge Notice of Appeal (Court of Appeal Rules, rule 77)' },
+                { type: 'Filing Deadline', days: 7, mode: 'within', after: 0, description: 'Serve Notice of Appeal on affected parties (rule 79)' },
+                { type: 'Appeal Deadline', days: 60, mode: 'within', after: 0, description: 'Lodge Record of Appeal (rule 84)' }
+            ]
+        },
+        {
+            eventType: 'Subordinate court judgment delivered',
+            practiceArea: null,
+            steps: [
+                { type: 'Appeal Deadline', days: 30, mode: 'within', after: null, description: 'File Memorandum of Appeal in the High Court (Civil Procedure Act, s. 79G)' }
+            ]
+        },
+        {
+            eventType: 'Conviction or sentence',
+            practiceArea: 'Criminal',
+            steps: [
+                { type: 'Appeal Deadline', days: 14, mode: 'within', after: null, description: 'File Petition of Appeal (Criminal Procedure Code, s. 349)' }
+            ]
+        },
+        {
+            eventType: 'Tax decision received',
+            practiceArea: 'Tax',
+            steps: [
+                { type: 'Appeal Deadline', days: 30, mode: 'within', after: null, description: 'Lodge Notice of Appeal with the Tax Appeals Tribunal (TAT Act, s. 13(1))' },
+                { type: 'Filing Deadline', days: 14, mode: 'within', after: 0, description: 'Submit Memorandum of Appeal, Statement of Facts and the decision (TAT Act, s. 13(2))' }
+            ]
+        },
+        {
+            eventType: 'Procurement award notified',
+            practiceArea: 'Public Procurement',
+            steps: [
+                { type: 'Filing Deadline', days: 14, mode: 'within', after: null, description: 'File Request for Review with the Review Board (PPADA, s. 167(1))' }
+            ]
+        }
+    ],
+
+    /**
+     * The firm's saved rules, or the defaults when it has none
+     */
+    withDefaults(rules) {
+        return Array.isArray(rules) ? rules : this.DEFAULTS;
+    },
+
+    /**
+     * The rule for an event on a file in a practice area, or null
+     */
+    ruleFor(rules, eventType, practiceArea) {
+        const resolved = this.withDefaults(rules).filter(rule => rule.eventType === eventType);
+        return resolved.find(rule => rule.practiceArea === practiceArea)
+            || resolved.find(rule => !rule.practiceArea)
+            || null;
+    },
+
+    /**
+     * Event types with a rule for a practice area, in rule order
+     */
+    eventTypesFor(rules, practiceArea) {
+        const types = this.withDefaults(rules)
+            .filter(rule => !rule.practiceArea || rule.practiceArea === practiceArea)
+            .map(rule => rule.eventType);
+        return [...new Set(types)];
+    },
+
+    /**
+     * "14 days from the event", "7 clear days from step 1"
+     */
+    describeStep(step) {
+        const count = { within: 'days', clear: 'clear days', court: 'court days' }[step.mode] || 'days';
+        const origin = step.after === null || step.after === undefined ? 'the event' : `step ${step.after + 1}`;
+        return `${step.days} ${count} ${step.before ? 'before' : 'from'} ${origin}`;
+    },
+
+    /**
+     * Check a rule set before saving. Returns a list of error messages;
+     * empty when the rules are valid.
+     */
+    validate(rules, { deadlineTypes = [], practiceAreas = [], modes = [] } = {}) {
+        if (!Array.isArray(rules)) return ['Deadline rules must be a list'];
+        if (rules.length > 100) return ['A firm can have at most 100 deadline rules'];
+
+        const errors = [];
+        const seen = new Set();
+        rules.forEach((rule, i) => {
+            const label = `Rule ${i + 1}`;
+            if (!rule || typeof rule !== 'object') return errors.push(`${label} must be an object`);
+
+            const eventType = typeof rule.eventType === 'string' ? rule.eventType.trim() : '';
+            if (!eventType || eventType.length > 100) errors.push(`${label} needs an event type of up to 100 characters`);
+            if (rule.practiceArea && !practiceAreas.includes(rule.practiceArea)) {
+                errors.push(`${label}: unknown practice area ${rule.practiceArea}`);
+            }
+            const key = `${eventType.toLowerCase()}|${rule.practiceArea || ''}`;
+            if (seen.has(key)) errors.push(`${label} repeats the rule for "${eventType}" in ${rule.practiceArea || 'all practice areas'}`);
+            seen.add(key);
+
+            if (!Array.isArray(rule.steps) || rule.steps.length === 0 || rule.steps.length > 10) {
+                return errors.push(`${label} needs between 1 and 10 steps`);
+            }
+            rule.steps.forEach((step, j) => {
+                const stepLabel = `${label}, step ${j + 1}`;
+                if (!step || typeof step !== 'object') return errors.push(`${stepLabel} must be an object`);
+                if (!deadlineTypes.includes(step.type)) errors.push(`${stepLabel}: unknown deadline type ${step.type}`);
+                if (!(Number.isInteger(step.days) && step.days >= 0 && step.days <= 3650)) {
+                    errors.push(`${stepLabel}: days must be a whole number up to 3650`);
+                }
+                if (!modes.includes(step.mode)) errors.push(`${stepLabel}: unknown counting mode ${step.mode}`);
+                if (step.after !== null && step.after !== undefined && !(Number.isInteger(step.after) && step.after >= 0 && step.after < j)) {
+                    errors.push(`${stepLabel} can only follow an earlier step`);
+                }
+                if ('before' in step && typeof step.before !== 'boolean') errors.push(`${stepLabel}: before must be true or false`);
+                if (typeof step.description !== 'string' || !step.description.trim() || step.description.length > 200) {
+                    errors.push(`${stepLabel} needs a description of up to 200 characters`);
+                }
+            });
+        });
+        return errors;
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackDeadlineRules;
+}
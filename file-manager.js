@@ -35,11 +35,11 @@ const FileManager = {
     /**
      * Update file metadata
      */
-    updateFile(fileId, updates) {
+    async updateFile(fileId, updates) {
         try {
             CaseTrackAuth.requirePermission('updateFileStatus', 'update file information');
 
-            const file = CaseTrackDB.updateFile(fileId, updates);
+            const file = await CaseTrackDB.updateFile(fileId, updates);
             if (!file) {
                 return { success: false, error: 'File not found' };
             }
@@ -53,7 +53,7 @@ const FileManager = {
     /**
      * Change file status
      */
-    changeStatus(fileId, newStatus, notes = '') {
+    async changeStatus(fileId, newStatus, notes = '') {
         try {
             CaseTrackAuth.requirePermission('updateFileStatus', 'change file status');
 
@@ -62,23 +62,12 @@ const FileManager = {
                 return { success: false, error: 'Invalid status' };
             }
 
-            const updates = { status: newStatus };
-            if (newStatus === 'Closed') {
-                updates.dateClosed = new Date().toISOString();
+            // Status change is logged in the movement log by the server
+            const file = await CaseTrackDB.changeFileStatus(fileId, newStatus, notes);
+            if (!file) {
+                return { success: false, error: 'File not found' };
             }
 
-            const file = CaseTrackDB.updateFile(fileId, updates);
-
-            // Log status change in movement log
-            CaseTrackDB.logMovement({
-                fileId,
-                fromCustodian: file.currentCustodian,
-                toCustodian: file.currentCustodian,
-                purpose: `Status Change: ${newStatus}`,
-                notes: notes || `File status changed to ${newStatus}`,
-                loggedBy: CaseTrackAuth.getCurrentUser()?.userId
-            });
-
             return { success: true, file };
         } catch (e) {
             return { success: false, error: e.message };
@@ -88,7 +77,7 @@ const FileManager = {
     /**
      * Link digital document to file
      */
-    linkDocument(fileId, documentInfo) {
+    async linkDocument(fileId, documentInfo) {
         try {
             CaseTrackAuth.requirePermission('uploadDocuments', 'link documents');
 
@@ -107,7 +96,7 @@ const FileManager = {
                 description: documentInfo.description || ''
             });
 
-            const updated = CaseTrackDB.updateFile(fileId, { linkedDigitalFiles: linkedFiles });
+            const updated = await CaseTrackDB.updateFile(fileId, { linkedDigitalFiles: linkedFiles });
             return { success: true, file: updated };
         } catch (e) {
             return { success: false, error: e.message };
@@ -117,7 +106,7 @@ const FileManager = {
     /**
      * Add deadline to file
      */
-    addDeadline(fileId, deadlineData) {
+    async addDeadline(fileId, deadlineData) {
         try {
             const file = CaseTrackDB.getFile(fileId);
             if (!file) {
@@ -128,7 +117,7 @@ const FileManager = {
                 return { success: false, error: 'Due date is required' };
             }
 
-            const deadline = CaseTrackDB.createDeadline({
+            const deadline = await CaseTrackDB.createDeadline({
                 fileId,
                 type: deadlineData.type || 'Other',
                 dueDate: deadlineData.dueDate,
@@ -145,19 +134,109 @@ const FileManager = {
     /**
      * Mark deadline as completed
      */
-    completeDeadline(deadlineId) {
+    async completeDeadline(deadlineId, notes = '') {
         try {
-            const deadline = CaseTrackDB.updateDeadline(deadlineId, {
-                status: 'Completed',
-                completedAt: new Date().toISOString(),
-                completedBy: CaseTrackAuth.getCurrentUser()?.userId
-            });
+            const deadline = CaseTrackDB.getDeadline(deadlineId);
+            if (!deadline) {
+                return { success: false, error: 'Deadline not found' };
+            }
+            if (deadline.status !== 'Pending') {
+                return { success: false, error: `Deadline is already ${deadline.status}` };
+            }
+
+            const updated = await CaseTrackDB.completeDeadline(
+                deadlineId, CaseTrackAuth.getCurrentUser()?.userId, notes
+            );
+            return { success: true, deadline: updated };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    },
 
+    /**
+     * Reopen a completed or cancelled deadline
+     */
+    async reopenDeadline(deadlineId, reason = '') {
+        try {
+            const deadline = CaseTrackDB.getDeadline(deadlineId);
             if (!deadline) {
                 return { success: false, error: 'Deadline not found' };
             }
+            if (deadline.status === 'Pending') {
+                return { success: false, error: 'Deadline is already pending' };
+            }
 
-            return { success: true, deadline };
+            const updated = await CaseTrackDB.reopenDeadline(deadlineId, reason);
+            return { success: true, deadline: updated };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    },
+
+    /**
+     * Move a pending deadline to a new date (the previous date is kept)
+     */
+    async rescheduleDeadline(deadlineId, newDueDate, reason) {
+        try {
+            const deadline = CaseTrackDB.getDeadline(deadlineId);
+            if (!deadline) {
+                return { success: false, error: 'Deadline not found' };
+            }
+            if (deadline.status !== 'Pending') {
+                return { success: false, error: 'Only pending deadlines can be rescheduled' };
+            }
+            if (!newDueDate || isNaN(new Date(newDueDate))) {
+                return { success: false, error: 'A valid new due date is required' };
+            }
+            if (!reason) {
+                return { success: false, error: 'A reason for rescheduling is required' };
+            }
+
+            const updated = await CaseTrackDB.rescheduleDeadline(deadlineId, newDueDate, reason);
+            return { success: true, deadline: updated };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    },
+
+    /**
+     * Cancel a pending deadline
+     */
+    async cancelDeadline(deadlineId, reason) {
+        try {
+            const deadline = CaseTrackDB.getDeadline(deadlineId);
+            if (!deadline) {
+                return { success: false, error: 'Deadline not found' };
+            }
+            if (deadline.status !== 'Pending') {
+                return { success: false, error: 'Only pending deadlines can be cancelled' };
+            }
+            if (!reason) {
+                return { success: false, error: 'A reason for cancelling is required' };
+            }
+
+            const updated = await CaseTrackDB.cancelDeadline(
+                deadlineId, CaseTrackAuth.getCurrentUser()?.userId, reason
+            );
+            return { success: true, deadline: updated };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    },
+
+    /**
+     * Permanently delete a deadline (its history is retained on the server)
+     */
+    async deleteDeadline(deadlineId) {
+        try {
+            CaseTrackAuth.requirePermission('deleteDeadlines', 'delete deadlines');
+
+            const deleted = await CaseTrackDB.deleteDeadline(deadlineId);
+            if (!deleted) {
+                return { success: false, error: 'Deadline could not be deleted' };
+            }
+
+            return { success: true };
         } catch (e) {
             return { success: false, error: e.message };
         }
@@ -194,17 +273,13 @@ const FileManager = {
     },
 
     /**
-     * Search files
+     * Full-text search on the server across case details, movement notes,
+     * deadlines and attachment text. Filters: practiceArea, status,
+     * custodian, from, to. Returns [{ file, matches }], best match first,
+     * already limited to files the user can see.
      */
-    searchFiles(query) {
-        const allResults = CaseTrackDB.searchFiles(query);
-
-        // Filter by visibility
-        if (CaseTrackAuth.hasPermission('viewAllFiles')) {
-            return allResults;
-        }
-
-        return allResults.filter(f => CaseTrackAuth.canViewFile(f));
+    async searchFiles(query, filters = {}) {
+        return await APIClient.search({ q: query, ...filters }) || [];
     },
 
     /**
@@ -6,9 +6,15 @@
 const FileUpload = {
     uploadQueue: [],
     currentFileId: null,
+    // Attachment whose document the next upload becomes a new version of
+    versionOf: null,
 
-    // Simulated cloud storage (in production, replace with actual API)
-    storage: JSON.parse(localStorage.getItem('casetrack_attachments') || '{}'),
+    // Attachment metadata per fileId, as last fetched from the server
+    attachments: {},
+
+    // Attachments kept in the browser by earlier versions; uploaded to the
+    // server the first time their file is opened, then removed from here
+    LEGACY_STORAGE_KEY: 'casetrack_attachments',
 
     /**
      * Initialize file upload module
@@ -33,6 +39,7 @@ const FileUpload = {
         this.closeBtn = document.getElementById('closeFileUpload');
         this.cancelBtn = document.getElementById('cancelUpload');
         this.confirmBtn = document.getElementById('confirmUpload');
+        this.title = this.modal?.querySelector('.modal-header h2');
     },
 
     /**
@@ -77,22 +84,39 @@ const FileUpload = {
     },
 
     /**
-     * Open upload modal for a specific file
+     * Open upload modal for a specific file. With `versionOf` (an
+     * attachment), the single file chosen becomes that document's new version.
      */
-    openModal(fileId) {
+    openModal(fileId, versionOf = null) {
         this.currentFileId = fileId;
+        this.versionOf = versionOf ? this.getAttachments(fileId).find(a => a.attachmentId === versionOf) || null : null;
         this.fileIdInput.value = fileId;
         this.uploadQueue = [];
         this.uploadedList.innerHTML = '';
         this.progressDiv.style.display = 'none';
         this.fileInput.value = '';
+        this.fileInput.multiple = !this.versionOf;
+        this.title.textContent = this.versionOf ? '📎 Upload New Version' : '📎 Upload Documents';
+        this.confirmBtn.textContent = this.versionOf ? 'Upload Version' : 'Attach Files';
 
         // Load existing attachments
         this.loadExistingAttachments(fileId);
+        this.loadAttachments(fileId).then(() => {
+            if (this.currentFileId === fileId && this.uploadQueue.length === 0) {
+                this.loadExistingAttachments(fileId);
+            }
+        });
 
         this.modal.classList.add('active');
     },
 
+    /**
+     * Open the upload modal to add a new version of an attachment's document
+     */
+    openVersionUpload(fileId, attachmentId) {
+        this.openModal(fileId, attachmentId);
+    },
+
     /**
      * Close upload modal
      */
@@ -100,19 +124,65 @@ const FileUpload = {
         this.modal.classList.remove('active');
         this.uploadQueue = [];
         this.currentFileId = null;
+        this.versionOf = null;
     },
 
     /**
      * Load existing attachments for a file
      */
     loadExistingAttachments(fileId) {
-        const attachments = this.storage[fileId] || [];
-
-        if (attachments.length > 0) {
+        if (this.versionOf) {
             this.uploadedList.innerHTML = `
-                <h4 style="margin-bottom: 12px; color: var(--text-muted);">Current Attachments</h4>
-                ${attachments.map((att, idx) => this.renderAttachment(att, idx, true)).join('')}
+                <h4 style="margin-bottom: 12px; color: var(--text-muted);">Current Version (v${this.versionOf.version})</h4>
+                ${this.renderAttachment(this.versionOf, 0)}
             `;
+            return;
+        }
+
+        const attachments = this.getAttachments(fileId);
+
+        this.uploadedList.innerHTML = attachments.length > 0 ? `
+            <h4 style="margin-bottom: 12px; color: var(--text-muted);">Current Attachments</h4>
+            ${attachments.map((att, idx) => this.renderAttachment(att, idx, true)).join('')}
+        ` : '';
+    },
+
+    /**
+     * Fetch a file's attachments from the server into the cache and refresh
+     * its list in the file details modal, if open
+     */
+    async loadAttachments(fileId) {
+        try {
+            await this.migrateLegacyAttachments(fileId);
+            this.attachments[fileId] = await APIClient.getAttachments(fileId) || [];
+        } catch (error) {
+            console.error('Failed to load attachments:', error);
+        }
+
+        const list = document.getElementById(`fileAttachments-${fileId}`);
+        if (list && typeof caseTrack !== 'undefined') {
+            list.innerHTML = caseTrack.renderAttachments(fileId);
+        }
+        return this.getAttachments(fileId);
+    },
+
+    /**
+     * Upload attachments an earlier version stored in localStorage for this
+     * file. Each one is removed locally once the server has it.
+     */
+    async migrateLegacyAttachments(fileId) {
+        const legacy = JSON.parse(localStorage.getItem(this.LEGACY_STORAGE_KEY) || '{}');
+        const pending = legacy[fileId] || [];
+        if (pending.length === 0) return;
+
+        for (const attachment of [...pending]) {
+            const blob = await (await fetch(attachment.data)).blob();
+            await APIClient.uploadAttachment(fileId, blob, attachment.name);
+            legacy[fileId] = legacy[fileId].filter(a => a.id !== attachment.id);
+            if (legacy[fileId].length === 0) delete legacy[fileId];
+
+            if (Object.keys(legacy).length === 0) localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+            else localStorage.setItem(this.LEGACY_STORAGE_KEY, JSON.stringify(legacy));
         }
     },
 
@@ -120,15 +190,21 @@ const FileUpload = {
      * Handle selected files
      */
     handleFiles(files) {
-        const maxSize = 10 * 1024 * 1024; // 10MB
+        const maxSize = 25 * 1024 * 1024; // 25MB, the server's default ATTACHMENT_MAX_MB
         const allowedTypes = ['application/pdf', 'application/msword',
             'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
             'image/jpeg', 'image/png'];
 
+        // A new version replaces the queued file rather than adding to it
+        if (this.versionOf) {
+            files = Array.from(files).slice(0, 1);
+            this.uploadQueue = [];
+        }
+
         Array.from(files).forEach(file => {
             // Validate size
             if (file.size > maxSize) {
-                this.showNotification(`${file.name} exceeds 10MB limit`, 'error');
+                this.showNotification(`${file.name} exceeds 25MB limit`, 'error');
                 return;
             }
 
@@ -219,8 +295,8 @@ const FileUpload = {
             }
         }
 
-        // Save to storage
-        this.saveStorage();
+        const fileId = this.currentFileId;
+        await this.loadAttachments(fileId);
 
         this.progressText.textContent = 'Upload complete!';
         this.confirmBtn.disabled = false;
@@ -230,43 +306,20 @@ const FileUpload = {
             this.showNotification(`${processed} file(s) attached successfully`, 'success');
 
             // Refresh file details if open
-            if (typeof caseTrack !== 'undefined' && this.currentFileId) {
-                caseTrack.openFileDetails(this.currentFileId);
+            if (typeof caseTrack !== 'undefined' && fileId) {
+                caseTrack.openFileDetails(fileId);
             }
         }, 1000);
     },
 
     /**
-     * Upload single file (simulated - in production, send to server)
+     * Upload a single file to the server as multipart form data
      */
     async uploadFile(item) {
-        return new Promise((resolve) => {
-            // Simulate upload delay
-            setTimeout(() => {
-                // Read file as base64 for demo storage
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    const attachment = {
-                        id: `ATT-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
-                        name: item.name,
-                        size: item.size,
-                        type: item.type,
-                        data: e.target.result, // Base64 for demo
-                        uploadedAt: new Date().toISOString(),
-                        uploadedBy: CaseTrackAuth.getCurrentUser()?.userId
-                    };
-
-                    // Add to storage
-                    if (!this.storage[this.currentFileId]) {
-                        this.storage[this.currentFileId] = [];
-                    }
-                    this.storage[this.currentFileId].push(attachment);
-
-                    resolve(attachment);
-                };
-                reader.readAsDataURL(item.file);
-            }, 500 + Math.random() * 500);
-        });
+        const result = this.versionOf
+            ? await APIClient.uploadAttachmentVersion(this.versionOf.attachmentId, item.file)
+            : await APIClient.uploadAttachment(this.currentFileId, item.file);
+        return result.attachment;
     },
 
     /**
@@ -279,44 +332,98 @@ const FileUpload = {
     },
 
     /**
-     * Save storage to localStorage
+     * Get cached attachments for a file (see loadAttachments)
      */
-    saveStorage() {
-        localStorage.setItem('casetrack_attachments', JSON.stringify(this.storage));
+    getAttachments(fileId) {
+        return this.attachments[fileId] || [];
     },
 
     /**
-     * Get attachments for a file
+     * Show or hide the version history under an attachment in the file
+     * details list
      */
-    getAttachments(fileId) {
-        return this.storage[fileId] || [];
+    async toggleVersions(fileId, attachmentId) {
+        const container = document.getElementById(`attachmentVersions-${attachmentId}`);
+        if (!container) return;
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const versions = await APIClient.getAttachmentVersions(attachmentId);
+            container.innerHTML = this.renderVersionHistory(fileId, versions);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    },
+
+    /**
+     * Render a document's versions (newest first) with download and restore
+     */
+    renderVersionHistory(fileId, versions) {
+        const canRestore = typeof CaseTrackAuth !== 'undefined' && CaseTrackAuth.hasPermission('uploadDocuments');
+        return `
+            <div class="attachment-versions">
+                ${versions.map((v, idx) => `
+                    <div class="attachment-version ${idx === 0 ? 'current' : ''}">
+                        <div class="attachment-details">
+                            <span class="attachment-name">v${v.version} · ${v.name}${idx === 0 ? ' (current)' : ''}</span>
+                            <span class="attachment-meta">
+                                ${v.uploadedByName || v.uploadedBy} • ${new Date(v.uploadedAt).toLocaleString()}
+                                ${v.restoredFrom ? ` • restored from v${v.restoredFrom}` : ''}
+                            </span>
+                        </div>
+                        <div class="attachment-actions">
+                            <button class="btn-text" onclick="FileUpload.downloadAttachment('${fileId}', '${v.attachmentId}')" title="Download">⬇️</button>
+                            ${idx > 0 && canRestore ? `
+                                <button class="btn-text" onclick="FileUpload.restoreVersion('${fileId}', '${v.attachmentId}')" title="Restore this version">↩️</button>
+                            ` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     },
 
     /**
-     * Delete attachment
+     * Make an earlier version current again. The server adds it as a new
+     * version, so nothing in the history is lost.
      */
-    deleteAttachment(fileId, attachmentId) {
-        if (this.storage[fileId]) {
-            this.storage[fileId] = this.storage[fileId].filter(a => a.id !== attachmentId);
-            this.saveStorage();
+    async restoreVersion(fileId, attachmentId) {
+        try {
+            const result = await APIClient.restoreAttachmentVersion(attachmentId);
+            this.showNotification(`Restored as version ${result.attachment.version}`, 'success');
+            await this.loadAttachments(fileId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    },
+
+    /**
+     * Delete attachment, with all of its versions
+     */
+    async deleteAttachment(fileId, attachmentId) {
+        if (!confirm('Delete this document and all its versions? This cannot be undone.')) return false;
+        try {
+            await APIClient.deleteAttachment(attachmentId);
+            await this.loadAttachments(fileId);
+            if (this.currentFileId === fileId) this.loadExistingAttachments(fileId);
             return true;
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return false;
         }
-        return false;
     },
 
     /**
      * Download attachment
      */
     downloadAttachment(fileId, attachmentId) {
-        const attachments = this.storage[fileId] || [];
-        const attachment = attachments.find(a => a.id === attachmentId);
-
-        if (attachment) {
-            const link = document.createElement('a');
-            link.href = attachment.data;
-            link.download = attachment.name;
-            link.click();
-        }
+        const link = document.createElement('a');
+        link.href = APIClient.attachmentDownloadURL(attachmentId);
+        link.download = '';
+        link.click();
     },
 
     /**
@@ -336,11 +443,11 @@ const FileUpload = {
                     </div>
                 </div>
                 <div class="attachment-actions">
-                    <button class="btn-text" onclick="FileUpload.downloadAttachment('${this.currentFileId || attachment.fileId}', '${attachment.id}')">
+                    <button class="btn-text" onclick="FileUpload.downloadAttachment('${this.currentFileId || attachment.fileId}', '${attachment.attachmentId}')">
                         ⬇️
                     </button>
                     ${showDelete ? `
-                        <button class="btn-text" onclick="FileUpload.deleteAttachment('${this.currentFileId}', '${attachment.id}'); FileUpload.openModal('${this.currentFileId}');">
+                        <button class="btn-text" onclick="FileUpload.deleteAttachment('${this.currentFileId}', '${attachment.attachmentId}')">
                             🗑️
                         </button>
                     ` : ''}
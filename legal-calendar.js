@@ -0,0 +1,308 @@
+/**
+ * CaseTrack KE — Legal Calendar
+ * Kenyan public holidays, court vacations and court days, and the
+ * computation of procedural time limits and limitation periods. Shared by the browser (deadline
+ * forms, countdowns) and the server's alert scheduler. Dates are
+ * "YYYY-MM-DD" strings; `gazetted` is the firm's list of ad-hoc holidays
+ * declared by Gazette notice ([{ date, name }]).
+ */
+
+const CaseTrackCalendar = {
+
+    // Public Holidays Act (Cap. 110) and the Constitution, art. 9(4)
+    FIXED_HOLIDAYS: [
+        { month: 1, day: 1, name: "New Year's Day" },
+        { month: 5, day: 1, name: 'Labour Day' },
+        { month: 6, day: 1, name: 'Madaraka Day' },
+        { month: 10, day: 10, name: 'Mazingira Day', from: 2024 },
+        { month: 10, day: 20, name: 'Mashujaa Day' },
+        { month: 12, day: 12, name: 'Jamhuri Day' },
+        { month: 12, day: 25, name: 'Christmas Day' },
+        { month: 12, day: 26, name: 'Boxing Day' }
+    ],
+
+    // Idd-ul-Fitr follows the sighting of the moon and is confirmed by
+    // Gazette notice each year; later years are added as gazetted holidays
+    IDD_UL_FITR: {
+        2024: '2024-04-10',
+        2025: '2025-03-31'
+    },
+
+    // Court vacations. Under Order 50 rule 4 of the Civil Procedure Rules
+    // time does not run during the Christmas vacation; the others only
+    // limit sittings to urgent matters.
+    VACATIONS: [
+        { key: 'christmas', name: 'Christmas vacation', excludesTime: true },
+        { key: 'easter', name: 'Easter vacation', excludesTime: false },
+        { key: 'long', name: 'Long vacation', excludesTime: false }
+    ],
+
+    // Ways of counting a time limit
+    MODES: {
+        within: 'Within N days',
+        clear: 'N clear days',
+        court: 'N court days'
+    },
+
+    // Limitation periods by cause of action, in months from accrual
+    LIMITATION_PERIODS: {
+        contract: { name: 'Contract', months: 72, statute: 'Limitation of Actions Act, s. 4(1)(a)' },
+        tort: { name: 'Tort (including personal injury)', months: 36, statute: 'Limitation of Actions Act, s. 4(2)' },
+        defamation: { name: 'Defamation (libel or slander)', months: 12, statute: 'Limitation of Actions Act, s. 4(2)' },
+        land: { name: 'Recovery of land', months: 144, statute: 'Limitation of Actions Act, s. 7' },
+        charge: { name: 'Money secured by a charge', months: 144, statute: 'Limitation of Actions Act, s. 19' },
+        judgment: { name: 'Enforcement of a judgment', months: 144, statute: 'Limitation of Actions Act, s. 4(4)' },
+        employment: { name: 'Employment claim', months: 36, statute: 'Employment Act, s. 90' },
+        publicTort: { name: 'Tort against the Government or a local authority', months: 12, statute: 'Public Authorities Limitation Act, s. 3(1)' },
+        publicContract: { name: 'Contract with the Government or a local authority', months: 36, statute: 'Public Authorities Limitation Act, s. 3(2)' },
+        judicialReview: { name: 'Judicial review (certiorari)', months: 6, statute: 'Civil Procedure Rules, Order 53 rule 2' }
+    },
+
+    DAY_MS: 1000 * 60 * 60 * 24,
+
+    /**
+     * "YYYY-MM-DD" for a date string, timestamp or Date (local date). Throws
+     * a RangeError for anything that is not a real date.
+     */
+    toKey(value) {
+        let key;
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+            key = value.slice(0, 10);
+        } else {
+            const date = value instanceof Date ? value : new Date(value ?? NaN);
+            const pad = n => String(n).padStart(2, '0');
+            key = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+        if (!this.isDateKey(key)) throw new RangeError(`Invalid date: ${value}`);
+        return key;
+    },
+
+    isDateKey(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && this.parseKey(value).toISOString().slice(0, 10) === value;
+    },
+
+    parseKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    },
+
+    addCalendarDays(key, days) {
+        const date = this.parseKey(key);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    },
+
+    // The same day `months` later; the 31st becomes the last day of a shorter month
+    addCalendarMonths(key, months) {
+        const [year, month, day] = key.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+    },
+
+    weekday(key) {
+        return this.parseKey(key).getUTCDay();
+    },
+
+    // Anonymous Gregorian algorithm
+    easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
+
+    /**
+     * Every public holiday in a year, in date order: { date, name, kind }
+     * with kind statutory or gazetted. A statutory holiday on a Sunday
+     * makes the next free weekday a holiday too (Public Holidays Act, s. 3).
+     */
+    holidaysFor(year, gazetted = []) {
+        const pad = n => String(n).padStart(2, '0');
+        const easter = this.easterSunday(year);
+        const statutory = this.FIXED_HOLIDAYS
+            .filter(h => !h.from || year >= h.from)
+            .map(h => ({ date: `${year}-${pad(h.month)}-${pad(h.day)}`, name: h.name }));
+        statutory.push(
+            { date: this.addCalendarDays(easter, -2), name: 'Good Friday' },
+            { date: this.addCalendarDays(easter, 1), name: 'Easter Monday' }
+        );
+        if (this.IDD_UL_FITR[year]) statutory.push({ date: this.IDD_UL_FITR[year], name: 'Idd-ul-Fitr' });
+
+        const taken = new Set(statutory.map(h => h.date));
+        const substitutes = [];
+        statutory.filter(h => this.weekday(h.date) === 0).sort((a, b) => a.date.localeCompare(b.date)).forEach(h => {
+            let date = this.addCalendarDays(h.date, 1);
+            while (taken.has(date)) date = this.addCalendarDays(date, 1);
+            taken.add(date);
+            substitutes.push({ date, name: `${h.name} (observed)` });
+        });
+
+        return [
+            ...[...statutory, ...substitutes].map(h => ({ ...h, kind: 'statutory' })),
+            ...gazetted.filter(h => h.date.startsWith(`${year}-`)).map(h => ({ date: h.date, name: h.name, kind: 'gazetted' }))
+        ].sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Vacation periods touching a year: { key, name, start, end, excludesTime }
+     * (inclusive). The Christmas vacation runs 21 December to 13 January,
+     * Easter from the Thursday before Good Friday to the Tuesday after Easter
+     * Monday, and the long vacation 1 August to 14 September.
+     */
+    vacationsFor(year) {
+        const easter = this.easterSunday(year);
+        const ranges = {
+            christmas: [[`${year - 1}-12-21`, `${year}-01-13`], [`${year}-12-21`, `${year + 1}-01-13`]],
+            easter: [[this.addCalendarDays(easter, -3), this.addCalendarDays(easter, 2)]],
+            long: [[`${year}-08-01`, `${year}-09-14`]]
+        };
+        return this.VACATIONS.flatMap(v => ranges[v.key].map(([start, end]) => ({ ...v, start, end })));
+    },
+
+    holidayOn(value, gazetted = []) {
+        const key = this.toKey(value);
+        const holiday = this.holidaysFor(Number(key.slice(0, 4)), gazetted).find(h => h.date === key);
+        return holiday ? holiday.name : null;
+    },
+
+    vacationOn(value) {
+        const key = this.toKey(value);
+        return this.vacationsFor(Number(key.slice(0, 4))).find(v => key >= v.start && key <= v.end) || null;
+    },
+
+    /**
+     * Why the registry is closed on a date ("Saturday", "Mashujaa Day", ...),
+     * or null on a court day
+     */
+    nonCourtDayReason(value, gazetted = []) {
+        const key = this.toKey(value);
+        const day = this.weekday(key);
+        if (day === 0) return 'Sunday';
+        if (day === 6) return 'Saturday';
+        return this.holidayOn(key, gazetted);
+    },
+
+    isCourtDay(value, gazetted = []) {
+        return this.nonCourtDayReason(value, gazetted) === null;
+    },
+
+    /**
+     * The date itself when it is a court day, else the next (or, with
+     * direction -1, the previous) court day
+     */
+    nearestCourtDay(value, gazetted = [], direction = 1) {
+        let key = this.toKey(value);
+        while (!this.isCourtDay(key, gazetted)) key = this.addCalendarDays(key, direction);
+        return key;
+    },
+
+    // Days that count towards a time limit: every day except those in a
+    // vacation during which time does not run
+    countsTowardsTime(key) {
+        const vacation = this.vacationOn(key);
+        return !(vacation && vacation.excludesTime);
+    },
+
+    /**
+     * Compute a time limit from an event date. `days` counts forward, or
+     * backwards with `before` (e.g. service N clear days before a hearing).
+     * Interpretation and General Provisions Act, s. 57 and Order 50 of the
+     * Civil Procedure Rules:
+     *   within - the day of the event is excluded; periods under six days
+     *            skip non-court days; days in the Christmas vacation are not
+     *            counted
+     *   clear  - as within, but the last day is excluded too
+     *   court  - only court days are counted
+     * A limit that ends on a non-court day moves to the next court day (the
+     * previous one when counting backwards). Returns { date, adjustedFrom,
+     * reason }; adjustedFrom and reason are set when the date was moved.
+     */
+    computeDeadline(from, days, { mode = 'within', before = false, gazetted = [] } = {}) {
+        const step = before ? -1 : 1;
+        const courtDaysOnly = mode === 'court' || (mode === 'within' && days < 6);
+        const target = mode === 'clear' ? days + 1 : days;
+
+        let key = this.toKey(from);
+        let counted = 0;
+        while (counted < target) {
+            key = this.addCalendarDays(key, step);
+            if (!this.countsTowardsTime(key)) continue;
+            if (courtDaysOnly && !this.isCourtDay(key, gazetted)) continue;
+            counted++;
+        }
+
+        const reason = this.nonCourtDayReason(key, gazetted);
+        if (!reason) return { date: key, adjustedFrom: null, reason: null };
+        return { date: this.nearestCourtDay(key, gazetted, step), adjustedFrom: key, reason };
+    },
+
+    /**
+     * Court days from `today` until a due date: 0 when due today, 1 when due
+     * on the next court day, and so on. Negative (in calendar days) once the
+     * date has passed.
+     */
+    courtDaysUntil(dueDate, today = new Date(), gazetted = []) {
+        const due = this.toKey(dueDate);
+        let key = this.toKey(today);
+        if (due < key) return -Math.round((this.parseKey(key) - this.parseKey(due)) / this.DAY_MS);
+
+        let count = 0;
+        while (key < due) {
+            key = this.addCalendarDays(key, 1);
+            if (this.isCourtDay(key, gazetted)) count++;
+        }
+        return count;
+    },
+
+    /**
+     * The limitation period for a cause of action that accrued on a date:
+     * { name, months, statute, expiry, date, adjustedFrom, reason }, or null
+     * for an unknown cause. The day of accrual is excluded, so the period
+     * expires on the same date N months later. `date` is the last court day
+     * on or before the expiry: filing never relies on the extension for a
+     * registry that is closed on the last day.
+     */
+    limitationFor(causeOfAction, accrualDate, gazetted = []) {
+        const period = this.LIMITATION_PERIODS[causeOfAction];
+        if (!period || !accrualDate) return null;
+
+        const expiry = this.addCalendarMonths(this.toKey(accrualDate), period.months);
+        const reason = this.nonCourtDayReason(expiry, gazetted);
+        return {
+            ...period,
+            expiry,
+            date: reason ? this.nearestCourtDay(expiry, gazetted, -1) : expiry,
+            adjustedFrom: reason ? expiry : null,
+            reason
+        };
+    },
+
+    /**
+     * Check a gazetted holiday before saving. Returns a list of error
+     * messages; empty when it is valid.
+     */
+    validateHoliday({ date, name } = {}) {
+        const errors = [];
+        if (!this.isDateKey(date)) {
+            errors.push('A valid date (YYYY-MM-DD) is required');
+        }
+        if (!name || !String(name).trim()) errors.push('A name is required');
+        return errors;
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackCalendar;
+}
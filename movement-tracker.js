@@ -8,7 +8,7 @@ const MovementTracker = {
     /**
      * Transfer file to new custodian
      */
-    transferFile(fileId, toCustodianId, purpose, notes = '') {
+    async transferFile(fileId, toCustodianId, purpose, notes = '') {
         try {
             CaseTrackAuth.requirePermission('logMovements', 'log file movements');
 
@@ -27,7 +27,7 @@ const MovementTracker = {
                 return { success: false, error: 'Invalid movement purpose' };
             }
 
-            const movement = CaseTrackDB.logMovement({
+            const movement = await CaseTrackDB.logMovement({
                 fileId,
                 fromCustodian: file.currentCustodian,
                 toCustodian: toCustodianId,
@@ -45,7 +45,7 @@ const MovementTracker = {
     /**
      * Acknowledge receipt of file
      */
-    acknowledgeReceipt(movementId) {
+    async acknowledgeReceipt(movementId) {
         try {
             const movement = CaseTrackDB.getMovement(movementId);
             if (!movement) {
@@ -60,7 +60,7 @@ const MovementTracker = {
                 return { success: false, error: 'Only the recipient can acknowledge this transfer' };
             }
 
-            const updated = CaseTrackDB.acknowledgeMovement(movementId, currentUser?.userId);
+            const updated = await CaseTrackDB.acknowledgeMovement(movementId, currentUser?.userId);
             return { success: true, movement: updated };
         } catch (e) {
             return { success: false, error: e.message };
@@ -111,9 +111,9 @@ const MovementTracker = {
     },
 
     /**
-     * Request file from current custodian
+     * Request file from current custodian (the server alerts them)
      */
-    requestFile(fileId, reason = '') {
+    async requestFile(fileId, reason = '') {
         try {
             CaseTrackAuth.requirePermission('requestFiles', 'request files');
 
@@ -122,17 +122,8 @@ const MovementTracker = {
                 return { success: false, error: 'File not found' };
             }
 
-            const requester = CaseTrackAuth.getCurrentUser();
             const custodian = CaseTrackDB.getUser(file.currentCustodian);
-
-            // Create alert for current custodian
-            CaseTrackDB.createAlert({
-                type: 'file_request',
-                severity: 'info',
-                fileId,
-                targetUserId: file.currentCustodian,
-                message: `${requester?.name || 'A user'} has requested file "${file.caseName}". Reason: ${reason || 'Not specified'}`
-            });
+            await APIClient.requestFile(fileId, reason);
 
             return {
                 success: true,
@@ -0,0 +1,109 @@
+/**
+ * CaseTrack KE — Permission Definitions
+ * Role permission matrix shared by the browser (CaseTrackAuth)
+ * and the server's route guards
+ */
+
+const CaseTrackPermissions = {
+
+    // Permission Matrix
+    PERMISSIONS: {
+        Clerk: {
+            registerFiles: true,
+            logMovements: true,
+            updateFileStatus: true,
+            viewAssignedFiles: true,
+            viewAllFiles: false,
+            requestFiles: true,
+            uploadDocuments: false,
+            generateReports: false,
+            viewAuditLogs: false,
+            deleteDeadlines: false,
+            manageAlertRules: false,
+            overrideConflicts: false,
+            manageClients: true,
+            importCauseLists: true,
+            manageUsers: false
+        },
+        Advocate: {
+            registerFiles: false,
+            logMovements: false,
+            updateFileStatus: false,
+            viewAssignedFiles: true,
+            viewAllFiles: false,
+            requestFiles: true,
+            uploadDocuments: true,
+            generateReports: false,
+            viewAuditLogs: false,
+            deleteDeadlines: false,
+            manageAlertRules: false,
+            overrideConflicts: false,
+            manageClients: false,
+            importCauseLists: false,
+            manageUsers: false
+        },
+        Partner: {
+            registerFiles: true,
+            logMovements: true,
+            updateFileStatus: true,
+            viewAssignedFiles: true,
+            viewAllFiles: true,
+            requestFiles: true,
+            uploadDocuments: true,
+            generateReports: true,
+            viewAuditLogs: true,
+            deleteDeadlines: true,
+            manageAlertRules: true,
+            overrideConflicts: true,
+            manageClients: true,
+            importCauseLists: true,
+            manageUsers: true
+        }
+    },
+
+    /**
+     * Check if a user's role grants a specific permission
+     */
+    hasPermission(user, permission) {
+        if (!user) return false;
+        const rolePermissions = this.PERMISSIONS[user.role];
+        return !!rolePermissions && rolePermissions[permission] === true;
+    },
+
+    /**
+     * Normalize a file's assigned advocates to an array of user IDs
+     * (the server stores them as a JSON string)
+     */
+    getAssignedAdvocates(file) {
+        const advocates = file && file.assignedAdvocates;
+        if (!advocates) return [];
+        if (Array.isArray(advocates)) return advocates;
+        try {
+            const parsed = JSON.parse(advocates);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            return String(advocates).split(',').map(id => id.trim()).filter(Boolean);
+        }
+    },
+
+    /**
+     * Check if a user can view a specific file
+     */
+    canViewFile(user, file) {
+        if (!user || !file) return false;
+
+        // Partners can view all files
+        if (this.hasPermission(user, 'viewAllFiles')) return true;
+
+        // Others can only view files assigned to them or where they are custodian
+        return (
+            file.currentCustodian === user.userId ||
+            this.getAssignedAdvocates(file).includes(user.userId)
+        );
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackPermissions;
+}
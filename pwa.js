@@ -0,0 +1,99 @@
+/**
+ * CaseTrack KE — Installable App
+ * Registers the service worker (offline app shell, background sending of
+ * queued changes) and shows device notifications for files transferred to
+ * the user while the app is in the background.
+ */
+
+const CaseTrackPWA = {
+    // Device notifications are switched on per browser, not per account
+    NOTIFICATIONS_KEY: 'casetrack_device_notifications',
+
+    registration: null,
+
+    get isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    },
+
+    async init() {
+        if (this.isSupported) {
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleMessage(event.data || {}));
+            try {
+                this.registration = await navigator.serviceWorker.register('/service-worker.js');
+            } catch (error) {
+                console.warn('Service worker registration failed:', error);
+            }
+        }
+
+        // Opened from a notification while no page was open
+        const fileId = new URLSearchParams(window.location.search).get('file');
+        if (fileId) {
+            history.replaceState(null, '', '/');
+            this.handleMessage({ type: 'open_file', fileId });
+        }
+    },
+
+    handleMessage(data) {
+        if (typeof caseTrack === 'undefined') return;
+        switch (data.type) {
+            case 'outbox_sync':
+                caseTrack.syncWithBackend();
+                break;
+            case 'open_file':
+                caseTrack.openFileDetails(data.fileId);
+                break;
+        }
+    },
+
+    /**
+     * Ask the browser to send the user's queued changes when it is back
+     * online, even if the page has been closed by then. Where Background
+     * Sync is unsupported the page's 'online' listener covers it.
+     */
+    async requestOutboxSync(userId) {
+        if (!this.registration || !this.registration.sync || !userId) return;
+        try {
+            await this.registration.sync.register(`outbox:${userId}`);
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    },
+
+    notificationsEnabled() {
+        return localStorage.getItem(this.NOTIFICATIONS_KEY) === '1' &&
+            typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    },
+
+    /**
+     * Switch device notifications on or off. Switching on asks for the
+     * browser's permission, so call it from a user action. Resolves to
+     * whether they are now on.
+     */
+    async setNotificationsEnabled(enabled) {
+        if (enabled && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+        localStorage.setItem(this.NOTIFICATIONS_KEY, enabled ? '1' : '0');
+        return this.notificationsEnabled();
+    },
+
+    /**
+     * Show a device notification if the app is in the background (the
+     * in-page toast covers it otherwise). Clicking it opens `fileId`.
+     */
+    async notify(title, body, { tag, fileId } = {}) {
+        if (!this.notificationsEnabled() || document.visibilityState === 'visible') return;
+        const options = { body, tag, icon: '/favicon.png', data: { fileId } };
+        try {
+            if (this.registration) await this.registration.showNotification(title, options);
+            else new Notification(title, options);
+        } catch (error) {
+            console.warn('Could not show notification:', error);
+        }
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackPWA;
+}
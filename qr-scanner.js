@@ -238,8 +238,8 @@ const QRScanner = {
     /**
      * Acknowledge file receipt from scan
      */
-    acknowledgeFile(movementId) {
-        const result = MovementTracker.acknowledgeReceipt(movementId);
+    async acknowledgeFile(movementId) {
+        const result = await MovementTracker.acknowledgeReceipt(movementId);
         if (result.success) {
             this.showScanResult('File receipt acknowledged successfully!', 'success');
             // Update UI
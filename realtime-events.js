@@ -0,0 +1,80 @@
+/**
+ * CaseTrack KE — Real-time Event Catalogue
+ * Every WebSocket event the server sends, shared by the server (which
+ * builds them) and WSClient (which applies them). An event carries the
+ * records it changed so the browser can patch its local copy and the
+ * screen in place; `records` names them, `removes` names the record an
+ * event deletes (by its id field, e.g. deadlineId).
+ */
+
+const CaseTrackEvents = {
+
+    // Record fields in an event, and the CaseTrackDB table each belongs to
+    RECORD_TABLES: {
+        file: 'files',
+        movement: 'movements',
+        deadline: 'deadlines',
+        alert: 'alerts',
+        user: 'users'
+    },
+
+    // Events about a file carry its fileId; the server adds the current
+    // file record, and only sends the event to users who can see the file
+    TYPES: {
+        file_created: { records: ['file'], description: 'A file was registered' },
+        file_updated: { records: ['file'], description: 'File details changed (changedFields)' },
+        file_status_changed: { records: ['file'], description: 'A file moved to a new status (previousStatus)' },
+        file_deleted: { removes: 'file', description: 'A file was deleted, with its movements and deadlines' },
+        file_requested: { records: ['alert', 'file'], description: 'Someone asked the custodian for a file (sent to the custodian)' },
+        file_event_logged: { records: ['file'], description: 'A procedural event was logged (fileEventId)' },
+
+        movement_logged: { records: ['movement', 'file'], description: 'A file was transferred' },
+        movement_received: { records: ['movement', 'file'], description: 'A file was transferred to you (sent to the recipient)' },
+        movement_acknowledged: { records: ['movement', 'file'], description: 'A transfer was acknowledged' },
+
+        deadline_added: { records: ['deadline', 'file'], description: 'A deadline was added' },
+        deadline_updated: { records: ['deadline', 'file'], description: 'A deadline was rescheduled, cancelled or reopened (action)' },
+        deadline_completed: { records: ['deadline', 'file'], description: 'A deadline was completed' },
+        deadline_deleted: { removes: 'deadline', records: ['file'], description: 'A deadline was deleted' },
+
+        alert_created: { records: ['alert'], description: 'An alert was raised (to its target, or the whole firm)' },
+
+        attachment_added: { records: ['file'], description: 'A document or new version was uploaded (attachmentId)' },
+        attachment_deleted: { records: ['file'], description: 'A document version was deleted (attachmentId)' },
+
+        user_created: { records: ['user'], description: 'A team member was added' },
+        user_updated: { records: ['user'], description: 'A team member changed their details' },
+        user_removed: { removes: 'user', description: 'A team member was removed' },
+
+        client_created: { description: 'A client was registered (clientId)' },
+        client_updated: { description: 'A client was changed (clientId)' },
+
+        // Firm settings: the browser reloads them
+        alert_rules_updated: { reload: true, description: 'Alert rules changed' },
+        deadline_rules_updated: { reload: true, description: 'Deadline rules changed' },
+        court_calendar_updated: { reload: true, description: 'The court calendar changed' }
+    },
+
+    /**
+     * Build an event; refuses types missing from the catalogue so a new
+     * event cannot be sent without being described here
+     */
+    create(type, payload = {}) {
+        if (!this.TYPES[type]) throw new Error(`Unknown real-time event type: ${type}`);
+        return { type, ...payload };
+    },
+
+    /**
+     * Tables an event changes, from its records and removals
+     */
+    tablesFor(type) {
+        const spec = this.TYPES[type] || {};
+        const fields = [...(spec.records || []), ...(spec.removes ? [spec.removes] : [])];
+        return new Set(fields.map(field => this.RECORD_TABLES[field]));
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackEvents;
+}
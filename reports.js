@@ -59,6 +59,32 @@ const Reports = {
         };
     },
 
+    /**
+     * Files grouped by court station, then by court within each station
+     */
+    getByCourtStationReport() {
+        const files = CaseTrackAuth.getVisibleFiles();
+        const pending = CaseTrackDB.getAllDeadlines().filter(d => d.status === 'Pending');
+        const byStation = {};
+
+        files.filter(f => f.courtStation).forEach(f => {
+            const court = CaseTrackCourts.courtLabel({ courtLevel: f.courtLevel, courtDivision: f.courtDivision }) || 'Unspecified';
+            const courts = byStation[f.courtStation] = byStation[f.courtStation] || {};
+            const entry = courts[court] = courts[court] || { court, count: 0, activeCount: 0, pendingDeadlines: 0 };
+            entry.count++;
+            if (f.status === 'Active') entry.activeCount++;
+            entry.pendingDeadlines += pending.filter(d => d.fileId === f.fileId).length;
+        });
+
+        return {
+            stations: Object.keys(byStation).map(station => {
+                const courts = Object.values(byStation[station]).sort((a, b) => b.count - a.count);
+                return { station, courts, count: courts.reduce((sum, c) => sum + c.count, 0) };
+            }).sort((a, b) => b.count - a.count),
+            unassigned: files.filter(f => !f.courtStation).length
+        };
+    },
+
     /**
      * Get custodian report (who has which files)
      */
@@ -109,16 +135,16 @@ const Reports = {
         const overdueVisible = overdue.filter(d => visibleFileIds.has(d.fileId));
 
         // Enrich with file data
+        // daysUntil counts court days (calendar days once overdue)
         const enrichDeadline = (d) => {
             const file = CaseTrackDB.getFile(d.fileId);
-            const dueDate = new Date(d.dueDate);
-            const now = new Date();
-            const daysUntil = Math.ceil((dueDate - now) / (1000 * 60 * 60 * 24));
+            const { courtDays: daysUntil, nonCourtDay } = AlertEngine.getDeadlineCountdown(d);
 
             return {
                 ...d,
                 file,
                 daysUntil,
+                nonCourtDay,
                 urgency: daysUntil < 0 ? 'overdue' : daysUntil <= 3 ? 'urgent' : daysUntil <= 7 ? 'soon' : 'normal',
                 formattedDate: MovementTracker.formatDate(d.dueDate)
             };
@@ -131,10 +157,7 @@ const Reports = {
             summary: {
                 overdueCount: overdueVisible.length,
                 upcomingCount: upcoming.length,
-                thisWeek: upcoming.filter(d => {
-                    const daysUntil = Math.ceil((new Date(d.dueDate) - new Date()) / (1000 * 60 * 60 * 24));
-                    return daysUntil <= 7;
-                }).length
+                thisWeek: upcoming.filter(d => AlertEngine.getDeadlineCountdown(d).courtDays <= 5).length
             }
         };
     },
@@ -158,7 +181,7 @@ const Reports = {
     /**
      * Get bottleneck report (files held too long)
      */
-    getBottleneckReport(thresholdDays = 7) {
+    getBottleneckReport(thresholdDays = null) {
         if (!CaseTrackAuth.hasPermission('generateReports')) {
             return { bottlenecks: [], summary: {} };
         }
@@ -207,8 +230,8 @@ const Reports = {
             });
         });
 
-        // Check for bottlenecks
-        const bottlenecks = CaseTrackDB.getBottleneckReport(14);
+        // Check for bottlenecks past the escalation threshold
+        const bottlenecks = CaseTrackDB.getBottleneckReport().filter(b => b.riskLevel === 'high');
         bottlenecks.forEach(b => {
             risks.push({
                 type: 'File Bottleneck',
@@ -221,10 +244,11 @@ const Reports = {
         });
 
         // Check for unacknowledged movements
+        const { unacknowledgedRiskHours } = CaseTrackDB.getAlertRules();
         const unacknowledged = CaseTrackDB.getUnacknowledgedMovements();
         const oldUnacknowledged = unacknowledged.filter(m => {
             const hoursSince = (new Date() - new Date(m.timestamp)) / (1000 * 60 * 60);
-            return hoursSince >= 48;
+            return hoursSince >= unacknowledgedRiskHours;
         });
 
         oldUnacknowledged.forEach(m => {
@@ -269,6 +293,48 @@ const Reports = {
         };
     },
 
+    /**
+     * Limitation periods still running on visible files, soonest first.
+     * daysLeft counts calendar days (a limitation period runs through
+     * weekends and vacations); the level follows the firm's limitation
+     * alert stages.
+     */
+    getLimitationRiskReport(now = new Date()) {
+        const rules = CaseTrackDB.getAlertRules();
+        const watchFrom = Math.max(0, ...rules.limitationWarningDays);
+        const today = CaseTrackCalendar.parseKey(CaseTrackCalendar.toKey(now));
+        const visibleFileIds = new Set(CaseTrackAuth.getVisibleFiles().map(f => f.fileId));
+
+        const items = CaseTrackDB.getAllDeadlines()
+            .filter(d => d.isProtected && d.status === 'Pending' && visibleFileIds.has(d.fileId))
+            .map(d => {
+                const file = CaseTrackDB.getFile(d.fileId);
+                const daysLeft = Math.round((CaseTrackCalendar.parseKey(CaseTrackCalendar.toKey(d.dueDate)) - today) / CaseTrackCalendar.DAY_MS);
+                const level = daysLeft < 0 ? 'expired'
+                    : daysLeft <= rules.limitationEscalationDays ? 'critical'
+                        : daysLeft <= watchFrom ? 'warning' : 'watch';
+                return {
+                    ...d,
+                    file,
+                    daysLeft,
+                    level,
+                    cause: CaseTrackCalendar.LIMITATION_PERIODS[file?.causeOfAction]?.name || 'Limitation period',
+                    formattedDate: MovementTracker.formatDate(d.dueDate)
+                };
+            })
+            .sort((a, b) => a.daysLeft - b.daysLeft);
+
+        return {
+            items,
+            summary: {
+                total: items.length,
+                expired: items.filter(i => i.level === 'expired').length,
+                critical: items.filter(i => i.level === 'critical').length,
+                warning: items.filter(i => i.level === 'warning').length
+            }
+        };
+    },
+
     /**
      * Get audit log report
      */
@@ -390,13 +456,13 @@ const Reports = {
         }
 
         html += '<h2>Upcoming</h2>';
-        html += '<table class="report-table"><thead><tr><th>File</th><th>Type</th><th>Due Date</th><th>Days Until</th></tr></thead><tbody>';
+        html += '<table class="report-table"><thead><tr><th>File</th><th>Type</th><th>Due Date</th><th>Court Days Until</th></tr></thead><tbody>';
         data.upcoming.forEach(d => {
             html += `<tr class="${d.urgency}">
                 <td>${d.file?.caseName || 'Unknown'}</td>
                 <td>${d.type}</td>
-                <td>${d.formattedDate}</td>
-                <td>${d.daysUntil} days</td>
+                <td>${d.formattedDate}${d.nonCourtDay ? ` (${d.nonCourtDay})` : ''}</td>
+                <td>${d.daysUntil} court days</td>
             </tr>`;
         });
         html += '</tbody></table>';
@@ -0,0 +1,379 @@
+const { v4: uuidv4 } = require('uuid');
+const q = require('./db-async');
+const CaseTrackPermissions = require('../permissions');
+const CaseTrackAlertRules = require('../alert-rules');
+const CaseTrackCalendar = require('../legal-calendar');
+
+// Server-side alert checks. These used to run in AlertEngine in the browser,
+// which meant nothing was raised while nobody had the app open and every open
+// tab raised its own copy. The scheduler runs the same checks on an interval
+// and relies on alerts.dedupeKey to make repeated runs idempotent. Thresholds
+// come from each firm's alert_rules (see alert-rules.js).
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// CURRENT_TIMESTAMP is stored as "YYYY-MM-DD HH:MM:SS" in UTC
+function parseTimestamp(value) {
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return new Date(`${value.replace(' ', 'T')}Z`);
+    }
+    return new Date(value);
+}
+
+function dedupeKey({ type, fileId, deadlineId, targetUserId }, scope) {
+    const key = [type, fileId || '', deadlineId || '', targetUserId || ''].join(':');
+    return scope ? `${key}:${scope}` : key;
+}
+
+function firstAdvocate(file) {
+    return CaseTrackPermissions.getAssignedAdvocates(file)[0] || null;
+}
+
+// One bad row (e.g. a date that does not parse) is logged and skipped, so
+// it cannot stop the checks for every other deadline and firm
+async function eachRow(rows, describe, check) {
+    for (const row of rows) {
+        try {
+            await check(row);
+        } catch (err) {
+            console.error(`Alert check skipped ${describe(row)}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Run every alert check once. `notify(alert)` is called for each alert that
+ * was actually created (not for ones that already existed).
+ */
+async function runAlertChecks(notify = () => { }, now = new Date()) {
+    const users = await q.all("SELECT userId, name, role, firmId FROM users WHERE active = 1");
+    const savedRules = await q.all("SELECT firmId, rules FROM alert_rules");
+    const rulesByFirm = new Map(savedRules.map(r => [r.firmId, CaseTrackAlertRules.withDefaults(JSON.parse(r.rules))]));
+    const gazetted = await q.all("SELECT firmId, date, name FROM court_holidays");
+
+    const ctx = {
+        now,
+        notify,
+        created: 0,
+        userName: (userId) => {
+            const user = users.find(u => u.userId === userId);
+            return user ? user.name : 'Unknown';
+        },
+        rules: (firmId) => rulesByFirm.get(firmId) || CaseTrackAlertRules.DEFAULTS,
+        gazetted: (firmId) => gazetted.filter(h => h.firmId === firmId),
+        // Escalations go to the firm's chosen recipients, or every Partner
+        escalationRecipients: (firmId) => {
+            const chosen = ctx.rules(firmId).escalationRecipients;
+            return users.filter(u => u.firmId === firmId &&
+                (chosen.length > 0 ? chosen.includes(u.userId) : u.role === 'Partner'));
+        }
+    };
+
+    await checkDeadlineAlerts(ctx);
+    await checkOverdueFiles(ctx);
+    await checkUnacknowledgedMovements(ctx);
+    await checkMissingDigitalLinks(ctx);
+
+    return ctx.created;
+}
+
+// Insert unless an alert with the same dedupe key already exists in the firm
+async function createAlertIfNew(ctx, firmId, alert, scope) {
+    const key = dedupeKey(alert, scope);
+    const alertId = `AL-${uuidv4()}`;
+    const { changes } = await q.run(
+        `INSERT OR IGNORE INTO alerts (alertId, firmId, type, fileId, deadlineId, targetUserId, message, severity, dedupeKey)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [alertId, firmId, alert.type, alert.fileId || null, alert.deadlineId || null,
+            alert.targetUserId || null, alert.message, alert.severity, key]
+    );
+    if (changes === 0) return;
+
+    ctx.created++;
+    const row = await q.get("SELECT *, timestamp AS createdAt FROM alerts WHERE alertId = ?", [alertId]);
+    ctx.notify({ ...row, read: false, dismissed: false });
+}
+
+/**
+ * Upcoming and overdue deadlines. Warning stages (e.g. 7/3/1) count court
+ * days, so a weekend or public holiday does not eat into the notice; each
+ * stage is raised once per due date (a rescheduled deadline alerts afresh),
+ * and a stage missed while the server was down is raised on the next run.
+ * A deadline that falls on a weekend or public holiday is flagged once per
+ * due date.
+ */
+async function checkDeadlineAlerts(ctx) {
+    const deadlines = await q.all(
+        `SELECT d.*, f.caseName, f.assignedAdvocates, f.currentCustodian
+         FROM deadlines d JOIN files f ON f.fileId = d.fileId
+         WHERE d.status = 'Pending'`
+    );
+
+    await eachRow(deadlines, d => `deadline ${d.deadlineId}`, async (deadline) => {
+        if (deadline.isProtected) {
+            await checkLimitationDeadline(ctx, deadline);
+            return;
+        }
+
+        const { firmId, fileId, deadlineId, caseName } = deadline;
+        const due = CaseTrackCalendar.toKey(deadline.dueDate);
+        const gazetted = ctx.gazetted(firmId);
+        const daysUntil = CaseTrackCalendar.courtDaysUntil(deadline.dueDate, ctx.now, gazetted);
+        const advocate = firstAdvocate(deadline);
+
+        if (daysUntil < 0) {
+            await createAlertIfNew(ctx, firmId, {
+                type: 'deadline_overdue',
+                severity: 'critical',
+                fileId,
+                deadlineId,
+                targetUserId: advocate,
+                message: `OVERDUE: ${deadline.type} for "${caseName}" was due ${Math.abs(daysUntil)} day(s) ago. ${deadline.description || ''}`.trim()
+            }, due);
+
+            for (const recipient of ctx.escalationRecipients(firmId)) {
+                await createAlertIfNew(ctx, firmId, {
+                    type: 'escalation',
+                    severity: 'critical',
+                    fileId,
+                    deadlineId,
+                    targetUserId: recipient.userId,
+                    message: `ESCALATION: Deadline overdue for "${caseName}" - ${deadline.type}. Current custodian: ${ctx.userName(deadline.currentCustodian)}`
+                }, `overdue:${due}`);
+            }
+            return;
+        }
+
+        const closedReason = CaseTrackCalendar.nonCourtDayReason(deadline.dueDate, gazetted);
+        if (closedReason) {
+            const nextCourtDay = CaseTrackCalendar.nearestCourtDay(deadline.dueDate, gazetted);
+            await createAlertIfNew(ctx, firmId, {
+                type: 'deadline_non_court_day',
+                severity: 'warning',
+                fileId,
+                deadlineId,
+                targetUserId: advocate,
+                message: `${deadline.type} for "${caseName}" falls on a non-court day (${closedReason}, ${due}). Next court day: ${nextCourtDay}.`
+            }, due);
+        }
+
+        // Nearest stage first, so a deadline 2 days out lands in the 3-day stage
+        const warningDays = CaseTrackAlertRules.warningDaysFor(ctx.rules(firmId), deadline.type).reverse();
+        const stage = warningDays.find(days => daysUntil <= days);
+        if (stage === undefined) return;
+
+        // The nearest stage is critical, the one before it a warning
+        const position = warningDays.indexOf(stage);
+        const urgency = position === 0 ? 'critical' : position === 1 ? 'warning' : 'info';
+        const when = daysUntil === 0 ? 'today' : `in ${daysUntil} court day(s)`;
+
+        await createAlertIfNew(ctx, firmId, {
+            type: 'deadline_upcoming',
+            severity: urgency,
+            fileId,
+            deadlineId,
+            targetUserId: advocate,
+            message: `DEADLINE: ${deadline.type} for "${caseName}" ${when}. ${deadline.description || ''}`.trim()
+        }, `${due}:${stage}d`);
+
+        // Check if file is with correct custodian
+        const advocates = CaseTrackPermissions.getAssignedAdvocates(deadline);
+        if (advocates.length > 0 && !advocates.includes(deadline.currentCustodian)) {
+            await createAlertIfNew(ctx, firmId, {
+                type: 'file_location_warning',
+                severity: 'warning',
+                fileId,
+                deadlineId,
+                targetUserId: deadline.currentCustodian,
+                message: `File "${caseName}" has upcoming deadline but is not with assigned advocate. Current location: ${ctx.userName(deadline.currentCustodian)}`
+            });
+        }
+    });
+}
+
+/**
+ * Protected limitation deadlines (see limitation.js). Stages count calendar
+ * days - a limitation period runs through weekends and vacations - and
+ * every stage inside the escalation window also goes to the escalation
+ * recipients. An expired period is raised once to both.
+ */
+async function checkLimitationDeadline(ctx, deadline) {
+    const { firmId, fileId, deadlineId, caseName } = deadline;
+    const rules = ctx.rules(firmId);
+    const due = CaseTrackCalendar.toKey(deadline.dueDate);
+    const daysLeft = Math.round((CaseTrackCalendar.parseKey(due) - CaseTrackCalendar.parseKey(CaseTrackCalendar.toKey(ctx.now))) / DAY_MS);
+    const advocate = firstAdvocate(deadline);
+
+    // Scoped by due date, so a corrected accrual date alerts afresh
+    if (daysLeft < 0) {
+        const message = `LIMITATION EXPIRED: "${caseName}" - the last day to file was ${due}. The claim may now be time-barred.`;
+        await createAlertIfNew(ctx, firmId, { type: 'limitation_expired', severity: 'critical', fileId, deadlineId, targetUserId: advocate, message }, due);
+        for (const recipient of ctx.escalationRecipients(firmId)) {
+            await createAlertIfNew(ctx, firmId, { type: 'escalation', severity: 'critical', fileId, deadlineId, targetUserId: recipient.userId, message }, `limitation:${due}`);
+        }
+        return;
+    }
+
+    const stages = [...rules.limitationWarningDays].sort((a, b) => a - b);
+    const stage = stages.find(days => daysLeft <= days);
+    if (stage === undefined) return;
+
+    // Critical inside the escalation window, a warning at the stage before it
+    const escalating = stage <= rules.limitationEscalationDays;
+    const firstOutside = stages.find(days => days > rules.limitationEscalationDays);
+    const severity = escalating ? 'critical' : stage === firstOutside ? 'warning' : 'info';
+    const when = daysLeft === 0 ? 'today' : `in ${daysLeft} day(s), on ${due}`;
+
+    await createAlertIfNew(ctx, firmId, {
+        type: 'limitation_approaching',
+        severity,
+        fileId,
+        deadlineId,
+        targetUserId: advocate,
+        message: `LIMITATION: time to file "${caseName}" runs out ${when}. ${deadline.description || ''}`.trim()
+    }, `${due}:${stage}d`);
+
+    if (!escalating) return;
+    for (const recipient of ctx.escalationRecipients(firmId)) {
+        await createAlertIfNew(ctx, firmId, {
+            type: 'escalation',
+            severity: 'critical',
+            fileId,
+            deadlineId,
+            targetUserId: recipient.userId,
+            message: `ESCALATION: Limitation for "${caseName}" expires ${when} and no suit is recorded as filed.`
+        }, `limitation:${due}:${stage}d`);
+    }
+}
+
+/**
+ * Active files that have not moved for too long, using the thresholds for
+ * the file's practice area. Keyed on the last movement, so a new holding
+ * period raises fresh alerts. Audit entries for file edits (custodian
+ * unchanged, see applyFileUpdate) are not movements and do not reset it.
+ */
+async function checkOverdueFiles(ctx) {
+    const files = await q.all(
+        `SELECT f.fileId, f.firmId, f.caseName, f.practiceArea, f.currentCustodian,
+                m.movementId AS lastMovementId, m.timestamp AS lastMovedAt
+         FROM files f
+         JOIN movements m ON m.movementId = (
+             SELECT movementId FROM movements
+             WHERE fileId = f.fileId AND fromCustodian IS NOT toCustodian
+             ORDER BY timestamp DESC LIMIT 1
+         )
+         WHERE f.status = 'Active'`
+    );
+
+    await eachRow(files, f => `file ${f.fileId}`, async (file) => {
+        const thresholds = CaseTrackAlertRules.holdingThresholdsFor(ctx.rules(file.firmId), file.practiceArea);
+        const daysHeld = Math.round((ctx.now - parseTimestamp(file.lastMovedAt)) / DAY_MS);
+        if (daysHeld < thresholds.overdueThresholdDays) return;
+
+        const escalate = daysHeld >= thresholds.escalationThresholdDays;
+        const custodianName = ctx.userName(file.currentCustodian);
+
+        await createAlertIfNew(ctx, file.firmId, {
+            type: 'file_overdue_at_custodian',
+            severity: escalate ? 'critical' : 'warning',
+            fileId: file.fileId,
+            targetUserId: file.currentCustodian,
+            message: `File "${file.caseName}" has been with ${custodianName} for ${daysHeld} days without movement.`
+        }, `${file.lastMovementId}:${escalate ? 'critical' : 'warning'}`);
+
+        if (!escalate) return;
+
+        for (const recipient of ctx.escalationRecipients(file.firmId)) {
+            await createAlertIfNew(ctx, file.firmId, {
+                type: 'escalation',
+                severity: 'critical',
+                fileId: file.fileId,
+                targetUserId: recipient.userId,
+                message: `BOTTLENECK: "${file.caseName}" held by ${custodianName} for ${daysHeld} days. Intervention may be required.`
+            }, file.lastMovementId);
+        }
+    });
+}
+
+/**
+ * Transfers the recipient has not acknowledged within the grace period
+ */
+async function checkUnacknowledgedMovements(ctx) {
+    const movements = await q.all(
+        `SELECT m.movementId, m.firmId, m.fileId, m.toCustodian, m.timestamp, f.caseName
+         FROM movements m JOIN files f ON f.fileId = m.fileId
+         WHERE m.acknowledged = 0`
+    );
+
+    await eachRow(movements, m => `movement ${m.movementId}`, async (movement) => {
+        const hoursSince = (ctx.now - parseTimestamp(movement.timestamp)) / (1000 * 60 * 60);
+        if (hoursSince < ctx.rules(movement.firmId).unacknowledgedAlertHours) return;
+
+        await createAlertIfNew(ctx, movement.firmId, {
+            type: 'movement_unacknowledged',
+            severity: 'warning',
+            fileId: movement.fileId,
+            targetUserId: movement.toCustodian,
+            message: `Pending acknowledgement: "${movement.caseName}" transferred to ${ctx.userName(movement.toCustodian)} ${Math.round(hoursSince)} hours ago.`
+        }, movement.movementId);
+    });
+}
+
+/**
+ * Active physical files with no scanned documents linked
+ */
+async function checkMissingDigitalLinks(ctx) {
+    const files = await q.all(
+        `SELECT fileId, firmId, caseName, assignedAdvocates, linkedDigitalFiles FROM files f
+         WHERE status = 'Active'
+           AND NOT EXISTS (SELECT 1 FROM attachments a WHERE a.fileId = f.fileId AND a.firmId = f.firmId)`
+    );
+
+    await eachRow(files, f => `file ${f.fileId}`, async (file) => {
+        let linked = [];
+        try {
+            linked = JSON.parse(file.linkedDigitalFiles || '[]');
+        } catch (e) { /* treat unparseable as none */ }
+        if (Array.isArray(linked) && linked.length > 0) return;
+
+        await createAlertIfNew(ctx, file.firmId, {
+            type: 'missing_digital_link',
+            severity: 'info',
+            fileId: file.fileId,
+            targetUserId: firstAdvocate(file),
+            message: `File "${file.caseName}" has no linked digital documents. Consider uploading scans for backup.`
+        });
+    });
+}
+
+/**
+ * Run the checks now and then every `intervalMinutes`. Runs never overlap;
+ * an interval of 0 disables the scheduler. Returns a stop() function.
+ */
+function startAlertScheduler({ intervalMinutes, notify }) {
+    if (!(intervalMinutes > 0)) {
+        console.log('Alert scheduler disabled.');
+        return () => { };
+    }
+
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const created = await runAlertChecks(notify);
+            if (created > 0) console.log(`Alert scheduler raised ${created} alert(s)`);
+        } catch (err) {
+            console.error('Alert check failed:', err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+    console.log(`Alert scheduler running every ${intervalMinutes} minute(s)`);
+    return () => clearInterval(timer);
+}
+
+module.exports = { runAlertChecks, startAlertScheduler };
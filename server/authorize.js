@@ -0,0 +1,32 @@
+const CaseTrackPermissions = require('../permissions');
+
+// Server-side enforcement of the role matrix in permissions.js. The browser
+// hides actions a role cannot take; these guards make the API agree.
+
+/**
+ * Express middleware rejecting callers whose role lacks a permission.
+ * Mirrors CaseTrackAuth.requirePermission() in auth.js.
+ */
+function requirePermission(permission, action = 'perform this action') {
+    return (req, res, next) => {
+        if (!CaseTrackPermissions.hasPermission(req.user, permission)) {
+            return res.status(403).json({ error: `Your role (${req.user.role}) is not authorized to ${action}` });
+        }
+        next();
+    };
+}
+
+function canViewFile(user, file) {
+    return CaseTrackPermissions.canViewFile(user, file);
+}
+
+function filterVisibleFiles(user, files) {
+    return files.filter(file => canViewFile(user, file));
+}
+
+module.exports = {
+    requirePermission,
+    canViewFile,
+    filterVisibleFiles,
+    hasPermission: (user, permission) => CaseTrackPermissions.hasPermission(user, permission)
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const q = require('../db-async');
+const CaseTrackDB = require('../../database');
+const CaseTrackCourts = require('../../courts');
+const CaseTrackCalendar = require('../../legal-calendar');
+const { nameSimilarity } = require('../conflicts');
+const { FORMATS, detectFormat, causeListLines, parseCauseList, partyNames } = require('./parse');
+
+// Cause list import: a list published by the court is parsed into entries,
+// each entry is matched to one of the firm's open files - by its cause
+// number, else by party names - and proposed as a "Court Mention" or
+// "Court Hearing" deadline. Nothing is created until a user reviews the
+// proposals and applies them; the list and every entry's outcome are kept.
+
+const PARTY_MATCH_THRESHOLD = 0.85;
+const MAX_ENTRIES = 2000;
+
+// Parties that appear on too many matters to identify one
+const GENERIC_PARTIES = new Set(['republic', 'attorney general', 'state', 'hon attorney general']);
+
+function isGeneric(name) {
+    return GENERIC_PARTIES.has(name.toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim());
+}
+
+function sameCause(entry, file) {
+    return Boolean(file.causeNumber)
+        && String(file.causeType).toLowerCase() === String(entry.causeType).toLowerCase()
+        && String(file.causeNumber).toUpperCase() === entry.causeNumber
+        && Number(file.causeYear) === entry.causeYear;
+}
+
+/**
+ * The file an entry refers to: { fileId, matchedBy, matchScore }, or null.
+ * An exact cause number wins; otherwise the file sharing the most party
+ * names (then the closest ones) with the entry.
+ */
+function matchEntry(entry, files) {
+    const byCause = files.find(file => sameCause(entry, file));
+    if (byCause) return { fileId: byCause.fileId, matchedBy: 'causeNumber', matchScore: 1 };
+
+    const names = partyNames(entry.parties).filter(name => !isGeneric(name));
+    if (names.length === 0) return null;
+
+    let best = null;
+    for (const file of files) {
+        let matched = 0;
+        let total = 0;
+        for (const name of names) {
+            const score = Math.max(0, ...file.partyNames.map(other => nameSimilarity(name, other)));
+            if (score >= PARTY_MATCH_THRESHOLD) {
+                matched++;
+                total += score;
+            }
+        }
+        if (matched === 0) continue;
+        const candidate = { fileId: file.fileId, matched, matchScore: Math.round((total / matched) * 100) / 100 };
+        if (!best || candidate.matched > best.matched || (candidate.matched === best.matched && candidate.matchScore > best.matchScore)) {
+            best = candidate;
+        }
+    }
+    return best && { fileId: best.fileId, matchedBy: 'parties', matchScore: best.matchScore };
+}
+
+/**
+ * The deadline type proposed for an entry
+ */
+function proposedType(entry) {
+    return entry.activity || 'Court Mention';
+}
+
+function proposedDescription(entry, fileName) {
+    const cause = CaseTrackCourts.formatCauseNumber(entry) || entry.causeNumber;
+    const details = [
+        `${proposedType(entry)}: ${cause}`,
+        entry.bench && `before ${entry.bench}`,
+        entry.hearingTime && `at ${entry.hearingTime}`
+    ].filter(Boolean).join(' ');
+    return `${details} (cause list: ${fileName})`;
+}
+
+// The firm's open files with the names of every party on them
+async function matchableFiles(firmId) {
+    const files = await q.all("SELECT * FROM files WHERE firmId = ? AND status != 'Closed'", [firmId]);
+    const parties = await q.all("SELECT fileId, name FROM file_parties WHERE firmId = ?", [firmId]);
+    return files.map(file => ({
+        ...file,
+        partyNames: [
+            file.clientName,
+            ...parties.filter(p => p.fileId === file.fileId).map(p => p.name)
+        ].filter(Boolean).filter(name => !isGeneric(name))
+    }));
+}
+
+/**
+ * Parse an uploaded cause list, match its entries and store it for review.
+ * Returns { list, previousImport } - the stored list (see getCauseList) and
+ * the earlier import of the same file, if any - or { error } when the file
+ * cannot be read.
+ */
+async function importCauseList(user, { buffer, originalname, mimetype }) {
+    const format = detectFormat(originalname, mimetype);
+    if (!format) {
+        const extensions = Object.values(FORMATS).flatMap(f => f.extensions).join(', ');
+        return { error: `Unsupported cause list format. Expected one of: ${extensions}` };
+    }
+
+    let entries;
+    try {
+        entries = parseCauseList(await causeListLines(buffer, format));
+    } catch (err) {
+        return { error: `Could not read the cause list: ${err.message}` };
+    }
+    if (entries.length === 0) return { error: 'No cause numbers were found in the cause list' };
+    if (entries.length > MAX_ENTRIES) return { error: `A cause list can have at most ${MAX_ENTRIES} entries` };
+
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const previousImport = await q.get(
+        "SELECT causeListId, importedAt FROM cause_lists WHERE firmId = ? AND contentHash = ? ORDER BY importedAt DESC",
+        [user.firmId, contentHash]
+    );
+
+    const files = await matchableFiles(user.firmId);
+    const pending = await q.all(
+        "SELECT deadlineId, fileId, type, dueDate FROM deadlines WHERE firmId = ? AND status = 'Pending'",
+        [user.firmId]
+    );
+
+    const causeListId = `CLS-${uuidv4()}`;
+    const matches = entries.map(entry => matchEntry(entry, files));
+
+    await q.transaction(async (tx) => {
+        await tx.run(
+            `INSERT INTO cause_lists (causeListId, firmId, fileName, format, contentHash, entryCount, matchedCount, importedBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [causeListId, user.firmId, originalname, format, contentHash, entries.length,
+                matches.filter(Boolean).length, user.userId]
+        );
+        for (const [i, entry] of entries.entries()) {
+            const match = matches[i];
+            const duplicate = match && pending.find(d =>
+                d.fileId === match.fileId && d.type === proposedType(entry) && d.dueDate.slice(0, 10) === entry.hearingDate
+            );
+            await tx.run(
+                `INSERT INTO cause_list_entries (causeListId, firmId, lineNumber, rawText, causeNumber, parties,
+                    hearingDate, hearingTime, activity, bench, fileId, matchedBy, matchScore, duplicateOf)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [causeListId, user.firmId, entry.lineNumber, entry.rawText,
+                    CaseTrackCourts.formatCauseNumber(entry), entry.parties,
+                    entry.hearingDate, entry.hearingTime, entry.activity, entry.bench,
+                    match ? match.fileId : null, match ? match.matchedBy : null, match ? match.matchScore : null,
+                    duplicate ? duplicate.deadlineId : null]
+            );
+        }
+    });
+
+    return { list: await getCauseList(user.firmId, causeListId), previousImport: previousImport || null };
+}
+
+function listCauseLists(firmId) {
+    return q.all(
+        `SELECT c.*, u.name AS importedByName,
+            (SELECT COUNT(*) FROM cause_list_entries e WHERE e.causeListId = c.causeListId AND e.status = 'created') AS createdCount
+         FROM cause_lists c LEFT JOIN users u ON u.userId = c.importedBy
+         WHERE c.firmId = ? ORDER BY c.importedAt DESC`,
+        [firmId]
+    );
+}
+
+/**
+ * A stored list with its entries, or null when it does not exist in the
+ * firm. Each entry carries the proposed deadline type and description.
+ */
+async function getCauseList(firmId, causeListId) {
+    const list = await q.get(
+        `SELECT c.*, u.name AS importedByName FROM cause_lists c LEFT JOIN users u ON u.userId = c.importedBy
+         WHERE c.causeListId = ? AND c.firmId = ?`,
+        [causeListId, firmId]
+    );
+    if (!list) return null;
+
+    const rows = await q.all(
+        `SELECT e.*, f.caseName FROM cause_list_entries e LEFT JOIN files f ON f.fileId = e.fileId
+         WHERE e.causeListId = ? ORDER BY e.lineNumber`,
+        [causeListId]
+    );
+    const entries = rows.map(entry => ({
+        ...entry,
+        proposedType: proposedType(entry),
+        proposedDescription: proposedDescription({ ...entry, ...CaseTrackCourts.parseCauseNumber(entry.causeNumber) }, list.fileName)
+    }));
+    return { ...list, entries };
+}
+
+/**
+ * Create the reviewed deadlines. `decisions` is a list of { entryId, skip }
+ * or { entryId, fileId, type, dueDate, description } for proposed entries;
+ * fileId, type and description default to the proposal. Returns { deadlines } with the
+ * created deadlines, or { error, status } without changing anything.
+ */
+async function applyCauseList(user, list, decisions) {
+    if (!Array.isArray(decisions) || decisions.length === 0) return { error: 'No entries were selected', status: 400 };
+
+    const entries = new Map(list.entries.map(e => [e.entryId, e]));
+    const files = new Set((await q.all("SELECT fileId FROM files WHERE firmId = ?", [user.firmId])).map(f => f.fileId));
+
+    const toCreate = [];
+    const toSkip = [];
+    for (const decision of decisions) {
+        const entry = entries.get(Number(decision && decision.entryId));
+        if (!entry) return { error: `Entry ${decision && decision.entryId} is not on this cause list`, status: 400 };
+        if (entry.status !== 'proposed') return { error: `Line ${entry.lineNumber} was already ${entry.status}`, status: 409 };
+
+        if (decision.skip) {
+            toSkip.push(entry);
+            continue;
+        }
+        const type = decision.type || entry.proposedType;
+        const dueDate = decision.dueDate || entry.hearingDate;
+        if (!files.has(decision.fileId || entry.fileId)) return { error: `Choose a file for line ${entry.lineNumber}`, status: 400 };
+        if (!CaseTrackDB.DEADLINE_TYPES.includes(type)) return { error: `Invalid deadline type for line ${entry.lineNumber}`, status: 400 };
+        if (!CaseTrackCalendar.isDateKey(dueDate)) {
+            return { error: `Choose a hearing date for line ${entry.lineNumber}`, status: 400 };
+        }
+        toCreate.push({
+            entry,
+            deadlineId: `DL-${uuidv4()}`,
+            fileId: decision.fileId || entry.fileId,
+            type,
+            dueDate,
+            description: decision.description !== undefined ? String(decision.description).trim() : entry.proposedDescription
+        });
+    }
+
+    // Lines are claimed inside the transaction: another request may have
+    // applied them since they were read
+    const claim = async (tx, entry, status, fileId = null, deadlineId = null) => {
+        const { changes } = await tx.run(
+            `UPDATE cause_list_entries SET status = ?, fileId = COALESCE(?, fileId), deadlineId = ?
+             WHERE entryId = ? AND status = 'proposed'`,
+            [status, fileId, deadlineId, entry.entryId]
+        );
+        if (changes === 0) throw Object.assign(new Error(`Line ${entry.lineNumber} was already applied`), { status: 409 });
+    };
+
+    try {
+        await q.transaction(async (tx) => {
+            for (const deadline of toCreate) {
+                await claim(tx, deadline.entry, 'created', deadline.fileId, deadline.deadlineId);
+                await tx.run(
+                    `INSERT INTO deadlines (deadlineId, firmId, fileId, type, dueDate, description, causeListId, createdBy, createdAt, updatedAt)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                    [deadline.deadlineId, user.firmId, deadline.fileId, deadline.type, deadline.dueDate,
+                        deadline.description, list.causeListId, user.userId]
+                );
+                await tx.run(
+                    `INSERT INTO deadline_history (deadlineId, firmId, fileId, action, newDueDate, reason, performedBy)
+                     VALUES (?, ?, ?, 'created', ?, ?, ?)`,
+                    [deadline.deadlineId, user.firmId, deadline.fileId, deadline.dueDate,
+                        `Imported from cause list ${list.fileName}`, user.userId]
+                );
+            }
+            for (const entry of toSkip) {
+                await claim(tx, entry, 'skipped');
+            }
+        });
+    } catch (err) {
+        if (err.status === 409) return { error: err.message, status: 409 };
+        throw err;
+    }
+
+    return { deadlines: toCreate.map(({ entry, ...deadline }) => deadline) };
+}
+
+module.exports = {
+    FORMATS,
+    matchEntry,
+    importCauseList,
+    listCauseLists,
+    getCauseList,
+    applyCauseList
+};
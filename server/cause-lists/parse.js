@@ -0,0 +1,244 @@
+const CaseTrackCourts = require('../../courts');
+const { extractPdfText } = require('../search/extract-text');
+
+// Turns a Judiciary cause list into entries. Every format is reduced to
+// lines (table cells separated by tabs), then read top to bottom: lines
+// without a cause number are headings that set the date, bench, time and
+// activity (mention / hearing) for the entries below them.
+
+const FORMATS = {
+    pdf: { types: ['application/pdf'], extensions: ['.pdf'] },
+    html: { types: ['text/html', 'application/xhtml+xml'], extensions: ['.html', '.htm'] },
+    csv: { types: ['text/csv', 'application/csv', 'application/vnd.ms-excel'], extensions: ['.csv'] },
+    text: { types: ['text/plain'], extensions: ['.txt'] }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+// Known cause number prefixes, longest first so "ELC Misc. Application"
+// wins over "Misc. Application"
+const CAUSE_TYPES = [...new Set(Object.values(CaseTrackCourts.LEVELS).flatMap(level => level.causeTypes))]
+    .sort((a, b) => b.length - a.length);
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const KNOWN_CAUSE = new RegExp(
+    `\\b(${CAUSE_TYPES.map(type => escapeRegExp(type).replace(/\s+/g, '\\s+')).join('|')})(?:\\s*\\/\\s*|\\s+)(?:No\\.?\\s*)?(E?\\d{1,6})\\s*(?:of|\\/)\\s*(\\d{4})\\b`,
+    'i'
+);
+// Any other prefix needs the "No." to be recognised
+const OTHER_CAUSE = /\b([A-Z][A-Za-z.]*(?:\s+[A-Z][A-Za-z.]*){0,3})\s+No\.?\s*(E?\d{1,6})\s+of\s+(\d{4})\b/;
+
+const PARTIES_SEPARATOR = /\s+(?:v|vs|versus)\.?\s+/i;
+
+function detectFormat(fileName, mimeType) {
+    const name = String(fileName || '').toLowerCase();
+    const format = Object.keys(FORMATS).find(key =>
+        FORMATS[key].extensions.some(ext => name.endsWith(ext)) || FORMATS[key].types.includes(mimeType)
+    );
+    return format || null;
+}
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+function htmlToLines(html) {
+    const text = html
+        .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(/<(br|\/tr|\/p|\/div|\/li|\/h[1-6]|\/caption)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+    return decodeEntities(text).split('\n');
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * The lines of a cause list file, with table cells separated by tabs
+ */
+async function causeListLines(buffer, format) {
+    switch (format) {
+        case 'pdf':
+            return (await extractPdfText(buffer)).split('\n');
+        case 'html':
+            return htmlToLines(buffer.toString('utf8'));
+        case 'csv':
+            return parseCsv(buffer.toString('utf8')).map(cells => cells.map(c => c.replace(/\s+/g, ' ').trim()).join('\t'));
+        default:
+            return buffer.toString('utf8').split(/\r?\n/);
+    }
+}
+
+function isoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First date in a line as YYYY-MM-DD: 2026-10-20, 20/10/2026 or 20.10.2026
+ * (day first), "20th October 2026", "Tuesday 20 Oct, 2026" or
+ * "October 20, 2026"
+ */
+function findDate(line) {
+    let match = line.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (match) return isoDate(+match[1], +match[2], +match[3]);
+
+    match = line.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/);
+    if (match) return isoDate(+match[3], +match[2], +match[1]);
+
+    match = line.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${MONTH_NAME},?\\s+(\\d{4})\\b`, 'i'));
+    if (match) return isoDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+
+    match = line.match(new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'));
+    if (match) return isoDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+
+    return null;
+}
+
+function findTime(line) {
+    const match = line.match(/\b(\d{1,2})[:.](\d{2})\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[^a-z])/i) || line.match(/\b(\d{1,2}):(\d{2})\b/);
+    if (!match) return null;
+    const suffix = match[3] ? ` ${match[3].replace(/\./g, '').toUpperCase()}` : '';
+    return `${match[1]}:${match[2]}${suffix}`;
+}
+
+// Mentions and directions become "Court Mention"; everything argued or
+// delivered in court becomes "Court Hearing"
+function findActivity(line) {
+    if (/\b(mention|directions|case management|pre-?trial)\b/i.test(line)) return 'Court Mention';
+    if (/\b(hearing|trial|judgment|judgement|ruling|highlighting|submissions|plea|sentencing|defence)\b/i.test(line)) return 'Court Hearing';
+    return null;
+}
+
+function findBench(line) {
+    const match = line.match(/\bbefore\s*:?\s+((?:the\s+)?hon\.?.*|.*\b(?:justice|j\.|magistrate|registrar|chair(?:person)?)\b.*)$/i)
+        || line.match(/^\s*((?:the\s+)?hon(?:ourable|\.)?\s+.*(?:\b(?:justice|magistrate|registrar|lady|j\.)|\((?:c|s?p|s?r)?m\)).*)$/i);
+    return match ? match[1].replace(/\s+/g, ' ').trim() : null;
+}
+
+function findCauseNumber(line) {
+    const known = line.match(KNOWN_CAUSE);
+    const match = known || line.match(OTHER_CAUSE);
+    if (!match) return null;
+    const parsed = CaseTrackCourts.parseCauseNumber(`${match[1]} No. ${match[2]} of ${match[3]}`);
+    return { ...parsed, index: match.index, length: match[0].length };
+}
+
+// The cell naming the parties ("A v B"), else whatever follows the number
+function findParties(line, cause) {
+    const cells = line.split(/\t|\s{3,}|\s\|\s/).map(cell => cell.trim()).filter(Boolean);
+    const named = cells.find(cell => PARTIES_SEPARATOR.test(cell) && !cell.match(KNOWN_CAUSE));
+    if (named) return named;
+
+    const rest = line.slice(cause.index + cause.length).split(/\t|\s{3,}/).map(part => part.replace(/^[\s\-–—:|,]+/, '').trim()).find(Boolean);
+    return rest || null;
+}
+
+/**
+ * Party names in "ABC Ltd & another v XYZ Bank": ["ABC Ltd", "XYZ Bank"].
+ * A plain "&" is kept, as in "Kenya Power & Lighting".
+ */
+function partyNames(parties) {
+    if (!parties) return [];
+    return parties.split(PARTIES_SEPARATOR)
+        .flatMap(side => side.split(/\s*;\s*/))
+        .map(name => name
+            .replace(/\s*(?:&|\band)\s+(?:another|\d+\s+others?)\b/gi, '')
+            .replace(/\(.*?\)/g, '')
+            .replace(/\s+/g, ' ')
+            .trim())
+        .filter(name => name.length > 1);
+}
+
+/**
+ * Entries in the order they appear: { lineNumber, rawText, causeType,
+ * causeNumber, causeYear, parties, hearingDate, hearingTime, activity,
+ * bench }. hearingDate / activity are null when the list never says.
+ */
+function parseCauseList(lines) {
+    const context = { hearingDate: null, hearingTime: null, activity: null, bench: null };
+    const entries = [];
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.replace(/\u00a0/g, ' ').trim();
+        if (!line) return;
+
+        const cause = findCauseNumber(line);
+        const date = findDate(line);
+        const time = findTime(line);
+        const activity = findActivity(line);
+
+        if (!cause) {
+            // A heading: a new date or bench starts a new sitting
+            const bench = findBench(line);
+            if (date) Object.assign(context, { hearingDate: date, hearingTime: null, activity: null });
+            if (bench) Object.assign(context, { bench, hearingTime: null, activity: null });
+            if (time) context.hearingTime = time;
+            if (activity) context.activity = activity;
+            return;
+        }
+
+        entries.push({
+            lineNumber: index + 1,
+            rawText: line.replace(/\t+/g, ' | '),
+            causeType: cause.causeType,
+            causeNumber: cause.causeNumber,
+            causeYear: cause.causeYear,
+            parties: findParties(line, cause),
+            hearingDate: date || context.hearingDate,
+            hearingTime: time || context.hearingTime,
+            activity: activity || context.activity,
+            bench: context.bench
+        });
+    });
+
+    return entries;
+}
+
+module.exports = { FORMATS, detectFormat, causeListLines, parseCauseList, partyNames, findDate };
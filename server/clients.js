@@ -0,0 +1,228 @@
+const { v4: uuidv4 } = require('uuid');
+const q = require('./db-async');
+const { normalizeName } = require('./conflicts');
+const { normalizePhone } = require('./notifications/messaging');
+const { filterVisibleFiles } = require('./authorize');
+
+// Client registry: one record per client with KRA PIN / ID details and any
+// number of contact people. Files link to a client through files.clientId;
+// files.clientName is kept as the client's current name for display and
+// search.
+
+const CLIENT_TYPES = ['individual', 'organization'];
+const CLIENT_FIELDS = ['name', 'clientType', 'kraPin', 'idNumber', 'email', 'phone', 'address', 'notes'];
+const CONTACT_FIELDS = ['name', 'title', 'email', 'phone', 'isPrimary'];
+
+// KRA PINs: A (individuals) or P (non-individuals), nine digits, a letter
+const KRA_PIN = /^[AP]\d{9}[A-Z]$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function emptyToNull(value) {
+    if (value === undefined || value === null) return null;
+    const trimmed = String(value).trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Validate and tidy client fields. With `partial`, only the fields present
+ * are checked. Returns { values } or { error }.
+ */
+function cleanClient(data, partial = false) {
+    const values = {};
+    for (const field of CLIENT_FIELDS) {
+        if (data[field] !== undefined) values[field] = emptyToNull(data[field]);
+    }
+
+    if (!partial || values.name !== undefined) {
+        if (!values.name) return { error: 'Client name is required' };
+    }
+    if (values.clientType !== undefined) {
+        values.clientType = values.clientType || 'individual';
+        if (!CLIENT_TYPES.includes(values.clientType)) {
+            return { error: `Invalid client type. Expected one of: ${CLIENT_TYPES.join(', ')}` };
+        }
+    }
+    if (values.kraPin) {
+        values.kraPin = values.kraPin.replace(/\s+/g, '').toUpperCase();
+        if (!KRA_PIN.test(values.kraPin)) return { error: 'KRA PIN must look like A123456789B' };
+    }
+    if (values.email && !EMAIL.test(values.email)) return { error: 'Invalid email address' };
+    if (values.phone) {
+        const phone = normalizePhone(values.phone);
+        if (!phone) return { error: 'Invalid phone number' };
+        values.phone = phone;
+    }
+    return { values };
+}
+
+function cleanContact(data, partial = false) {
+    const values = {};
+    for (const field of CONTACT_FIELDS) {
+        if (data[field] !== undefined) values[field] = field === 'isPrimary' ? (data[field] ? 1 : 0) : emptyToNull(data[field]);
+    }
+
+    if (!partial || values.name !== undefined) {
+        if (!values.name) return { error: 'Contact name is required' };
+    }
+    if (values.email && !EMAIL.test(values.email)) return { error: 'Invalid email address' };
+    if (values.phone) {
+        const phone = normalizePhone(values.phone);
+        if (!phone) return { error: 'Invalid phone number' };
+        values.phone = phone;
+    }
+    return { values };
+}
+
+/**
+ * Clients in a firm with their number of matters, optionally filtered by a
+ * name / KRA PIN / ID number fragment
+ */
+function listClients(firmId, search) {
+    const params = [firmId];
+    let where = 'c.firmId = ?';
+    if (search) {
+        where += ' AND (c.name LIKE ? OR c.kraPin LIKE ? OR c.idNumber LIKE ?)';
+        const like = `%${search}%`;
+        params.push(like, like, like);
+    }
+    return q.all(
+        `SELECT c.*, (SELECT COUNT(*) FROM files f WHERE f.clientId = c.clientId) AS matterCount
+         FROM clients c WHERE ${where} ORDER BY c.name COLLATE NOCASE`,
+        params
+    );
+}
+
+function getClient(firmId, clientId) {
+    return q.get("SELECT * FROM clients WHERE clientId = ? AND firmId = ?", [clientId, firmId]);
+}
+
+function getContacts(clientId) {
+    return q.all("SELECT * FROM client_contacts WHERE clientId = ? ORDER BY isPrimary DESC, name COLLATE NOCASE", [clientId]);
+}
+
+/**
+ * A client's files the user can see, and the pending deadlines on them
+ */
+async function getClientMatters(user, clientId) {
+    const files = filterVisibleFiles(user, await q.all(
+        "SELECT * FROM files WHERE clientId = ? AND firmId = ? ORDER BY createdAt DESC",
+        [clientId, user.firmId]
+    ));
+    if (files.length === 0) return { files, deadlines: [] };
+
+    const deadlines = await q.all(
+        `SELECT d.*, f.caseName FROM deadlines d JOIN files f ON f.fileId = d.fileId
+         WHERE d.firmId = ? AND d.status = 'Pending' AND d.fileId IN (${files.map(() => '?').join(', ')})
+         ORDER BY d.dueDate`,
+        [user.firmId, ...files.map(f => f.fileId)]
+    );
+    return { files, deadlines };
+}
+
+/**
+ * Existing clients whose normalized name equals `name`'s
+ */
+async function findClientsByName(firmId, name) {
+    const key = normalizeName(name);
+    if (!key) return [];
+    const clients = await q.all("SELECT * FROM clients WHERE firmId = ?", [firmId]);
+    return clients.filter(c => normalizeName(c.name) === key);
+}
+
+async function createClient(user, values) {
+    const clientId = `CL-${uuidv4()}`;
+    const fields = CLIENT_FIELDS.filter(f => values[f] !== undefined);
+    await q.run(
+        `INSERT INTO clients (clientId, firmId, createdBy, ${fields.join(', ')})
+         VALUES (?, ?, ?, ${fields.map(() => '?').join(', ')})`,
+        [clientId, user.firmId, user.userId, ...fields.map(f => values[f])]
+    );
+    return getClient(user.firmId, clientId);
+}
+
+/**
+ * Update a client; a new name is copied to its files' clientName
+ */
+async function updateClient(client, values) {
+    const fields = Object.keys(values);
+    if (fields.length > 0) {
+        await q.run(
+            `UPDATE clients SET ${fields.map(f => `${f} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE clientId = ?`,
+            [...fields.map(f => values[f]), client.clientId]
+        );
+    }
+    if (values.name && values.name !== client.name) {
+        await q.run(
+            "UPDATE files SET clientName = ?, version = version + 1, updatedAt = CURRENT_TIMESTAMP WHERE clientId = ? AND firmId = ?",
+            [values.name, client.clientId, client.firmId]
+        );
+    }
+    return getClient(client.firmId, client.clientId);
+}
+
+async function deleteClient(client) {
+    await q.run("DELETE FROM client_contacts WHERE clientId = ?", [client.clientId]);
+    await q.run("DELETE FROM clients WHERE clientId = ?", [client.clientId]);
+}
+
+async function addContact(client, values) {
+    const contactId = `CON-${uuidv4()}`;
+    const fields = CONTACT_FIELDS.filter(f => values[f] !== undefined);
+    if (values.isPrimary) await q.run("UPDATE client_contacts SET isPrimary = 0 WHERE clientId = ?", [client.clientId]);
+    await q.run(
+        `INSERT INTO client_contacts (contactId, clientId, firmId, ${fields.join(', ')})
+         VALUES (?, ?, ?, ${fields.map(() => '?').join(', ')})`,
+        [contactId, client.clientId, client.firmId, ...fields.map(f => values[f])]
+    );
+    return q.get("SELECT * FROM client_contacts WHERE contactId = ?", [contactId]);
+}
+
+async function updateContact(contact, values) {
+    const fields = Object.keys(values);
+    if (values.isPrimary) await q.run("UPDATE client_contacts SET isPrimary = 0 WHERE clientId = ?", [contact.clientId]);
+    if (fields.length > 0) {
+        await q.run(
+            `UPDATE client_contacts SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE contactId = ?`,
+            [...fields.map(f => values[f]), contact.contactId]
+        );
+    }
+    return q.get("SELECT * FROM client_contacts WHERE contactId = ?", [contact.contactId]);
+}
+
+/**
+ * Work out the client fields for a new or edited file. An explicit clientId
+ * must belong to the firm and supplies the name; a bare clientName links to
+ * the client with that (normalized) name, creating one if there is none.
+ * Returns { clientId, clientName }, {} when neither was given, or { error }.
+ */
+async function resolveFileClient(user, { clientId, clientName }) {
+    if (clientId) {
+        const client = await getClient(user.firmId, clientId);
+        if (!client) return { error: 'Client not found' };
+        return { clientId: client.clientId, clientName: client.name };
+    }
+    if (clientName === undefined) return {};
+
+    const name = emptyToNull(clientName);
+    if (!name) return { error: 'clientName cannot be empty' };
+    const [existing] = await findClientsByName(user.firmId, name);
+    const client = existing || await createClient(user, { name });
+    return { clientId: client.clientId, clientName: client.name };
+}
+
+module.exports = {
+    CLIENT_TYPES,
+    cleanClient,
+    cleanContact,
+    listClients,
+    getClient,
+    getContacts,
+    getClientMatters,
+    findClientsByName,
+    createClient,
+    updateClient,
+    deleteClient,
+    addContact,
+    updateContact,
+    resolveFileClient
+};
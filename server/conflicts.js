@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+const q = require('./db-async');
+
+// Conflict-of-interest checks. Before a file is registered its parties are
+// fuzzy-matched against the parties of every matter the firm holds, open or
+// closed. A hit where the roles differ (e.g. the new matter's opposing party
+// is an existing client) blocks registration until a partner overrides it
+// with a reason; same-role hits (a returning client) are shown but not
+// blocking. The stored check is linked to the file it cleared.
+
+const PARTY_ROLES = ['client', 'opposing', 'related'];
+const MATCH_THRESHOLD = 0.85;
+const TOKEN_MATCH_THRESHOLD = 0.8;
+const MAX_PARTIES = 50;
+
+// Words that do not distinguish one party from another
+const NAME_NOISE = new Set([
+    'the', 'and', 'of', 'ltd', 'limited', 'plc', 'inc', 'llc', 'llp', 'co', 'company', 'corp', 'corporation',
+    'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'hon', 'eng'
+]);
+
+function nameTokens(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !NAME_NOISE.has(token));
+}
+
+/**
+ * Comparison key for a name: "Equity Bank Ltd." and "equity bank limited"
+ * both give "equity bank"
+ */
+function normalizeName(name) {
+    return nameTokens(name).join(' ');
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function ratio(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * Similarity of two party names from 0 to 1. Ignores case, accents,
+ * punctuation, company suffixes and titles; tolerates typos and reordered
+ * words ("Kamau Peter" matches "Peter Kamau").
+ */
+function nameSimilarity(a, b) {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const whole = ratio(tokensA.join(''), tokensB.join(''));
+
+    // Pair each word with its closest unused counterpart
+    const used = new Set();
+    let matched = 0;
+    for (const token of tokensA) {
+        let best = -1;
+        let bestScore = 0;
+        tokensB.forEach((other, i) => {
+            if (used.has(i)) return;
+            const score = ratio(token, other);
+            if (score > bestScore) {
+                best = i;
+                bestScore = score;
+            }
+        });
+        if (bestScore >= TOKEN_MATCH_THRESHOLD) {
+            used.add(best);
+            matched += bestScore;
+        }
+    }
+    const words = (2 * matched) / (tokensA.length + tokensB.length);
+
+    return Math.max(whole, words);
+}
+
+/**
+ * Validate and tidy the parties submitted for a check. Returns
+ * { parties } or { error }.
+ */
+function normalizeParties(parties) {
+    if (!Array.isArray(parties) || parties.length === 0) return { error: 'At least one party is required' };
+    if (parties.length > MAX_PARTIES) return { error: `A check can include at most ${MAX_PARTIES} parties` };
+
+    const cleaned = [];
+    for (const party of parties) {
+        const name = String((party && party.name) || '').trim();
+        if (!name) continue;
+        if (!PARTY_ROLES.includes(party.role)) {
+            return { error: `Invalid party role "${party.role}". Expected one of: ${PARTY_ROLES.join(', ')}` };
+        }
+        if (!cleaned.some(p => p.name.toLowerCase() === name.toLowerCase() && p.role === party.role)) {
+            cleaned.push({ name, role: party.role });
+        }
+    }
+    if (!cleaned.some(p => p.role === 'client')) return { error: 'The client must be named' };
+    return { parties: cleaned };
+}
+
+/**
+ * Match parties against every party on the firm's files and record the
+ * check. Returns the stored check (see getConflictCheck).
+ */
+async function runConflictCheck(user, parties) {
+    const existing = await q.all(
+        `SELECT p.name, p.role, f.fileId, f.caseName, f.status
+         FROM file_parties p JOIN files f ON f.fileId = p.fileId AND f.firmId = p.firmId
+         WHERE p.firmId = ?`,
+        [user.firmId]
+    );
+
+    const hits = [];
+    for (const party of parties) {
+        for (const other of existing) {
+            const score = nameSimilarity(party.name, other.name);
+            if (score < MATCH_THRESHOLD) continue;
+            hits.push({
+                party: party.name,
+                partyRole: party.role,
+                matchedName: other.name,
+                matchedRole: other.role,
+                fileId: other.fileId,
+                caseName: other.caseName,
+                fileStatus: other.status,
+                score: Math.round(score * 100) / 100,
+                blocking: party.role !== other.role
+            });
+        }
+    }
+    hits.sort((a, b) => (b.blocking - a.blocking) || (b.score - a.score));
+
+    const checkId = `CC-${uuidv4()}`;
+    await q.run(
+        `INSERT INTO conflict_checks (checkId, firmId, parties, hits, status, checkedBy)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [checkId, user.firmId, JSON.stringify(parties), JSON.stringify(hits),
+            hits.some(h => h.blocking) ? 'conflict' : 'clear', user.userId]
+    );
+    return getConflictCheck(user.firmId, checkId);
+}
+
+/**
+ * A stored check with parties and hits parsed and user names resolved, or
+ * null when it does not exist in the firm
+ */
+async function getConflictCheck(firmId, checkId) {
+    const check = await q.get(
+        `SELECT c.*, cu.name AS checkedByName, ou.name AS overriddenByName
+         FROM conflict_checks c
+         LEFT JOIN users cu ON cu.userId = c.checkedBy
+         LEFT JOIN users ou ON ou.userId = c.overriddenBy
+         WHERE c.checkId = ? AND c.firmId = ?`,
+        [checkId, firmId]
+    );
+    if (!check) return null;
+
+    return {
+        ...check,
+        parties: JSON.parse(check.parties),
+        hits: JSON.parse(check.hits),
+        requiresOverride: check.status === 'conflict'
+    };
+}
+
+async function overrideConflictCheck(user, checkId, reason) {
+    await q.run(
+        `UPDATE conflict_checks SET status = 'overridden', overriddenBy = ?, overrideReason = ?, overriddenAt = CURRENT_TIMESTAMP
+         WHERE checkId = ? AND firmId = ? AND status = 'conflict' AND fileId IS NULL`,
+        [user.userId, reason, checkId, user.firmId]
+    );
+    return getConflictCheck(user.firmId, checkId);
+}
+
+/**
+ * Why a check cannot clear registration of a file for `clientName`, or null
+ * when it can. Each check clears exactly one file.
+ */
+function registrationBlocker(check, clientName) {
+    if (!check) return 'Conflict check not found';
+    if (check.fileId) return `This conflict check was already used for ${check.fileId}`;
+    if (check.status === 'conflict') return 'The conflict check found conflicts that a partner must override';
+    const client = normalizeName(clientName);
+    if (!client || !check.parties.some(p => p.role === 'client' && normalizeName(p.name) === client)) {
+        return `The conflict check does not cover the client "${clientName}"`;
+    }
+    return null;
+}
+
+/**
+ * Link a check to the file it cleared and record that file's parties
+ */
+async function recordFileParties(check, fileId) {
+    await q.run("UPDATE conflict_checks SET fileId = ? WHERE checkId = ?", [fileId, check.checkId]);
+    for (const party of check.parties) {
+        await q.run(
+            "INSERT INTO file_parties (firmId, fileId, name, role) VALUES (?, ?, ?, ?)",
+            [check.firmId, fileId, party.name, party.role]
+        );
+    }
+}
+
+function getFileParties(firmId, fileId) {
+    return q.all(
+        "SELECT partyId, name, role, createdAt FROM file_parties WHERE firmId = ? AND fileId = ? ORDER BY partyId",
+        [firmId, fileId]
+    );
+}
+
+module.exports = {
+    PARTY_ROLES,
+    normalizeName,
+    nameSimilarity,
+    normalizeParties,
+    runConflictCheck,
+    getConflictCheck,
+    overrideConflictCheck,
+    registrationBlocker,
+    recordFileParties,
+    getFileParties
+};
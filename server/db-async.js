@@ -0,0 +1,93 @@
+const sqlite3 = require('sqlite3');
+const db = require('./db');
+
+// Promise wrappers around the sqlite3 callback API, for code that needs to
+// run several statements in sequence (migrations, background jobs).
+
+function helpersFor(conn) {
+    function run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            conn.run(sql, params, function (err) {
+                if (err) return reject(err);
+                resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        });
+    }
+
+    function get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            conn.get(sql, params, (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+    }
+
+    function all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            conn.all(sql, params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    }
+
+    function exec(sql) {
+        return new Promise((resolve, reject) => {
+            conn.exec(sql, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    }
+
+    return { run, get, all, exec };
+}
+
+const { run, get, all, exec } = helpersFor(db);
+
+async function hasColumn(table, column) {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    return columns.some(c => c.name === column);
+}
+
+// Transactions get their own connection, one at a time. On the shared
+// connection, statements other requests (or the alert scheduler) issue while
+// a transaction awaits would run inside it, and its ROLLBACK would undo them.
+let txConnection = null;
+let txQueue = Promise.resolve();
+
+function transactionConnection() {
+    if (!txConnection) {
+        txConnection = new sqlite3.Database(db.filename);
+        txConnection.configure('busyTimeout', db.BUSY_TIMEOUT_MS);
+    }
+    return txConnection;
+}
+
+/**
+ * Run `work(tx)` in a transaction; tx has run/get/all/exec, and every
+ * statement of the transaction must go through it. Commits when work
+ * resolves, rolls back and rethrows when it rejects. Resolves to work's
+ * result.
+ */
+function transaction(work) {
+    const result = txQueue.then(async () => {
+        const tx = helpersFor(transactionConnection());
+        // IMMEDIATE takes the write lock now, so the commit cannot fail
+        // on a lock another connection took in the meantime
+        await tx.run("BEGIN IMMEDIATE");
+        try {
+            const value = await work(tx);
+            await tx.run("COMMIT");
+            return value;
+        } catch (err) {
+            await tx.run("ROLLBACK").catch(() => { });
+            throw err;
+        }
+    });
+    txQueue = result.catch(() => { });
+    return result;
+}
+
+module.exports = { db, run, get, all, exec, hasColumn, transaction };
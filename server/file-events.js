@@ -0,0 +1,154 @@
+const { v4: uuidv4 } = require('uuid');
+const q = require('./db-async');
+const CaseTrackDB = require('../database');
+const CaseTrackCalendar = require('../legal-calendar');
+const CaseTrackDeadlineRules = require('../deadline-rules');
+
+// Procedural events: logging an event on a file (e.g. "Judgment delivered")
+// looks up the firm's deadline rule for the event type and the file's
+// practice area and proposes its chain of deadlines, dated on the court
+// calendar. The user reviews the proposals; the event and the deadlines
+// they keep are then saved together.
+
+async function getFirmRules(firmId) {
+    const row = await q.get("SELECT rules FROM deadline_rules WHERE firmId = ?", [firmId]);
+    return CaseTrackDeadlineRules.withDefaults(row ? JSON.parse(row.rules) : null);
+}
+
+/**
+ * Date each step of a rule: { step, type, description, basis, dueDate,
+ * adjustedFrom, reason }. `dueDates` maps step indexes to dates the user
+ * chose instead; later steps run from the chosen date.
+ */
+function proposeDeadlines(rule, eventDate, gazetted = [], dueDates = {}) {
+    const dates = [];
+    return rule.steps.map((step, index) => {
+        const from = step.after === null || step.after === undefined ? eventDate : dates[step.after];
+        const computed = CaseTrackCalendar.computeDeadline(from, step.days, { mode: step.mode, before: step.before, gazetted });
+        const chosen = dueDates[index];
+        dates.push(chosen || computed.date);
+        return {
+            step: index,
+            type: step.type,
+            description: step.description,
+            basis: CaseTrackDeadlineRules.describeStep(step),
+            dueDate: chosen || computed.date,
+            computedDate: computed.date,
+            adjustedFrom: computed.adjustedFrom,
+            reason: computed.reason
+        };
+    });
+}
+
+/**
+ * The rule and proposed deadlines for an event on a file. Returns
+ * { rule, proposals } (rule is null when the firm has none for the event),
+ * or { error }. `dueDates` is as for proposeDeadlines.
+ */
+async function previewEvent(firmId, file, { eventType, eventDate, dueDates = {} } = {}) {
+    if (!eventType || !String(eventType).trim()) return { error: 'Choose an event type' };
+    if (!CaseTrackCalendar.isDateKey(eventDate)) return { error: 'A valid event date (YYYY-MM-DD) is required' };
+    const invalid = Object.values(dueDates || {}).find(date => !CaseTrackCalendar.isDateKey(date));
+    if (invalid !== undefined) return { error: `Invalid due date: ${invalid}` };
+
+    const rule = CaseTrackDeadlineRules.ruleFor(await getFirmRules(firmId), String(eventType).trim(), file.practiceArea);
+    if (!rule) return { rule: null, proposals: [] };
+
+    const gazetted = await q.all("SELECT date, name FROM court_holidays WHERE firmId = ?", [firmId]);
+    return { rule, proposals: proposeDeadlines(rule, eventDate, gazetted, dueDates || {}) };
+}
+
+/**
+ * Save an event and the deadlines kept from its proposals. `steps` is a
+ * list of { step, skip } or { step, dueDate, description }; steps not
+ * listed are created as proposed, so omitting it creates the whole chain.
+ * Returns { event, deadlines }, or { error } without changing anything.
+ */
+async function logEvent(user, file, { eventType, eventDate, notes, steps = [] } = {}) {
+    if (!Array.isArray(steps)) return { error: 'steps must be a list' };
+
+    const dueDates = {};
+    for (const decision of steps) {
+        if (decision && !decision.skip && decision.dueDate) dueDates[decision.step] = decision.dueDate;
+    }
+    const { rule, proposals, error } = await previewEvent(user.firmId, file, { eventType, eventDate, dueDates });
+    if (error) return { error };
+
+    const decisions = new Map(steps.map(decision => [Number(decision && decision.step), decision || {}]));
+    const unknown = [...decisions.keys()].find(step => !proposals[step]);
+    if (unknown !== undefined) return { error: `Step ${unknown} is not part of the rule for ${eventType}` };
+
+    const event = {
+        eventId: `EVT-${uuidv4()}`,
+        firmId: user.firmId,
+        fileId: file.fileId,
+        eventType: rule ? rule.eventType : String(eventType).trim(),
+        eventDate,
+        notes: notes ? String(notes).trim() : null,
+        loggedBy: user.userId
+    };
+    const deadlines = proposals
+        .filter(proposal => !(decisions.get(proposal.step) || {}).skip)
+        .map(proposal => {
+            const description = (decisions.get(proposal.step) || {}).description;
+            return {
+                deadlineId: `DL-${uuidv4()}`,
+                fileId: file.fileId,
+                type: proposal.type,
+                dueDate: proposal.dueDate,
+                description: description !== undefined && String(description).trim() ? String(description).trim() : proposal.description
+            };
+        });
+    if (deadlines.some(d => !CaseTrackDB.DEADLINE_TYPES.includes(d.type))) {
+        return { error: 'The deadline rule uses a deadline type that no longer exists' };
+    }
+
+    await q.transaction(async (tx) => {
+        await tx.run(
+            `INSERT INTO file_events (eventId, firmId, fileId, eventType, eventDate, notes, loggedBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [event.eventId, event.firmId, event.fileId, event.eventType, event.eventDate, event.notes, event.loggedBy]
+        );
+        for (const deadline of deadlines) {
+            await tx.run(
+                `INSERT INTO deadlines (deadlineId, firmId, fileId, type, dueDate, description, fileEventId, createdBy, createdAt, updatedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                [deadline.deadlineId, user.firmId, file.fileId, deadline.type, deadline.dueDate,
+                    deadline.description, event.eventId, user.userId]
+            );
+            await tx.run(
+                `INSERT INTO deadline_history (deadlineId, firmId, fileId, action, newDueDate, reason, performedBy)
+                 VALUES (?, ?, ?, 'created', ?, ?, ?)`,
+                [deadline.deadlineId, user.firmId, file.fileId, deadline.dueDate,
+                    `Generated from "${event.eventType}" on ${event.eventDate}`, user.userId]
+            );
+        }
+    });
+
+    return { event, deadlines };
+}
+
+/**
+ * Events logged on a file, newest first, each with the deadlines it created
+ */
+async function listFileEvents(firmId, fileId) {
+    const events = await q.all(
+        `SELECT e.*, u.name AS loggedByName FROM file_events e LEFT JOIN users u ON u.userId = e.loggedBy
+         WHERE e.firmId = ? AND e.fileId = ? ORDER BY e.eventDate DESC, e.loggedAt DESC`,
+        [firmId, fileId]
+    );
+    const deadlines = await q.all(
+        `SELECT deadlineId, fileEventId, type, dueDate, description, status FROM deadlines
+         WHERE firmId = ? AND fileId = ? AND fileEventId IS NOT NULL ORDER BY dueDate`,
+        [firmId, fileId]
+    );
+    return events.map(event => ({ ...event, deadlines: deadlines.filter(d => d.fileEventId === event.eventId) }));
+}
+
+module.exports = {
+    getFirmRules,
+    proposeDeadlines,
+    previewEvent,
+    logEvent,
+    listFileEvents
+};
@@ -0,0 +1,104 @@
+const { v4: uuidv4 } = require('uuid');
+const q = require('./db-async');
+const CaseTrackCalendar = require('../legal-calendar');
+
+// Limitation tracking: a file with a cause of action and an accrual date has
+// one protected "Limitation Period" deadline on the last court day of the
+// period. It is kept in step with the file here - created, moved when the
+// accrual date or cause changes, cancelled when either is cleared - and the
+// deadline routes refuse to change it by hand. Completing it (suit filed)
+// ends tracking for the file.
+
+/**
+ * Check the limitation fields of a file update. Returns an error message or
+ * null; empty strings clear a field.
+ */
+function validateLimitation({ causeOfAction, accrualDate }) {
+    if (causeOfAction && !CaseTrackCalendar.LIMITATION_PERIODS[causeOfAction]) {
+        return `Unknown cause of action. Expected one of: ${Object.keys(CaseTrackCalendar.LIMITATION_PERIODS).join(', ')}`;
+    }
+    if (accrualDate && !CaseTrackCalendar.isDateKey(accrualDate)) {
+        return 'accrualDate must be a valid date (YYYY-MM-DD)';
+    }
+    return null;
+}
+
+function describe(limitation, accrualDate) {
+    const moved = limitation.adjustedFrom ? `; expires ${limitation.expiry} (${limitation.reason})` : '';
+    return `Limitation: ${limitation.name}, accrued ${accrualDate} (${limitation.statute})${moved}`;
+}
+
+async function recordHistory(deadline, action, userId, { previousDueDate = null, newDueDate = null, reason }) {
+    await q.run(
+        `INSERT INTO deadline_history (deadlineId, firmId, fileId, action, previousDueDate, newDueDate, reason, performedBy)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [deadline.deadlineId, deadline.firmId, deadline.fileId, action, previousDueDate, newDueDate, reason, userId]
+    );
+}
+
+/**
+ * Bring a file's protected limitation deadline in line with its cause of
+ * action and accrual date. Returns { action, deadline } when the deadline
+ * was created, rescheduled or cancelled, else null.
+ */
+async function syncLimitationDeadline(user, file) {
+    const current = await q.get(
+        `SELECT * FROM deadlines WHERE firmId = ? AND fileId = ? AND isProtected = 1 AND status IN ('Pending', 'Completed')
+         ORDER BY createdAt DESC`,
+        [file.firmId, file.fileId]
+    );
+    if (current && current.status === 'Completed') return null;
+
+    const gazetted = await q.all("SELECT date, name FROM court_holidays WHERE firmId = ?", [file.firmId]);
+    const limitation = CaseTrackCalendar.limitationFor(file.causeOfAction, file.accrualDate, gazetted);
+
+    if (!limitation) {
+        if (!current) return null;
+        const reason = 'Cause of action or accrual date removed from the file';
+        await q.run(
+            `UPDATE deadlines SET status = 'Cancelled', cancelledAt = ?, cancelledBy = ?, cancelReason = ?,
+             version = version + 1, updatedAt = CURRENT_TIMESTAMP WHERE deadlineId = ?`,
+            [new Date().toISOString(), user.userId, reason, current.deadlineId]
+        );
+        await recordHistory(current, 'cancelled', user.userId, { reason });
+        return { action: 'cancelled', deadline: { ...current, status: 'Cancelled' } };
+    }
+
+    const description = describe(limitation, file.accrualDate);
+    if (!current) {
+        const deadline = {
+            deadlineId: `DL-${uuidv4()}`,
+            firmId: file.firmId,
+            fileId: file.fileId,
+            type: 'Limitation Period',
+            dueDate: limitation.date,
+            description,
+            status: 'Pending',
+            isProtected: 1
+        };
+        await q.run(
+            `INSERT INTO deadlines (deadlineId, firmId, fileId, type, dueDate, description, isProtected, createdBy, createdAt, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?, 1, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+            [deadline.deadlineId, deadline.firmId, deadline.fileId, deadline.type, deadline.dueDate, description, user.userId]
+        );
+        await recordHistory(deadline, 'created', user.userId, {
+            newDueDate: deadline.dueDate,
+            reason: `Limitation period from accrual on ${file.accrualDate}`
+        });
+        return { action: 'created', deadline };
+    }
+
+    if (current.dueDate === limitation.date && current.description === description) return null;
+    await q.run(
+        "UPDATE deadlines SET dueDate = ?, previousDueDate = ?, description = ?, version = version + 1, updatedAt = CURRENT_TIMESTAMP WHERE deadlineId = ?",
+        [limitation.date, current.dueDate, description, current.deadlineId]
+    );
+    await recordHistory(current, 'rescheduled', user.userId, {
+        previousDueDate: current.dueDate,
+        newDueDate: limitation.date,
+        reason: 'Cause of action or accrual date changed on the file'
+    });
+    return { action: 'rescheduled', deadline: { ...current, dueDate: limitation.date, description } };
+}
+
+module.exports = { validateLimitation, syncLimitationDeadline };
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const q = require('./db-async');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Migrations are forward-only: each file in migrations/ exports an async
+// up(q) that receives the db-async helpers. Files are applied in version
+// order, each inside its own transaction, and recorded in schema_migrations.
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE);
+            if (!match) return null;
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file,
+                ...require(path.join(MIGRATIONS_DIR, file))
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version)
+        .map((migration, index, list) => {
+            if (index > 0 && list[index - 1].version === migration.version) {
+                throw new Error(`Duplicate migration version ${migration.version} (${list[index - 1].file}, ${migration.file})`);
+            }
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${migration.file} does not export an up() function`);
+            }
+            return migration;
+        });
+}
+
+async function ensureMigrationsTable() {
+    await q.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+async function getAppliedMigrations() {
+    await ensureMigrationsTable();
+    return q.all("SELECT version, name, appliedAt FROM schema_migrations ORDER BY version");
+}
+
+/**
+ * Apply every pending migration in order. Stops at the first failure,
+ * leaving that migration (and everything after it) unapplied.
+ */
+async function latest() {
+    const applied = await getAppliedMigrations();
+    const appliedVersions = new Set(applied.map(m => m.version));
+    const pending = loadMigrations().filter(m => !appliedVersions.has(m.version));
+
+    for (const migration of pending) {
+        await q.run("BEGIN TRANSACTION");
+        try {
+            await migration.up(q);
+            await q.run(
+                "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+                [migration.version, migration.name]
+            );
+            await q.run("COMMIT");
+            console.log(`Applied migration ${migration.file}`);
+        } catch (err) {
+            await q.run("ROLLBACK").catch(() => { });
+            throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+        }
+    }
+
+    if (pending.length === 0) {
+        console.log('Database schema is up to date.');
+    }
+    return pending.map(m => m.file);
+}
+
+/**
+ * Report applied and pending migrations, plus any recorded versions whose
+ * files are no longer present.
+ */
+async function status() {
+    const applied = await getAppliedMigrations();
+    const appliedByVersion = new Map(applied.map(m => [m.version, m]));
+    const migrations = loadMigrations();
+    const known = new Set(migrations.map(m => m.version));
+
+    return {
+        migrations: migrations.map(m => ({
+            version: m.version,
+            file: m.file,
+            appliedAt: appliedByVersion.has(m.version) ? appliedByVersion.get(m.version).appliedAt : null
+        })),
+        missing: applied.filter(m => !known.has(m.version))
+    };
+}
+
+module.exports = { latest, status };
+
+// CLI: `npm run migrate` / `npm run migrate:status`
+if (require.main === module) {
+    const command = process.argv[2] || 'up';
+
+    const commands = {
+        async up() {
+            const applied = await latest();
+            if (applied.length > 0) console.log(`${applied.length} migration(s) applied.`);
+        },
+        async status() {
+            const report = await status();
+            report.migrations.forEach(m => {
+                console.log(`${m.appliedAt ? '[x]' : '[ ]'} ${m.file}${m.appliedAt ? `  (applied ${m.appliedAt})` : ''}`);
+            });
+            report.missing.forEach(m => {
+                console.warn(`[!] ${m.version}_${m.name} is recorded as applied but its file is missing`);
+            });
+            const pending = report.migrations.filter(m => !m.appliedAt).length;
+            console.log(pending === 0 ? 'No pending migrations.' : `${pending} pending migration(s).`);
+        }
+    };
+
+    if (!commands[command]) {
+        console.error(`Unknown command "${command}". Usage: node server/migrate.js [up|status]`);
+        process.exit(1);
+    }
+
+    commands[command]()
+        .then(() => q.db.close())
+        .catch(err => {
+            console.error(err.message);
+            q.db.close();
+            process.exit(1);
+        });
+}
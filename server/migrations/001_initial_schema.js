@@ -0,0 +1,99 @@
+// Baseline schema, formerly created ad hoc by createTables() in db.js.
+// Uses IF NOT EXISTS so databases created by that code adopt it as-is.
+
+module.exports = {
+    async up({ run, hasColumn }) {
+        await run(`CREATE TABLE IF NOT EXISTS users (
+            userId TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            role TEXT NOT NULL,
+            email TEXT,
+            department TEXT,
+            firmName TEXT,
+            isFirmOwner INTEGER DEFAULT 0,
+            passwordHash TEXT,
+            twoFactorSecret TEXT,
+            twoFactorEnabled INTEGER DEFAULT 0,
+            active INTEGER DEFAULT 1
+        )`);
+
+        // Very old databases predate these columns
+        const userColumns = [
+            ['firmName', 'TEXT'],
+            ['isFirmOwner', 'INTEGER DEFAULT 0'],
+            ['passwordHash', 'TEXT'],
+            ['twoFactorSecret', 'TEXT'],
+            ['twoFactorEnabled', 'INTEGER DEFAULT 0']
+        ];
+        for (const [column, definition] of userColumns) {
+            if (!(await hasColumn('users', column))) {
+                await run(`ALTER TABLE users ADD COLUMN ${column} ${definition}`);
+            }
+        }
+
+        await run(`CREATE TABLE IF NOT EXISTS files (
+            fileId TEXT PRIMARY KEY,
+            caseName TEXT NOT NULL,
+            clientName TEXT NOT NULL,
+            practiceArea TEXT NOT NULL,
+            status TEXT DEFAULT 'Active',
+            currentCustodian TEXT NOT NULL,
+            courtJurisdiction TEXT,
+            assignedAdvocates TEXT,
+            notes TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (currentCustodian) REFERENCES users (userId)
+        )`);
+
+        await run(`CREATE TABLE IF NOT EXISTS movements (
+            movementId TEXT PRIMARY KEY,
+            fileId TEXT NOT NULL,
+            fromCustodian TEXT,
+            toCustodian TEXT NOT NULL,
+            purpose TEXT NOT NULL,
+            notes TEXT,
+            timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+            acknowledged INTEGER DEFAULT 0,
+            acknowledgedAt TEXT,
+            FOREIGN KEY (fileId) REFERENCES files (fileId),
+            FOREIGN KEY (fromCustodian) REFERENCES users (userId),
+            FOREIGN KEY (toCustodian) REFERENCES users (userId)
+        )`);
+
+        await run(`CREATE TABLE IF NOT EXISTS deadlines (
+            deadlineId TEXT PRIMARY KEY,
+            fileId TEXT NOT NULL,
+            type TEXT NOT NULL,
+            dueDate TEXT NOT NULL,
+            description TEXT,
+            status TEXT DEFAULT 'Pending',
+            completedAt TEXT,
+            FOREIGN KEY (fileId) REFERENCES files (fileId)
+        )`);
+
+        await run(`CREATE TABLE IF NOT EXISTS alerts (
+            alertId TEXT PRIMARY KEY,
+            fileId TEXT,
+            type TEXT NOT NULL,
+            message TEXT NOT NULL,
+            severity TEXT NOT NULL,
+            timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+            read INTEGER DEFAULT 0,
+            FOREIGN KEY (fileId) REFERENCES files (fileId)
+        )`);
+
+        await run(`CREATE TABLE IF NOT EXISTS attachments (
+            attachmentId TEXT PRIMARY KEY,
+            fileId TEXT NOT NULL,
+            name TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            data TEXT, -- Base64 for demo or path to file
+            uploadedBy TEXT NOT NULL,
+            uploadedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (fileId) REFERENCES files (fileId),
+            FOREIGN KEY (uploadedBy) REFERENCES users (userId)
+        )`);
+    }
+};
@@ -0,0 +1,9 @@
+// POST /api/alerts has always inserted deadlineId and targetUserId, but the
+// alerts table never had those columns.
+
+module.exports = {
+    async up({ run }) {
+        await run(`ALTER TABLE alerts ADD COLUMN deadlineId TEXT REFERENCES deadlines (deadlineId)`);
+        await run(`ALTER TABLE alerts ADD COLUMN targetUserId TEXT REFERENCES users (userId)`);
+    }
+};
@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Multi-tenant isolation: every firm-owned row carries a firmId. Existing
+// data is backfilled from users.firmName and each file's custodian.
+
+const FIRM_SCOPED_TABLES = ['files', 'movements', 'deadlines', 'alerts', 'attachments'];
+
+module.exports = {
+    async up({ run, all }) {
+        await run(`CREATE TABLE firms (
+            firmId TEXT PRIMARY KEY,
+            name TEXT NOT NULL UNIQUE,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await run(`ALTER TABLE users ADD COLUMN firmId TEXT REFERENCES firms (firmId)`);
+        for (const table of FIRM_SCOPED_TABLES) {
+            await run(`ALTER TABLE ${table} ADD COLUMN firmId TEXT REFERENCES firms (firmId)`);
+        }
+
+        const firmNames = await all("SELECT DISTINCT COALESCE(firmName, 'Default Firm') AS name FROM users");
+        for (const { name } of firmNames) {
+            const firmId = `FIRM-${uuidv4().slice(0, 8).toUpperCase()}`;
+            await run("INSERT INTO firms (firmId, name) VALUES (?, ?)", [firmId, name]);
+            await run("UPDATE users SET firmId = ?, firmName = ? WHERE COALESCE(firmName, 'Default Firm') = ?", [firmId, name, name]);
+        }
+
+        await run(`UPDATE files SET firmId = (
+            SELECT firmId FROM users WHERE users.userId = files.currentCustodian
+        )`);
+        for (const table of ['movements', 'deadlines', 'attachments']) {
+            await run(`UPDATE ${table} SET firmId = (
+                SELECT firmId FROM files WHERE files.fileId = ${table}.fileId
+            )`);
+        }
+        await run(`UPDATE alerts SET firmId = COALESCE(
+            (SELECT firmId FROM files WHERE files.fileId = alerts.fileId),
+            (SELECT firmId FROM users WHERE users.userId = alerts.targetUserId)
+        )`);
+
+        // Rows nothing above could place (a file whose custodian was deleted,
+        // and what hangs off it) belong to the only firm there is. With
+        // several firms the owner cannot be guessed, and later migrations
+        // need every row placed, so stop here instead.
+        const orphans = [];
+        for (const table of FIRM_SCOPED_TABLES) {
+            const [{ count }] = await all(`SELECT COUNT(*) AS count FROM ${table} WHERE firmId IS NULL`);
+            if (count) orphans.push({ table, count });
+        }
+        if (orphans.length) {
+            const firms = await all("SELECT firmId FROM firms");
+            if (firms.length > 1) {
+                const list = orphans.map(o => `${o.count} in ${o.table}`).join(', ');
+                throw new Error(`Cannot tell which firm some rows belong to (${list}): their file's custodian no longer exists. ` +
+                    'Set files.currentCustodian to a current user of the right firm (or delete the rows), then restart.');
+            }
+
+            let firmId = firms.length ? firms[0].firmId : null;
+            if (!firmId) {
+                firmId = `FIRM-${uuidv4().slice(0, 8).toUpperCase()}`;
+                await run("INSERT INTO firms (firmId, name) VALUES (?, 'Default Firm')", [firmId]);
+            }
+            for (const { table } of orphans) {
+                await run(`UPDATE ${table} SET firmId = ? WHERE firmId IS NULL`, [firmId]);
+            }
+        }
+
+        await run("CREATE INDEX idx_users_firm ON users (firmId)");
+        for (const table of FIRM_SCOPED_TABLES) {
+            await run(`CREATE INDEX idx_${table}_firm ON ${table} (firmId)`);
+        }
+    }
+};
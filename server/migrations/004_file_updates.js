@@ -0,0 +1,10 @@
+// Columns backing PUT/PATCH /api/files/:fileId and the status endpoint,
+// plus who logged each movement so status-change audit entries are attributed.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE files ADD COLUMN dateClosed TEXT");
+        await run("ALTER TABLE files ADD COLUMN linkedDigitalFiles TEXT"); // JSON array
+        await run("ALTER TABLE movements ADD COLUMN loggedBy TEXT REFERENCES users (userId)");
+    }
+};
@@ -0,0 +1,30 @@
+// Deadline lifecycle: who created/completed/cancelled a deadline, the date
+// it was moved from, and an append-only history of every transition.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE deadlines ADD COLUMN createdBy TEXT REFERENCES users (userId)");
+        await run("ALTER TABLE deadlines ADD COLUMN createdAt TEXT");
+        await run("ALTER TABLE deadlines ADD COLUMN updatedAt TEXT");
+        await run("ALTER TABLE deadlines ADD COLUMN completedBy TEXT REFERENCES users (userId)");
+        await run("ALTER TABLE deadlines ADD COLUMN cancelledAt TEXT");
+        await run("ALTER TABLE deadlines ADD COLUMN cancelledBy TEXT REFERENCES users (userId)");
+        await run("ALTER TABLE deadlines ADD COLUMN cancelReason TEXT");
+        await run("ALTER TABLE deadlines ADD COLUMN previousDueDate TEXT");
+
+        // No foreign key to deadlines: history outlives deleted deadlines
+        await run(`CREATE TABLE deadline_history (
+            historyId INTEGER PRIMARY KEY AUTOINCREMENT,
+            deadlineId TEXT NOT NULL,
+            firmId TEXT REFERENCES firms (firmId),
+            fileId TEXT,
+            action TEXT NOT NULL,
+            previousDueDate TEXT,
+            newDueDate TEXT,
+            reason TEXT,
+            performedBy TEXT REFERENCES users (userId),
+            performedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_deadline_history_deadline ON deadline_history (deadlineId)");
+    }
+};
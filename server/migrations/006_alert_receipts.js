@@ -0,0 +1,21 @@
+// Per-recipient alert state. alerts.read was a single global flag; each
+// recipient now gets their own read/dismissed receipt.
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE alert_receipts (
+            alertId TEXT NOT NULL REFERENCES alerts (alertId),
+            userId TEXT NOT NULL REFERENCES users (userId),
+            readAt TEXT,
+            dismissedAt TEXT,
+            PRIMARY KEY (alertId, userId)
+        )`);
+
+        // Carry over the old global flag for alerts that had a single recipient
+        await run(`INSERT INTO alert_receipts (alertId, userId, readAt)
+            SELECT alertId, targetUserId, timestamp FROM alerts
+            WHERE read = 1 AND targetUserId IS NOT NULL`);
+
+        await run("CREATE INDEX idx_alerts_target ON alerts (firmId, targetUserId)");
+    }
+};
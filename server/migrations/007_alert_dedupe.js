@@ -0,0 +1,9 @@
+// Scheduled alerts carry a dedupe key (type/file/deadline/target) so repeated
+// runs of the alert scheduler never raise the same alert twice.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE alerts ADD COLUMN dedupeKey TEXT");
+        await run("CREATE UNIQUE INDEX idx_alerts_dedupe ON alerts (firmId, dedupeKey)");
+    }
+};
@@ -0,0 +1,13 @@
+// Per-firm alert thresholds. One JSON document per firm; anything it leaves
+// out falls back to CaseTrackAlertRules.DEFAULTS.
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE alert_rules (
+            firmId TEXT PRIMARY KEY REFERENCES firms (firmId),
+            rules TEXT NOT NULL,
+            updatedBy TEXT REFERENCES users (userId),
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+};
@@ -0,0 +1,34 @@
+// Outbound email: per-user opt-in preferences and a persistent send queue
+// so messages survive restarts and SMTP outages.
+
+module.exports = {
+    async up({ run }) {
+        // Every channel is opt-in; a user without a row gets no email
+        await run(`CREATE TABLE notification_preferences (
+            userId TEXT PRIMARY KEY REFERENCES users (userId),
+            emailCriticalAlerts INTEGER DEFAULT 0,
+            emailMovementReceipts INTEGER DEFAULT 0,
+            emailDeadlineDigest INTEGER DEFAULT 0,
+            lastDigestDate TEXT,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await run(`CREATE TABLE email_queue (
+            emailId INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmId TEXT REFERENCES firms (firmId),
+            userId TEXT REFERENCES users (userId),
+            toAddress TEXT NOT NULL,
+            template TEXT NOT NULL,
+            subject TEXT NOT NULL,
+            textBody TEXT NOT NULL,
+            htmlBody TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER DEFAULT 0,
+            lastError TEXT,
+            nextAttemptAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            sentAt TEXT
+        )`);
+        await run("CREATE INDEX idx_email_queue_due ON email_queue (status, nextAttemptAt)");
+    }
+};
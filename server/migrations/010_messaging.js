@@ -0,0 +1,29 @@
+// SMS / WhatsApp reminders: phone numbers on users, per-channel opt-in, and
+// a delivery log that providers' status callbacks update.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE users ADD COLUMN phone TEXT");
+
+        await run("ALTER TABLE notification_preferences ADD COLUMN smsAlerts INTEGER DEFAULT 0");
+        await run("ALTER TABLE notification_preferences ADD COLUMN whatsappAlerts INTEGER DEFAULT 0");
+
+        await run(`CREATE TABLE message_deliveries (
+            deliveryId TEXT PRIMARY KEY,
+            firmId TEXT REFERENCES firms (firmId),
+            userId TEXT REFERENCES users (userId),
+            alertId TEXT REFERENCES alerts (alertId),
+            channel TEXT NOT NULL,
+            provider TEXT NOT NULL,
+            toNumber TEXT NOT NULL,
+            body TEXT NOT NULL,
+            status TEXT NOT NULL,
+            providerMessageId TEXT,
+            error TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_message_deliveries_user ON message_deliveries (userId, channel, createdAt)");
+        await run("CREATE INDEX idx_message_deliveries_provider ON message_deliveries (provider, providerMessageId)");
+    }
+};
@@ -0,0 +1,12 @@
+// Attachment bytes move out of SQLite into the storage backend
+// (server/storage). Rows keep the storage key and a SHA-256 of the content;
+// older rows still carry base64 in attachments.data and are served from it.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE attachments ADD COLUMN storageKey TEXT");
+        await run("ALTER TABLE attachments ADD COLUMN contentHash TEXT");
+        await run("CREATE INDEX idx_attachments_file ON attachments (firmId, fileId)");
+        await run("CREATE INDEX idx_attachments_hash ON attachments (firmId, contentHash)");
+    }
+};
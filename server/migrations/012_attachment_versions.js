@@ -0,0 +1,13 @@
+// Attachments become versioned documents: every version is its own row,
+// grouped by documentId (the first version's attachmentId) and numbered from 1.
+// restoredFrom records which version a restore copied.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE attachments ADD COLUMN documentId TEXT");
+        await run("ALTER TABLE attachments ADD COLUMN version INTEGER NOT NULL DEFAULT 1");
+        await run("ALTER TABLE attachments ADD COLUMN restoredFrom INTEGER");
+        await run("UPDATE attachments SET documentId = attachmentId");
+        await run("CREATE UNIQUE INDEX idx_attachments_version ON attachments (documentId, version)");
+    }
+};
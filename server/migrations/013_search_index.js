@@ -0,0 +1,47 @@
+// Full-text search over case files. One FTS5 row per searchable record
+// (file, movement, deadline, attachment), tagged with its firm and file.
+// Triggers keep file, movement and deadline rows current; attachment text is
+// extracted in the background (server/search) and tracked by textIndexedAt.
+
+const SOURCES = [
+    { table: 'files', key: 'fileId', type: 'file', title: 'new.caseName', body: "new.clientName || ' ' || COALESCE(new.notes, '')", columns: 'caseName, clientName, notes' },
+    { table: 'movements', key: 'movementId', type: 'movement', title: 'new.purpose', body: "COALESCE(new.notes, '')", columns: 'purpose, notes' },
+    { table: 'deadlines', key: 'deadlineId', type: 'deadline', title: 'new.type', body: "COALESCE(new.description, '')", columns: 'type, description' }
+];
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE VIRTUAL TABLE search_index USING fts5(
+            title,
+            body,
+            firmId UNINDEXED,
+            fileId UNINDEXED,
+            sourceType UNINDEXED,
+            sourceId UNINDEXED,
+            tokenize = 'porter unicode61 remove_diacritics 2'
+        )`);
+
+        for (const source of SOURCES) {
+            const insert = `INSERT INTO search_index (title, body, firmId, fileId, sourceType, sourceId)
+                VALUES (${source.title}, ${source.body}, new.firmId, new.fileId, '${source.type}', new.${source.key});`;
+            const remove = (row) => `DELETE FROM search_index WHERE sourceType = '${source.type}' AND sourceId = ${row}.${source.key};`;
+
+            await run(`CREATE TRIGGER ${source.table}_search_insert AFTER INSERT ON ${source.table} BEGIN ${insert} END`);
+            await run(`CREATE TRIGGER ${source.table}_search_update AFTER UPDATE OF ${source.columns}, firmId ON ${source.table} BEGIN
+                ${remove('old')} ${insert} END`);
+            await run(`CREATE TRIGGER ${source.table}_search_delete AFTER DELETE ON ${source.table} BEGIN ${remove('old')} END`);
+
+            await run(`INSERT INTO search_index (title, body, firmId, fileId, sourceType, sourceId)
+                SELECT ${source.title.replace(/new\./g, '')}, ${source.body.replace(/new\./g, '')}, firmId, fileId, '${source.type}', ${source.key}
+                FROM ${source.table}`);
+        }
+
+        // Everything indexed under a disposed file goes with it
+        await run(`CREATE TRIGGER files_search_dispose AFTER DELETE ON files BEGIN
+            DELETE FROM search_index WHERE fileId = old.fileId; END`);
+
+        await run("ALTER TABLE attachments ADD COLUMN textIndexedAt TEXT");
+        await run(`CREATE TRIGGER attachments_search_delete AFTER DELETE ON attachments BEGIN
+            DELETE FROM search_index WHERE sourceType = 'attachment' AND sourceId = old.attachmentId; END`);
+    }
+};
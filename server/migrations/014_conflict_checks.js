@@ -0,0 +1,44 @@
+// Parties on each matter (our client, opposing parties, related entities) and
+// the conflict-of-interest check run before a file is registered. Existing
+// files get their clientName as the client party.
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE file_parties (
+            partyId INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            fileId TEXT NOT NULL REFERENCES files (fileId),
+            name TEXT NOT NULL,
+            role TEXT NOT NULL CHECK (role IN ('client', 'opposing', 'related')),
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_file_parties_firm ON file_parties (firmId, fileId)");
+        await run(`INSERT INTO file_parties (firmId, fileId, name, role)
+            SELECT firmId, fileId, clientName, 'client' FROM files WHERE clientName IS NOT NULL AND clientName != ''`);
+
+        // Renaming the client on a file renames its client party
+        await run(`CREATE TRIGGER files_client_party_update AFTER UPDATE OF clientName ON files BEGIN
+            UPDATE file_parties SET name = new.clientName
+            WHERE fileId = new.fileId AND role = 'client' AND name = old.clientName; END`);
+        await run(`CREATE TRIGGER files_parties_dispose AFTER DELETE ON files BEGIN
+            DELETE FROM file_parties WHERE fileId = old.fileId; END`);
+
+        // status: clear (nothing blocking), conflict (blocking hits, not yet
+        // overridden) or overridden (a partner accepted the hits with a reason).
+        // fileId is set once the checked file is registered.
+        await run(`CREATE TABLE conflict_checks (
+            checkId TEXT PRIMARY KEY,
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            fileId TEXT REFERENCES files (fileId),
+            parties TEXT NOT NULL,
+            hits TEXT NOT NULL,
+            status TEXT NOT NULL,
+            checkedBy TEXT NOT NULL REFERENCES users (userId),
+            checkedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            overriddenBy TEXT REFERENCES users (userId),
+            overrideReason TEXT,
+            overriddenAt TEXT
+        )`);
+        await run("ALTER TABLE files ADD COLUMN conflictCheckId TEXT REFERENCES conflict_checks (checkId)");
+    }
+};
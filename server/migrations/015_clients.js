@@ -0,0 +1,85 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Client registry. files.clientName was free text, so one client could sit
+// under several spellings; existing names are grouped by normalized name
+// ("Equity Bank Ltd" = "equity bank limited") into one client per firm,
+// and every file in a group takes that client's (most used) spelling.
+
+// Copy of conflicts.normalizeName as it stood when this migration was
+// written, so later changes to conflict matching cannot regroup an upgrade.
+const NAME_NOISE = new Set([
+    'the', 'and', 'of', 'ltd', 'limited', 'plc', 'inc', 'llc', 'llp', 'co', 'company', 'corp', 'corporation',
+    'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'hon', 'eng'
+]);
+
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !NAME_NOISE.has(token))
+        .join(' ');
+}
+
+module.exports = {
+    async up({ run, all }) {
+        await run(`CREATE TABLE clients (
+            clientId TEXT PRIMARY KEY,
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            name TEXT NOT NULL,
+            clientType TEXT NOT NULL DEFAULT 'individual' CHECK (clientType IN ('individual', 'organization')),
+            kraPin TEXT,
+            idNumber TEXT,
+            email TEXT,
+            phone TEXT,
+            address TEXT,
+            notes TEXT,
+            createdBy TEXT REFERENCES users (userId),
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_clients_firm ON clients (firmId, name)");
+        await run("CREATE UNIQUE INDEX idx_clients_kra_pin ON clients (firmId, kraPin) WHERE kraPin IS NOT NULL");
+
+        await run(`CREATE TABLE client_contacts (
+            contactId TEXT PRIMARY KEY,
+            clientId TEXT NOT NULL REFERENCES clients (clientId),
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            name TEXT NOT NULL,
+            title TEXT,
+            email TEXT,
+            phone TEXT,
+            isPrimary INTEGER DEFAULT 0,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_client_contacts_client ON client_contacts (clientId)");
+
+        await run("ALTER TABLE files ADD COLUMN clientId TEXT REFERENCES clients (clientId)");
+        await run("CREATE INDEX idx_files_client ON files (firmId, clientId)");
+
+        const files = await all("SELECT fileId, firmId, clientName, createdAt FROM files ORDER BY createdAt");
+        const groups = new Map();
+        for (const file of files) {
+            const name = String(file.clientName || '').trim();
+            if (!name) continue;
+            const key = `${file.firmId}|${normalizeName(name) || name.toLowerCase()}`;
+            if (!groups.has(key)) groups.set(key, { firmId: file.firmId, fileIds: [], spellings: new Map() });
+            const group = groups.get(key);
+            group.fileIds.push(file.fileId);
+            group.spellings.set(name, (group.spellings.get(name) || 0) + 1);
+        }
+
+        for (const group of groups.values()) {
+            // Most used spelling; the first seen wins a tie
+            const [name] = [...group.spellings].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+            const clientId = `CL-${uuidv4()}`;
+            await run("INSERT INTO clients (clientId, firmId, name) VALUES (?, ?, ?)", [clientId, group.firmId, name]);
+            await run(
+                `UPDATE files SET clientId = ?, clientName = ? WHERE fileId IN (${group.fileIds.map(() => '?').join(', ')})`,
+                [clientId, name, ...group.fileIds]
+            );
+        }
+    }
+};
@@ -0,0 +1,28 @@
+const CaseTrackCourts = require('../../courts');
+
+// Structured court reference on files (see courts.js). courtJurisdiction
+// stays as the display label; existing free-text values are parsed into
+// level / division / station where they can be recognised.
+
+module.exports = {
+    async up({ run, all }) {
+        await run("ALTER TABLE files ADD COLUMN courtLevel TEXT");
+        await run("ALTER TABLE files ADD COLUMN courtStation TEXT");
+        await run("ALTER TABLE files ADD COLUMN courtDivision TEXT");
+        await run("ALTER TABLE files ADD COLUMN causeType TEXT");
+        await run("ALTER TABLE files ADD COLUMN causeNumber TEXT");
+        await run("ALTER TABLE files ADD COLUMN causeYear INTEGER");
+        await run("ALTER TABLE files ADD COLUMN judicialOfficer TEXT");
+        await run("CREATE INDEX idx_files_court ON files (firmId, courtLevel, courtStation)");
+
+        const files = await all("SELECT fileId, courtJurisdiction FROM files WHERE courtJurisdiction IS NOT NULL AND courtJurisdiction != ''");
+        for (const file of files) {
+            const ref = CaseTrackCourts.parseCourtLabel(file.courtJurisdiction);
+            if (!ref.courtLevel) continue;
+            await run(
+                "UPDATE files SET courtLevel = ?, courtStation = ?, courtDivision = ? WHERE fileId = ?",
+                [ref.courtLevel, ref.courtStation || null, ref.courtDivision || null, file.fileId]
+            );
+        }
+    }
+};
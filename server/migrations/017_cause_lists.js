@@ -0,0 +1,44 @@
+// Imported court cause lists. Each list keeps its parsed entries with the
+// file each was matched to and what became of it: proposed (awaiting review),
+// created (a deadline was made, see deadlineId) or skipped. Deadlines made
+// from a list point back to it through causeListId.
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE cause_lists (
+            causeListId TEXT PRIMARY KEY,
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            fileName TEXT NOT NULL,
+            format TEXT NOT NULL,
+            contentHash TEXT NOT NULL,
+            entryCount INTEGER NOT NULL DEFAULT 0,
+            matchedCount INTEGER NOT NULL DEFAULT 0,
+            importedBy TEXT NOT NULL REFERENCES users (userId),
+            importedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_cause_lists_firm ON cause_lists (firmId, importedAt)");
+
+        await run(`CREATE TABLE cause_list_entries (
+            entryId INTEGER PRIMARY KEY AUTOINCREMENT,
+            causeListId TEXT NOT NULL REFERENCES cause_lists (causeListId),
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            lineNumber INTEGER NOT NULL,
+            rawText TEXT NOT NULL,
+            causeNumber TEXT,
+            parties TEXT,
+            hearingDate TEXT,
+            hearingTime TEXT,
+            activity TEXT,
+            bench TEXT,
+            fileId TEXT REFERENCES files (fileId),
+            matchedBy TEXT CHECK (matchedBy IN ('causeNumber', 'parties')),
+            matchScore REAL,
+            duplicateOf TEXT,
+            status TEXT NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'created', 'skipped')),
+            deadlineId TEXT REFERENCES deadlines (deadlineId)
+        )`);
+        await run("CREATE INDEX idx_cause_list_entries_list ON cause_list_entries (causeListId, lineNumber)");
+
+        await run("ALTER TABLE deadlines ADD COLUMN causeListId TEXT REFERENCES cause_lists (causeListId)");
+    }
+};
@@ -0,0 +1,18 @@
+// Ad-hoc public holidays declared by Gazette notice (see legal-calendar.js
+// for the statutory ones). Kept per firm so each firm maintains its own
+// calendar; a date appears at most once.
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE court_holidays (
+            holidayId INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            date TEXT NOT NULL,
+            name TEXT NOT NULL,
+            gazetteNotice TEXT,
+            createdBy TEXT REFERENCES users (userId),
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (firmId, date)
+        )`);
+    }
+};
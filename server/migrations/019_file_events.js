@@ -0,0 +1,30 @@
+// Procedural events logged on files (summons served, judgment delivered, ...)
+// and the per-firm rules that turn them into follow-on deadlines. Rules are
+// one JSON document per firm; without one, CaseTrackDeadlineRules.DEFAULTS
+// apply. Deadlines generated from an event point back to it through
+// fileEventId.
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE deadline_rules (
+            firmId TEXT PRIMARY KEY REFERENCES firms (firmId),
+            rules TEXT NOT NULL,
+            updatedBy TEXT REFERENCES users (userId),
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await run(`CREATE TABLE file_events (
+            eventId TEXT PRIMARY KEY,
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            fileId TEXT NOT NULL REFERENCES files (fileId),
+            eventType TEXT NOT NULL,
+            eventDate TEXT NOT NULL,
+            notes TEXT,
+            loggedBy TEXT NOT NULL REFERENCES users (userId),
+            loggedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_file_events_file ON file_events (firmId, fileId, eventDate)");
+
+        await run("ALTER TABLE deadlines ADD COLUMN fileEventId TEXT REFERENCES file_events (eventId)");
+    }
+};
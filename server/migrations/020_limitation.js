@@ -0,0 +1,13 @@
+// Limitation tracking: the cause of action and the date it accrued are kept
+// on the file (keys of CaseTrackCalendar.LIMITATION_PERIODS). The resulting
+// "Limitation Period" deadline is protected: it follows the file's accrual
+// date and cannot be deleted, cancelled or rescheduled by hand.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE files ADD COLUMN causeOfAction TEXT");
+        await run("ALTER TABLE files ADD COLUMN accrualDate TEXT");
+        await run("ALTER TABLE deadlines ADD COLUMN isProtected INTEGER NOT NULL DEFAULT 0");
+        await run("CREATE INDEX idx_deadlines_protected ON deadlines (firmId, fileId, isProtected)");
+    }
+};
@@ -0,0 +1,26 @@
+// Offline sync: files, movements and deadlines carry a version that every
+// change increments, so a change queued offline against an older version is
+// reported as a conflict instead of overwriting someone else's work.
+// sync_mutations remembers mutations already applied (by the client's
+// X-Mutation-Id) so a replay after a lost response is not applied twice.
+
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE files ADD COLUMN version INTEGER NOT NULL DEFAULT 1");
+        await run("ALTER TABLE movements ADD COLUMN version INTEGER NOT NULL DEFAULT 1");
+        await run("ALTER TABLE deadlines ADD COLUMN version INTEGER NOT NULL DEFAULT 1");
+
+        await run(`CREATE TABLE sync_mutations (
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            mutationId TEXT NOT NULL,
+            userId TEXT NOT NULL REFERENCES users (userId),
+            method TEXT NOT NULL,
+            path TEXT NOT NULL,
+            status INTEGER NOT NULL,
+            response TEXT NOT NULL,
+            appliedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (firmId, mutationId)
+        )`);
+        await run("CREATE INDEX idx_sync_mutations_applied ON sync_mutations (appliedAt)");
+    }
+};
@@ -0,0 +1,60 @@
+// Change log for incremental sync (GET /api/sync). Triggers record every
+// insert, update and delete of the synced tables; a record keeps one row,
+// replaced on each change so it takes a new changeId. changeId is the sync
+// cursor: a client asks for everything after the last one it saw, and rows
+// with deleted = 1 are the tombstones of removed records. Alert receipts
+// are per user but count as a change to their alert. Existing records are
+// logged once so that a cursor of 0 covers everything.
+
+const TABLES = [
+    { table: 'files', key: 'fileId' },
+    { table: 'movements', key: 'movementId' },
+    { table: 'deadlines', key: 'deadlineId' },
+    { table: 'alerts', key: 'alertId' },
+    { table: 'users', key: 'userId' }
+];
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE sync_changes (
+            changeId INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmId TEXT NOT NULL,
+            tableName TEXT NOT NULL,
+            recordId TEXT NOT NULL,
+            deleted INTEGER NOT NULL DEFAULT 0,
+            changedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (firmId, tableName, recordId)
+        )`);
+        await run("CREATE INDEX idx_sync_changes_cursor ON sync_changes (firmId, changeId)");
+
+        for (const { table, key } of TABLES) {
+            await run(`INSERT INTO sync_changes (firmId, tableName, recordId)
+                SELECT firmId, '${table}', ${key} FROM ${table} WHERE firmId IS NOT NULL`);
+        }
+
+        for (const { table, key } of TABLES) {
+            for (const event of ['INSERT', 'UPDATE']) {
+                await run(`CREATE TRIGGER sync_${table}_${event.toLowerCase()} AFTER ${event} ON ${table}
+                    WHEN NEW.firmId IS NOT NULL
+                    BEGIN
+                        INSERT OR REPLACE INTO sync_changes (firmId, tableName, recordId, deleted)
+                        VALUES (NEW.firmId, '${table}', NEW.${key}, 0);
+                    END`);
+            }
+            await run(`CREATE TRIGGER sync_${table}_delete AFTER DELETE ON ${table}
+                WHEN OLD.firmId IS NOT NULL
+                BEGIN
+                    INSERT OR REPLACE INTO sync_changes (firmId, tableName, recordId, deleted)
+                    VALUES (OLD.firmId, '${table}', OLD.${key}, 1);
+                END`);
+        }
+
+        for (const event of ['INSERT', 'UPDATE']) {
+            await run(`CREATE TRIGGER sync_alert_receipts_${event.toLowerCase()} AFTER ${event} ON alert_receipts
+                BEGIN
+                    INSERT OR REPLACE INTO sync_changes (firmId, tableName, recordId, deleted)
+                    SELECT firmId, 'alerts', alertId, 0 FROM alerts WHERE alertId = NEW.alertId;
+                END`);
+        }
+    }
+};
@@ -0,0 +1,18 @@
+// WebSocket events are stored so a client that reconnects can be sent the
+// ones it missed (see realtime.js). targetUserId is null for events
+// broadcast to the whole firm. Rows are pruned after a day; a client gone
+// longer than that reloads its data instead.
+
+module.exports = {
+    async up({ run }) {
+        await run(`CREATE TABLE realtime_events (
+            eventId INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmId TEXT NOT NULL REFERENCES firms (firmId),
+            targetUserId TEXT REFERENCES users (userId),
+            payload TEXT NOT NULL,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run("CREATE INDEX idx_realtime_events_firm ON realtime_events (firmId, eventId)");
+        await run("CREATE INDEX idx_realtime_events_created ON realtime_events (createdAt)");
+    }
+};
@@ -0,0 +1,20 @@
+// Sign-in is by email alone, so an address may belong to one account
+// across all firms (compared case-insensitively). Existing duplicates must
+// be resolved by hand first: login would otherwise pick one at random.
+
+module.exports = {
+    async up({ run, all }) {
+        const duplicates = await all(
+            `SELECT email, GROUP_CONCAT(userId, ', ') AS userIds FROM users
+             WHERE email IS NOT NULL AND email <> ''
+             GROUP BY email COLLATE NOCASE HAVING COUNT(*) > 1`
+        );
+        if (duplicates.length) {
+            const list = duplicates.map(d => `${d.email} (${d.userIds})`).join('; ');
+            throw new Error(`Several accounts share an email address: ${list}. Change or clear all but one of each, then restart.`);
+        }
+
+        await run(`CREATE UNIQUE INDEX idx_users_email ON users (email COLLATE NOCASE)
+                   WHERE email IS NOT NULL AND email <> ''`);
+    }
+};
@@ -0,0 +1,24 @@
+// Deadline stage, overdue and overdue-escalation alerts are now deduplicated
+// per due date, so a rescheduled deadline alerts afresh. Existing keys gain
+// their deadline's current due date, so the upgrade does not raise them all
+// again.
+
+const BASE_KEY = "a.type || ':' || COALESCE(a.fileId, '') || ':' || COALESCE(a.deadlineId, '') || ':' || COALESCE(a.targetUserId, '')";
+const DUE = "(SELECT substr(d.dueDate, 1, 10) FROM deadlines d WHERE d.deadlineId = a.deadlineId)";
+
+module.exports = {
+    async up({ run }) {
+        const rekey = (newKey, where) => run(
+            `UPDATE alerts AS a SET dedupeKey = ${newKey}
+             WHERE a.deadlineId IS NOT NULL AND ${DUE} IS NOT NULL AND ${where}`
+        );
+
+        await rekey(`${BASE_KEY} || ':' || ${DUE}`, `a.type = 'deadline_overdue' AND a.dedupeKey = ${BASE_KEY}`);
+        await rekey(`${BASE_KEY} || ':overdue:' || ${DUE}`, `a.type = 'escalation' AND a.dedupeKey = ${BASE_KEY}`);
+        // Stage keys end in ":<days>d"
+        await rekey(
+            `${BASE_KEY} || ':' || ${DUE} || substr(a.dedupeKey, length(${BASE_KEY}) + 1)`,
+            `a.type = 'deadline_upcoming' AND a.dedupeKey GLOB ${BASE_KEY} || ':[0-9]*d'`
+        );
+    }
+};
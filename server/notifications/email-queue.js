@@ -0,0 +1,65 @@
+const q = require('../db-async');
+const { renderTemplate } = require('./templates');
+
+// Persistent outbound email queue. Messages are rendered when queued and sent
+// by processEmailQueue(); a failed send is retried with backoff until
+// MAX_ATTEMPTS, after which it stays in the table as 'failed'.
+
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const BATCH_SIZE = 50;
+
+async function enqueueEmail({ firmId, userId, to, template, data }) {
+    const { subject, text, html } = renderTemplate(template, data);
+    const { lastID } = await q.run(
+        `INSERT INTO email_queue (firmId, userId, toAddress, template, subject, textBody, htmlBody)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [firmId, userId, to, template, subject, text, html]
+    );
+    return lastID;
+}
+
+/**
+ * Send every queued email that is due. Returns counts of sent and failed
+ * attempts for logging.
+ */
+async function processEmailQueue(transport) {
+    const due = await q.all(
+        `SELECT * FROM email_queue
+         WHERE status = 'pending' AND nextAttemptAt <= datetime('now')
+         ORDER BY emailId LIMIT ?`,
+        [BATCH_SIZE]
+    );
+    const result = { sent: 0, failed: 0 };
+
+    for (const email of due) {
+        try {
+            await transport.send({
+                to: email.toAddress,
+                subject: email.subject,
+                text: email.textBody,
+                html: email.htmlBody || undefined
+            });
+            await q.run(
+                "UPDATE email_queue SET status = 'sent', attempts = attempts + 1, sentAt = CURRENT_TIMESTAMP, lastError = NULL WHERE emailId = ?",
+                [email.emailId]
+            );
+            result.sent++;
+        } catch (err) {
+            const attempts = email.attempts + 1;
+            const giveUp = attempts >= MAX_ATTEMPTS;
+            await q.run(
+                `UPDATE email_queue SET attempts = ?, lastError = ?, status = ?,
+                    nextAttemptAt = datetime('now', ?)
+                 WHERE emailId = ?`,
+                [attempts, err.message, giveUp ? 'failed' : 'pending',
+                    `+${RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1]} minutes`, email.emailId]
+            );
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = { enqueueEmail, processEmailQueue, MAX_ATTEMPTS };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outbound email transport. With SMTP_HOST set, mail goes to that server.
+// Without it (or with MAIL_DEV_MAILBOX set) each message is written as an
+// .eml file to a local mailbox directory, so development and testing need
+// no mail server. Open the files in any mail client or read them as text.
+// The default mailbox is outside the app directory: the messages hold
+// client names and deadlines.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'CaseTrack KE <no-reply@casetrack.local>';
+const DEFAULT_MAILBOX = path.join(os.tmpdir(), 'casetrack-mailbox');
+
+function createSmtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+
+    return {
+        name: `smtp://${process.env.SMTP_HOST}`,
+        async send(message) {
+            await transporter.sendMail({ from: MAIL_FROM, ...message });
+        }
+    };
+}
+
+function createMailboxTransport(dir) {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    let sequence = 0;
+
+    return {
+        name: `mailbox:${dir}`,
+        async send(message) {
+            const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+            await fs.promises.mkdir(dir, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const recipient = String(message.to).replace(/[^\w.@-]/g, '_');
+            await fs.promises.writeFile(path.join(dir, `${stamp}-${++sequence}-${recipient}.eml`), info.message);
+        }
+    };
+}
+
+function createEmailTransport() {
+    if (process.env.SMTP_HOST && !process.env.MAIL_DEV_MAILBOX) {
+        return createSmtpTransport();
+    }
+    return createMailboxTransport(process.env.MAIL_DEV_MAILBOX || DEFAULT_MAILBOX);
+}
+
+module.exports = { createEmailTransport };
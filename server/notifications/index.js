@@ -0,0 +1,211 @@
+const q = require('../db-async');
+const CaseTrackPermissions = require('../../permissions');
+const { createEmailTransport } = require('./email-transport');
+const { enqueueEmail, processEmailQueue } = require('./email-queue');
+const messaging = require('./messaging');
+
+// Outbound notifications beyond the in-app bell. Each event checks the
+// recipient's opt-in preferences, then queues an email or sends an SMS /
+// WhatsApp message; the worker started by startNotificationWorker()
+// delivers the email queue and the daily digests.
+
+const PREFERENCE_FIELDS = ['emailCriticalAlerts', 'emailMovementReceipts', 'emailDeadlineDigest', 'smsAlerts', 'whatsappAlerts'];
+const DIGEST_LOOKAHEAD_DAYS = 7;
+
+// Court-date reminders and escalations are what advocates need on their phone
+const MESSAGE_ALERT_TYPES = ['deadline_upcoming', 'escalation'];
+const SMS_MAX_LENGTH = 320;
+
+async function getPreferences(userId) {
+    const row = await q.get("SELECT * FROM notification_preferences WHERE userId = ?", [userId]);
+    return PREFERENCE_FIELDS.reduce((prefs, field) => {
+        prefs[field] = !!(row && row[field]);
+        return prefs;
+    }, {});
+}
+
+async function updatePreferences(userId, updates) {
+    const current = await getPreferences(userId);
+    const next = { ...current };
+    PREFERENCE_FIELDS.forEach(field => {
+        if (field in updates) next[field] = !!updates[field];
+    });
+
+    await q.run(
+        `INSERT INTO notification_preferences (userId, ${PREFERENCE_FIELDS.join(', ')}, updatedAt)
+         VALUES (?, ${PREFERENCE_FIELDS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+         ON CONFLICT (userId) DO UPDATE SET
+            ${PREFERENCE_FIELDS.map(f => `${f} = excluded.${f}`).join(', ')}, updatedAt = excluded.updatedAt`,
+        [userId, ...PREFERENCE_FIELDS.map(f => next[f] ? 1 : 0)]
+    );
+    return next;
+}
+
+// Active users who opted in to `preference` and have the contact detail
+// (email or phone) it needs
+function optedInUsers(preference, where, params, contact = 'email') {
+    return q.all(
+        `SELECT u.userId, u.name, u.email, u.phone, u.role, u.firmId
+         FROM users u JOIN notification_preferences p ON p.userId = u.userId
+         WHERE p.${preference} = 1 AND u.active = 1 AND u.${contact} IS NOT NULL AND u.${contact} != '' AND ${where}`,
+        params
+    );
+}
+
+/**
+ * Email a critical alert to its target, or to the whole firm for an
+ * untargeted alert
+ */
+async function notifyCriticalAlert(alert) {
+    if (alert.severity !== 'critical') return;
+
+    const recipients = alert.targetUserId
+        ? await optedInUsers('emailCriticalAlerts', 'u.userId = ? AND u.firmId = ?', [alert.targetUserId, alert.firmId])
+        : await optedInUsers('emailCriticalAlerts', 'u.firmId = ?', [alert.firmId]);
+
+    for (const user of recipients) {
+        await enqueueEmail({
+            firmId: alert.firmId,
+            userId: user.userId,
+            to: user.email,
+            template: 'critical_alert',
+            data: { recipientName: user.name, alert }
+        });
+    }
+}
+
+/**
+ * Text upcoming-deadline and escalation alerts to recipients who opted in
+ * to SMS or WhatsApp
+ */
+async function notifyByMessage(alert) {
+    if (!MESSAGE_ALERT_TYPES.includes(alert.type)) return;
+
+    const body = `CaseTrack: ${alert.message}`.slice(0, SMS_MAX_LENGTH);
+    const [where, params] = alert.targetUserId
+        ? ['u.userId = ? AND u.firmId = ?', [alert.targetUserId, alert.firmId]]
+        : ['u.firmId = ?', [alert.firmId]];
+
+    for (const channel of messaging.CHANNELS) {
+        const recipients = await optedInUsers(`${channel}Alerts`, where, params, 'phone');
+        for (const user of recipients) {
+            await messaging.sendMessage({
+                firmId: alert.firmId,
+                userId: user.userId,
+                alertId: alert.alertId,
+                channel,
+                to: user.phone,
+                body
+            });
+        }
+    }
+}
+
+/**
+ * Tell the new custodian a file is on its way and needs acknowledging
+ */
+async function notifyMovementReceipt(movement) {
+    const [recipient] = await optedInUsers('emailMovementReceipts', 'u.userId = ? AND u.firmId = ?', [movement.toCustodian, movement.firmId]);
+    if (!recipient) return;
+
+    const file = await q.get("SELECT caseName FROM files WHERE fileId = ?", [movement.fileId]);
+    const sender = await q.get("SELECT name FROM users WHERE userId = ?", [movement.loggedBy]);
+
+    await enqueueEmail({
+        firmId: movement.firmId,
+        userId: recipient.userId,
+        to: recipient.email,
+        template: 'movement_receipt',
+        data: {
+            recipientName: recipient.name,
+            senderName: sender ? sender.name : 'A colleague',
+            fileId: movement.fileId,
+            caseName: file ? file.caseName : movement.fileId,
+            purpose: movement.purpose,
+            notes: movement.notes
+        }
+    });
+}
+
+function localDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Queue one digest per opted-in user per day listing overdue deadlines and
+ * those due within the next week on files they can see. Users with nothing
+ * due get no email.
+ */
+async function sendDeadlineDigests(now = new Date()) {
+    const today = localDate(now);
+    const horizon = localDate(new Date(now.getTime() + DIGEST_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000));
+    const users = await optedInUsers('emailDeadlineDigest', "(p.lastDigestDate IS NULL OR p.lastDigestDate < ?)", [today]);
+    let queued = 0;
+
+    for (const user of users) {
+        const deadlines = await q.all(
+            `SELECT d.*, f.caseName, f.currentCustodian, f.assignedAdvocates
+             FROM deadlines d JOIN files f ON f.fileId = d.fileId
+             WHERE d.firmId = ? AND d.status = 'Pending' AND d.dueDate <= ?
+             ORDER BY d.dueDate`,
+            [user.firmId, horizon]
+        );
+        const visible = deadlines.filter(d => CaseTrackPermissions.canViewFile(user, d));
+        const overdue = visible.filter(d => d.dueDate < today);
+        const upcoming = visible.filter(d => d.dueDate >= today);
+
+        if (overdue.length > 0 || upcoming.length > 0) {
+            await enqueueEmail({
+                firmId: user.firmId,
+                userId: user.userId,
+                to: user.email,
+                template: 'deadline_digest',
+                data: { recipientName: user.name, date: today, overdue, upcoming }
+            });
+            queued++;
+        }
+        await q.run("UPDATE notification_preferences SET lastDigestDate = ? WHERE userId = ?", [today, user.userId]);
+    }
+
+    return queued;
+}
+
+/**
+ * Deliver the email queue every `queueIntervalSeconds` and send the daily
+ * digests once the local time passes `digestHour`. Returns a stop() function.
+ */
+function startNotificationWorker({ queueIntervalSeconds, digestHour }) {
+    const transport = createEmailTransport();
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            if (new Date().getHours() >= digestHour) await sendDeadlineDigests();
+            const { sent, failed } = await processEmailQueue(transport);
+            if (sent > 0 || failed > 0) console.log(`Email queue: ${sent} sent, ${failed} failed`);
+        } catch (err) {
+            console.error('Notification worker failed:', err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    const timer = setInterval(tick, queueIntervalSeconds * 1000);
+    console.log(`Email notifications via ${transport.name}`);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    PREFERENCE_FIELDS,
+    getPreferences,
+    updatePreferences,
+    notifyCriticalAlert,
+    notifyByMessage,
+    notifyMovementReceipt,
+    sendDeadlineDigests,
+    startNotificationWorker
+};
@@ -0,0 +1,60 @@
+// Africa's Talking bulk SMS. Set AT_USERNAME and AT_API_KEY; the username
+// "sandbox" sends through the sandbox API. AT_SENDER_ID is optional.
+
+const AT_STATUSES = {
+    Success: 'delivered',
+    Sent: 'sent',
+    Submitted: 'sent',
+    Buffered: 'sent',
+    Rejected: 'failed',
+    Failed: 'failed',
+    AbsentSubscriber: 'failed',
+    Expired: 'failed'
+};
+
+function createAfricasTalkingProvider({
+    username = process.env.AT_USERNAME,
+    apiKey = process.env.AT_API_KEY,
+    senderId = process.env.AT_SENDER_ID
+} = {}) {
+    if (!username || !apiKey) throw new Error("Africa's Talking needs AT_USERNAME and AT_API_KEY");
+
+    const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+
+    return {
+        name: 'africastalking',
+        channel: 'sms',
+
+        async send({ to, body }) {
+            const form = new URLSearchParams({ username, to, message: body });
+            if (senderId) form.set('from', senderId);
+
+            const response = await fetch(`https://${host}/version1/messaging`, {
+                method: 'POST',
+                headers: { apiKey, Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: form
+            });
+            if (!response.ok) throw new Error(`Africa's Talking returned HTTP ${response.status}`);
+
+            const data = await response.json();
+            const recipient = data.SMSMessageData && data.SMSMessageData.Recipients && data.SMSMessageData.Recipients[0];
+            if (!recipient) throw new Error(data.SMSMessageData ? data.SMSMessageData.Message : 'No recipient in response');
+            if (!['Success', 'Sent', 'Submitted', 'Buffered'].includes(recipient.status)) {
+                throw new Error(`SMS rejected: ${recipient.status}`);
+            }
+            return { providerMessageId: recipient.messageId, status: 'sent' };
+        },
+
+        // Delivery callback: form fields id, status, failureReason
+        parseDeliveryReport(body) {
+            if (!body || !body.id) return [];
+            return [{
+                providerMessageId: body.id,
+                status: AT_STATUSES[body.status] || 'sent',
+                error: body.failureReason || null
+            }];
+        }
+    };
+}
+
+module.exports = { createAfricasTalkingProvider };
@@ -0,0 +1,33 @@
+// Provider that sends nothing and records every message in fakeOutbox, for
+// development and tests. Setting FAKE_MESSAGING_FAIL=1 makes every send
+// fail so error handling can be exercised.
+
+const fakeOutbox = [];
+
+function createFakeProvider(channel) {
+    let sequence = 0;
+
+    return {
+        name: `fake-${channel}`,
+        channel,
+
+        async send({ to, body }) {
+            if (process.env.FAKE_MESSAGING_FAIL === '1') throw new Error('Fake provider failure');
+
+            const providerMessageId = `FAKE-${channel.toUpperCase()}-${Date.now()}-${++sequence}`;
+            fakeOutbox.push({ channel, to, body, providerMessageId, sentAt: new Date().toISOString() });
+            return { providerMessageId, status: 'sent' };
+        },
+
+        // Accepts { providerMessageId, status, error } or a list of them
+        parseDeliveryReport(body) {
+            return [].concat(body || []).filter(r => r.providerMessageId);
+        }
+    };
+}
+
+function resetFakeOutbox() {
+    fakeOutbox.length = 0;
+}
+
+module.exports = { createFakeProvider, fakeOutbox, resetFakeOutbox };
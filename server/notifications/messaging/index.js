@@ -0,0 +1,118 @@
+const { v4: uuidv4 } = require('uuid');
+const q = require('../../db-async');
+const { createAfricasTalkingProvider } = require('./africas-talking');
+const { createWhatsAppCloudProvider } = require('./whatsapp-cloud');
+const { createFakeProvider } = require('./fake');
+
+// SMS / WhatsApp sending behind a provider interface:
+//   { name, channel, send({ to, body }) -> { providerMessageId, status },
+//     parseDeliveryReport(body) -> [{ providerMessageId, status, error }] }
+// Pick providers with SMS_PROVIDER and WHATSAPP_PROVIDER. Outside production
+// both default to the fake provider; in production they must be set, so
+// alerts are never silently dropped. Every attempt is logged in
+// message_deliveries.
+
+const PROVIDER_FACTORIES = {
+    sms: {
+        africastalking: createAfricasTalkingProvider,
+        fake: () => createFakeProvider('sms')
+    },
+    whatsapp: {
+        'whatsapp-cloud': createWhatsAppCloudProvider,
+        fake: () => createFakeProvider('whatsapp')
+    }
+};
+
+const CHANNELS = Object.keys(PROVIDER_FACTORIES);
+const RATE_LIMIT_PER_HOUR = parseInt(process.env.MESSAGE_RATE_LIMIT_PER_HOUR || '5', 10);
+
+const providers = {};
+
+function providerName(channel) {
+    const configured = process.env[`${channel.toUpperCase()}_PROVIDER`];
+    if (configured) return configured;
+    return process.env.NODE_ENV === 'production' ? null : 'fake';
+}
+
+function getProvider(channel) {
+    if (!providers[channel]) {
+        const name = providerName(channel);
+        if (!name) throw new Error(`${channel.toUpperCase()}_PROVIDER must be set in production`);
+        const factory = PROVIDER_FACTORIES[channel] && PROVIDER_FACTORIES[channel][name];
+        if (!factory) throw new Error(`Unknown ${channel} provider: ${name}`);
+        providers[channel] = factory();
+    }
+    return providers[channel];
+}
+
+/**
+ * Normalize a Kenyan or international number to E.164 (+2547XXXXXXXX).
+ * Returns null when the input is not a plausible phone number.
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/[\s()-]/g, '');
+    let normalized = digits;
+    if (/^0[17]\d{8}$/.test(digits)) normalized = `+254${digits.slice(1)}`;
+    else if (/^254\d{9}$/.test(digits)) normalized = `+${digits}`;
+    return /^\+\d{10,15}$/.test(normalized) ? normalized : null;
+}
+
+async function recordDelivery(delivery) {
+    await q.run(
+        `INSERT INTO message_deliveries (deliveryId, firmId, userId, alertId, channel, provider, toNumber, body, status, providerMessageId, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [delivery.deliveryId, delivery.firmId, delivery.userId, delivery.alertId || null, delivery.channel,
+            delivery.provider, delivery.to, delivery.body, delivery.status, delivery.providerMessageId || null, delivery.error || null]
+    );
+}
+
+/**
+ * Send one message to a user, unless they have already had
+ * MESSAGE_RATE_LIMIT_PER_HOUR messages on this channel in the last hour.
+ * Returns the delivery status recorded.
+ */
+async function sendMessage({ firmId, userId, alertId, channel, to, body }) {
+    const provider = getProvider(channel);
+    const delivery = { deliveryId: `MSG-${uuidv4()}`, firmId, userId, alertId, channel, provider: provider.name, to, body };
+
+    const { recent } = await q.get(
+        `SELECT COUNT(*) AS recent FROM message_deliveries
+         WHERE userId = ? AND channel = ? AND status IN ('sent', 'delivered') AND createdAt > datetime('now', '-1 hour')`,
+        [userId, channel]
+    );
+    if (recent >= RATE_LIMIT_PER_HOUR) {
+        await recordDelivery({ ...delivery, status: 'rate_limited' });
+        return 'rate_limited';
+    }
+
+    try {
+        const result = await provider.send({ to, body });
+        await recordDelivery({ ...delivery, status: result.status || 'sent', providerMessageId: result.providerMessageId });
+        return result.status || 'sent';
+    } catch (err) {
+        await recordDelivery({ ...delivery, status: 'failed', error: err.message });
+        return 'failed';
+    }
+}
+
+/**
+ * Apply a provider's delivery-status callback to message_deliveries. A late
+ * "sent" report never overwrites "delivered". Returns the rows updated.
+ */
+async function recordDeliveryReport(name, body) {
+    const provider = CHANNELS.filter(providerName).map(getProvider).find(p => p.name === name);
+    if (!provider) return null;
+
+    let updated = 0;
+    for (const report of provider.parseDeliveryReport(body)) {
+        const { changes } = await q.run(
+            `UPDATE message_deliveries SET status = ?, error = COALESCE(?, error), updatedAt = CURRENT_TIMESTAMP
+             WHERE provider = ? AND providerMessageId = ? AND NOT (status = 'delivered' AND ? = 'sent')`,
+            [report.status, report.error || null, provider.name, report.providerMessageId, report.status]
+        );
+        updated += changes;
+    }
+    return updated;
+}
+
+module.exports = { CHANNELS, getProvider, normalizePhone, sendMessage, recordDeliveryReport };
@@ -0,0 +1,51 @@
+// WhatsApp Business (Cloud API). Set WHATSAPP_PHONE_NUMBER_ID and
+// WHATSAPP_TOKEN. Business-initiated text only reaches users who have
+// messaged the firm's number in the last 24 hours; outside that window
+// WhatsApp requires an approved template.
+
+const GRAPH_VERSION = process.env.WHATSAPP_GRAPH_VERSION || 'v19.0';
+
+function createWhatsAppCloudProvider({
+    phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID,
+    token = process.env.WHATSAPP_TOKEN
+} = {}) {
+    if (!phoneNumberId || !token) throw new Error('WhatsApp needs WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_TOKEN');
+
+    return {
+        name: 'whatsapp-cloud',
+        channel: 'whatsapp',
+
+        async send({ to, body }) {
+            const response = await fetch(`https://graph.facebook.com/${GRAPH_VERSION}/${phoneNumberId}/messages`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    messaging_product: 'whatsapp',
+                    to: to.replace(/^\+/, ''),
+                    type: 'text',
+                    text: { body }
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error((data.error && data.error.message) || `WhatsApp returned HTTP ${response.status}`);
+            }
+            return { providerMessageId: data.messages && data.messages[0] && data.messages[0].id, status: 'sent' };
+        },
+
+        // Webhook: entry[].changes[].value.statuses[] with id and status
+        parseDeliveryReport(body) {
+            const statuses = ((body && body.entry) || [])
+                .flatMap(entry => entry.changes || [])
+                .flatMap(change => (change.value && change.value.statuses) || []);
+
+            return statuses.map(s => ({
+                providerMessageId: s.id,
+                status: s.status === 'failed' ? 'failed' : ['delivered', 'read'].includes(s.status) ? 'delivered' : 'sent',
+                error: s.errors && s.errors[0] ? s.errors[0].title : null
+            }));
+        }
+    };
+}
+
+module.exports = { createWhatsAppCloudProvider };
@@ -0,0 +1,98 @@
+// Email templates. Each takes the data passed to enqueueEmail() and returns
+// { subject, text, html }. Keep the text and HTML versions saying the same
+// thing; some clients only show one of them.
+
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3500}`;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function layout(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #1e3a5f;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="margin-top: 32px; font-size: 12px; color: #6b7280;">
+        Sent by CaseTrack KE. Change which emails you receive under Notifications in
+        <a href="${APP_URL}">CaseTrack</a>.
+    </p>
+</body>
+</html>`;
+}
+
+const footerText = `\n--\nSent by CaseTrack KE. Change which emails you receive under Notifications in CaseTrack (${APP_URL}).\n`;
+
+const templates = {
+    // data: { recipientName, alert: { message, severity, fileId } }
+    critical_alert({ recipientName, alert }) {
+        const subject = `[CaseTrack] Critical: ${alert.message.slice(0, 80)}`;
+        return {
+            subject,
+            text: `Hello ${recipientName},\n\nCaseTrack raised a critical alert${alert.fileId ? ` on file ${alert.fileId}` : ''}:\n\n${alert.message}\n${footerText}`,
+            html: layout('Critical alert', `
+    <p>Hello ${escapeHtml(recipientName)},</p>
+    <p>CaseTrack raised a critical alert${alert.fileId ? ` on file <strong>${escapeHtml(alert.fileId)}</strong>` : ''}:</p>
+    <p style="padding: 12px; background: #fef2f2; border-left: 4px solid #dc2626;">${escapeHtml(alert.message)}</p>`)
+        };
+    },
+
+    // data: { recipientName, senderName, fileId, caseName, purpose, notes }
+    movement_receipt({ recipientName, senderName, fileId, caseName, purpose, notes }) {
+        return {
+            subject: `[CaseTrack] File ${fileId} has been sent to you`,
+            text: `Hello ${recipientName},\n\n${senderName} has transferred "${caseName}" (${fileId}) to you.\nPurpose: ${purpose}${notes ? `\nNotes: ${notes}` : ''}\n\nPlease acknowledge receipt in CaseTrack once the physical file is with you.\n${footerText}`,
+            html: layout('File transferred to you', `
+    <p>Hello ${escapeHtml(recipientName)},</p>
+    <p>${escapeHtml(senderName)} has transferred <strong>${escapeHtml(caseName)}</strong> (${escapeHtml(fileId)}) to you.</p>
+    <p>Purpose: ${escapeHtml(purpose)}${notes ? `<br>Notes: ${escapeHtml(notes)}` : ''}</p>
+    <p>Please acknowledge receipt in CaseTrack once the physical file is with you.</p>`)
+        };
+    },
+
+    // data: { recipientName, date, overdue: [deadline], upcoming: [deadline] }
+    // where each deadline has { type, dueDate, description, fileId, caseName }
+    deadline_digest({ recipientName, date, overdue, upcoming }) {
+        const line = d => `- ${d.dueDate}  ${d.type} - ${d.caseName} (${d.fileId})${d.description ? `: ${d.description}` : ''}`;
+        const rows = list => list.map(d => `
+        <tr>
+            <td style="padding: 4px 8px;">${escapeHtml(d.dueDate)}</td>
+            <td style="padding: 4px 8px;">${escapeHtml(d.type)}</td>
+            <td style="padding: 4px 8px;">${escapeHtml(d.caseName)} (${escapeHtml(d.fileId)})</td>
+            <td style="padding: 4px 8px;">${escapeHtml(d.description)}</td>
+        </tr>`).join('');
+        const section = (title, list) => list.length === 0 ? '' : `
+    <h3>${title} (${list.length})</h3>
+    <table style="border-collapse: collapse; width: 100%;">${rows(list)}
+    </table>`;
+
+        return {
+            subject: `[CaseTrack] Deadlines for ${date}: ${overdue.length} overdue, ${upcoming.length} upcoming`,
+            text: [
+                `Hello ${recipientName},\n`,
+                overdue.length ? `OVERDUE (${overdue.length})\n${overdue.map(line).join('\n')}\n` : '',
+                upcoming.length ? `UPCOMING (${upcoming.length})\n${upcoming.map(line).join('\n')}\n` : '',
+                footerText
+            ].join('\n'),
+            html: layout(`Deadline digest for ${date}`, `
+    <p>Hello ${escapeHtml(recipientName)},</p>${section('Overdue', overdue)}${section('Upcoming', upcoming)}`)
+        };
+    }
+};
+
+/**
+ * Render a named template. Throws for an unknown template name.
+ */
+function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+    return template(data);
+}
+
+module.exports = { renderTemplate, escapeHtml };
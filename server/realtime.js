@@ -0,0 +1,210 @@
+const WebSocket = require('ws');
+const q = require('./db-async');
+const CaseTrackEvents = require('../realtime-events');
+
+// Real-time events over WebSocket. A connection authenticates with the
+// session JWT during the handshake (?token=, or the session cookie) and
+// joins its firm's channel, so broadcasts never cross firms; a user may
+// have several connections open (tabs, devices). Every event is stored
+// with an increasing eventId and a client reconnecting with ?since=<eventId>
+// is sent the ones it missed. Connections that stop answering pings are
+// dropped. Event types and what they carry are listed in realtime-events.js.
+//
+// Server -> client messages besides events:
+//   { type: 'welcome', lastEventId }  after the handshake (and any replay)
+//   { type: 'resync' }                missed events are no longer stored
+//   { type: 'pong' }                  reply to a client { type: 'ping' }
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const EVENT_RETENTION_HOURS = 24;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function readCookie(req, name) {
+    const cookie = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+function addTo(map, key, ws) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(ws);
+}
+
+function removeFrom(map, key, ws) {
+    const set = map.get(key);
+    if (!set) return;
+    set.delete(ws);
+    if (set.size === 0) map.delete(key);
+}
+
+async function pruneEvents() {
+    await q.run("DELETE FROM realtime_events WHERE createdAt < datetime('now', ?)", [`-${EVENT_RETENTION_HOURS} hours`]);
+}
+
+/**
+ * Accept WebSocket connections on `server`. `authenticate(token)` returns
+ * the session's user or null; `loadFile(firmId, fileId)` the file record
+ * added to events about a file; `filterEvent(user, event)` the event as
+ * that user may see it, or null. Returns the functions routes use to send
+ * events, and `close()` to stop.
+ */
+function createRealtime(server, { authenticate, loadFile, filterEvent }) {
+    const wss = new WebSocket.Server({ noServer: true });
+    const channels = new Map(); // firmId -> Set of sockets
+    const sessions = new Map(); // userId -> Set of sockets
+
+    function deliver(ws, message) {
+        // Live events wait while missed ones are replayed, to keep order
+        if (ws.queued) return ws.queued.push(message);
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    }
+
+    async function latestEventId() {
+        const row = await q.get("SELECT seq FROM sqlite_sequence WHERE name = 'realtime_events'");
+        return row ? row.seq : 0;
+    }
+
+    /**
+     * Send the events stored after `since` that are the user's to see, or
+     * ask for a resync when some have been pruned
+     */
+    async function replay(ws, since, latest) {
+        const { firmId, userId } = ws.user;
+        if (since > latest) return deliver(ws, { type: 'resync' });
+        if (since === latest) return;
+
+        const { oldest } = await q.get("SELECT MIN(eventId) AS oldest FROM realtime_events");
+        if (oldest === null || since < oldest - 1) return deliver(ws, { type: 'resync' });
+
+        const rows = await q.all(
+            `SELECT eventId, payload FROM realtime_events
+             WHERE firmId = ? AND eventId > ? AND (targetUserId IS NULL OR targetUserId = ?)
+             ORDER BY eventId`,
+            [firmId, since, userId]
+        );
+        rows.forEach(row => {
+            const event = filterEvent(ws.user, { ...JSON.parse(row.payload), eventId: row.eventId });
+            if (event) deliver(ws, event);
+        });
+    }
+
+    async function connect(ws, user, since) {
+        ws.user = user;
+        ws.isAlive = true;
+        ws.queued = [];
+
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('message', (raw) => {
+            let data;
+            try {
+                data = JSON.parse(raw);
+            } catch (e) {
+                return;
+            }
+            if (data.type === 'ping') deliver(ws, { type: 'pong' });
+        });
+        ws.on('close', () => {
+            removeFrom(channels, user.firmId, ws);
+            removeFrom(sessions, user.userId, ws);
+        });
+        ws.on('error', (err) => console.error(`WebSocket error for ${user.userId}:`, err.message));
+
+        // Read before joining the channels: every later event is sent live
+        const latest = await latestEventId();
+        if (ws.readyState !== WebSocket.OPEN) return;
+        addTo(channels, user.firmId, ws);
+        addTo(sessions, user.userId, ws);
+
+        try {
+            if (since !== null) await replay(ws, since, latest);
+        } catch (err) {
+            console.error('WebSocket replay failed:', err.message);
+            deliver(ws, { type: 'resync' });
+        }
+
+        // Live events sent during the replay may also have been read back
+        const queued = ws.queued.sort((a, b) => (a.eventId || 0) - (b.eventId || 0));
+        const seen = new Set();
+        ws.queued = null;
+        queued.forEach(message => {
+            if (message.eventId && seen.has(message.eventId)) return;
+            seen.add(message.eventId);
+            deliver(ws, message);
+        });
+        deliver(ws, { type: 'welcome', lastEventId: latest });
+    }
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const user = authenticate(url.searchParams.get('token') || readCookie(req, 'token'));
+        if (!user) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        const since = url.searchParams.has('since') ? Number(url.searchParams.get('since')) || 0 : null;
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            connect(ws, user, since).catch(err => console.error('WebSocket connect failed:', err.message));
+        });
+    });
+
+    // A socket that missed the last ping is gone (sleeping laptop, dropped
+    // mobile connection) without having closed
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Pruned at startup too (see server.js), once migrations have run
+    const pruneTimer = setInterval(() => {
+        pruneEvents().catch(err => console.error('Failed to prune realtime events:', err.message));
+    }, PRUNE_INTERVAL_MS);
+
+    async function publish(firmId, targetUserId, data) {
+        const event = CaseTrackEvents.create(data.type, data);
+        if (event.fileId && !event.file) {
+            const file = await loadFile(firmId, event.fileId);
+            if (file) event.file = file;
+        }
+
+        let message = event;
+        try {
+            const { lastID } = await q.run(
+                "INSERT INTO realtime_events (firmId, targetUserId, payload) VALUES (?, ?, ?)",
+                [firmId, targetUserId, JSON.stringify(event)]
+            );
+            message = { ...event, eventId: lastID };
+        } catch (err) {
+            // Still send it live; it just cannot be replayed
+            console.error('Failed to record realtime event:', err.message);
+        }
+
+        const recipients = targetUserId ? sessions.get(targetUserId) : channels.get(firmId);
+        (recipients || []).forEach(ws => {
+            if (ws.user.firmId !== firmId) return;
+            const visible = filterEvent(ws.user, message);
+            if (visible) deliver(ws, visible);
+        });
+    }
+
+    // Routes fire events after responding, so a failure is only logged
+    const send = (firmId, targetUserId, data) => publish(firmId, targetUserId, data)
+        .catch(err => console.error(`Failed to send ${data.type} event:`, err.message));
+
+    return {
+        // Events for one user, on every connection they have open
+        notifyUser: (firmId, userId, data) => send(firmId, userId, data),
+        // Events for every connected member of a firm who may see them
+        broadcastToFirm: (firmId, data) => send(firmId, null, data),
+        close() {
+            clearInterval(heartbeat);
+            clearInterval(pruneTimer);
+            wss.close();
+        }
+    };
+}
+
+module.exports = { createRealtime, pruneEvents };
@@ -0,0 +1,41 @@
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+
+// Plain-text extraction for search indexing. PDFs need a text layer (scans
+// without OCR yield nothing); legacy .doc files and images are not indexed
+// beyond their names.
+
+const MAX_INDEXED_CHARS = 500000;
+
+async function extractPdf(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        const { text } = await parser.getText({ pageJoiner: '' });
+        return text;
+    } finally {
+        await parser.destroy();
+    }
+}
+
+async function extractDocx(buffer) {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value;
+}
+
+const EXTRACTORS = {
+    'application/pdf': extractPdf,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractDocx
+};
+
+/**
+ * Extract the text of a document, or '' when its type is not supported.
+ * Throws when a supported document cannot be parsed.
+ */
+async function extractText(buffer, type) {
+    const extractor = EXTRACTORS[type];
+    if (!extractor) return '';
+    const text = await extractor(buffer);
+    return text.replace(/\s+/g, ' ').trim().slice(0, MAX_INDEXED_CHARS);
+}
+
+module.exports = { extractText, extractPdfText: extractPdf };
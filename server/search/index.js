@@ -0,0 +1,169 @@
+const q = require('../db-async');
+const { canViewFile } = require('../authorize');
+const { readAttachment } = require('../storage');
+const { escapeHtml } = require('../notifications/templates');
+const { extractText } = require('./extract-text');
+
+// Ranked full-text search over the search_index FTS5 table (see migration
+// 013). Results are grouped per file, filtered to files the user can see,
+// and carry HTML snippets with the matched terms in <mark>.
+
+const MATCH_PAGE_SIZE = 500;
+const MAX_RESULTS = 50;
+const SNIPPETS_PER_FILE = 3;
+const INDEX_BATCH_SIZE = 20;
+
+// snippet() wraps matches in these; they cannot occur in escaped text
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+// Case names weigh more than body text (bm25 column weights)
+const TITLE_WEIGHT = 5.0;
+const BODY_WEIGHT = 1.0;
+
+/**
+ * Turn free text into an FTS5 query: every word must match, the last one as
+ * a prefix so results appear while typing. Returns null when there are no
+ * searchable words.
+ */
+function buildMatchQuery(text) {
+    const words = String(text || '').match(/[\p{L}\p{N}]+/gu);
+    if (!words) return null;
+    return words.map((word, i) => `"${word}"${i === words.length - 1 ? '*' : ''}`).join(' ');
+}
+
+function highlight(snippet) {
+    return escapeHtml(snippet)
+        .split(MARK_START).join('<mark>')
+        .split(MARK_END).join('</mark>');
+}
+
+/**
+ * Search the user's firm. Filters: practiceArea, status, custodian (userId),
+ * courtLevel, courtStation and from / to (YYYY-MM-DD, on the file's
+ * registration date). Returns
+ * [{ file, matches: [{ sourceType, sourceId, title, snippet }] }], best first.
+ */
+async function searchFiles(user, { q: text, practiceArea, status, custodian, courtLevel, courtStation, from, to } = {}) {
+    const match = buildMatchQuery(text);
+    if (!match) return [];
+
+    const conditions = ['search_index MATCH ?', 's.firmId = ?'];
+    const params = [match, user.firmId];
+    if (practiceArea) { conditions.push('f.practiceArea = ?'); params.push(practiceArea); }
+    if (status) { conditions.push('f.status = ?'); params.push(status); }
+    if (custodian) { conditions.push('f.currentCustodian = ?'); params.push(custodian); }
+    if (courtLevel) { conditions.push('f.courtLevel = ?'); params.push(courtLevel); }
+    if (courtStation) { conditions.push('f.courtStation = ?'); params.push(courtStation); }
+    if (from) { conditions.push('date(f.createdAt) >= date(?)'); params.push(from); }
+    if (to) { conditions.push('date(f.createdAt) <= date(?)'); params.push(to); }
+
+    // Visibility is decided per file in code, so read matches a page at a
+    // time until enough visible files are found. Rows arrive best first, so
+    // each file keeps its best score's position.
+    const byFile = new Map();
+    const visible = new Map();
+    for (let offset = 0; visible.size < MAX_RESULTS; offset += MATCH_PAGE_SIZE) {
+        const rows = await q.all(
+            `SELECT s.fileId, s.sourceType, s.sourceId, s.title,
+                snippet(search_index, -1, '${MARK_START}', '${MARK_END}', '…', 16) AS snippet,
+                bm25(search_index, ${TITLE_WEIGHT}, ${BODY_WEIGHT}) AS score
+             FROM search_index s JOIN files f ON f.fileId = s.fileId AND f.firmId = s.firmId
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY score, s.rowid LIMIT ${MATCH_PAGE_SIZE} OFFSET ${offset}`,
+            params
+        );
+
+        const newFileIds = [...new Set(rows.map(row => row.fileId))].filter(fileId => !byFile.has(fileId));
+        for (const row of rows) {
+            if (!byFile.has(row.fileId)) byFile.set(row.fileId, []);
+            const matches = byFile.get(row.fileId);
+            if (matches.length < SNIPPETS_PER_FILE) {
+                matches.push({ sourceType: row.sourceType, sourceId: row.sourceId, title: row.title, snippet: highlight(row.snippet) });
+            }
+        }
+
+        if (newFileIds.length > 0) {
+            const files = await q.all(
+                `SELECT * FROM files WHERE firmId = ? AND fileId IN (${newFileIds.map(() => '?').join(', ')})`,
+                [user.firmId, ...newFileIds]
+            );
+            for (const file of files) {
+                if (canViewFile(user, file)) visible.set(file.fileId, file);
+            }
+        }
+        if (rows.length < MATCH_PAGE_SIZE) break;
+    }
+
+    return [...byFile.keys()]
+        .filter(fileId => visible.has(fileId))
+        .slice(0, MAX_RESULTS)
+        .map(fileId => ({ file: visible.get(fileId), matches: byFile.get(fileId) }));
+}
+
+async function indexAttachment(attachment) {
+    let text = '';
+    try {
+        text = await extractText(await readAttachment(attachment), attachment.type);
+    } catch (err) {
+        // Still index the name; an unreadable document is not retried
+        console.error(`Text extraction failed for ${attachment.attachmentId}:`, err.message);
+    }
+
+    // Only the latest version of a document is searchable
+    await q.run(
+        `DELETE FROM search_index WHERE sourceType = 'attachment'
+         AND sourceId IN (SELECT attachmentId FROM attachments WHERE documentId = ?)`,
+        [attachment.documentId]
+    );
+    await q.run(
+        `INSERT INTO search_index (title, body, firmId, fileId, sourceType, sourceId)
+         VALUES (?, ?, ?, ?, 'attachment', ?)`,
+        [attachment.name, text, attachment.firmId, attachment.fileId, attachment.attachmentId]
+    );
+    await q.run("UPDATE attachments SET textIndexedAt = CURRENT_TIMESTAMP WHERE attachmentId = ?", [attachment.attachmentId]);
+}
+
+let indexing = null;
+let indexAgain = false;
+
+/**
+ * Extract and index the text of every latest-version attachment not yet
+ * indexed. Call after uploads and at startup; concurrent calls share one
+ * pass (plus a follow-up for anything uploaded meanwhile). Resolves to the
+ * number indexed.
+ */
+function indexPendingAttachments() {
+    if (indexing) {
+        indexAgain = true;
+        return indexing;
+    }
+
+    indexing = (async () => {
+        let indexed = 0;
+        do {
+            indexAgain = false;
+            let batch;
+            do {
+                batch = await q.all(
+                    `SELECT * FROM attachments a
+                     WHERE textIndexedAt IS NULL
+                       AND version = (SELECT MAX(v.version) FROM attachments v WHERE v.documentId = a.documentId)
+                     LIMIT ?`,
+                    [INDEX_BATCH_SIZE]
+                );
+                for (const attachment of batch) {
+                    await indexAttachment(attachment);
+                    indexed++;
+                }
+            } while (batch.length === INDEX_BATCH_SIZE);
+        } while (indexAgain);
+        return indexed;
+    })().finally(() => {
+        indexing = null;
+    });
+
+    return indexing;
+}
+
+module.exports = { buildMatchQuery, searchFiles, indexPendingAttachments };
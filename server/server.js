@@ -1,10 +1,31 @@
 const express = require('express');
 const http = require('http');
-const WebSocket = require('ws');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
+const multer = require('multer');
 const db = require('./db');
+const q = require('./db-async');
+const migrate = require('./migrate');
+const { requirePermission, canViewFile, filterVisibleFiles, hasPermission } = require('./authorize');
+const { startAlertScheduler } = require('./alert-scheduler');
+const notifications = require('./notifications');
+const messaging = require('./notifications/messaging');
+const { getStorage, createMulterEngine, parseRange, legacyAttachmentBytes } = require('./storage');
+const search = require('./search');
+const conflicts = require('./conflicts');
+const clientRegistry = require('./clients');
+const causeLists = require('./cause-lists');
+const fileEvents = require('./file-events');
+const limitation = require('./limitation');
+const sync = require('./sync');
+const realtime = require('./realtime');
+const CaseTrackPermissions = require('../permissions');
+const CaseTrackAlertRules = require('../alert-rules');
+const CaseTrackCourts = require('../courts');
+const CaseTrackCalendar = require('../legal-calendar');
+const CaseTrackDeadlineRules = require('../deadline-rules');
+const CaseTrackDB = require('../database'); // shared constants (FILE_STATUSES, PRACTICE_AREAS, ...)
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
@@ -15,13 +36,17 @@ const JWT_SECRET = process.env.JWT_SECRET || 'casetrack-ke-secure-secret-2026';
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
 
 const PORT = process.env.PORT || 3500;
+const ALERT_CHECK_INTERVAL_MINUTES = parseFloat(process.env.ALERT_CHECK_INTERVAL_MINUTES || '15');
+const EMAIL_QUEUE_INTERVAL_SECONDS = parseFloat(process.env.EMAIL_QUEUE_INTERVAL_SECONDS || '30');
+const DEADLINE_DIGEST_HOUR = parseInt(process.env.DEADLINE_DIGEST_HOUR || '7', 10);
+const ATTACHMENT_MAX_MB = parseFloat(process.env.ATTACHMENT_MAX_MB || '25');
 
 app.use(cors());
 app.use(cookieParser());
-app.use(bodyParser.json({ limit: '50mb' }));
+// Documents are uploaded as multipart (see Attachments), so JSON stays small
+app.use(bodyParser.json({ limit: '1mb' }));
 
 // --- Lockdown & Page Routing ---
 const path = require('path');
@@ -47,49 +72,125 @@ app.get('/', (req, res) => {
     });
 });
 
-// Serve other static files
-app.use(express.static(path.join(__dirname, '..')));
+// Serve other static files: only the pages, scripts, styles and images at
+// the top level. Nothing below it (the database, uploaded attachments, the
+// dev mailbox, server code) is reachable without going through the API.
+const PUBLIC_ASSET = /^\/[\w.-]+\.(html|js|css|png|webmanifest)$/;
+const serveStatic = express.static(path.join(__dirname, '..'), { dotfiles: 'ignore', index: false });
+app.use((req, res, next) => (PUBLIC_ASSET.test(req.path) ? serveStatic(req, res, next) : next()));
 
-// WebSocket connection handling
-const clients = new Map(); // userId -> socket
+// --- Session Tokens ---
 
-wss.on('connection', (ws, req) => {
-    let userId = null;
+// The user a session token belongs to, or null. Tokens issued before firm
+// isolation carry no firmId; 2FA temp tokens are only valid for
+// /api/auth/2fa/login
+function sessionFromToken(token) {
+    if (!token) return null;
+    try {
+        const user = jwt.verify(token, JWT_SECRET);
+        return user.firmId && !user.pending2FA ? user : null;
+    } catch (err) {
+        return null;
+    }
+}
 
-    ws.on('message', (message) => {
-        const data = JSON.parse(message);
-        if (data.type === 'auth') {
-            userId = data.userId;
-            clients.set(userId, ws);
-            console.log(`User ${userId} connected via WebSocket`);
-        }
+// Events about a file go to the users who can see it; a movement's also
+// reach its two custodians (as in GET /api/movements), without the file
+function filterEvent(user, event) {
+    if (!event.file || canViewFile(user, event.file)) return event;
+    const { movement } = event;
+    if (movement && (movement.fromCustodian === user.userId || movement.toCustodian === user.userId)) {
+        const { file, ...withoutFile } = event;
+        return withoutFile;
+    }
+    return null;
+}
+
+// WebSocket events (see realtime.js and realtime-events.js):
+// notifyUser(firmId, userId, data) reaches one user's open sessions,
+// broadcastToFirm(firmId, data) the firm
+const { notifyUser, broadcastToFirm } = realtime.createRealtime(server, {
+    authenticate: sessionFromToken,
+    loadFile: (firmId, fileId) => new Promise((resolve, reject) => {
+        db.get("SELECT * FROM files WHERE fileId = ? AND firmId = ?", [fileId, firmId], (err, file) => {
+            if (err) reject(err);
+            else resolve(file && parseFile(file));
+        });
+    }),
+    filterEvent
+});
+
+// --- Tenant Helpers ---
+
+// Sessions carry the caller's firmId; rows outside it are reported as 404
+// so one firm cannot probe for another firm's records.
+function findFirmFile(req, res, fileId, next) {
+    db.get("SELECT * FROM files WHERE fileId = ? AND firmId = ?", [fileId, req.user.firmId], (err, file) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!file) return res.status(404).json({ error: 'File not found' });
+        next(file);
     });
+}
 
-    ws.on('close', () => {
-        if (userId) {
-            clients.delete(userId);
-            console.log(`User ${userId} disconnected`);
-        }
+// Like findFirmFile, but also applies the caller's per-file visibility
+// (custodian, assigned advocate, or viewAllFiles)
+function findVisibleFile(req, res, fileId, next) {
+    findFirmFile(req, res, fileId, (file) => {
+        if (!canViewFile(req.user, file)) return res.status(404).json({ error: 'File not found' });
+        next(file);
     });
-});
+}
 
-// Helper to broadcast to specific user
-function notifyUser(userId, data) {
-    const ws = clients.get(userId);
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(data));
-    }
+// assignedAdvocates and linkedDigitalFiles are stored as JSON array strings
+function parseFile(file) {
+    let linkedDigitalFiles = [];
+    try {
+        linkedDigitalFiles = JSON.parse(file.linkedDigitalFiles || '[]');
+    } catch (e) { }
+
+    return {
+        ...file,
+        assignedAdvocates: CaseTrackPermissions.getAssignedAdvocates(file),
+        linkedDigitalFiles
+    };
 }
 
-// Helper to broadcast to all
-function broadcast(data) {
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(data));
-        }
+function findFirmUser(req, res, userId, next) {
+    db.get("SELECT * FROM users WHERE userId = ? AND firmId = ?", [userId, req.user.firmId], (err, user) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        next(user);
     });
 }
 
+function signSessionToken(user) {
+    return jwt.sign(
+        {
+            userId: user.userId,
+            role: user.role,
+            name: user.name,
+            isFirmOwner: user.isFirmOwner,
+            firmId: user.firmId,
+            firmName: user.firmName
+        },
+        JWT_SECRET,
+        { expiresIn: '24h' }
+    );
+}
+
+function sessionUser(user) {
+    return {
+        userId: user.userId,
+        name: user.name,
+        role: user.role,
+        isFirmOwner: user.isFirmOwner,
+        email: user.email,
+        department: user.department,
+        firmId: user.firmId,
+        firmName: user.firmName
+    };
+}
+
 // --- Authentication Middleware ---
 const authenticateToken = (req, res, next) => {
     // Skip auth for login/signup routes
@@ -102,6 +203,9 @@ const authenticateToken = (req, res, next) => {
     // Skip auth for 2FA verify during login (uses temp token)
     if (req.path === '/api/auth/2fa/login') return next();
 
+    // Provider callbacks authenticate with MESSAGING_WEBHOOK_TOKEN instead
+    if (req.path.startsWith('/api/webhooks/')) return next();
+
     const authHeader = req.headers['authorization'];
     const tokenFromHeader = authHeader && authHeader.split(' ')[1];
     const tokenFromCookie = req.cookies ? req.cookies.token : null;
@@ -110,38 +214,78 @@ const authenticateToken = (req, res, next) => {
 
     if (!token) return res.status(401).json({ error: 'Access denied. Please log in.' });
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return res.status(403).json({ error: 'Session expired or invalid. Please log in again.' });
-        req.user = user;
-        next();
-    });
+    // 401 means "log in again"; 403 is reserved for role/permission denials
+    const user = sessionFromToken(token);
+    if (!user) return res.status(401).json({ error: 'Session expired or invalid. Please log in again.' });
+    req.user = user;
+    next();
 };
 
 app.use(authenticateToken);
+// Replayed offline changes are applied once (see sync.js)
+app.use(sync.replayGuard);
 
 // --- API Routes ---
 
+// --- Record IDs ---
+
+// IDs are made here, never taken from the client: records are keyed by ID
+// across all firms, so a firm must not be able to pick (or probe for) one
+// another firm already holds. A record created offline is renamed to the
+// server's ID when its change is sent (see CaseTrackOutbox.adoptServerId). Emails sign in across firms too, so each
+// belongs to one account (see migration 024).
+function newUserId() {
+    return `USR-${uuidv4().slice(0, 8).toUpperCase()}`;
+}
+
+function newFileId() {
+    return `CT-${new Date().getFullYear()}-${uuidv4().slice(0, 8).toUpperCase()}`;
+}
+
+function checkEmailFree(res, email, next) {
+    if (!email) return next();
+    db.get("SELECT 1 FROM users WHERE email = ? COLLATE NOCASE", [email], (err, taken) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        if (taken) return res.status(409).json({ error: 'An account with this email already exists' });
+        next();
+    });
+}
+
 // Auth Signup
 app.post('/api/auth/signup', (req, res) => {
     const { firmName, name, role, department, email, password } = req.body;
 
-    // Firm-based model allows only 1 firm owner to sign up at a time per instance for now
-    db.get("SELECT COUNT(*) as count FROM users WHERE isFirmOwner = 1", [], (err, row) => {
+    if (!firmName || !name || !email || !password) {
+        return res.status(400).json({ error: 'Firm name, name, email and password are required' });
+    }
+
+    // Each signup registers a new firm; its first user becomes the firm owner.
+    // Further practitioners are added by that owner via POST /api/users.
+    checkEmailFree(res, email, () => db.get("SELECT firmId FROM firms WHERE name = ?", [firmName], (err, existing) => {
         if (err) return res.status(500).json({ error: 'Database error' });
+        if (existing) {
+            return res.status(409).json({ error: 'This firm is already registered. Ask your firm owner to add you.' });
+        }
 
-        const isFirstUser = row.count === 0;
-        const userId = `USR-${Math.floor(100 + Math.random() * 899)}`;
+        const firmId = `FIRM-${uuidv4().slice(0, 8).toUpperCase()}`;
+        const userId = newUserId();
         const hash = bcrypt.hashSync(password, 10);
 
-        db.run(
-            "INSERT INTO users (userId, name, role, email, department, firmName, isFirmOwner, passwordHash, active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)",
-            [userId, name, role, email, department, firmName, isFirstUser ? 1 : 0, hash],
-            function (err) {
-                if (err) return res.status(500).json({ error: err.message });
-                res.status(201).json({ success: true, userId });
-            }
-        );
-    });
+        // The firm and its owner are saved together or not at all
+        q.transaction(async (tx) => {
+            await tx.run("INSERT INTO firms (firmId, name) VALUES (?, ?)", [firmId, firmName]);
+            await tx.run(
+                "INSERT INTO users (userId, name, role, email, department, firmId, firmName, isFirmOwner, passwordHash, active) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, 1)",
+                [userId, name, role, email, department, firmId, firmName, hash]
+            );
+        })
+            .then(() => res.status(201).json({ success: true, userId, firmId }))
+            .catch((err) => {
+                // Lost a race with another signup for the same firm or email
+                if (err.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'This firm or email is already registered' });
+                res.status(500).json({ error: 'Could not register the firm' });
+            });
+    }));
 });
 
 
@@ -153,7 +297,7 @@ app.post('/api/auth/login', (req, res) => {
         return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    db.get("SELECT * FROM users WHERE email = ? AND active = 1", [email], (err, user) => {
+    db.get("SELECT * FROM users WHERE email = ? COLLATE NOCASE AND active = 1", [email], (err, user) => {
         if (err) return res.status(500).json({ error: 'Internal server error' });
         if (!user) return res.status(401).json({ error: 'User not found or inactive' });
 
@@ -180,11 +324,7 @@ app.post('/api/auth/login', (req, res) => {
         }
 
         // Generate final token
-        const token = jwt.sign(
-            { userId: user.userId, role: user.role, name: user.name, isFirmOwner: user.isFirmOwner },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        const token = signSessionToken(user);
 
         // Set cookie for browser-side lockdown
         res.cookie('token', token, {
@@ -197,14 +337,7 @@ app.post('/api/auth/login', (req, res) => {
         res.json({
             success: true,
             token,
-            user: {
-                userId: user.userId,
-                name: user.name,
-                role: user.role,
-                isFirmOwner: user.isFirmOwner,
-                email: user.email,
-                department: user.department
-            }
+            user: sessionUser(user)
         });
     });
 });
@@ -230,11 +363,7 @@ app.post('/api/auth/2fa/login', (req, res) => {
             }
 
             // Verify role/ownership
-            const finalToken = jwt.sign(
-                { userId: user.userId, role: user.role, name: user.name, isFirmOwner: user.isFirmOwner },
-                JWT_SECRET,
-                { expiresIn: '24h' }
-            );
+            const finalToken = signSessionToken(user);
 
             res.cookie('token', finalToken, {
                 httpOnly: false,
@@ -243,7 +372,7 @@ app.post('/api/auth/2fa/login', (req, res) => {
                 sameSite: 'Strict'
             });
 
-            res.json({ success: true, token: finalToken, user: { userId: user.userId, name: user.name, role: user.role, isFirmOwner: user.isFirmOwner, email: user.email, department: user.department } });
+            res.json({ success: true, token: finalToken, user: sessionUser(user) });
         });
     } catch (err) {
         return res.status(401).json({ error: 'Session expired or invalid' });
@@ -295,24 +424,67 @@ app.post('/api/auth/2fa/verify', (req, res) => {
     });
 });
 
+// Incremental sync: what changed after the client's cursor (see sync.js).
+// ?fileIds=a,b returns the history of files that have just become visible.
+app.get('/api/sync', async (req, res) => {
+    const since = Number(req.query.since) || 0;
+    if (since < 0) return res.status(400).json({ error: 'since must be a change cursor' });
+    const fileIds = req.query.fileIds ? String(req.query.fileIds).split(',').filter(Boolean) : null;
+
+    try {
+        const result = await sync.getChanges(req.user, { since, fileIds });
+        result.changes.files = result.changes.files.map(parseFile);
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Users
 app.get('/api/users', (req, res) => {
-    db.all("SELECT userId, name, role, email, department, active FROM users", [], (err, rows) => {
+    db.all("SELECT userId, name, role, email, phone, department, active FROM users WHERE firmId = ?", [req.user.firmId], (err, rows) => {
         if (err) return res.status(500).json({ error: err.message });
         res.json(rows);
     });
 });
 
+// Users maintain their own contact details (phone for SMS / WhatsApp)
+app.patch('/api/users/me', (req, res) => {
+    const { phone } = req.body;
+    if (phone === undefined) return res.status(400).json({ error: 'Nothing to update' });
+
+    const normalized = phone ? messaging.normalizePhone(phone) : null;
+    if (phone && !normalized) {
+        return res.status(400).json({ error: 'Enter a valid phone number, e.g. 0712 345678 or +254712345678' });
+    }
+
+    db.run("UPDATE users SET phone = ? WHERE userId = ? AND firmId = ?", [normalized, req.user.userId, req.user.firmId], (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ success: true, phone: normalized });
+        broadcastUser(req.user.firmId, 'user_updated', req.user.userId);
+    });
+});
+
+// Team member events carry the same fields as GET /api/users
+function broadcastUser(firmId, type, userId) {
+    db.get("SELECT userId, name, role, email, phone, department, active FROM users WHERE userId = ? AND firmId = ?", [userId, firmId], (err, user) => {
+        if (err || !user) return;
+        broadcastToFirm(firmId, { type, user });
+    });
+}
+
 app.post('/api/users', (req, res) => {
     // Permission check
     if (!req.user || !req.user.isFirmOwner) {
         return res.status(403).json({ error: 'Only Firm Owners can add new practitioners.' });
     }
-    const { userId, name, role, email, department, password } = req.body;
+    const { name, role, email, phone, department, password } = req.body;
+    const normalizedPhone = phone ? messaging.normalizePhone(phone) : null;
+    if (phone && !normalizedPhone) return res.status(400).json({ error: 'Invalid phone number' });
 
     // Enforce 3 Advocate Limit
     // Enforce 3 Advocate Limit (per firm)
-    db.get("SELECT COUNT(*) as count FROM users WHERE firmName = ? AND role IN ('Advocate', 'Partner', 'Associate')", [req.user.firmName], (err, row) => {
+    db.get("SELECT COUNT(*) as count FROM users WHERE firmId = ? AND role IN ('Advocate', 'Partner', 'Associate')", [req.user.firmId], (err, row) => {
         if (err) return res.status(500).json({ error: 'Database error' });
 
         const isAdvocateRole = ['Advocate', 'Partner', 'Associate'].includes(role);
@@ -320,17 +492,20 @@ app.post('/api/users', (req, res) => {
             return res.status(403).json({ error: 'Advocate limit reached (3). Please upgrade to a Pro plan to add more practitioners.' });
         }
 
-        const id = userId || `USR-${Math.floor(100 + Math.random() * 899)}`;
+        const id = newUserId();
         const hash = password ? bcrypt.hashSync(password, 10) : '$2b$10$paGJDHcdd6n9Lz6QnMnlmeCTFxhz0nKQL/yjr/hfi/HryruKBxe3W';
 
-        db.run(
-            "INSERT INTO users (userId, name, role, email, department, firmName, isFirmOwner, passwordHash, active) VALUES (?, ?, ?, ?, ?, ?, 0, ?, 1)",
-            [id, name, role, email, department, req.user.firmName, hash],
-            function (err) {
-                if (err) return res.status(500).json({ error: err.message });
-                res.status(201).json({ success: true, userId: id });
-            }
-        );
+        checkEmailFree(res, email, () => {
+            db.run(
+                "INSERT INTO users (userId, name, role, email, phone, department, firmId, firmName, isFirmOwner, passwordHash, active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, 1)",
+                [id, name, role, email, normalizedPhone, department, req.user.firmId, req.user.firmName, hash],
+                function (err) {
+                    if (err) return res.status(500).json({ error: 'Could not create the user' });
+                    res.status(201).json({ success: true, userId: id });
+                    broadcastUser(req.user.firmId, 'user_created', id);
+                }
+            );
+        });
     });
 });
 
@@ -347,18 +522,20 @@ app.delete('/api/users/:targetUserId', (req, res) => {
         return res.status(400).json({ error: 'You cannot remove yourself.' });
     }
 
-    db.run("DELETE FROM users WHERE userId = ?", [targetUserId], function (err) {
+    db.run("DELETE FROM users WHERE userId = ? AND firmId = ?", [targetUserId, req.user.firmId], function (err) {
         if (err) return res.status(500).json({ error: err.message });
+        if (this.changes === 0) return res.status(404).json({ error: 'User not found' });
         res.json({ success: true, message: 'Practitioner removed from firm.' });
+        broadcastToFirm(req.user.firmId, { type: 'user_removed', userId: targetUserId });
     });
 });
 
 
 // Files
 app.get('/api/files', (req, res) => {
-    db.all("SELECT * FROM files", [], (err, rows) => {
+    db.all("SELECT * FROM files WHERE firmId = ?", [req.user.firmId], (err, rows) => {
         if (err) return res.status(500).json({ error: err.message });
-        res.json(rows);
+        res.json(filterVisibleFiles(req.user, rows).map(parseFile));
     });
 });
 
@@ -370,163 +547,1600 @@ app.delete('/api/files/:fileId', (req, res) => {
 
     const { fileId } = req.params;
 
-    // Clean up related data first
-    db.serialize(() => {
-        db.run("DELETE FROM movements WHERE fileId = ?", [fileId]);
-        db.run("DELETE FROM deadlines WHERE fileId = ?", [fileId]);
-        db.run("DELETE FROM files WHERE fileId = ?", [fileId], function (err) {
-            if (err) return res.status(500).json({ error: err.message });
+    findFirmFile(req, res, fileId, (file) => {
+        const firmId = req.user.firmId;
+        let storageKeys = [];
+
+        // The file and everything hanging off it go together or not at all.
+        // Deadline history and conflict checks are kept as the firm's record.
+        q.transaction(async (tx) => {
+            storageKeys = await tx.all(
+                "SELECT DISTINCT storageKey FROM attachments WHERE fileId = ? AND firmId = ? AND storageKey IS NOT NULL",
+                [fileId, firmId]
+            );
+            await tx.run(
+                "DELETE FROM alert_receipts WHERE alertId IN (SELECT alertId FROM alerts WHERE fileId = ? AND firmId = ?)",
+                [fileId, firmId]
+            );
+            await tx.run(
+                "UPDATE cause_list_entries SET fileId = NULL, deadlineId = NULL WHERE fileId = ? AND firmId = ?",
+                [fileId, firmId]
+            );
+            for (const table of ['alerts', 'attachments', 'deadlines', 'file_events', 'movements', 'files']) {
+                await tx.run(`DELETE FROM ${table} WHERE fileId = ? AND firmId = ?`, [fileId, firmId]);
+            }
+        }).then(async () => {
+            for (const { storageKey } of storageKeys) {
+                // The rows are gone either way; a leftover object is only logged
+                await getStorage().delete(storageKey)
+                    .catch(err => console.error(`Failed to delete ${storageKey}:`, err.message));
+            }
             res.json({ success: true, message: 'Case file permanently disposed.' });
-        });
+            // The deleted file decides who is told
+            broadcastToFirm(firmId, { type: 'file_deleted', fileId, file: parseFile(file) });
+        }, (err) => res.status(500).json({ error: err.message }));
     });
 });
 
 
-app.post('/api/files', (req, res) => {
-    const { fileId, caseName, clientName, practiceArea, currentCustodian, courtJurisdiction, assignedAdvocates, notes } = req.body;
-    const id = fileId || `CT-${new Date().getFullYear()}-${Math.floor(1000 + Math.random() * 9000)}`;
+// Registration needs a conflict check (POST /api/conflict-checks) that is
+// clear or overridden and names this client; its parties become the file's.
+// The file links to the client given by clientId, or to the client named
+// clientName (created if the registry has no such client).
+app.post('/api/files', requirePermission('registerFiles', 'register new files'), async (req, res) => {
+    const { caseName, clientId, practiceArea, currentCustodian, assignedAdvocates, notes, conflictCheckId } = req.body;
+    const id = newFileId();
+    const causeOfAction = req.body.causeOfAction || null;
+    const accrualDate = req.body.accrualDate || null;
 
-    db.run(
-        `INSERT INTO files (fileId, caseName, clientName, practiceArea, currentCustodian, courtJurisdiction, assignedAdvocates, notes) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ? )`,
-        [id, caseName, clientName, practiceArea, currentCustodian, courtJurisdiction, assignedAdvocates, notes],
-        function (err) {
-            if (err) return res.status(500).json({ error: err.message });
-            res.status(201).json({ success: true, fileId: id });
-            broadcast({ type: 'file_created', fileId: id, caseName });
+    const limitationError = limitation.validateLimitation({ causeOfAction, accrualDate });
+    if (limitationError) return res.status(400).json({ error: limitationError });
+
+    if (!conflictCheckId) return res.status(400).json({ error: 'Run a conflict check before registering the file' });
+    let check;
+    let client = null;
+    try {
+        check = await conflicts.getConflictCheck(req.user.firmId, conflictCheckId);
+        if (clientId) {
+            client = await clientRegistry.resolveFileClient(req.user, { clientId });
+            if (client.error) return res.status(400).json({ error: client.error });
         }
-    );
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    const clientName = client ? client.clientName : req.body.clientName;
+    const blocker = conflicts.registrationBlocker(check, clientName);
+    if (blocker) return res.status(409).json({ error: blocker });
+
+    const court = courtReference({}, req.body);
+    if (court.error) return res.status(400).json({ error: court.error });
+
+    findFirmUser(req, res, currentCustodian, async () => {
+        try {
+            if (!client) client = await clientRegistry.resolveFileClient(req.user, { clientName });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        if (client.error) return res.status(400).json({ error: client.error });
+
+        db.run(
+            `INSERT INTO files (fileId, firmId, caseName, clientName, clientId, practiceArea, currentCustodian, assignedAdvocates, notes, conflictCheckId, causeOfAction, accrualDate, courtJurisdiction, ${CaseTrackCourts.FIELDS.join(', ')}) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${CaseTrackCourts.FIELDS.map(() => '?').join(', ')})`,
+            [id, req.user.firmId, caseName, client.clientName, client.clientId, practiceArea, currentCustodian, JSON.stringify(assignedAdvocates || []), notes, check.checkId,
+                causeOfAction, accrualDate, court.values.courtJurisdiction, ...CaseTrackCourts.FIELDS.map(f => court.values[f])],
+            async function (err) {
+                if (err) return res.status(500).json({ error: err.message });
+                let limitationChange;
+                try {
+                    await conflicts.recordFileParties(check, id);
+                    limitationChange = await limitation.syncLimitationDeadline(req.user, { firmId: req.user.firmId, fileId: id, causeOfAction, accrualDate });
+                } catch (err) {
+                    return res.status(500).json({ error: err.message });
+                }
+                res.status(201).json({ success: true, fileId: id, clientId: client.clientId, clientName: client.clientName });
+                broadcastToFirm(req.user.firmId, { type: 'file_created', fileId: id, caseName });
+                broadcastLimitationChange(req.user, limitationChange);
+            }
+        );
+    });
 });
 
-// Movements
-app.get('/api/movements', (req, res) => {
-    db.all("SELECT * FROM movements ORDER BY timestamp DESC", [], (err, rows) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json(rows);
+// Parties on a file and the conflict check that cleared it (null for files
+// registered before conflict checks)
+app.get('/api/files/:fileId/parties', (req, res) => {
+    findVisibleFile(req, res, req.params.fileId, async (file) => {
+        try {
+            const parties = await conflicts.getFileParties(req.user.firmId, file.fileId);
+            const conflictCheck = file.conflictCheckId ? await conflicts.getConflictCheck(req.user.firmId, file.conflictCheckId) : null;
+            res.json({ parties, conflictCheck });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
     });
 });
 
-app.post('/api/movements', (req, res) => {
-    const { movementId, fileId, fromCustodian, toCustodian, purpose, notes } = req.body;
-    const id = movementId || `MOV-${Date.now()}`;
+// Editable file fields and the permission each needs: advocates may link
+// documents, registry staff and partners maintain everything else. The
+// custodian only changes through POST /api/movements.
+const FILE_UPDATE_FIELDS = {
+    caseName: 'updateFileStatus',
+    clientName: 'updateFileStatus',
+    clientId: 'updateFileStatus',
+    practiceArea: 'updateFileStatus',
+    courtJurisdiction: 'updateFileStatus',
+    ...Object.fromEntries(CaseTrackCourts.FIELDS.map(field => [field, 'updateFileStatus'])),
+    assignedAdvocates: 'updateFileStatus',
+    notes: 'updateFileStatus',
+    status: 'updateFileStatus',
+    causeOfAction: 'updateFileStatus',
+    accrualDate: 'updateFileStatus',
+    linkedDigitalFiles: 'uploadDocuments'
+};
+const JSON_FILE_FIELDS = ['assignedAdvocates', 'linkedDigitalFiles'];
+const REQUIRED_FILE_FIELDS = ['caseName', 'clientName', 'practiceArea'];
+
+function validateFileUpdates(updates, partial) {
+    if (updates.currentCustodian !== undefined) {
+        return 'The custodian can only be changed by logging a movement';
+    }
+    for (const field of REQUIRED_FILE_FIELDS) {
+        // A clientId supplies the client's name
+        if (field === 'clientName' && updates.clientId) continue;
+        if (!partial && updates[field] === undefined) return `${field} is required`;
+        if (updates[field] !== undefined && !String(updates[field]).trim()) return `${field} cannot be empty`;
+    }
+    if (updates.clientId !== undefined && !updates.clientId) return 'clientId cannot be empty';
+    if (updates.status !== undefined && !CaseTrackDB.FILE_STATUSES.includes(updates.status)) {
+        return `Invalid status. Expected one of: ${CaseTrackDB.FILE_STATUSES.join(', ')}`;
+    }
+    if (updates.practiceArea !== undefined && !CaseTrackDB.PRACTICE_AREAS.includes(updates.practiceArea)) {
+        return 'Invalid practice area';
+    }
+    for (const field of JSON_FILE_FIELDS) {
+        if (updates[field] !== undefined && !Array.isArray(updates[field])) return `${field} must be an array`;
+    }
+    return limitation.validateLimitation(updates);
+}
 
-    db.serialize(() => {
-        db.run("BEGIN TRANSACTION");
+// Tell the firm about a limitation deadline the file change created, moved
+// or cancelled (see limitation.js)
+function broadcastLimitationChange(user, change) {
+    if (!change) return;
+    const { action, deadline } = change;
+    broadcastDeadline(user.firmId, action === 'created' ? 'deadline_added' : 'deadline_updated', deadline.deadlineId,
+        action === 'created' ? {} : { action, performedBy: user.userId });
+}
 
-        db.run(
-            `INSERT INTO movements (movementId, fileId, fromCustodian, toCustodian, purpose, notes) 
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [id, fileId, fromCustodian, toCustodian, purpose, notes]
-        );
+// Deadline events carry the stored row, whatever the caller had in hand
+function broadcastDeadline(firmId, type, deadlineId, extra = {}) {
+    db.get("SELECT * FROM deadlines WHERE deadlineId = ? AND firmId = ?", [deadlineId, firmId], (err, deadline) => {
+        if (err || !deadline) return;
+        broadcastToFirm(firmId, { type, fileId: deadline.fileId, deadline, ...extra });
+    });
+}
 
-        db.run(
-            "UPDATE files SET currentCustodian = ?, updatedAt = CURRENT_TIMESTAMP WHERE fileId = ?",
-            [toCustodian, fileId]
+// Court fields for a file: `current` (the stored file, or {} for a new one)
+// with `updates` applied, validated against courts.js. courtJurisdiction
+// becomes the court's label; a bare free-text courtJurisdiction (older
+// clients) is kept as typed and parsed into the structured fields when it
+// names a recognisable court. Returns { values } or { error }.
+function courtReference(current, updates) {
+    const values = {};
+    const given = CaseTrackCourts.FIELDS.some(field => updates[field] !== undefined);
+    const cleared = Object.fromEntries(CaseTrackCourts.FIELDS.map(field => [field, null]));
+    CaseTrackCourts.FIELDS.forEach(field => {
+        const value = updates[field] !== undefined ? updates[field] : current[field];
+        values[field] = value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+    });
+
+    if (!given) {
+        if (updates.courtJurisdiction === undefined) return { values: { ...values, courtJurisdiction: current.courtJurisdiction || null } };
+        const text = String(updates.courtJurisdiction || '').trim() || null;
+        const parsed = { ...cleared, ...CaseTrackCourts.parseCourtLabel(text) };
+        return { values: { ...(CaseTrackCourts.validate(parsed).length === 0 ? parsed : cleared), courtJurisdiction: text } };
+    }
+
+    // Clearing the level clears the whole reference
+    if (!values.courtLevel) Object.assign(values, cleared);
+    if (values.causeNumber) values.causeNumber = values.causeNumber.toUpperCase();
+    if (values.causeYear) values.causeYear = Number(values.causeYear);
+
+    const errors = CaseTrackCourts.validate(values);
+    if (errors.length > 0) return { error: errors.join('; ') };
+    return { values: { ...values, courtJurisdiction: CaseTrackCourts.courtLabel(values) || null } };
+}
+
+// Persist changed fields, write an audit movement and notify the firm
+function applyFileUpdate(req, res, file, updates, audit) {
+    const changes = {};
+    Object.keys(FILE_UPDATE_FIELDS).forEach(field => {
+        if (updates[field] === undefined) return;
+        const value = JSON_FILE_FIELDS.includes(field) ? JSON.stringify(updates[field]) : updates[field];
+        if (value !== file[field]) changes[field] = value;
+    });
+
+    const changedFields = Object.keys(changes);
+    if (changedFields.length === 0) {
+        return res.json({ success: true, file: parseFile(file), changedFields });
+    }
+
+    if (changes.status !== undefined) {
+        changes.dateClosed = changes.status === 'Closed' ? new Date().toISOString() : null;
+    }
+
+    const columns = Object.keys(changes);
+    const firmId = req.user.firmId;
+    const movementId = `MOV-${uuidv4()}`;
+    const purpose = audit.purpose || (changes.status !== undefined ? `Status Change: ${changes.status}` : 'File Details Updated');
+    const notes = audit.notes || (changes.status !== undefined
+        ? `File status changed to ${changes.status}`
+        : `Updated: ${changedFields.join(', ')}`);
+
+    // The change and its audit entry are saved together or not at all
+    q.transaction(async (tx) => {
+        await tx.run(
+            `UPDATE files SET ${columns.map(c => `${c} = ?`).join(', ')}, version = version + 1, updatedAt = CURRENT_TIMESTAMP
+             WHERE fileId = ? AND firmId = ?`,
+            [...columns.map(c => changes[c]), file.fileId, firmId]
         );
 
-        db.run("COMMIT", (err) => {
+        // Audit entries record who changed what; they are not transfers, so
+        // they are born acknowledged
+        await tx.run(
+            `INSERT INTO movements (movementId, firmId, fileId, fromCustodian, toCustodian, purpose, notes, loggedBy, acknowledged, acknowledgedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)`,
+            [movementId, firmId, file.fileId, file.currentCustodian, file.currentCustodian, purpose, notes, req.user.userId]
+        );
+    }).then(() => {
+        db.get("SELECT * FROM files WHERE fileId = ? AND firmId = ?", [file.fileId, firmId], async (err, updated) => {
             if (err) return res.status(500).json({ error: err.message });
-            res.status(201).json({ success: true, movementId: id });
-
-            // Notify target custodian
-            notifyUser(toCustodian, {
-                type: 'movement_received',
-                fileId,
-                movementId: id,
-                message: `File ${fileId} has been transferred to you.`
+
+            let limitationChange = null;
+            if (changedFields.includes('causeOfAction') || changedFields.includes('accrualDate')) {
+                try {
+                    limitationChange = await limitation.syncLimitationDeadline(req.user, updated);
+                } catch (err) {
+                    return res.status(500).json({ error: err.message });
+                }
+            }
+            res.json({ success: true, file: parseFile(updated), changedFields, movementId });
+            broadcastLimitationChange(req.user, limitationChange);
+
+            const statusChanged = changedFields.includes('status');
+            broadcastToFirm(firmId, {
+                type: statusChanged ? 'file_status_changed' : 'file_updated',
+                fileId: file.fileId,
+                file: parseFile(updated),
+                changedFields,
+                ...(statusChanged ? { previousStatus: file.status } : {}),
+                updatedBy: req.user.userId
             });
+        });
+    }, (err) => res.status(500).json({ error: err.message }));
+}
+
+function handleFileUpdate(partial) {
+    return (req, res) => {
+        const updates = req.body || {};
+        // A blank cause of action or accrual date clears it
+        ['causeOfAction', 'accrualDate'].forEach(field => {
+            if (updates[field] === '') updates[field] = null;
+        });
+        const error = validateFileUpdates(updates, partial);
+        if (error) return res.status(400).json({ error });
+
+        const denied = Object.keys(FILE_UPDATE_FIELDS).find(field =>
+            updates[field] !== undefined && !hasPermission(req.user, FILE_UPDATE_FIELDS[field])
+        );
+        if (denied) {
+            return res.status(403).json({ error: `Your role (${req.user.role}) is not authorized to change ${denied}` });
+        }
+
+        findVisibleFile(req, res, req.params.fileId, async (file) => {
+            if (sync.refuseStale(res, parseFile(file), updates.baseVersion, 'file')) return;
+            // Renaming the client on a file relinks it to the matching client
+            if (updates.clientId !== undefined || updates.clientName !== undefined) {
+                let client;
+                try {
+                    client = await clientRegistry.resolveFileClient(req.user, updates);
+                } catch (err) {
+                    return res.status(500).json({ error: err.message });
+                }
+                if (client.error) return res.status(400).json({ error: client.error });
+                Object.assign(updates, client);
+            }
+            if (updates.courtJurisdiction !== undefined || CaseTrackCourts.FIELDS.some(field => updates[field] !== undefined)) {
+                const court = courtReference(file, updates);
+                if (court.error) return res.status(400).json({ error: court.error });
+                Object.assign(updates, court.values);
+            }
+            applyFileUpdate(req, res, file, updates, { notes: updates.auditNotes });
+        });
+    };
+}
+
+// PUT replaces every editable field (required fields must be present);
+// PATCH changes only the fields supplied
+app.put('/api/files/:fileId', handleFileUpdate(false));
+app.patch('/api/files/:fileId', handleFileUpdate(true));
+
+app.post('/api/files/:fileId/status', requirePermission('updateFileStatus', 'change file status'), (req, res) => {
+    const { status, notes, baseVersion } = req.body;
+    const error = validateFileUpdates({ status }, true) || (status === undefined ? 'status is required' : null);
+    if (error) return res.status(400).json({ error });
+
+    findVisibleFile(req, res, req.params.fileId, (file) => {
+        if (sync.refuseStale(res, parseFile(file), baseVersion, 'file')) return;
+        applyFileUpdate(req, res, file, { status }, { notes });
+    });
+});
+
+// Movements
+app.get('/api/movements', (req, res) => {
+    db.all("SELECT * FROM files WHERE firmId = ?", [req.user.firmId], (err, files) => {
+        if (err) return res.status(500).json({ error: err.message });
+        const visibleFileIds = new Set(filterVisibleFiles(req.user, files).map(f => f.fileId));
+
+        db.all("SELECT * FROM movements WHERE firmId = ? ORDER BY timestamp DESC", [req.user.firmId], (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(rows.filter(m =>
+                visibleFileIds.has(m.fileId) ||
+                m.fromCustodian === req.user.userId ||
+                m.toCustodian === req.user.userId
+            ));
+        });
+    });
+});
+
+// Registry staff move files they are not assigned to, so this checks the
+// logMovements permission rather than per-file visibility
+app.post('/api/movements', requirePermission('logMovements', 'log file movements'), (req, res) => {
+    const { fileId, fromCustodian, toCustodian, purpose, notes, baseVersion } = req.body;
+    const id = `MOV-${uuidv4()}`;
+    const firmId = req.user.firmId;
+
+    // baseVersion is the file's: a transfer queued offline conflicts with
+    // any change to the file since, such as another transfer. A transfer
+    // starts from the file's custodian; only the registration entry, the
+    // file's first movement, starts from no one.
+    findFirmFile(req, res, fileId, (file) => findFirmUser(req, res, toCustodian, (recipient) => {
+        if (sync.refuseStale(res, parseFile(file), baseVersion, 'file')) return;
+        if (!recipient.active) return res.status(400).json({ error: 'Files cannot be moved to a deactivated user' });
+
+        db.get("SELECT 1 FROM movements WHERE fileId = ? AND firmId = ? LIMIT 1", [fileId, firmId], (err, moved) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const from = fromCustodian || null;
+            if (from !== file.currentCustodian && (moved || from !== null)) {
+                return res.status(400).json({ error: `File ${fileId} is held by ${file.currentCustodian}, not ${from || 'no one'}` });
+            }
 
-            broadcast({ type: 'movement_logged', fileId, toCustodian });
+            // The transfer and the new custodian are saved together or not at
+            // all, and only if no other transfer got there first
+            q.transaction(async (tx) => {
+                const { changes } = await tx.run(
+                    `UPDATE files SET currentCustodian = ?, version = version + 1, updatedAt = CURRENT_TIMESTAMP
+                     WHERE fileId = ? AND firmId = ? AND currentCustodian IS ?`,
+                    [toCustodian, fileId, firmId, file.currentCustodian]
+                );
+                if (!changes) throw Object.assign(new Error(`File ${fileId} was moved by someone else meanwhile`), { status: 409 });
+                await tx.run(
+                    `INSERT INTO movements (movementId, firmId, fileId, fromCustodian, toCustodian, purpose, notes, loggedBy)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [id, firmId, fileId, from, toCustodian, purpose, notes, req.user.userId]
+                );
+            }).then(() => {
+                db.get("SELECT * FROM files WHERE fileId = ? AND firmId = ?", [fileId, firmId], (err, updated) => {
+                    if (err) return res.status(500).json({ error: err.message });
+                    res.status(201).json({ success: true, movementId: id, file: parseFile(updated) });
+
+                    db.get("SELECT * FROM movements WHERE movementId = ? AND firmId = ?", [id, firmId], (err, movement) => {
+                        if (err || !movement) return;
+                        const event = { fileId, file: parseFile(updated), movement, movementId: id };
+
+                        // Notify target custodian
+                        notifyUser(firmId, toCustodian, {
+                            ...event,
+                            type: 'movement_received',
+                            message: `File ${fileId} has been transferred to you.`
+                        });
+                        broadcastToFirm(firmId, { ...event, type: 'movement_logged' });
+                    });
+                });
+
+                notifications.notifyMovementReceipt({ firmId, fileId, toCustodian, purpose, notes, loggedBy: req.user.userId })
+                    .catch(err => console.error('Failed to queue movement email:', err.message));
+            }, (err) => res.status(err.status || 500).json({ error: err.message }));
         });
+    }));
+});
+
+// Ask a file's current custodian for it: the custodian gets an alert and a
+// file_requested event
+app.post('/api/files/:fileId/request', requirePermission('requestFiles', 'request files'), (req, res) => {
+    const reason = String((req.body && req.body.reason) || '').trim();
+
+    findVisibleFile(req, res, req.params.fileId, (file) => {
+        if (file.currentCustodian === req.user.userId) return res.status(400).json({ error: 'You already hold this file' });
+
+        const alertId = `AL-${uuidv4()}`;
+        db.run(
+            `INSERT INTO alerts (alertId, firmId, type, fileId, targetUserId, message, severity)
+             VALUES (?, ?, 'file_request', ?, ?, ?, 'info')`,
+            [alertId, req.user.firmId, file.fileId, file.currentCustodian,
+                `${req.user.name} has requested file "${file.caseName}". Reason: ${reason || 'Not specified'}`],
+            (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                db.get("SELECT *, timestamp AS createdAt FROM alerts WHERE alertId = ?", [alertId], (err, row) => {
+                    if (err) return res.status(500).json({ error: err.message });
+                    const alert = { ...row, read: false, dismissed: false };
+                    res.status(201).json({ success: true, alert });
+                    notifyUser(req.user.firmId, file.currentCustodian, {
+                        type: 'file_requested',
+                        fileId: file.fileId,
+                        alert,
+                        requestedBy: req.user.userId
+                    });
+                });
+            }
+        );
     });
 });
 
 app.post('/api/movements/:id/acknowledge', (req, res) => {
     const { id } = req.params;
-    db.run(
-        "UPDATE movements SET acknowledged = 1, acknowledgedAt = CURRENT_TIMESTAMP WHERE movementId = ?",
-        [id],
-        function (err) {
-            if (err) return res.status(500).json({ error: err.message });
-            res.json({ success: true });
-            broadcast({ type: 'movement_acknowledged', movementId: id });
+    db.get("SELECT * FROM movements WHERE movementId = ? AND firmId = ?", [id, req.user.firmId], (err, movement) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!movement) return res.status(404).json({ error: 'Movement not found' });
+
+        // Only the recipient can acknowledge (partners may confirm on their behalf)
+        if (movement.toCustodian !== req.user.userId && !hasPermission(req.user, 'viewAllFiles')) {
+            return res.status(403).json({ error: 'Only the recipient can acknowledge this transfer' });
         }
-    );
+
+        db.run(
+            "UPDATE movements SET acknowledged = 1, acknowledgedAt = CURRENT_TIMESTAMP, version = version + 1 WHERE movementId = ? AND firmId = ?",
+            [id, req.user.firmId],
+            function (err) {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json({ success: true });
+                db.get("SELECT * FROM movements WHERE movementId = ?", [id], (err, updated) => {
+                    if (err || !updated) return;
+                    broadcastToFirm(req.user.firmId, { type: 'movement_acknowledged', fileId: updated.fileId, movementId: id, movement: updated });
+                });
+            }
+        );
+    });
 });
 
 // Deadlines
 app.get('/api/deadlines', (req, res) => {
-    db.all("SELECT * FROM deadlines", [], (err, rows) => {
+    db.all("SELECT * FROM files WHERE firmId = ?", [req.user.firmId], (err, files) => {
         if (err) return res.status(500).json({ error: err.message });
-        res.json(rows);
+        const visibleFileIds = new Set(filterVisibleFiles(req.user, files).map(f => f.fileId));
+
+        db.all("SELECT * FROM deadlines WHERE firmId = ?", [req.user.firmId], (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(rows.filter(d => visibleFileIds.has(d.fileId)));
+        });
     });
 });
 
 app.post('/api/deadlines', (req, res) => {
     const { fileId, type, dueDate, description } = req.body;
-    const id = `DL-${Date.now()}`;
-    db.run(
-        "INSERT INTO deadlines (deadlineId, fileId, type, dueDate, description) VALUES (?, ?, ?, ?, ?)",
-        [id, fileId, type, dueDate, description],
-        function (err) {
-            if (err) return res.status(500).json({ error: err.message });
-            res.status(201).json({ success: true, deadlineId: id });
-            broadcast({ type: 'deadline_added', fileId, type, dueDate });
-        }
-    );
+    const id = `DL-${uuidv4()}`;
+    const firmId = req.user.firmId;
+
+    if (!CaseTrackCalendar.isDateKey(dueDate)) return res.status(400).json({ error: 'A valid due date (YYYY-MM-DD) is required' });
+    if (!CaseTrackDB.DEADLINE_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Invalid type. Expected one of: ${CaseTrackDB.DEADLINE_TYPES.join(', ')}` });
+    }
+
+    findVisibleFile(req, res, fileId, () => {
+        q.transaction(async (tx) => {
+            await tx.run(
+                `INSERT INTO deadlines (deadlineId, firmId, fileId, type, dueDate, description, createdBy, createdAt, updatedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                [id, firmId, fileId, type, dueDate, description, req.user.userId]
+            );
+            await recordDeadlineHistory(tx, { deadlineId: id, firmId, fileId }, 'created', req.user.userId, { newDueDate: dueDate });
+        }).then(() => {
+            db.get("SELECT * FROM deadlines WHERE deadlineId = ?", [id], (err, deadline) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.status(201).json({ success: true, deadlineId: id, deadline });
+                broadcastToFirm(firmId, { type: 'deadline_added', fileId, deadline });
+            });
+        }, (err) => res.status(500).json({ error: err.message }));
+    });
 });
 
-// Alerts
-app.get('/api/alerts', (req, res) => {
-    db.all("SELECT * FROM alerts ORDER BY timestamp DESC", [], (err, rows) => {
+// --- Deadline Lifecycle ---
+// Pending -> Completed | Cancelled, and back to Pending via reopen. Every
+// transition is appended to deadline_history with who did it and why, in
+// the same transaction (tx, see db-async.js) as the change itself.
+
+function recordDeadlineHistory(tx, deadline, action, userId, details = {}) {
+    return tx.run(
+        `INSERT INTO deadline_history (deadlineId, firmId, fileId, action, previousDueDate, newDueDate, reason, performedBy)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [deadline.deadlineId, deadline.firmId, deadline.fileId, action,
+            details.previousDueDate || null, details.newDueDate || null, details.reason || null, userId]
+    );
+}
+
+// Limitation deadlines follow their file's accrual date (see limitation.js)
+function refuseProtected(res, deadline, action) {
+    if (!deadline.isProtected) return false;
+    res.status(409).json({ error: `A limitation deadline cannot be ${action} by hand; change the cause of action or accrual date on the file` });
+    return true;
+}
+
+// Load a deadline whose file the caller can see
+function findVisibleDeadline(req, res, next) {
+    db.get("SELECT * FROM deadlines WHERE deadlineId = ? AND firmId = ?", [req.params.deadlineId, req.user.firmId], (err, deadline) => {
         if (err) return res.status(500).json({ error: err.message });
-        res.json(rows);
+        if (!deadline) return res.status(404).json({ error: 'Deadline not found' });
+        findVisibleFile(req, res, deadline.fileId, () => next(deadline));
     });
-});
+}
 
-app.post('/api/alerts', (req, res) => {
-    const { type, fileId, deadlineId, targetUserId, message, severity } = req.body;
-    const id = `AL-${Date.now()}`;
-    db.run(
-        "INSERT INTO alerts (alertId, type, fileId, deadlineId, targetUserId, message, severity) VALUES (?, ?, ?, ?, ?, ?, ?)",
-        [id, type, fileId, deadlineId, targetUserId, message, severity],
-        function (err) {
+function transitionDeadline(req, res, deadline, { action, allowedFrom, updates, details = {} }) {
+    if (sync.refuseStale(res, deadline, req.body && req.body.baseVersion, 'deadline')) return;
+    if (!allowedFrom.includes(deadline.status)) {
+        return res.status(409).json({ error: `A ${deadline.status.toLowerCase()} deadline cannot be ${action}` });
+    }
+
+    const columns = Object.keys(updates);
+    const firmId = req.user.firmId;
+
+    q.transaction(async (tx) => {
+        await tx.run(
+            `UPDATE deadlines SET ${columns.map(c => `${c} = ?`).join(', ')}, version = version + 1, updatedAt = CURRENT_TIMESTAMP
+             WHERE deadlineId = ? AND firmId = ?`,
+            [...columns.map(c => updates[c]), deadline.deadlineId, firmId]
+        );
+        await recordDeadlineHistory(tx, deadline, action, req.user.userId, details);
+    }).then(() => {
+        db.get("SELECT * FROM deadlines WHERE deadlineId = ?", [deadline.deadlineId], (err, updated) => {
             if (err) return res.status(500).json({ error: err.message });
-            res.status(201).json({ success: true, alertId: id });
-        }
-    );
+            res.json({ success: true, deadline: updated });
+            broadcastToFirm(firmId, {
+                type: action === 'completed' ? 'deadline_completed' : 'deadline_updated',
+                action,
+                fileId: deadline.fileId,
+                deadline: updated,
+                performedBy: req.user.userId
+            });
+        });
+    }, (err) => res.status(500).json({ error: err.message }));
+}
+
+app.post('/api/deadlines/:deadlineId/complete', (req, res) => {
+    findVisibleDeadline(req, res, (deadline) => {
+        transitionDeadline(req, res, deadline, {
+            action: 'completed',
+            allowedFrom: ['Pending'],
+            updates: { status: 'Completed', completedAt: new Date().toISOString(), completedBy: req.user.userId },
+            details: { reason: req.body.notes }
+        });
+    });
 });
 
-app.post('/api/alerts/read', (req, res) => {
-    db.run("UPDATE alerts SET read = 1", [], (err) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ success: true });
+app.post('/api/deadlines/:deadlineId/reopen', (req, res) => {
+    findVisibleDeadline(req, res, (deadline) => {
+        transitionDeadline(req, res, deadline, {
+            action: 'reopened',
+            allowedFrom: ['Completed', 'Cancelled'],
+            updates: {
+                status: 'Pending',
+                completedAt: null,
+                completedBy: null,
+                cancelledAt: null,
+                cancelledBy: null,
+                cancelReason: null
+            },
+            details: { reason: req.body.reason }
+        });
     });
 });
 
-// Attachments
-app.get('/api/attachments/:fileId', (req, res) => {
-    const { fileId } = req.params;
-    db.all("SELECT * FROM attachments WHERE fileId = ?", [fileId], (err, rows) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json(rows);
+app.post('/api/deadlines/:deadlineId/reschedule', (req, res) => {
+    const { dueDate, reason } = req.body;
+    if (!CaseTrackCalendar.isDateKey(dueDate)) return res.status(400).json({ error: 'A valid new due date (YYYY-MM-DD) is required' });
+    if (!reason || !reason.trim()) return res.status(400).json({ error: 'A reason for rescheduling is required' });
+
+    findVisibleDeadline(req, res, (deadline) => {
+        if (refuseProtected(res, deadline, 'rescheduled')) return;
+        transitionDeadline(req, res, deadline, {
+            action: 'rescheduled',
+            allowedFrom: ['Pending'],
+            updates: { dueDate, previousDueDate: deadline.dueDate },
+            details: { previousDueDate: deadline.dueDate, newDueDate: dueDate, reason }
+        });
     });
 });
 
-app.post('/api/attachments', (req, res) => {
-    const { fileId, name, size, type, data, uploadedBy } = req.body;
-    const id = `ATT-${Date.now()}`;
-    db.run(
-        "INSERT INTO attachments (attachmentId, fileId, name, size, type, data, uploadedBy) VALUES (?, ?, ?, ?, ?, ?, ?)",
-        [id, fileId, name, size, type, data, uploadedBy],
-        function (err) {
+app.post('/api/deadlines/:deadlineId/cancel', (req, res) => {
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) return res.status(400).json({ error: 'A reason for cancelling is required' });
+
+    findVisibleDeadline(req, res, (deadline) => {
+        if (refuseProtected(res, deadline, 'cancelled')) return;
+        transitionDeadline(req, res, deadline, {
+            action: 'cancelled',
+            allowedFrom: ['Pending'],
+            updates: { status: 'Cancelled', cancelledAt: new Date().toISOString(), cancelledBy: req.user.userId, cancelReason: reason },
+            details: { reason }
+        });
+    });
+});
+
+app.delete('/api/deadlines/:deadlineId', requirePermission('deleteDeadlines', 'delete deadlines'), (req, res) => {
+    findVisibleDeadline(req, res, (deadline) => {
+        if (refuseProtected(res, deadline, 'deleted')) return;
+        q.transaction(async (tx) => {
+            await tx.run("DELETE FROM deadlines WHERE deadlineId = ? AND firmId = ?", [deadline.deadlineId, req.user.firmId]);
+            await recordDeadlineHistory(tx, deadline, 'deleted', req.user.userId, { previousDueDate: deadline.dueDate, reason: req.body && req.body.reason });
+        }).then(() => {
+            res.json({ success: true });
+            broadcastToFirm(req.user.firmId, {
+                type: 'deadline_deleted',
+                deadlineId: deadline.deadlineId,
+                fileId: deadline.fileId,
+                performedBy: req.user.userId
+            });
+        }, (err) => res.status(500).json({ error: err.message }));
+    });
+});
+
+// Reads history directly so it stays available after a deadline is deleted
+app.get('/api/deadlines/:deadlineId/history', (req, res) => {
+    db.all(
+        "SELECT * FROM deadline_history WHERE deadlineId = ? AND firmId = ? ORDER BY performedAt, historyId",
+        [req.params.deadlineId, req.user.firmId],
+        (err, rows) => {
             if (err) return res.status(500).json({ error: err.message });
-            res.status(201).json({ success: true, attachmentId: id });
+            if (rows.length === 0) return res.status(404).json({ error: 'Deadline not found' });
+            findVisibleFile(req, res, rows[0].fileId, () => res.json(rows));
         }
     );
 });
 
-// Start server
-server.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+// Cause lists
+// A court's daily cause list (PDF, HTML, CSV or plain text) is parsed and
+// its entries matched to the firm's files. The import only proposes
+// "Court Mention" / "Court Hearing" deadlines; they are created when the
+// reviewed list is applied. Like movements this is registry work, so it
+// covers every file in the firm rather than the caller's visible ones.
+const CAUSE_LIST_MAX_MB = 5;
+const uploadCauseList = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CAUSE_LIST_MAX_MB * 1024 * 1024, files: 1 }
+}).single('file');
+
+app.get('/api/cause-lists', requirePermission('importCauseLists', 'view cause lists'), async (req, res) => {
+    try {
+        res.json(await causeLists.listCauseLists(req.user.firmId));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
+
+app.post('/api/cause-lists', requirePermission('importCauseLists', 'import cause lists'), (req, res) => {
+    uploadCauseList(req, res, async (err) => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Cause lists are limited to ${CAUSE_LIST_MAX_MB}MB` });
+        }
+        if (err) return res.status(400).json({ error: err.message });
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+        try {
+            const { list, previousImport, error } = await causeLists.importCauseList(req.user, req.file);
+            if (error) return res.status(400).json({ error });
+            res.status(201).json({ ...list, previousImport });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+// The list with every entry, its matched file and the proposed deadline
+app.get('/api/cause-lists/:causeListId', requirePermission('importCauseLists', 'view cause lists'), async (req, res) => {
+    try {
+        const list = await causeLists.getCauseList(req.user.firmId, req.params.causeListId);
+        if (!list) return res.status(404).json({ error: 'Cause list not found' });
+        res.json(list);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// { entries: [{ entryId, fileId, type, dueDate, description } | { entryId, skip: true }] }
+// creates the reviewed deadlines in one go; entries not mentioned stay
+// proposed
+app.post('/api/cause-lists/:causeListId/apply', requirePermission('importCauseLists', 'import cause lists'), async (req, res) => {
+    try {
+        const list = await causeLists.getCauseList(req.user.firmId, req.params.causeListId);
+        if (!list) return res.status(404).json({ error: 'Cause list not found' });
+
+        const { deadlines, error, status } = await causeLists.applyCauseList(req.user, list, req.body && req.body.entries);
+        if (error) return res.status(status).json({ error });
+
+        res.status(201).json({ success: true, deadlines, causeList: await causeLists.getCauseList(req.user.firmId, list.causeListId) });
+        for (const deadline of deadlines) {
+            broadcastDeadline(req.user.firmId, 'deadline_added', deadline.deadlineId);
+        }
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// File Events
+// A procedural event on a file proposes follow-on deadlines from the firm's
+// deadline rules. Anyone who can see the file and add its deadlines can log one.
+app.get('/api/files/:fileId/events', (req, res) => {
+    findVisibleFile(req, res, req.params.fileId, async (file) => {
+        try {
+            res.json(await fileEvents.listFileEvents(req.user.firmId, file.fileId));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+// { eventType, eventDate, dueDates: { stepIndex: date } } -> the deadlines
+// logging the event would create; nothing is saved
+app.post('/api/files/:fileId/events/preview', (req, res) => {
+    findVisibleFile(req, res, req.params.fileId, async (file) => {
+        try {
+            const { rule, proposals, error } = await fileEvents.previewEvent(req.user.firmId, file, req.body || {});
+            if (error) return res.status(400).json({ error });
+            res.json({ rule, proposals });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+// { eventType, eventDate, notes, steps: [{ step, dueDate, description } | { step, skip: true }] }
+app.post('/api/files/:fileId/events', (req, res) => {
+    findVisibleFile(req, res, req.params.fileId, async (file) => {
+        try {
+            const { event, deadlines, error } = await fileEvents.logEvent(req.user, file, req.body || {});
+            if (error) return res.status(400).json({ error });
+
+            res.status(201).json({ success: true, event, deadlines });
+            broadcastToFirm(req.user.firmId, { type: 'file_event_logged', fileId: file.fileId, fileEventId: event.eventId });
+            for (const deadline of deadlines) {
+                broadcastDeadline(req.user.firmId, 'deadline_added', deadline.deadlineId);
+            }
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+// Alerts
+// An alert with a targetUserId goes to that user; one without is broadcast to
+// the whole firm. Either way an alert about a file only reaches those who
+// can see the file (as for realtime events, see filterEvent). Read/dismissed
+// state is kept per recipient in alert_receipts.
+const ALERTS_FOR_CALLER = `
+    FROM alerts a
+    LEFT JOIN alert_receipts r ON r.alertId = a.alertId AND r.userId = ?
+    LEFT JOIN files f ON f.fileId = a.fileId AND f.firmId = a.firmId
+    WHERE a.firmId = ? AND (a.targetUserId = ? OR a.targetUserId IS NULL)`;
+
+// Selected with ALERTS_FOR_CALLER for alertVisibleTo, which drops them
+const ALERT_FILE_COLUMNS = 'f.currentCustodian AS fileCustodian, f.assignedAdvocates AS fileAdvocates';
+
+function alertsForCallerParams(req) {
+    return [req.user.userId, req.user.firmId, req.user.userId];
+}
+
+function alertVisibleTo(user, alert) {
+    return !alert.fileId || canViewFile(user, { currentCustodian: alert.fileCustodian, assignedAdvocates: alert.fileAdvocates });
+}
+
+function visibleAlerts(user, rows) {
+    return rows
+        .filter(alert => alertVisibleTo(user, alert))
+        .map(({ fileCustodian, fileAdvocates, ...alert }) => alert);
+}
+
+app.get('/api/alerts', (req, res) => {
+    const includeDismissed = req.query.includeDismissed === '1';
+    db.all(
+        `SELECT a.*, a.timestamp AS createdAt,
+                (r.readAt IS NOT NULL) AS read, r.readAt,
+                (r.dismissedAt IS NOT NULL) AS dismissed, r.dismissedAt,
+                ${ALERT_FILE_COLUMNS}
+         ${ALERTS_FOR_CALLER}
+         ${includeDismissed ? '' : 'AND r.dismissedAt IS NULL'}
+         ORDER BY a.timestamp DESC`,
+        alertsForCallerParams(req),
+        (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(visibleAlerts(req.user, rows).map(a => ({ ...a, read: !!a.read, dismissed: !!a.dismissed })));
+        }
+    );
+});
+
+app.post('/api/alerts', (req, res) => {
+    const { type, fileId, deadlineId, targetUserId, message, severity } = req.body;
+    if (!CaseTrackDB.ALERT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Invalid type. Expected one of: ${CaseTrackDB.ALERT_TYPES.join(', ')}` });
+    }
+    if (!CaseTrackDB.ALERT_SEVERITIES.includes(severity)) {
+        return res.status(400).json({ error: `Invalid severity. Expected one of: ${CaseTrackDB.ALERT_SEVERITIES.join(', ')}` });
+    }
+    const id = `AL-${uuidv4()}`;
+    const insert = () => db.run(
+        "INSERT INTO alerts (alertId, firmId, type, fileId, deadlineId, targetUserId, message, severity) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [id, req.user.firmId, type, fileId, deadlineId, targetUserId, message, severity],
+        function (err) {
+            if (err) return res.status(500).json({ error: err.message });
+            res.status(201).json({ success: true, alertId: id });
+        }
+    );
+    // Every record the alert points at must be the caller's firm's, and the
+    // recipient a current member of it
+    const checkTarget = () => {
+        if (!targetUserId) return insert();
+        findFirmUser(req, res, targetUserId, (user) => {
+            if (!user.active) return res.status(404).json({ error: 'User not found' });
+            insert();
+        });
+    };
+    const checkDeadline = () => {
+        if (!deadlineId) return checkTarget();
+        db.get("SELECT fileId FROM deadlines WHERE deadlineId = ? AND firmId = ?", [deadlineId, req.user.firmId], (err, deadline) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (!deadline || (fileId && deadline.fileId !== fileId)) return res.status(404).json({ error: 'Deadline not found' });
+            checkTarget();
+        });
+    };
+
+    if (fileId) return findFirmFile(req, res, fileId, checkDeadline);
+    checkDeadline();
+});
+
+// Upsert the caller's receipt for every alert they can see, optionally
+// narrowed to a list of alertIds. Dismissing an alert also marks it read.
+function updateAlertReceipts(req, alertIds, dismiss, callback) {
+    const idFilter = Array.isArray(alertIds) ? `AND a.alertId IN (${alertIds.map(() => '?').join(', ') || 'NULL'})` : '';
+    db.all(
+        `SELECT a.alertId, a.fileId, ${ALERT_FILE_COLUMNS} ${ALERTS_FOR_CALLER} ${idFilter}`,
+        [...alertsForCallerParams(req), ...(Array.isArray(alertIds) ? alertIds : [])],
+        (err, rows) => {
+            if (err) return callback(err, 0);
+            const ids = visibleAlerts(req.user, rows).map(a => a.alertId);
+            if (ids.length === 0) return callback(null, 0);
+
+            db.run(
+                `INSERT INTO alert_receipts (alertId, userId, readAt, dismissedAt)
+                 SELECT alertId, ?, CURRENT_TIMESTAMP, ${dismiss ? 'CURRENT_TIMESTAMP' : 'NULL'}
+                 FROM alerts WHERE alertId IN (${ids.map(() => '?').join(', ')})
+                 ON CONFLICT (alertId, userId) DO UPDATE SET
+                    readAt = COALESCE(readAt, excluded.readAt),
+                    dismissedAt = COALESCE(dismissedAt, excluded.dismissedAt)`,
+                [req.user.userId, ...ids],
+                function (err) {
+                    callback(err, err ? 0 : this.changes);
+                }
+            );
+        }
+    );
+}
+
+function handleAlertReceipt(dismiss) {
+    return (req, res) => {
+        updateAlertReceipts(req, [req.params.alertId], dismiss, (err, changes) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (changes === 0) return res.status(404).json({ error: 'Alert not found' });
+            res.json({ success: true });
+        });
+    };
+}
+
+function handleBulkAlertReceipts(dismiss) {
+    return (req, res) => {
+        const { alertIds } = req.body || {};
+        if (alertIds !== undefined && !Array.isArray(alertIds)) {
+            return res.status(400).json({ error: 'alertIds must be an array' });
+        }
+        updateAlertReceipts(req, alertIds, dismiss, (err, changes) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ success: true, updated: changes });
+        });
+    };
+}
+
+// Bulk operations act on the caller's alerts only: all of them, or the
+// alertIds given in the body
+app.post('/api/alerts/read', handleBulkAlertReceipts(false));
+app.post('/api/alerts/dismiss', handleBulkAlertReceipts(true));
+
+app.post('/api/alerts/:alertId/read', handleAlertReceipt(false));
+app.post('/api/alerts/:alertId/dismiss', handleAlertReceipt(true));
+
+// Notification Preferences
+// Each user opts in to the emails they want; everything is off by default
+app.get('/api/notification-preferences', (req, res) => {
+    notifications.getPreferences(req.user.userId)
+        .then(preferences => res.json(preferences))
+        .catch(err => res.status(500).json({ error: err.message }));
+});
+
+app.put('/api/notification-preferences', (req, res) => {
+    const updates = req.body || {};
+    const unknown = Object.keys(updates).filter(key => !notifications.PREFERENCE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown preference(s): ${unknown.join(', ')}` });
+    }
+
+    notifications.updatePreferences(req.user.userId, updates)
+        .then(preferences => res.json({ success: true, preferences }))
+        .catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Messaging delivery reports
+// SMS / WhatsApp providers post status updates here. The callback URL must
+// carry ?token=<MESSAGING_WEBHOOK_TOKEN>; without that variable both routes
+// are refused, since anyone could otherwise rewrite delivery statuses.
+// WhatsApp verifies a new callback URL by echoing hub.challenge
+app.get('/api/webhooks/messaging/:provider', (req, res) => {
+    const expected = process.env.MESSAGING_WEBHOOK_TOKEN;
+    if (!expected || req.query['hub.mode'] !== 'subscribe' || req.query['hub.verify_token'] !== expected) {
+        return res.status(403).json({ error: 'Verification failed' });
+    }
+    res.send(req.query['hub.challenge']);
+});
+
+app.post('/api/webhooks/messaging/:provider', bodyParser.urlencoded({ extended: false }), (req, res) => {
+    const expected = process.env.MESSAGING_WEBHOOK_TOKEN;
+    if (!expected || req.query.token !== expected) return res.status(401).json({ error: 'Invalid webhook token' });
+
+    messaging.recordDeliveryReport(req.params.provider, req.body)
+        .then(updated => {
+            if (updated === null) return res.status(404).json({ error: 'Unknown provider' });
+            res.json({ success: true, updated });
+        })
+        .catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Partners can audit what was sent to whom
+app.get('/api/message-deliveries', requirePermission('viewAuditLogs', 'view message deliveries'), (req, res) => {
+    db.all(
+        "SELECT * FROM message_deliveries WHERE firmId = ? ORDER BY createdAt DESC LIMIT 200",
+        [req.user.firmId],
+        (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(rows);
+        }
+    );
+});
+
+// Alert Rules
+// Each firm tunes the scheduler's thresholds; unsaved settings use the defaults
+app.get('/api/alert-rules', (req, res) => {
+    db.get("SELECT rules, updatedBy, updatedAt FROM alert_rules WHERE firmId = ?", [req.user.firmId], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({
+            rules: CaseTrackAlertRules.withDefaults(row ? JSON.parse(row.rules) : {}),
+            defaults: CaseTrackAlertRules.DEFAULTS,
+            updatedBy: row ? row.updatedBy : null,
+            updatedAt: row ? row.updatedAt : null
+        });
+    });
+});
+
+app.put('/api/alert-rules', requirePermission('manageAlertRules', 'manage alert rules'), (req, res) => {
+    const rules = req.body;
+    const errors = CaseTrackAlertRules.validate(rules, {
+        deadlineTypes: CaseTrackDB.DEADLINE_TYPES,
+        practiceAreas: CaseTrackDB.PRACTICE_AREAS
+    });
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; '), errors });
+
+    const recipients = rules.escalationRecipients || [];
+    db.all(
+        `SELECT userId FROM users WHERE firmId = ? AND userId IN (${recipients.map(() => '?').join(', ') || 'NULL'})`,
+        [req.user.firmId, ...recipients],
+        (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const known = rows.map(r => r.userId);
+            const unknown = recipients.filter(id => !known.includes(id));
+            if (unknown.length > 0) {
+                return res.status(400).json({ error: `Unknown escalation recipient(s): ${unknown.join(', ')}` });
+            }
+
+            const saved = CaseTrackAlertRules.withDefaults(rules);
+            db.run(
+                `INSERT INTO alert_rules (firmId, rules, updatedBy, updatedAt) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT (firmId) DO UPDATE SET
+                    rules = excluded.rules, updatedBy = excluded.updatedBy, updatedAt = excluded.updatedAt`,
+                [req.user.firmId, JSON.stringify(saved), req.user.userId],
+                (err) => {
+                    if (err) return res.status(500).json({ error: err.message });
+                    broadcastToFirm(req.user.firmId, { type: 'alert_rules_updated' });
+                    res.json({ success: true, rules: saved });
+                }
+            );
+        }
+    );
+});
+
+// Deadline Rules
+// The chains of deadlines proposed when an event is logged on a file. A firm
+// that has not saved its own rules uses the defaults; saving replaces them.
+app.get('/api/deadline-rules', (req, res) => {
+    db.get("SELECT rules, updatedBy, updatedAt FROM deadline_rules WHERE firmId = ?", [req.user.firmId], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({
+            rules: CaseTrackDeadlineRules.withDefaults(row ? JSON.parse(row.rules) : null),
+            defaults: CaseTrackDeadlineRules.DEFAULTS,
+            updatedBy: row ? row.updatedBy : null,
+            updatedAt: row ? row.updatedAt : null
+        });
+    });
+});
+
+app.put('/api/deadline-rules', requirePermission('manageAlertRules', 'manage deadline rules'), (req, res) => {
+    const { rules } = req.body || {};
+    const errors = CaseTrackDeadlineRules.validate(rules, {
+        deadlineTypes: CaseTrackDB.DEADLINE_TYPES,
+        practiceAreas: CaseTrackDB.PRACTICE_AREAS,
+        modes: Object.keys(CaseTrackCalendar.MODES)
+    });
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; '), errors });
+
+    const saved = rules.map(rule => ({
+        eventType: rule.eventType.trim(),
+        practiceArea: rule.practiceArea || null,
+        steps: rule.steps.map(step => ({
+            type: step.type,
+            days: step.days,
+            mode: step.mode,
+            after: step.after === undefined ? null : step.after,
+            ...(step.before ? { before: true } : {}),
+            description: step.description.trim()
+        }))
+    }));
+    db.run(
+        `INSERT INTO deadline_rules (firmId, rules, updatedBy, updatedAt) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (firmId) DO UPDATE SET
+            rules = excluded.rules, updatedBy = excluded.updatedBy, updatedAt = excluded.updatedAt`,
+        [req.user.firmId, JSON.stringify(saved), req.user.userId],
+        (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            broadcastToFirm(req.user.firmId, { type: 'deadline_rules_updated' });
+            res.json({ success: true, rules: saved });
+        }
+    );
+});
+
+// Court Calendar
+// Statutory holidays and vacations come from legal-calendar.js; each firm
+// adds the ad-hoc holidays declared by Gazette notice. GET returns a year's
+// holidays and vacations, plus every gazetted holiday for local computation.
+app.get('/api/court-calendar', (req, res) => {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    if (year < 1900 || year > 2200) return res.status(400).json({ error: 'Invalid year' });
+
+    db.all("SELECT * FROM court_holidays WHERE firmId = ? ORDER BY date", [req.user.firmId], (err, gazetted) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({
+            year,
+            holidays: CaseTrackCalendar.holidaysFor(year, gazetted),
+            vacations: CaseTrackCalendar.vacationsFor(year),
+            gazetted
+        });
+    });
+});
+
+app.post('/api/court-calendar/holidays', requirePermission('manageAlertRules', 'manage the court calendar'), (req, res) => {
+    const { date, name, gazetteNotice } = req.body || {};
+    const errors = CaseTrackCalendar.validateHoliday({ date, name });
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; '), errors });
+
+    const statutory = CaseTrackCalendar.holidayOn(date);
+    if (statutory) return res.status(409).json({ error: `${date} is already a public holiday (${statutory})` });
+
+    db.run(
+        "INSERT INTO court_holidays (firmId, date, name, gazetteNotice, createdBy) VALUES (?, ?, ?, ?, ?)",
+        [req.user.firmId, date, String(name).trim(), gazetteNotice ? String(gazetteNotice).trim() : null, req.user.userId],
+        function (err) {
+            if (err && /UNIQUE constraint failed/.test(err.message)) {
+                return res.status(409).json({ error: `A holiday is already recorded on ${date}` });
+            }
+            if (err) return res.status(500).json({ error: err.message });
+            db.get("SELECT * FROM court_holidays WHERE holidayId = ?", [this.lastID], (err, holiday) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.status(201).json(holiday);
+                broadcastToFirm(req.user.firmId, { type: 'court_calendar_updated' });
+            });
+        }
+    );
+});
+
+app.delete('/api/court-calendar/holidays/:holidayId', requirePermission('manageAlertRules', 'manage the court calendar'), (req, res) => {
+    db.run(
+        "DELETE FROM court_holidays WHERE holidayId = ? AND firmId = ?",
+        [req.params.holidayId, req.user.firmId],
+        function (err) {
+            if (err) return res.status(500).json({ error: err.message });
+            if (this.changes === 0) return res.status(404).json({ error: 'Holiday not found' });
+            res.json({ success: true });
+            broadcastToFirm(req.user.firmId, { type: 'court_calendar_updated' });
+        }
+    );
+});
+
+// Clients
+// The firm's client registry. Everyone can look clients up; registry staff
+// and partners maintain them. Files link to a client via files.clientId.
+function findFirmClient(req, res, next) {
+    clientRegistry.getClient(req.user.firmId, req.params.clientId).then((client) => {
+        if (!client) return res.status(404).json({ error: 'Client not found' });
+        next(client);
+    }).catch(err => res.status(500).json({ error: err.message }));
+}
+
+// SQLite reports the partial unique index on (firmId, kraPin)
+function isDuplicatePin(err) {
+    return /UNIQUE constraint failed: clients\.firmId, clients\.kraPin/.test(err.message);
+}
+
+app.get('/api/clients', async (req, res) => {
+    try {
+        res.json(await clientRegistry.listClients(req.user.firmId, String(req.query.q || '').trim()));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// A near-identical name is probably the same client under another
+// spelling: the caller gets 409 with the existing client unless they
+// confirm with allowDuplicate
+app.post('/api/clients', requirePermission('manageClients', 'manage clients'), async (req, res) => {
+    const { values, error } = clientRegistry.cleanClient(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        if (!req.body.allowDuplicate) {
+            const [existing] = await clientRegistry.findClientsByName(req.user.firmId, values.name);
+            if (existing) {
+                return res.status(409).json({ error: `A client named "${existing.name}" already exists`, client: existing });
+            }
+        }
+        const client = await clientRegistry.createClient(req.user, values);
+        res.status(201).json(client);
+        broadcastToFirm(req.user.firmId, { type: 'client_created', clientId: client.clientId, name: client.name });
+    } catch (err) {
+        if (isDuplicatePin(err)) return res.status(409).json({ error: 'Another client already has this KRA PIN' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The client with its contacts, the caller's visible files for it and the
+// pending deadlines on those files
+app.get('/api/clients/:clientId', (req, res) => {
+    findFirmClient(req, res, async (client) => {
+        try {
+            const contacts = await clientRegistry.getContacts(client.clientId);
+            const { files, deadlines } = await clientRegistry.getClientMatters(req.user, client.clientId);
+            res.json({ ...client, contacts, files: files.map(parseFile), deadlines });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+// Renaming a client renames it on all of its files
+app.patch('/api/clients/:clientId', requirePermission('manageClients', 'manage clients'), (req, res) => {
+    const { values, error } = clientRegistry.cleanClient(req.body, true);
+    if (error) return res.status(400).json({ error });
+
+    findFirmClient(req, res, async (client) => {
+        try {
+            const updated = await clientRegistry.updateClient(client, values);
+            res.json(updated);
+            broadcastToFirm(req.user.firmId, { type: 'client_updated', clientId: client.clientId, name: updated.name });
+        } catch (err) {
+            if (isDuplicatePin(err)) return res.status(409).json({ error: 'Another client already has this KRA PIN' });
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+app.delete('/api/clients/:clientId', requirePermission('manageClients', 'manage clients'), (req, res) => {
+    findFirmClient(req, res, (client) => {
+        db.get("SELECT COUNT(*) AS count FROM files WHERE clientId = ?", [client.clientId], async (err, row) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (row.count > 0) {
+                return res.status(409).json({ error: `This client has ${row.count} file(s); move them to another client first` });
+            }
+            try {
+                await clientRegistry.deleteClient(client);
+                res.json({ success: true });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+    });
+});
+
+// Contacts: the people to deal with at a client. At most one is primary.
+app.post('/api/clients/:clientId/contacts', requirePermission('manageClients', 'manage clients'), (req, res) => {
+    const { values, error } = clientRegistry.cleanContact(req.body);
+    if (error) return res.status(400).json({ error });
+
+    findFirmClient(req, res, async (client) => {
+        try {
+            res.status(201).json(await clientRegistry.addContact(client, values));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+function findClientContact(req, res, next) {
+    findFirmClient(req, res, (client) => {
+        db.get("SELECT * FROM client_contacts WHERE contactId = ? AND clientId = ?", [req.params.contactId, client.clientId], (err, contact) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (!contact) return res.status(404).json({ error: 'Contact not found' });
+            next(contact);
+        });
+    });
+}
+
+app.patch('/api/clients/:clientId/contacts/:contactId', requirePermission('manageClients', 'manage clients'), (req, res) => {
+    const { values, error } = clientRegistry.cleanContact(req.body, true);
+    if (error) return res.status(400).json({ error });
+
+    findClientContact(req, res, async (contact) => {
+        try {
+            res.json(await clientRegistry.updateContact(contact, values));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+});
+
+app.delete('/api/clients/:clientId/contacts/:contactId', requirePermission('manageClients', 'manage clients'), (req, res) => {
+    findClientContact(req, res, (contact) => {
+        db.run("DELETE FROM client_contacts WHERE contactId = ?", [contact.contactId], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ success: true });
+        });
+    });
+});
+
+// Conflict checks
+// Run before registering a file: { parties: [{ name, role }] } with role
+// client, opposing or related. A check with blocking hits needs a partner's
+// override before POST /api/files accepts it.
+app.post('/api/conflict-checks', requirePermission('registerFiles', 'run conflict checks'), async (req, res) => {
+    const { parties, error } = conflicts.normalizeParties(req.body.parties);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        res.status(201).json(await conflicts.runConflictCheck(req.user, parties));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/conflict-checks/:checkId', async (req, res) => {
+    try {
+        const check = await conflicts.getConflictCheck(req.user.firmId, req.params.checkId);
+        if (!check) return res.status(404).json({ error: 'Conflict check not found' });
+        res.json(check);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/conflict-checks/:checkId/override', requirePermission('overrideConflicts', 'override conflict checks'), async (req, res) => {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'A reason is required to override a conflict' });
+
+    try {
+        const check = await conflicts.getConflictCheck(req.user.firmId, req.params.checkId);
+        if (!check) return res.status(404).json({ error: 'Conflict check not found' });
+        if (check.status !== 'conflict' || check.fileId) {
+            return res.status(409).json({ error: `This check is ${check.fileId ? 'already used' : check.status} and cannot be overridden` });
+        }
+        res.json(await conflicts.overrideConflictCheck(req.user, check.checkId, reason));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Search
+// Ranked full-text search across case details, movement notes, deadlines and
+// attachment text. Filters: practiceArea, status, custodian, courtLevel,
+// courtStation, from, to.
+app.get('/api/search', async (req, res) => {
+    const { q: text, practiceArea, status, custodian, courtLevel, courtStation, from, to } = req.query;
+    if (!search.buildMatchQuery(text)) return res.status(400).json({ error: 'Enter something to search for' });
+    for (const date of [from, to]) {
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+
+    try {
+        const results = await search.searchFiles(req.user, { q: text, practiceArea, status, custodian, courtLevel, courtStation, from, to });
+        res.json(results.map(result => ({ ...result, file: parseFile(result.file) })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Attachments
+// Uploads stream through multer into the storage backend (server/storage);
+// SQLite only keeps metadata, the storage key and a SHA-256 of the content.
+const ATTACHMENT_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'image/jpeg',
+    'image/png'
+];
+const ATTACHMENT_COLUMNS = 'attachmentId, documentId, version, restoredFrom, fileId, name, size, type, contentHash, uploadedBy, uploadedAt';
+// Matches only the newest version of each document
+const LATEST_VERSION = 'version = (SELECT MAX(v.version) FROM attachments v WHERE v.documentId = attachments.documentId)';
+
+const uploadAttachment = multer({
+    storage: createMulterEngine({
+        keyFor: (req) => `${req.user.firmId}/${req.uploadFileId}/${req.attachmentId}`
+    }),
+    limits: { fileSize: ATTACHMENT_MAX_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (ATTACHMENT_TYPES.includes(file.mimetype)) return cb(null, true);
+        cb(new Error(`${file.originalname} is not a supported file type`));
+    }
+}).single('file');
+
+// Text extraction for search runs after the upload response is sent
+function indexAttachmentsInBackground() {
+    search.indexPendingAttachments()
+        .catch(err => console.error('Attachment indexing failed:', err.message));
+}
+
+function newAttachmentId() {
+    return `ATT-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Add a version row numbered after the document's current latest. The
+// (documentId, version) unique index rejects a concurrent duplicate.
+function insertAttachmentVersion(row, callback) {
+    db.run(
+        `INSERT INTO attachments (attachmentId, documentId, version, restoredFrom, firmId, fileId, name, size, type, data, storageKey, contentHash, uploadedBy)
+         SELECT ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ? FROM attachments WHERE documentId = ?`,
+        [row.attachmentId, row.documentId, row.restoredFrom || null, row.firmId, row.fileId, row.name, row.size, row.type,
+            row.data || null, row.storageKey || null, row.contentHash || null, row.uploadedBy, row.documentId],
+        (err) => {
+            if (err) return callback(err);
+            db.get(`SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE attachmentId = ?`, [row.attachmentId], callback);
+        }
+    );
+}
+
+// Stream a multipart "file" field into storage and record it as a new
+// version of documentId (a new document when documentId is omitted)
+function receiveAttachment(req, res, { fileId, documentId }) {
+    req.uploadFileId = fileId;
+    req.attachmentId = newAttachmentId();
+
+    uploadAttachment(req, res, (err) => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Documents are limited to ${ATTACHMENT_MAX_MB}MB` });
+        }
+        if (err) return res.status(400).json({ error: err.message });
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+        const { originalname, mimetype, size, storageKey, contentHash } = req.file;
+        insertAttachmentVersion({
+            attachmentId: req.attachmentId,
+            documentId: documentId || req.attachmentId,
+            firmId: req.user.firmId,
+            fileId,
+            name: originalname,
+            size,
+            type: mimetype,
+            storageKey,
+            contentHash,
+            uploadedBy: req.user.userId
+        }, (err, attachment) => {
+            if (err) {
+                getStorage().delete(storageKey).catch(() => { });
+                return res.status(500).json({ error: err.message });
+            }
+            res.status(201).json({ success: true, attachmentId: attachment.attachmentId, attachment });
+            broadcastToFirm(req.user.firmId, { type: 'attachment_added', fileId, attachmentId: attachment.attachmentId, documentId: attachment.documentId });
+            indexAttachmentsInBackground();
+        });
+    });
+}
+
+// Latest version of each document, with versionCount; ?allVersions=1 lists
+// every version instead
+app.get('/api/attachments/:fileId', (req, res) => {
+    const { fileId } = req.params;
+    findVisibleFile(req, res, fileId, () => {
+        db.all(
+            `SELECT ${ATTACHMENT_COLUMNS},
+                (SELECT COUNT(*) FROM attachments v WHERE v.documentId = attachments.documentId) AS versionCount
+             FROM attachments WHERE fileId = ? AND firmId = ? ${req.query.allVersions === '1' ? '' : `AND ${LATEST_VERSION}`}
+             ORDER BY uploadedAt, version`,
+            [fileId, req.user.firmId],
+            (err, rows) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json(rows);
+            }
+        );
+    });
+});
+
+// Multipart upload with the document in a "file" field
+app.post('/api/files/:fileId/attachments', requirePermission('uploadDocuments', 'upload documents'), (req, res) => {
+    const { fileId } = req.params;
+    findVisibleFile(req, res, fileId, () => receiveAttachment(req, res, { fileId }));
+});
+
+function findVisibleAttachment(req, res, next) {
+    db.get("SELECT * FROM attachments WHERE attachmentId = ? AND firmId = ?", [req.params.attachmentId, req.user.firmId], (err, attachment) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+        findVisibleFile(req, res, attachment.fileId, () => next(attachment));
+    });
+}
+
+// Supports single byte ranges, so PDF viewers can fetch pages on demand and
+// interrupted downloads can resume. ?inline=1 displays instead of saving.
+app.get('/api/attachments/:attachmentId/download', (req, res) => {
+    findVisibleAttachment(req, res, async (attachment) => {
+        const legacy = !attachment.storageKey;
+        const bytes = legacy ? legacyAttachmentBytes(attachment) : null;
+        const size = legacy ? bytes.length : attachment.size;
+
+        const range = parseRange(req.headers.range, size);
+        if (range === false) {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).json({ error: 'Requested range not satisfiable' });
+        }
+
+        const asciiName = attachment.name.replace(/[^\x20-\x7e]|"/g, '_');
+        res.set({
+            'Content-Type': attachment.type || 'application/octet-stream',
+            'Accept-Ranges': 'bytes',
+            'Content-Disposition': `${req.query.inline === '1' ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.name)}`
+        });
+        if (attachment.contentHash) {
+            res.set('ETag', `"${attachment.contentHash}"`);
+            if (req.headers['if-none-match'] === `"${attachment.contentHash}"`) return res.status(304).end();
+        }
+
+        if (range) {
+            res.status(206);
+            res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        }
+        res.set('Content-Length', range ? range.end - range.start + 1 : size);
+
+        if (legacy) return res.end(range ? bytes.subarray(range.start, range.end + 1) : bytes);
+
+        try {
+            const stream = await getStorage().get(attachment.storageKey, range);
+            stream.on('error', () => res.destroy());
+            stream.pipe(res);
+        } catch (err) {
+            res.removeHeader('Content-Length');
+            res.status(404).json({ error: 'Attachment content is missing from storage' });
+        }
+    });
+});
+
+// Upload a new version of the document this attachment belongs to
+app.post('/api/attachments/:attachmentId/versions', requirePermission('uploadDocuments', 'upload documents'), (req, res) => {
+    findVisibleAttachment(req, res, (attachment) => {
+        receiveAttachment(req, res, { fileId: attachment.fileId, documentId: attachment.documentId });
+    });
+});
+
+// Version history of the document this attachment belongs to, newest first
+app.get('/api/attachments/:attachmentId/versions', (req, res) => {
+    findVisibleAttachment(req, res, (attachment) => {
+        db.all(
+            `SELECT ${ATTACHMENT_COLUMNS.split(', ').map(c => `a.${c}`).join(', ')}, u.name AS uploadedByName
+             FROM attachments a LEFT JOIN users u ON u.userId = a.uploadedBy
+             WHERE a.documentId = ? AND a.firmId = ?
+             ORDER BY a.version DESC`,
+            [attachment.documentId, req.user.firmId],
+            (err, rows) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json(rows);
+            }
+        );
+    });
+});
+
+// Restoring an earlier version adds it back as the newest version, sharing
+// the stored content, so history is never rewritten
+app.post('/api/attachments/:attachmentId/restore', requirePermission('uploadDocuments', 'restore documents'), (req, res) => {
+    findVisibleAttachment(req, res, (attachment) => {
+        db.get("SELECT MAX(version) AS latest FROM attachments WHERE documentId = ?", [attachment.documentId], (err, row) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (row.latest === attachment.version) {
+                return res.status(400).json({ error: 'This is already the current version' });
+            }
+
+            insertAttachmentVersion({
+                ...attachment,
+                attachmentId: newAttachmentId(),
+                restoredFrom: attachment.version,
+                uploadedBy: req.user.userId
+            }, (err, restored) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.status(201).json({ success: true, attachmentId: restored.attachmentId, attachment: restored });
+                broadcastToFirm(req.user.firmId, { type: 'attachment_added', fileId: restored.fileId, attachmentId: restored.attachmentId, documentId: restored.documentId });
+                indexAttachmentsInBackground();
+            });
+        });
+    });
+});
+
+// Deletes the whole document: every version and its stored content
+app.delete('/api/attachments/:attachmentId', requirePermission('uploadDocuments', 'delete documents'), (req, res) => {
+    findVisibleAttachment(req, res, (attachment) => {
+        db.all("SELECT DISTINCT storageKey FROM attachments WHERE documentId = ? AND storageKey IS NOT NULL", [attachment.documentId], (err, keys) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            db.run("DELETE FROM attachments WHERE documentId = ?", [attachment.documentId], async (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                for (const { storageKey } of keys) {
+                    // The rows are gone either way; a leftover object is only logged
+                    await getStorage().delete(storageKey)
+                        .catch(err => console.error(`Failed to delete ${storageKey}:`, err.message));
+                }
+                res.json({ success: true });
+                broadcastToFirm(req.user.firmId, { type: 'attachment_deleted', fileId: attachment.fileId, attachmentId: attachment.attachmentId, documentId: attachment.documentId });
+            });
+        });
+    });
+});
+
+// Start server once the schema is up to date
+migrate.latest()
+    .then(() => {
+        server.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+        });
+
+        // Targeted alerts go to their recipient; untargeted ones to the firm
+        startAlertScheduler({
+            intervalMinutes: ALERT_CHECK_INTERVAL_MINUTES,
+            notify: (alert) => {
+                const message = { type: 'alert_created', alert };
+                if (alert.targetUserId) notifyUser(alert.firmId, alert.targetUserId, message);
+                else broadcastToFirm(alert.firmId, message);
+
+                notifications.notifyCriticalAlert(alert)
+                    .catch(err => console.error('Failed to queue alert email:', err.message));
+                notifications.notifyByMessage(alert)
+                    .catch(err => console.error('Failed to send alert message:', err.message));
+            }
+        });
+
+        notifications.startNotificationWorker({
+            queueIntervalSeconds: EMAIL_QUEUE_INTERVAL_SECONDS,
+            digestHour: DEADLINE_DIGEST_HOUR
+        });
+
+        indexAttachmentsInBackground();
+        sync.pruneMutations().catch(err => console.error('Failed to prune applied mutations:', err.message));
+        realtime.pruneEvents().catch(err => console.error('Failed to prune realtime events:', err.message));
+    })
+    .catch((err) => {
+        console.error('Database migration failed:', err.message);
+        process.exit(1);
+    });
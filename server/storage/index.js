@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Pluggable attachment storage, chosen with STORAGE_DRIVER (local | s3).
+// A backend implements put(key, stream), get(key, range) -> stream and
+// delete(key).
+
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+let storage = null;
+
+function getStorage() {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!DRIVERS[driver]) throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+        storage = DRIVERS[driver]();
+    }
+    return storage;
+}
+
+/**
+ * Multer storage engine that streams each upload straight into the storage
+ * backend, computing its SHA-256 and size on the way through. `keyFor(req,
+ * file)` chooses the storage key. Adds file.storageKey, file.size and
+ * file.contentHash for the route handler. Size limits are left to multer's
+ * limits.fileSize, which removes a partial upload through _removeFile().
+ */
+function createMulterEngine({ keyFor }) {
+    return {
+        _handleFile(req, file, cb) {
+            const hash = crypto.createHash('sha256');
+            let size = 0;
+            const key = keyFor(req, file);
+
+            const meter = new Transform({
+                transform(chunk, encoding, done) {
+                    size += chunk.length;
+                    hash.update(chunk);
+                    done(null, chunk);
+                }
+            });
+
+            file.stream.pipe(meter);
+            getStorage().put(key, meter)
+                .then(() => cb(null, { storageKey: key, size, contentHash: hash.digest('hex') }))
+                .catch(err => {
+                    getStorage().delete(key).catch(() => { });
+                    cb(err);
+                });
+        },
+
+        _removeFile(req, file, cb) {
+            getStorage().delete(file.storageKey).then(() => cb(null), cb);
+        }
+    };
+}
+
+/**
+ * Parse a single-range HTTP Range header against a known size. Returns
+ * null for no range, { start, end } for a satisfiable one, or false when
+ * the range cannot be satisfied.
+ */
+function parseRange(header, size) {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return false;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    if (start > end || start >= size) return false;
+    return { start, end };
+}
+
+// Attachments uploaded before storage backends kept base64 (or a data URL)
+// in attachments.data
+function legacyAttachmentBytes(attachment) {
+    const data = attachment.data || '';
+    return Buffer.from(data.slice(data.indexOf(',') + 1), 'base64');
+}
+
+/**
+ * Read an attachment row's whole content into a Buffer, from the storage
+ * backend or the legacy data column
+ */
+async function readAttachment(attachment) {
+    if (!attachment.storageKey) return legacyAttachmentBytes(attachment);
+
+    const chunks = [];
+    for await (const chunk of await getStorage().get(attachment.storageKey)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+module.exports = { getStorage, createMulterEngine, parseRange, legacyAttachmentBytes, readAttachment };
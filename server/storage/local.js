@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Attachments on the local filesystem under ATTACHMENTS_DIR
+// (server/uploads by default). Keys are relative paths below that root.
+// The web server serves only top-level assets, so the default location is
+// never publicly reachable.
+
+function createLocalStorage({ root = process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'uploads') } = {}) {
+    const resolve = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, stream) {
+            const target = resolve(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await pipeline(stream, fs.createWriteStream(target));
+        },
+
+        // range is { start, end } with end inclusive, as in HTTP Range
+        async get(key, range) {
+            const source = resolve(key);
+            await fs.promises.access(source);
+            return fs.createReadStream(source, range || {});
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
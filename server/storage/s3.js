@@ -0,0 +1,51 @@
+// Attachments in an S3-compatible bucket. Works against AWS S3 or a local
+// MinIO for development, e.g.
+//   docker run -p 9000:9000 minio/minio server /data
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true
+//   S3_BUCKET=casetrack S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin
+// The AWS SDK is only loaded when this driver is selected.
+
+function createS3Storage({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) {
+    if (!bucket) throw new Error('S3 storage needs S3_BUCKET');
+
+    const { S3Client, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { Upload } = require('@aws-sdk/lib-storage');
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        // Multipart upload, so the stream's length need not be known up front
+        async put(key, stream) {
+            await new Upload({ client, params: { Bucket: bucket, Key: key, Body: stream } }).done();
+        },
+
+        async get(key, range) {
+            const { Body } = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined
+            }));
+            return Body;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+}
+
+module.exports = { createS3Storage };
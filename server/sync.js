@@ -0,0 +1,245 @@
+const q = require('./db-async');
+const { filterVisibleFiles } = require('./authorize');
+
+// Offline sync support. Browsers queue changes while offline and replay them
+// later (see CaseTrackDB.replayOutbox), so the write routes must cope with
+// two things: the same change arriving twice, and a change made against a
+// record that has moved on since.
+
+const MUTATION_RETENTION_DAYS = 30;
+
+// A mutation is claimed (status IN_PROGRESS) before it is applied, so two
+// replays arriving together cannot both apply it. A claim older than
+// STALE_CLAIM was left by a request that never finished (e.g. a crash).
+const IN_PROGRESS = 0;
+const STALE_CLAIM = '-2 minutes';
+
+/**
+ * Claim a mutation id for this request. Resolves to false when another
+ * request holds or has applied it.
+ */
+async function claimMutation(req, mutationId) {
+    const { firmId, userId } = req.user;
+    try {
+        await q.run(
+            `INSERT INTO sync_mutations (firmId, mutationId, userId, method, path, status, response)
+             VALUES (?, ?, ?, ?, ?, ${IN_PROGRESS}, '')`,
+            [firmId, mutationId, userId, req.method, req.path]
+        );
+        return true;
+    } catch (err) {
+        if (err.code !== 'SQLITE_CONSTRAINT') throw err;
+    }
+    const { changes } = await q.run(
+        `UPDATE sync_mutations SET userId = ?, method = ?, path = ?, appliedAt = CURRENT_TIMESTAMP
+         WHERE firmId = ? AND mutationId = ? AND status = ${IN_PROGRESS} AND appliedAt < datetime('now', ?)`,
+        [userId, req.method, req.path, firmId, mutationId, STALE_CLAIM]
+    );
+    return changes > 0;
+}
+
+/**
+ * Middleware: a write carrying X-Mutation-Id that was already applied gets
+ * the original response back instead of being applied again; one still
+ * being applied is answered 503 so the client retries later. Only
+ * successful responses are remembered; a rejected change may be retried.
+ */
+function replayGuard(req, res, next) {
+    const mutationId = req.get('X-Mutation-Id');
+    if (!mutationId || req.method === 'GET' || !req.user) return next();
+    const { firmId } = req.user;
+
+    claimMutation(req, mutationId)
+        .then(async claimed => {
+            if (!claimed) {
+                const applied = await q.get("SELECT status, response FROM sync_mutations WHERE firmId = ? AND mutationId = ?", [firmId, mutationId]);
+                if (!applied || applied.status === IN_PROGRESS) {
+                    return res.status(503).set('Retry-After', '5').json({ error: 'This change is still being applied' });
+                }
+                res.set('X-Mutation-Replayed', '1');
+                return res.status(applied.status).json(JSON.parse(applied.response));
+            }
+
+            const release = () => q.run(
+                `DELETE FROM sync_mutations WHERE firmId = ? AND mutationId = ? AND status = ${IN_PROGRESS}`,
+                [firmId, mutationId]
+            ).catch(err => console.error('Failed to release mutation:', err.message));
+
+            let answered = false;
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                answered = true;
+                if (res.statusCode < 300) {
+                    q.run(
+                        "UPDATE sync_mutations SET status = ?, response = ?, appliedAt = CURRENT_TIMESTAMP WHERE firmId = ? AND mutationId = ?",
+                        [res.statusCode, JSON.stringify(body), firmId, mutationId]
+                    ).catch(err => console.error('Failed to record mutation:', err.message));
+                } else {
+                    release();
+                }
+                return json(body);
+            };
+            // Answered without res.json: nothing to replay
+            res.on('finish', () => {
+                if (!answered) release();
+            });
+            next();
+        })
+        .catch(err => res.status(500).json({ error: err.message }));
+}
+
+/**
+ * Refuse a change made against an older version of a record. Requests
+ * without a baseVersion (older clients, scripts) are not checked. Returns
+ * true when the response has been sent.
+ */
+function refuseStale(res, record, baseVersion, label) {
+    if (baseVersion === undefined || baseVersion === null) return false;
+    if (Number(baseVersion) === record.version) return false;
+    res.status(409).json({
+        error: `This ${label} was changed by someone else (now version ${record.version}, your change was made to version ${baseVersion})`,
+        conflict: true,
+        current: record
+    });
+    return true;
+}
+
+async function pruneMutations() {
+    await q.run(
+        `DELETE FROM sync_mutations WHERE appliedAt < datetime('now', ?)
+         OR (status = ${IN_PROGRESS} AND appliedAt < datetime('now', ?))`,
+        [`-${MUTATION_RETENTION_DAYS} days`, STALE_CLAIM]
+    );
+}
+
+// Incremental sync: triggers log every change to these tables in
+// sync_changes (migration 022), and GET /api/sync returns what changed after
+// the client's cursor. Records are filtered with the same rules as the list
+// routes; a record the caller can no longer see is reported as deleted, as
+// are the deadlines and movements of a file that went out of view.
+const SYNCED_TABLES = {
+    files: 'fileId',
+    movements: 'movementId',
+    deadlines: 'deadlineId',
+    alerts: 'alertId',
+    users: 'userId'
+};
+
+// The columns GET /api/users and GET /api/alerts return
+const SELECT_COLUMNS = {
+    users: 't.userId, t.name, t.role, t.email, t.phone, t.department, t.active',
+    alerts: `t.*, t.timestamp AS createdAt,
+             (r.readAt IS NOT NULL) AS read, r.readAt,
+             (r.dismissedAt IS NOT NULL) AS dismissed, r.dismissedAt`
+};
+
+function changedRows(user, table, since, cursor) {
+    const receipts = table === 'alerts'
+        ? 'LEFT JOIN alert_receipts r ON r.alertId = t.alertId AND r.userId = ?'
+        : '';
+    return q.all(
+        `SELECT ${SELECT_COLUMNS[table] || 't.*'}
+         FROM sync_changes c
+         JOIN ${table} t ON t.${SYNCED_TABLES[table]} = c.recordId AND t.firmId = c.firmId
+         ${receipts}
+         WHERE c.firmId = ? AND c.tableName = ? AND c.changeId > ? AND c.changeId <= ?`,
+        [...(receipts ? [user.userId] : []), user.firmId, table, since, cursor]
+    );
+}
+
+function visibleMovement(user, visibleFileIds, movement) {
+    return visibleFileIds.has(movement.fileId) ||
+        movement.fromCustodian === user.userId ||
+        movement.toCustodian === user.userId;
+}
+
+/**
+ * Records changed after `since` (0 for everything) as
+ * { cursor, full, changes: { table: rows }, deleted: { table: ids } }.
+ * With fileIds, returns instead the movements and deadlines of those files,
+ * for files that have just become visible to the caller.
+ */
+async function getChanges(user, { since = 0, fileIds = null } = {}) {
+    // Read the cursor first: a change landing while the rows are read is
+    // sent again next time rather than missed
+    const { cursor } = await q.get(
+        "SELECT COALESCE(MAX(changeId), 0) AS cursor FROM sync_changes WHERE firmId = ?",
+        [user.firmId]
+    );
+    const files = await q.all("SELECT * FROM files WHERE firmId = ?", [user.firmId]);
+    const visibleFileIds = new Set(filterVisibleFiles(user, files).map(f => f.fileId));
+
+    const changes = {};
+    const deleted = {};
+    Object.keys(SYNCED_TABLES).forEach(table => {
+        changes[table] = [];
+        deleted[table] = [];
+    });
+
+    if (fileIds) {
+        const wanted = fileIds.filter(id => visibleFileIds.has(id));
+        if (wanted.length) {
+            const marks = wanted.map(() => '?').join(', ');
+            const params = [user.firmId, ...wanted];
+            changes.movements = await q.all(`SELECT * FROM movements WHERE firmId = ? AND fileId IN (${marks})`, params);
+            changes.deadlines = await q.all(`SELECT * FROM deadlines WHERE firmId = ? AND fileId IN (${marks})`, params);
+        }
+        return { cursor, full: false, changes, deleted };
+    }
+
+    const isVisible = {
+        files: file => visibleFileIds.has(file.fileId),
+        movements: movement => visibleMovement(user, visibleFileIds, movement),
+        deadlines: deadline => visibleFileIds.has(deadline.fileId),
+        // As GET /api/alerts: an alert about a file goes with the file
+        alerts: alert => !alert.dismissedAt && (!alert.fileId || visibleFileIds.has(alert.fileId)),
+        users: () => true
+    };
+
+    for (const table of Object.keys(SYNCED_TABLES)) {
+        let rows = await changedRows(user, table, since, cursor);
+        // Alerts for someone else were never the caller's to see
+        if (table === 'alerts') {
+            rows = rows
+                .filter(a => !a.targetUserId || a.targetUserId === user.userId)
+                .map(a => ({ ...a, read: !!a.read, dismissed: !!a.dismissed }));
+        }
+        rows.forEach(row => {
+            if (isVisible[table](row)) changes[table].push(row);
+            else if (since) deleted[table].push(row[SYNCED_TABLES[table]]);
+        });
+    }
+
+    // A file that went out of view takes its deadlines and alerts with it,
+    // and the movements the caller was not party to, even if they did not
+    // change
+    if (since && deleted.files.length) {
+        const marks = deleted.files.map(() => '?').join(', ');
+        const params = [user.firmId, ...deleted.files];
+        const movements = await q.all(
+            `SELECT movementId, fileId, fromCustodian, toCustodian FROM movements WHERE firmId = ? AND fileId IN (${marks})`,
+            params
+        );
+        const deadlines = await q.all(`SELECT deadlineId FROM deadlines WHERE firmId = ? AND fileId IN (${marks})`, params);
+        const goneMovements = movements
+            .filter(movement => !visibleMovement(user, visibleFileIds, movement))
+            .map(movement => movement.movementId);
+        deleted.movements = [...new Set([...deleted.movements, ...goneMovements])];
+        deleted.deadlines = [...new Set([...deleted.deadlines, ...deadlines.map(d => d.deadlineId)])];
+        const alerts = await q.all(`SELECT alertId FROM alerts WHERE firmId = ? AND fileId IN (${marks})`, params);
+        deleted.alerts = [...new Set([...deleted.alerts, ...alerts.map(a => a.alertId)])];
+    }
+
+    if (since) {
+        const tombstones = await q.all(
+            `SELECT tableName, recordId FROM sync_changes
+             WHERE firmId = ? AND deleted = 1 AND changeId > ? AND changeId <= ?`,
+            [user.firmId, since, cursor]
+        );
+        tombstones.forEach(({ tableName, recordId }) => deleted[tableName].push(recordId));
+    }
+
+    return { cursor, full: !since, changes, deleted };
+}
+
+module.exports = { replayGuard, refuseStale, pruneMutations, getChanges };
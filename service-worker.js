@@ -0,0 +1,169 @@
+/**
+ * CaseTrack KE — Service Worker
+ * Keeps the app shell available offline, sends queued changes (mostly file
+ * movements logged at the registry) when the connection returns, and opens
+ * the app from device notifications. File, movement and deadline data is not cached
+ * here: CaseTrackDB keeps its own local copy.
+ */
+
+importScripts('sync-outbox.js');
+
+// Bump when the shell changes so old caches are dropped on activate
+const CACHE_NAME = 'casetrack-shell-v3';
+
+const SHELL = [
+    '/index.html',
+    '/login.html',
+    '/styles.css',
+    '/favicon.png',
+    '/login-bg.png',
+    '/manifest.webmanifest',
+    '/database.js',
+    '/sync-outbox.js',
+    '/permissions.js',
+    '/alert-rules.js',
+    '/courts.js',
+    '/legal-calendar.js',
+    '/deadline-rules.js',
+    '/auth.js',
+    '/api-client.js',
+    '/realtime-events.js',
+    '/websocket-client.js',
+    '/pwa.js',
+    '/sample-data.js',
+    '/alert-engine.js',
+    '/file-manager.js',
+    '/movement-tracker.js',
+    '/reports.js',
+    '/qr-scanner.js',
+    '/file-upload.js',
+    '/app.js'
+];
+
+// Background Sync tags are `outbox:<userId>`: queued changes are sent only
+// for the user who made them
+const OUTBOX_SYNC_PREFIX = 'outbox:';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET') return;
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+    // Pages come from the network (the server checks the session cookie)
+    // and fall back to the cached shell offline
+    if (request.mode === 'navigate') {
+        const fallback = url.pathname.startsWith('/login') ? '/login.html' : '/index.html';
+        event.respondWith(fetch(request).catch(() => caches.match(fallback)));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(event, request));
+});
+
+/**
+ * Serve from the cache at once and refresh it in the background, so a
+ * deploy reaches the browser on the next load. Covers the fonts and QR
+ * libraries loaded from CDNs as well.
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => { }));
+    return cached;
+}
+
+self.addEventListener('sync', (event) => {
+    if (!event.tag.startsWith(OUTBOX_SYNC_PREFIX)) return;
+    event.waitUntil(replayOutbox(event.tag.slice(OUTBOX_SYNC_PREFIX.length)));
+});
+
+/**
+ * An open page replays through CaseTrackDB, which also refreshes its local
+ * data. Otherwise the changes are sent from here; rejecting the returned
+ * promise (offline, server fault) makes the browser retry later.
+ */
+async function replayOutbox(userId) {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length) {
+        windows.forEach(client => client.postMessage({ type: 'outbox_sync' }));
+        return;
+    }
+
+    // Same order and hold-back rules as CaseTrackDB.drainOutbox
+    const entries = (await CaseTrackOutbox.list()).filter(entry => entry.userId === userId);
+    const held = new Set(entries.filter(e => e.status !== 'pending').map(e => e.recordKey));
+
+    for (const { mutationId } of entries.filter(e => e.status === 'pending')) {
+        const entry = await CaseTrackOutbox.get(mutationId);
+        if (!entry || held.has(entry.recordKey)) continue;
+
+        const response = await fetch(`/api${entry.endpoint}`, {
+            method: entry.method,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json', 'X-Mutation-Id': entry.mutationId },
+            body: JSON.stringify({ ...entry.body, baseVersion: entry.baseVersion ?? undefined })
+        });
+        // Signed out: the changes wait for the user to sign in again
+        if (response.status === 401) return;
+        if (response.status >= 500) throw new Error(`Outbox replay stopped: server returned ${response.status}`);
+
+        const body = await response.json();
+        if (!response.ok) {
+            // The page refetches its data on next load to drop the refused change
+            await CaseTrackOutbox.put({
+                ...entry,
+                status: body.conflict ? 'conflict' : 'failed',
+                error: body.error,
+                current: body.conflict ? body.current : null,
+                refusedInBackground: true
+            });
+            held.add(entry.recordKey);
+            continue;
+        }
+
+        await CaseTrackOutbox.remove(entry.mutationId);
+        await CaseTrackOutbox.adoptServerId(entry, body);
+        const record = body.file || body.deadline;
+        if (!record || record.version === undefined) continue;
+        for (const later of await CaseTrackOutbox.list()) {
+            if (later.status === 'pending' && later.recordKey === entry.recordKey && later.baseVersion === entry.baseVersion) {
+                await CaseTrackOutbox.put({ ...later, baseVersion: record.version });
+            }
+        }
+    }
+}
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { fileId } = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const [open] = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (!open) return self.clients.openWindow(fileId ? `/?file=${encodeURIComponent(fileId)}` : '/');
+        await open.focus();
+        if (fileId) open.postMessage({ type: 'open_file', fileId });
+    })());
+});
@@ -0,0 +1,116 @@
+/**
+ * CaseTrack KE — Sync Outbox
+ * Changes waiting to reach the server, kept in IndexedDB so they survive a
+ * reload while offline. CaseTrackDB queues and replays them; this module
+ * only stores them, oldest first. Falls back to memory where IndexedDB is
+ * unavailable (e.g. some private browsing modes).
+ */
+
+const CaseTrackOutbox = {
+    DB_NAME: 'casetrack',
+    STORE: 'outbox',
+
+    // Entry statuses: waiting to be sent, refused as out of date, or
+    // rejected by the server for another reason
+    STATUSES: ['pending', 'conflict', 'failed'],
+
+    dbPromise: null,
+    memory: [],
+
+    open() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE, { keyPath: 'mutationId' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable; offline changes will not survive a reload:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    },
+
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return operation(null);
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = operation(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Every entry, oldest first
+     */
+    async list() {
+        const entries = await this.run('readonly', store => store ? store.getAll() : null) || [...this.memory];
+        return entries.sort((a, b) => a.seq - b.seq);
+    },
+
+    async get(mutationId) {
+        return (await this.list()).find(entry => entry.mutationId === mutationId) || null;
+    },
+
+    async put(entry) {
+        await this.run('readwrite', store => {
+            if (store) return store.put(entry);
+            this.memory = [...this.memory.filter(e => e.mutationId !== entry.mutationId), entry];
+            return null;
+        });
+        return entry;
+    },
+
+    async remove(mutationId) {
+        await this.run('readwrite', store => {
+            if (store) return store.delete(mutationId);
+            this.memory = this.memory.filter(e => e.mutationId !== mutationId);
+            return null;
+        });
+    },
+
+    /**
+     * A record created offline is given its ID by the server when the
+     * change that creates it is sent (`body` is the server's response).
+     * Point the changes queued after it at that ID. Returns the ID, or null
+     * when it did not change.
+     */
+    async adoptServerId(entry, body) {
+        const created = (entry.changes || []).find(change => change.create);
+        const serverId = created && body && body[created.idKey];
+        if (!serverId || serverId === created.id) return null;
+
+        const retarget = value => (value === created.id ? serverId : value);
+        for (const later of await this.list()) {
+            if (later.mutationId === entry.mutationId) continue;
+            const moved = {
+                recordKey: later.recordKey.replace(/:(.*)$/s, (_, id) => `:${retarget(id)}`),
+                endpoint: later.endpoint.split('/').map(retarget).join('/'),
+                changes: (later.changes || []).map(change => ({ ...change, id: retarget(change.id) }))
+            };
+            if (JSON.stringify(moved) !== JSON.stringify({ recordKey: later.recordKey, endpoint: later.endpoint, changes: later.changes || [] })) {
+                await this.put({ ...later, ...moved });
+            }
+        }
+        return serverId;
+    },
+
+    async clear() {
+        await this.run('readwrite', store => {
+            if (store) return store.clear();
+            this.memory = [];
+            return null;
+        });
+    }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseTrackOutbox;
+}
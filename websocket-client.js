@@ -1,11 +1,27 @@
 /**
  * CaseTrack KE — WebSocket Client
- * Real-time notifications and updates
+ * Real-time notifications and updates, applied as they arrive
  */
 
 const WSClient = {
     socket: null,
-    reconnectInterval: 5000,
+
+    // Reconnect after 1s, doubling up to 30s (with jitter, so a restarted
+    // server is not hit by every client at once)
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 30000,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+
+    // The server answers { type: 'ping' } with 'pong'; a connection that
+    // stays silent after a ping is treated as dropped
+    heartbeatInterval: 25000,
+    heartbeatTimeout: 10000,
+    heartbeatTimer: null,
+    pongTimer: null,
+
+    // Last event seen; a reconnect asks the server for everything after it
+    lastEventId: null,
 
     // Dynamically determine WebSocket URL based on current location
     get wsURL() {
@@ -14,35 +30,81 @@ const WSClient = {
     },
 
     /**
-     * Connect to WebSocket server
+     * Connect to WebSocket server. The session token authenticates the
+     * handshake; the server knows the user from it.
      */
-    connect(userId) {
-        if (!userId) return;
+    connect() {
+        const token = localStorage.getItem('casetrack_token');
+        if (!token || (this.socket && this.socket.readyState <= WebSocket.OPEN)) return;
+        clearTimeout(this.reconnectTimer);
 
-        this.socket = new WebSocket(this.wsURL);
+        const params = new URLSearchParams({ token });
+        if (this.lastEventId !== null) params.set('since', this.lastEventId);
+        const socket = new WebSocket(`${this.wsURL}/?${params}`);
+        this.socket = socket;
 
-        this.socket.onopen = () => {
+        socket.onopen = () => {
             console.log('WebSocket Connected');
-            // Authenticate session
-            this.send({
-                type: 'auth',
-                userId: userId
-            });
+            this.startHeartbeat();
         };
 
-        this.socket.onmessage = (event) => {
+        socket.onmessage = (event) => {
+            clearTimeout(this.pongTimer);
             const data = JSON.parse(event.data);
+            if (data.eventId) this.lastEventId = Math.max(this.lastEventId || 0, data.eventId);
             this.handleMessage(data);
         };
 
-        this.socket.onclose = () => {
-            console.log('WebSocket Disconnected. Reconnecting...');
-            setTimeout(() => this.connect(userId), this.reconnectInterval);
+        socket.onclose = () => {
+            this.stopHeartbeat();
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.scheduleReconnect();
         };
 
-        this.socket.onerror = (error) => {
+        socket.onerror = (error) => {
             console.error('WebSocket Error:', error);
         };
+
+        if (!this.listening) {
+            this.listening = true;
+            // Back online or back in view: no need to wait out the backoff
+            window.addEventListener('online', () => this.reconnectNow());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') this.reconnectNow();
+            });
+        }
+    },
+
+    scheduleReconnect() {
+        const delay = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        const jittered = delay / 2 + Math.random() * delay / 2;
+        console.log(`WebSocket Disconnected. Reconnecting in ${Math.round(jittered / 1000)}s...`);
+        this.reconnectTimer = setTimeout(() => this.connect(), jittered);
+    },
+
+    reconnectNow() {
+        if (this.socket) return;
+        this.reconnectAttempts = 0;
+        this.connect();
+    },
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            this.send({ type: 'ping' });
+            clearTimeout(this.pongTimer);
+            this.pongTimer = setTimeout(() => {
+                console.warn('WebSocket heartbeat lost. Reconnecting...');
+                this.socket?.close();
+            }, this.heartbeatTimeout);
+        }, this.heartbeatInterval);
+    },
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pongTimer);
     },
 
     /**
@@ -55,35 +117,95 @@ const WSClient = {
     },
 
     /**
-     * Handle incoming messages
+     * Handle incoming messages. Events carry the records they changed
+     * (see realtime-events.js): those are patched into CaseTrackDB and the
+     * screens showing them, instead of re-syncing everything.
      */
-    handleMessage(data) {
+    async handleMessage(data) {
         console.log('WS Message Received:', data);
 
+        switch (data.type) {
+            case 'welcome':
+                // Authenticated, and any missed events have been replayed
+                this.reconnectAttempts = 0;
+                this.lastEventId = Math.max(this.lastEventId || 0, data.lastEventId || 0);
+                return;
+            case 'resync':
+                // Missed events are no longer kept on the server
+                this.refreshUI();
+                return;
+            case 'pong':
+                return;
+        }
+
+        const spec = CaseTrackEvents.TYPES[data.type];
+        if (!spec) {
+            // Silently handle unknown message types (may be broadcasts from other features)
+            if (data.type) console.debug('WS message type not handled by client:', data.type);
+            return;
+        }
+        if (spec.reload) {
+            this.refreshUI();
+            return;
+        }
+
+        if (spec.records || spec.removes) {
+            await CaseTrackDB.applyEvent(data);
+            if (typeof caseTrack !== 'undefined') caseTrack.applyRealtimeEvent(data);
+        }
+        this.announce(data);
+    },
+
+    /**
+     * Toasts (and device notifications) for events worth interrupting for,
+     * plus the parts of the screen that load their own data
+     */
+    announce(data) {
         switch (data.type) {
             case 'movement_received':
                 this.showToast(data.message, 'info');
-                this.refreshUI();
+                CaseTrackPWA.notify('File received', data.message, { tag: data.movementId, fileId: data.fileId });
                 break;
-            case 'movement_logged':
-                this.refreshUI();
+            case 'file_requested':
+                this.showToast(data.alert.message, 'info');
+                CaseTrackPWA.notify('File requested', data.alert.message, { tag: data.alert.alertId, fileId: data.fileId });
                 break;
-            case 'movement_acknowledged':
-                this.refreshUI();
+            case 'file_created':
+                this.showToast(`New case file registered: ${data.caseName}`, 'success');
+                break;
+            case 'file_status_changed':
+                if (data.file) this.showToast(`${data.file.caseName} is now ${data.file.status}`, 'info');
                 break;
             case 'deadline_added':
                 this.showToast(`New deadline added for file ${data.fileId}`, 'info');
-                this.refreshUI();
                 break;
-            case 'file_created':
-                this.showToast(`New case file registered: ${data.caseName}`, 'success');
-                this.refreshUI();
+            case 'deadline_completed':
+                this.showToast(`Deadline completed for file ${data.fileId}`, 'success');
+                break;
+            case 'alert_created':
+                if (data.alert.severity === 'critical') {
+                    this.showToast(data.alert.message, 'error');
+                }
                 break;
-            default:
-                // Silently handle unknown message types (may be broadcasts from other features)
-                if (data.type) {
-                    console.debug('WS message type not handled by client:', data.type);
+            case 'file_event_logged':
+                // Deadlines it created arrive as deadline_added
+                if (typeof caseTrack !== 'undefined' && document.getElementById(`fileEvents-${data.fileId}`)) {
+                    caseTrack.loadFileEvents(data.fileId);
                 }
+                break;
+            case 'attachment_added':
+            case 'attachment_deleted':
+                // Only the open file's attachment list needs refreshing
+                if (typeof FileUpload !== 'undefined' && document.getElementById(`fileAttachments-${data.fileId}`)) {
+                    FileUpload.loadAttachments(data.fileId);
+                }
+                break;
+            case 'client_created':
+            case 'client_updated':
+                if (typeof caseTrack !== 'undefined' && caseTrack.currentView === 'clients') {
+                    caseTrack.loadClientsView();
+                }
+                break;
         }
     },
 